@@ -0,0 +1,184 @@
+// scripts/provisionSessions.js
+/**
+ * Forwarder session provisioning
+ *
+ * Logs the forwarder accounts in from a terminal and stores their string sessions
+ * encrypted in data/ (key from SESSION_ENCRYPTION_KEY), so the app starts without
+ * any prompt on servers and under pm2.
+ *
+ * Usage:
+ *   npm run sessions                         Log in the forwarders without a valid session
+ *   npm run sessions -- --check              Only validate the stored sessions (exit code 1 if one is invalid)
+ *   npm run sessions -- --refresh            Log in again even when the stored session is valid
+ *   npm run sessions -- --forwarder <id>     Restrict to one forwarder
+ */
+require('dotenv').config();
+const { TelegramClient } = require('telegram');
+const { StringSession } = require('telegram/sessions');
+const input = require('input');
+const config = require('../src/config/config');
+const sessionStore = require('../src/forwarder/sessionStore');
+
+function parseArgs(argv) {
+  const options = { check: false, refresh: false, forwarder: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--check') options.check = true;
+    else if (arg === '--refresh') options.refresh = true;
+    else if (arg === '--forwarder') options.forwarder = argv[++i];
+  }
+
+  return options;
+}
+
+/**
+ * Create a client for a forwarder, quiet unless something goes wrong
+ * @param {Object} forwarderConfig - Forwarder configuration
+ * @param {string} session - String session, empty to log in
+ * @returns {TelegramClient} - Telegram client
+ */
+function createClient(forwarderConfig, session) {
+  const client = new TelegramClient(
+    new StringSession(session),
+    forwarderConfig.apiId,
+    forwarderConfig.apiHash,
+    { connectionRetries: 5 }
+  );
+  client.setLogLevel('error');
+  return client;
+}
+
+/**
+ * Connect with the stored session of a forwarder
+ * @param {Object} forwarderConfig - Forwarder configuration
+ * @returns {Promise<{client: TelegramClient|null, me: Object|null, problem: string|null}>} - Connected client and account when the session is valid
+ */
+async function openStoredSession(forwarderConfig) {
+  if (!sessionStore.hasSession(forwarderConfig)) {
+    return { client: null, me: null, problem: 'no session stored' };
+  }
+
+  let session;
+  try {
+    session = sessionStore.loadSession(forwarderConfig);
+  } catch (error) {
+    return { client: null, me: null, problem: error.message };
+  }
+
+  const client = createClient(forwarderConfig, session);
+  await client.connect();
+
+  if (!await client.checkAuthorization()) {
+    return { client, me: null, problem: 'session is no longer authorized' };
+  }
+
+  return { client, me: await client.getMe(), problem: null };
+}
+
+/**
+ * Log a forwarder account in from the terminal
+ * @param {Object} forwarderConfig - Forwarder configuration
+ * @returns {Promise<{client: TelegramClient, me: Object}>} - Connected client and account
+ */
+async function login(forwarderConfig) {
+  const client = createClient(forwarderConfig, '');
+
+  await client.start({
+    phoneNumber: async () => forwarderConfig.phoneNumber || await input.text(`[${forwarderConfig.id}] Phone number: `),
+    password: async () => await input.password(`[${forwarderConfig.id}] 2FA password: `),
+    phoneCode: async () => await input.text(`[${forwarderConfig.id}] Code received on Telegram: `),
+    onError: (err) => console.error(`[${forwarderConfig.id}] Login error: ${err.message}`)
+  });
+
+  return { client, me: await client.getMe() };
+}
+
+/**
+ * Validate, and if needed create, the session of one forwarder
+ * @param {Object} forwarderConfig - Forwarder configuration
+ * @param {Object} options - Command line options
+ * @returns {Promise<boolean>} - True if the forwarder has a valid session
+ */
+async function provisionForwarder(forwarderConfig, options) {
+  const label = `[${forwarderConfig.id}]`;
+
+  if (!forwarderConfig.apiId || !forwarderConfig.apiHash) {
+    console.log(`✘ ${label} API ID or API hash missing from the environment`);
+    return false;
+  }
+
+  const clients = [];
+
+  try {
+    const stored = await openStoredSession(forwarderConfig);
+    if (stored.client) clients.push(stored.client);
+
+    if (stored.me && !options.refresh) {
+      // Rewriting also encrypts sessions left in plain text by older versions
+      if (!options.check) {
+        sessionStore.saveSession(forwarderConfig, stored.client.session.save());
+      }
+      console.log(`✔ ${label} session valid for @${stored.me.username || stored.me.id}`);
+      return true;
+    }
+
+    if (options.check) {
+      console.log(`✘ ${label} ${stored.problem}`);
+      return false;
+    }
+
+    console.log(`${label} ${stored.problem || 'refreshing session'}, logging in...`);
+    const fresh = await login(forwarderConfig);
+    clients.push(fresh.client);
+
+    const sessionFilePath = sessionStore.saveSession(forwarderConfig, fresh.client.session.save());
+    console.log(`✔ ${label} logged in as @${fresh.me.username || fresh.me.id}, session stored in ${sessionFilePath}`);
+    return true;
+  } catch (error) {
+    console.log(`✘ ${label} ${error.message}`);
+    return false;
+  } finally {
+    for (const client of clients) {
+      await client.disconnect().catch(() => {});
+    }
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!process.env.SESSION_ENCRYPTION_KEY) {
+    console.error('SESSION_ENCRYPTION_KEY is not set. Add a long random secret to .env, the app needs the same one to read the sessions.');
+    process.exit(1);
+  }
+
+  const forwarders = (config.telegram.forwarders || [])
+    .filter(forwarderConfig => !options.forwarder || forwarderConfig.id === options.forwarder);
+
+  if (forwarders.length === 0) {
+    console.error(options.forwarder ? `No forwarder configured with ID ${options.forwarder}` : 'No forwarders configured');
+    process.exit(1);
+  }
+
+  // Sessions of the single account versions become the first forwarder's, once
+  const [firstForwarder] = config.telegram.forwarders;
+  if (!options.check && forwarders.includes(firstForwarder)) {
+    const migratedFilePath = sessionStore.migrateSingleClientSession(firstForwarder);
+    if (migratedFilePath) {
+      console.log(`[${firstForwarder.id}] session of data/${sessionStore.SINGLE_CLIENT_SESSION_FILE} migrated to ${migratedFilePath}`);
+    }
+  }
+
+  let valid = 0;
+  for (const forwarderConfig of forwarders) {
+    if (await provisionForwarder(forwarderConfig, options)) valid++;
+  }
+
+  console.log(`\n${forwarders.length} forwarder(s): ${valid} with a valid session, ${forwarders.length - valid} without`);
+
+  // gramjs keeps timers running after disconnecting
+  process.exit(valid === forwarders.length ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,97 @@
+// scripts/replayMessages.js
+/**
+ * Offline replay of captured tracker messages
+ *
+ * Feeds a JSONL file of tracker messages (see src/forwarder/replay.js for the format)
+ * through the parsers, the group queues and confluence detection, without any
+ * Telegram account. MongoDB must be reachable, as groups and trackers are read from it.
+ * The replay writes transactions and confluences, so it refuses to run on the configured
+ * database unless another one is given or --live-db allows it.
+ * Alerts are logged instead of sent unless --send-alerts is given.
+ *
+ * Usage:
+ *   npm run replay -- <file.jsonl>                 Replay at the recorded pace
+ *   npm run replay -- <file.jsonl> --speed 60      Replay 60 times faster
+ *   npm run replay -- <file.jsonl> --speed 0       Replay without waiting between messages
+ *   npm run replay -- <file.jsonl> --send-alerts   Send the alerts to the groups
+ *   npm run replay -- <file.jsonl> --database <name>   Replay into another database (default REPLAY_DATABASE)
+ *   npm run replay -- <file.jsonl> --live-db       Replay into the configured database
+ */
+require('dotenv').config();
+const logger = require('../src/utils/logger');
+const config = require('../src/config/config');
+const db = require('../src/db');
+const confluenceService = require('../src/services/confluenceService');
+const queueManager = require('../src/services/queueService');
+const { replayFile, useReplayDatabase } = require('../src/forwarder/replay');
+
+function parseArgs(argv) {
+  const options = {
+    file: null,
+    speed: 1,
+    sendAlerts: false,
+    database: config.replay.database,
+    allowLiveDatabase: config.replay.allowLiveDatabase
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--speed') options.speed = parseFloat(argv[++i]);
+    else if (arg === '--send-alerts') options.sendAlerts = true;
+    else if (arg === '--database') options.database = argv[++i];
+    else if (arg === '--live-db') options.allowLiveDatabase = true;
+    else if (!options.file) options.file = arg;
+  }
+
+  return options;
+}
+
+/**
+ * Wait until the group queues have processed every replayed transaction
+ * @returns {Promise<void>}
+ */
+async function waitForQueues() {
+  // Queues are polled every second, give them a tick to pick up the last jobs
+  do {
+    await new Promise(resolve => setTimeout(resolve, 1500));
+  } while (!queueManager.isIdle());
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.file || isNaN(options.speed) || options.speed < 0) {
+    console.error('Usage: npm run replay -- <file.jsonl> [--speed <factor>] [--send-alerts] [--database <name> | --live-db]');
+    process.exit(1);
+  }
+
+  try {
+    useReplayDatabase(options);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  try {
+    await db.connectToDatabase();
+    await confluenceService.initialize();
+    queueManager.setDryRun(!options.sendAlerts);
+
+    await replayFile(options.file, { speed: options.speed });
+    await waitForQueues();
+
+    const stats = Object.values(queueManager.getAllQueueStats());
+    const processed = stats.reduce((sum, groupStats) => sum + groupStats.processed, 0);
+    const errors = stats.reduce((sum, groupStats) => sum + groupStats.errors, 0);
+    logger.info(`Replay done: ${processed} transaction(s) processed in ${stats.length} group(s), ${errors} error(s)`);
+  } catch (error) {
+    logger.error(`Replay failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    queueManager.shutdown();
+    await db.closeConnection();
+    process.exit();
+  }
+}
+
+main();
@@ -3,6 +3,7 @@ const logger = require('../utils/logger');
 const config = require('../config/config');
 const helpers = require('./helpers');
 const db = require('../db');
+const parserService = require('../services/parserService');
 
 /**
  * Register callback handlers for inline buttons
@@ -92,12 +93,16 @@ function registerCallbackHandlers(bot) {
           `/stop - Stop all monitoring in this group\n` +
           `/status - Check active monitoring status\n` +
           `/settings - Configure detection settings\n` +
+          `/parsertemplate - Define the format of a custom tracker\n` +
+          `/parsertest - Test a custom tracker format on a message\n` +
+          `/sharedtracker - Follow a tracker posting in a shared channel\n` +
+          `/trackersilence - Set when to warn that a tracker stopped posting\n` +
           `/recap - View performance of recent confluences\n` +
           `/quickrecap - View quick ATH summary\n` +
           `/help - Show this help message\n\n` +
           
           `*Supported Tracker Types:*\n` +
-          `• Cielo • Defined • Ray\n\n` +
+          `${parserService.getTrackerTypes().map(t => `• ${t.label}`).join(' ')} • Auto-detect\n\n` +
           
           `*Tips:*\n` +
           `• Monitor multiple trackers for better results\n` +
@@ -180,6 +185,18 @@ function registerCallbackHandlers(bot) {
       const setupStates = bot.setupStates || new Map();
       setupStates.delete(`${chatId}_${userId}`);
       
+      if (!parserService.isSupportedTrackerType(trackerType)) {
+        logger.warn(`Rejected unsupported tracker type ${trackerType} for ${trackerName}`);
+        bot.editMessageText(
+          `❌ Unsupported tracker type: ${trackerType}. Please run /setup again.`,
+          {
+            chat_id: chatId,
+            message_id: query.message.message_id
+          }
+        );
+        return;
+      }
+      
       try {
         // Register tracking setup in the database with tracker type
         const result = await db.registerTracking(
@@ -206,6 +223,22 @@ function registerCallbackHandlers(bot) {
               parse_mode: 'Markdown'
             }
           );
+          
+          // Custom trackers need their parser templates before any message can be ingested
+          if (trackerType === 'custom') {
+            bot.sendMessage(
+              chatId,
+              `🧩 ${trackerName} uses a custom parser. Define its templates with:\n\n` +
+              `/parsertemplate @${trackerName}\n` +
+              `side: (?<side>BUY|SELL)\n` +
+              `wallet: 👤 (?<wallet>\\S+)\n` +
+              `token: \\$(?<token>[A-Z0-9]+)\n` +
+              `address: CA: (?<address>\\w{32,44})\n` +
+              `baseAmount: (?<baseAmount>[\\d.,]+) SOL\n` +
+              `mcap: MC: \\$(?<mcap>[\\d.,]+[KMB]?)\n\n` +
+              `side, wallet and token are required. Then reply to a message from the tracker with /parsertest @${trackerName} to check the result.`
+            );
+          }
         } else if (result.reason === 'MAX_TRACKERS_REACHED') {
           bot.editMessageText(
             `⚠️ Maximum trackers reached!\n\n` +
@@ -503,6 +536,40 @@ function registerCallbackHandlers(bot) {
         bot.removeListener('message', settingListener);
       }, 300000);
     }
+    
+    if (data === 'toggle_event_signals') {
+      try {
+        const settings = await db.getGroupSettings(chatId.toString());
+        const eventSignals = !(settings && settings.eventSignals);
+        
+        await db.updateGroupSettings(chatId.toString(), { eventSignals });
+        bot.sendMessage(
+          chatId,
+          eventSignals
+            ? "✅ Event signals enabled: you will be alerted when tracked wallets receive the same token by transfer, mint it, or pull liquidity."
+            : "✅ Event signals disabled."
+        );
+      } catch (error) {
+        bot.sendMessage(chatId, `❌ Failed to update settings: ${error.message}`);
+      }
+    }
+    
+    if (data === 'toggle_edit_alerts') {
+      try {
+        const settings = await db.getGroupSettings(chatId.toString());
+        const editAlerts = !((settings && settings.editAlerts) ?? config.confluence.editAlerts);
+        
+        await db.updateGroupSettings(chatId.toString(), { editAlerts });
+        bot.sendMessage(
+          chatId,
+          editAlerts
+            ? "✅ Confluence updates will edit the first alert, with a short reply when wallets join."
+            : "✅ Confluence updates will be posted as new messages."
+        );
+      } catch (error) {
+        bot.sendMessage(chatId, `❌ Failed to update settings: ${error.message}`);
+      }
+    }
   });
 }
 
@@ -15,18 +15,12 @@ const cacheCommand = {
     confluenceService.dumpTransactionsCache();
     
     // Récupérer quelques statistiques de base pour l'utilisateur
-    const keys = confluenceService.transactionsCache.keys();
-    const totalTransactions = keys.reduce((sum, key) => {
-      const transactions = confluenceService.transactionsCache.get(key) || [];
-      return sum + transactions.length;
-    }, 0);
-    
-    const cacheStats = confluenceService.estimateCacheSize(); // Méthode à implémenter
+    const cacheStats = await confluenceService.estimateCacheSize();
     
     bot.sendMessage(chatId, 
       `Cache diagnosis written to logs.\n` +
-      `Total keys in cache: ${keys.length}\n` +
-      `Total transactions: ${totalTransactions}\n` +
+      `Group indexes in cache: ${cacheStats.keys}\n` +
+      `Total transactions: ${cacheStats.totalEntries}\n` +
       `Estimated cache size: ${cacheStats.estimatedSizeMB.toFixed(2)}MB`
     );
   }
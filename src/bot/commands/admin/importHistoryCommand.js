@@ -0,0 +1,88 @@
+// src/bot/commands/admin/importHistoryCommand.js
+const logger = require('../../../utils/logger');
+const config = require('../../../config/config');
+const historyImportService = require('../../../services/historyImportService');
+
+// Bots can only download files up to 20 MB
+const MAX_FILE_SIZE = 20 * 1024 * 1024;
+
+/**
+ * Download a document sent to the bot
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {string} fileId - Telegram file ID
+ * @returns {Promise<string>} - File content
+ */
+function downloadDocument(bot, fileId) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    bot.getFileStream(fileId)
+      .on('data', chunk => chunks.push(chunk))
+      .on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Command /importhistory - Seed a group with the history of a tracker chat
+ *
+ * Export the tracker chat from Telegram Desktop as JSON (result.json), send the file
+ * to the bot, then reply to it with:
+ *   /importhistory <groupId> @tracker
+ */
+const importHistoryCommand = {
+  name: 'importhistory',
+  regex: /\/importhistory(?:@\w+)?(?:\s+(-?\d+))?(?:\s+(@?\w+))?/,
+  description: 'Import a Telegram Desktop export of a tracker chat into a group',
+  handler: async (bot, msg, match) => {
+    const chatId = msg.chat.id;
+    const groupId = match[1];
+    const trackerName = match[2] ? match[2].replace(/^@/, '') : null;
+    const document = msg.reply_to_message && msg.reply_to_message.document;
+
+    if (!groupId || !trackerName || !document) {
+      await bot.sendMessage(
+        chatId,
+        'Usage: send the result.json of a Telegram Desktop chat export (JSON format), ' +
+        'then reply to it with /importhistory <groupId> @tracker'
+      );
+      return;
+    }
+
+    if (document.file_size > MAX_FILE_SIZE) {
+      await bot.sendMessage(chatId, '❌ The export is larger than 20 MB. Export a shorter date range.');
+      return;
+    }
+
+    try {
+      await bot.sendMessage(chatId, `⏳ Importing ${document.file_name || 'export'} into group ${groupId} for ${trackerName}...`);
+
+      let exportData;
+      try {
+        exportData = JSON.parse(await downloadDocument(bot, document.file_id));
+      } catch (parseError) {
+        await bot.sendMessage(chatId, `❌ The file is not a JSON export: ${parseError.message}`);
+        return;
+      }
+
+      const report = await historyImportService.importExport(exportData, { groupId, trackerName });
+
+      await bot.sendMessage(
+        chatId,
+        `✅ History import for ${trackerName} in group ${groupId}\n\n` +
+        `Messages: ${report.messages}\n` +
+        `Older than ${config.backfill.maxAgeHours}h (skipped): ${report.tooOld}\n` +
+        `Already imported: ${report.alreadyImported}\n` +
+        `Not a transaction: ${report.unparsed}\n` +
+        `Transactions stored: ${report.stored} of ${report.transactions} (others were duplicates)\n` +
+        `Stored outside the detection window (recaps only): ${report.outsideWindow}\n\n` +
+        `No alert was sent for the imported history.`
+      );
+      logger.info(`Admin ${msg.from.username || msg.from.id} imported history of ${trackerName} into group ${groupId}`);
+    } catch (error) {
+      logger.error(`Error in importhistory command: ${error.message}`);
+      await bot.sendMessage(chatId, `❌ Error: ${error.message}`);
+    }
+  }
+};
+
+module.exports = importHistoryCommand;
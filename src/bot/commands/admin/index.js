@@ -11,6 +11,8 @@ const analyzeAllCommand = require('./analyzeAllCommand');
 const addUserCommand = require('./addUserCommand');
 const removeUserCommand = require('./removeUserCommand');
 const listUsersCommand = require('./listUsersCommand');
+const quarantineCommand = require('./quarantineCommand');
+const importHistoryCommand = require('./importHistoryCommand');
 
 // Export all admin commands
 module.exports = [
@@ -29,5 +31,11 @@ module.exports = [
   // Add the new user management commands
   addUserCommand,
   removeUserCommand,
-  listUsersCommand
+  listUsersCommand,
+  
+  // Parser quarantine review
+  quarantineCommand,
+  
+  // Tracker history import
+  importHistoryCommand
 ];
\ No newline at end of file
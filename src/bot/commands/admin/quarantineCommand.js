@@ -0,0 +1,134 @@
+// src/bot/commands/admin/quarantineCommand.js
+const logger = require('../../../utils/logger');
+const quarantineService = require('../../../db/services/quarantineService');
+const parserQuarantineService = require('../../../services/parserQuarantineService');
+
+// Telegram rejects messages longer than 4096 characters
+const MAX_TEXT_LENGTH = 3500;
+
+/**
+ * Format a quarantine entry as a one-line list item
+ * @param {Object} entry - Quarantine entry
+ * @returns {string} - List item
+ */
+function formatListItem(entry) {
+  const date = new Date(entry.createdAt).toISOString().replace('T', ' ').substring(0, 16);
+  const preview = (entry.text || '').replace(/\s+/g, ' ').substring(0, 60);
+  return `${entry._id} | ${date} | @${entry.trackerName} (${entry.trackerType}) | ${entry.reason}\n   ${preview}`;
+}
+
+/**
+ * Format a quarantine entry with its full message
+ * @param {Object} entry - Quarantine entry
+ * @returns {string} - Entry details
+ */
+function formatEntry(entry) {
+  let details = `🧪 Quarantined message ${entry._id}\n\n`;
+  details += `Tracker: @${entry.trackerName} (${entry.trackerType})\n`;
+  details += `Parser: ${entry.parserType || 'none'}\n`;
+  details += `Reason: ${entry.reason}${entry.error ? ` (${entry.error})` : ''}\n`;
+  details += `Groups: ${(entry.groupIds || []).join(', ')}\n`;
+  details += `Status: ${entry.status}, retries: ${entry.retries || 0}\n`;
+  details += `Received: ${new Date(entry.createdAt).toISOString()}\n`;
+
+  const text = entry.text || '';
+  details += `\n${text.length > MAX_TEXT_LENGTH ? `${text.substring(0, MAX_TEXT_LENGTH)}…` : text}`;
+
+  const links = (entry.entities || []).filter(entity => entity.url).map(entity => entity.url);
+  if (links.length > 0) {
+    details += `\n\nLinks:\n${links.join('\n')}`;
+  }
+
+  return details;
+}
+
+/**
+ * Format the outcome of a retry
+ * @param {Object} entry - Quarantine entry
+ * @param {Object} outcome - Retry outcome
+ * @returns {string} - Outcome report
+ */
+function formatRetryOutcome(entry, outcome) {
+  if (!outcome.resolved) {
+    return `❌ ${entry._id}: still no transaction (${outcome.reason})`;
+  }
+
+  let report = `✅ ${entry._id}: ${outcome.transactions.length} transaction(s) extracted by ${outcome.parserType}\n`;
+  for (const tx of outcome.transactions) {
+    report += `• ${tx.type.toUpperCase()} ${tx.coin} by ${tx.walletName}, ${tx.baseAmount} ${tx.baseSymbol}\n`;
+  }
+  return report;
+}
+
+/**
+ * Command /quarantine - Review tracker messages that no parser could handle
+ *
+ * Usage:
+ *   /quarantine                 Summary of the last 24h
+ *   /quarantine list [count]    Most recent pending messages
+ *   /quarantine view <id>       Full message and parse failure
+ *   /quarantine retry <id|all>  Re-run messages through the parsers after a fix
+ */
+const quarantineCommand = {
+  name: 'quarantine',
+  regex: /\/quarantine(?:@\w+)?(?:\s+(list|view|retry))?(?:\s+(\S+))?/,
+  description: 'Review and re-run unparsed tracker messages',
+  handler: async (bot, msg, match) => {
+    const chatId = msg.chat.id;
+    const action = match[1];
+    const argument = match[2];
+
+    try {
+      if (!action) {
+        const summary = await parserQuarantineService.buildDailySummary();
+        await bot.sendMessage(chatId, summary || '✅ No unparsed tracker messages in the last 24h.');
+        return;
+      }
+
+      if (action === 'list') {
+        const limit = Math.min(parseInt(argument, 10) || 10, 30);
+        const entries = await quarantineService.getRecent({ status: 'pending', limit });
+
+        if (entries.length === 0) {
+          await bot.sendMessage(chatId, '✅ No pending quarantined messages.');
+          return;
+        }
+
+        const list = entries.map(formatListItem).join('\n\n');
+        await bot.sendMessage(chatId, `🧪 Pending quarantined messages (${entries.length}):\n\n${list}\n\nUse /quarantine view <id> for details.`);
+        return;
+      }
+
+      if (!argument) {
+        await bot.sendMessage(chatId, `Usage: /quarantine ${action} <id>${action === 'retry' ? ' or /quarantine retry all' : ''}`);
+        return;
+      }
+
+      if (action === 'retry' && argument === 'all') {
+        const { total, resolved } = await parserQuarantineService.retryPending();
+        await bot.sendMessage(chatId, `🔁 Re-ran ${total} pending message(s): ${resolved} now parse, ${total - resolved} still failing.`);
+        logger.info(`Admin ${msg.from.username || msg.from.id} re-ran ${total} quarantined messages`);
+        return;
+      }
+
+      const entry = await quarantineService.findById(argument);
+      if (!entry) {
+        await bot.sendMessage(chatId, `❌ No quarantined message with ID ${argument}.`);
+        return;
+      }
+
+      if (action === 'view') {
+        await bot.sendMessage(chatId, formatEntry(entry), { disable_web_page_preview: true });
+        return;
+      }
+
+      const outcome = await parserQuarantineService.retry(entry);
+      await bot.sendMessage(chatId, formatRetryOutcome(entry, outcome));
+    } catch (error) {
+      logger.error(`Error in quarantine command: ${error.message}`);
+      await bot.sendMessage(chatId, `❌ Error: ${error.message}`);
+    }
+  }
+};
+
+module.exports = quarantineCommand;
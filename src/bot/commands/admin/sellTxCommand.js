@@ -29,49 +29,14 @@ const sellTxCommand = {
       let foundCoinAddress = '';
       let existingTransactionType = 'sell'; // Default to sell if no match found
       
-      // Search through the cache keys more effectively
-      const cacheKeys = confluenceService.transactionsCache.keys();
-      logger.debug(`Searching for token ${coinName} among ${cacheKeys.length} keys`);
+      // Look for this token among the cached tokens of this chat group
+      const cachedTokens = await confluenceService.getCachedTokens(chatId.toString());
+      const cachedToken = cachedTokens.find(entry => entry.coin === coinName);
       
-      // First pass - search for exact matches in transaction data
-      for (const key of cacheKeys) {
-        // Filter only keys from this chat group
-        if (key.startsWith(`${chatId.toString()}_`)) {
-          const transactions = confluenceService.transactionsCache.get(key) || [];
-          
-          // Look for matching transactions
-          for (const tx of transactions) {
-            if (tx.coin === coinName) {
-              logger.debug(`Found match for ${coinName} in key ${key}`);
-              foundCoinAddress = tx.coinAddress || '';
-              existingTransactionType = key.split('_')[1]; // Extract type from key (buy/sell)
-              logger.debug(`Using existing type: ${existingTransactionType}, coin address: ${foundCoinAddress}`);
-              break;
-            }
-          }
-          
-          if (foundCoinAddress) break; // Stop searching if found
-        }
-      }
-      
-      // If still not found, try a broader search
-      if (!foundCoinAddress) {
-        for (const key of cacheKeys) {
-          // Only look in this group's keys
-          if (key.startsWith(`${chatId.toString()}_`)) {
-            // Check if the key itself contains the token name
-            if (key.includes(coinName)) {
-              logger.debug(`Found potential match in key name: ${key}`);
-              const transactions = confluenceService.transactionsCache.get(key) || [];
-              if (transactions.length > 0) {
-                foundCoinAddress = transactions[0].coinAddress || '';
-                existingTransactionType = key.split('_')[1]; // Extract type from key (buy/sell)
-                logger.debug(`Using broader match type: ${existingTransactionType}, coin address: ${foundCoinAddress}`);
-                break;
-              }
-            }
-          }
-        }
+      if (cachedToken) {
+        foundCoinAddress = cachedToken.coinAddress || '';
+        existingTransactionType = Object.keys(cachedToken.sides)[0] || existingTransactionType; // Keep the type of existing transactions
+        logger.debug(`Found cached token ${coinName}, coin address: ${foundCoinAddress || 'none'}`);
       }
       
       // Create a transaction object - always use 'sell' type for sell command
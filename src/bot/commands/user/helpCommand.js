@@ -1,6 +1,7 @@
 // src/bot/commands/user/helpCommand.js
 const config = require('../../../config/config');
 const logger = require('../../../utils/logger');
+const parserService = require('../../../services/parserService');
 
 /**
  * Command /help - Displays comprehensive help information about the bot
@@ -35,10 +36,14 @@ const helpCommand = {
         `/stop - Stop all monitoring in this group\n` +
         `/status - Check active monitoring status\n` +
         `/settings - Configure detection settings\n` +
+        `/parsertemplate - Define the format of a custom tracker\n` +
+        `/parsertest - Test a custom tracker format on a message\n` +
+        `/sharedtracker - Follow a tracker posting in a shared channel\n` +
+        `/trackersilence - Set when to warn that a tracker stopped posting\n` +
         `/help - Show this help message\n\n` +
         
         `*Supported Tracker Types:*\n` +
-        `• Cielo • Defined • Ray\n\n` +
+        `${parserService.getTrackerTypes().map(t => `• ${t.label}`).join(' ')} • Auto-detect\n\n` +
         
         `*Tips:*\n` +
         `• Monitor multiple trackers for better results\n` +
@@ -8,6 +8,9 @@ const recapCommand = require('./recapCommand');
 const addTrackerCommand = require('./addTrackerCommand');
 const helpCommand = require('./helpCommand'); 
 const TrackersCommand = require('./TrackersCommand');
+const { parserTemplateCommand, parserTestCommand } = require('./parserTemplateCommands');
+const sharedTrackerCommand = require('./sharedTrackerCommand');
+const trackerSilenceCommand = require('./trackerSilenceCommand');
 
 // Exporter toutes les commandes utilisateur
 module.exports = [
@@ -19,5 +22,9 @@ module.exports = [
   statusCommand,
   recapCommand,
   addTrackerCommand,
-  TrackersCommand
+  TrackersCommand,
+  parserTemplateCommand,
+  parserTestCommand,
+  sharedTrackerCommand,
+  trackerSilenceCommand
 ];
\ No newline at end of file
@@ -0,0 +1,186 @@
+// src/bot/commands/user/parserTemplateCommands.js
+const logger = require('../../../utils/logger');
+const db = require('../../../db');
+const templateParser = require('../../../services/parsers/templateParser');
+
+/**
+ * Check that the command is used in a group by one of its admins
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {Object} msg - Message object
+ * @returns {Promise<boolean>} - True if the user may manage parser templates
+ */
+async function ensureGroupAdmin(bot, msg) {
+  if (msg.chat.type !== 'group' && msg.chat.type !== 'supergroup') {
+    bot.sendMessage(msg.chat.id, "This command can only be used in groups.");
+    return false;
+  }
+
+  try {
+    const member = await bot.getChatMember(msg.chat.id, msg.from.id);
+    if (member && ['creator', 'administrator'].includes(member.status)) {
+      return true;
+    }
+  } catch (error) {
+    logger.debug(`Could not check admin status of ${msg.from.id}: ${error.message}`);
+  }
+
+  bot.sendMessage(msg.chat.id, "❌ Only group admins can manage custom parser templates.");
+  return false;
+}
+
+/**
+ * Find the custom tracker targeted by a command
+ * @param {TelegramBot} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {string} trackerName - Tracker name (with or without @)
+ * @returns {Promise<Object|null>} - Tracker document or null (user already notified)
+ */
+async function findCustomTracker(bot, chatId, trackerName) {
+  if (!trackerName) {
+    bot.sendMessage(chatId, "Please specify the tracker, e.g. /parsertest @my_tracker_bot");
+    return null;
+  }
+
+  const name = trackerName.replace(/^@/, '');
+  const tracker = await db.trackerService.findByNameAndGroup(name, chatId.toString());
+
+  if (!tracker) {
+    bot.sendMessage(chatId, `❌ ${name} is not configured in this group. Use /setup first.`);
+    return null;
+  }
+
+  if (tracker.type !== templateParser.type) {
+    bot.sendMessage(chatId, `❌ ${name} is a ${tracker.type} tracker. Parser templates only apply to custom trackers.`);
+    return null;
+  }
+
+  return tracker;
+}
+
+/**
+ * Run a template against a sample message and format the outcome
+ * @param {Object} template - Templates by field name
+ * @param {string|Object} sample - Sample message
+ * @returns {string} - Plain text report
+ */
+function formatTestResult(template, sample) {
+  const { values, missing } = templateParser.extractFields(sample, template);
+  const [transaction] = templateParser.parseMessage(sample, { template });
+
+  let report = transaction ? "✅ Template matched this message:\n\n" : "❌ No transaction could be built from this message.\n\n";
+
+  for (const field of templateParser.TEMPLATE_FIELDS) {
+    if (!template[field]) continue;
+    report += `• ${field}: ${values[field] !== undefined ? values[field] : '— no match'}\n`;
+  }
+
+  if (transaction) {
+    report += `\nResult: ${transaction.type.toUpperCase()} ${transaction.coin}` +
+      `${transaction.coinAddress ? ` (${transaction.coinAddress})` : ''}` +
+      ` by ${transaction.walletName}, ${transaction.baseAmount} ${transaction.baseSymbol}` +
+      `${transaction.marketCap ? `, MC ${transaction.marketCap}` : ''}`;
+  } else if (missing.length > 0) {
+    report += `\nFields without a match: ${missing.join(', ')}`;
+  }
+
+  return report;
+}
+
+/**
+ * Command /parsertemplate - Define the parser templates of a custom tracker
+ *
+ * Usage (one "field: regex" per line after the command):
+ *   /parsertemplate @tracker
+ *   side: (?<side>BUY|SELL)
+ *   wallet: 👤 (?<wallet>\S+)
+ *   token: \$(?<token>[A-Z0-9]+)
+ */
+const parserTemplateCommand = {
+  name: 'parsertemplate',
+  regex: /\/parsertemplate(?:@\w+)?(?:[ \t]+(@?\w+))?([\s\S]*)/,
+  description: 'Define the parser templates of a custom tracker',
+  handler: async (bot, msg, match) => {
+    const chatId = msg.chat.id;
+
+    try {
+      if (!await ensureGroupAdmin(bot, msg)) return;
+
+      const tracker = await findCustomTracker(bot, chatId, match[1]);
+      if (!tracker) return;
+
+      const definition = templateParser.parseDefinition(match[2]);
+      const { valid, errors, template } = templateParser.validateTemplate(definition);
+
+      if (!valid) {
+        bot.sendMessage(
+          chatId,
+          `❌ Template not saved:\n\n${errors.map(e => `• ${e}`).join('\n')}\n\n` +
+          `Allowed fields: ${templateParser.TEMPLATE_FIELDS.join(', ')}`
+        );
+        return;
+      }
+
+      await db.trackerService.updateParserTemplate(tracker.name, chatId.toString(), template);
+      logger.info(`Parser template saved for custom tracker ${tracker.name} in group ${chatId} by ${msg.from.id}`);
+
+      let reply = `✅ Template saved for ${tracker.name} (${Object.keys(template).join(', ')}).`;
+
+      // Validate right away when the command replies to a tracker message
+      if (msg.reply_to_message && msg.reply_to_message.text) {
+        reply += `\n\n${formatTestResult(template, msg.reply_to_message.text)}`;
+      } else {
+        reply += `\n\nReply to a message from the tracker with /parsertest @${tracker.name} to validate it.`;
+      }
+
+      bot.sendMessage(chatId, reply);
+    } catch (error) {
+      logger.error(`Error in parsertemplate command: ${error.message}`);
+      bot.sendMessage(chatId, `❌ Error saving template: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Command /parsertest - Run a custom tracker's templates against a sample message
+ *
+ * The sample is the replied-to message, or the text following the command.
+ */
+const parserTestCommand = {
+  name: 'parsertest',
+  regex: /\/parsertest(?:@\w+)?(?:[ \t]+(@?\w+))?([\s\S]*)/,
+  description: 'Test the parser templates of a custom tracker',
+  handler: async (bot, msg, match) => {
+    const chatId = msg.chat.id;
+
+    try {
+      if (!await ensureGroupAdmin(bot, msg)) return;
+
+      const tracker = await findCustomTracker(bot, chatId, match[1]);
+      if (!tracker) return;
+
+      if (!tracker.parserTemplate) {
+        bot.sendMessage(chatId, `❌ ${tracker.name} has no template yet. Define one with /parsertemplate @${tracker.name}`);
+        return;
+      }
+
+      const sample = msg.reply_to_message && msg.reply_to_message.text
+        ? msg.reply_to_message.text
+        : (match[2] || '').trim();
+
+      if (!sample) {
+        bot.sendMessage(chatId, "Reply to a tracker message with this command, or paste a sample message after it.");
+        return;
+      }
+
+      bot.sendMessage(chatId, formatTestResult(tracker.parserTemplate, sample));
+    } catch (error) {
+      logger.error(`Error in parsertest command: ${error.message}`);
+      bot.sendMessage(chatId, `❌ Error testing template: ${error.message}`);
+    }
+  }
+};
+
+module.exports = {
+  parserTemplateCommand,
+  parserTestCommand
+};
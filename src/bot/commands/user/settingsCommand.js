@@ -32,7 +32,9 @@ const settingsCommand = {
       // If group exists but settings are null, use defaults
       settings = {
         minWallets: config.confluence.minWallets,
-        windowMinutes: config.confluence.windowMinutes
+        windowMinutes: config.confluence.windowMinutes,
+        eventSignals: config.confluence.eventSignals,
+        editAlerts: config.confluence.editAlerts
       };
       
       logger.debug(`Using default settings for group ${chatId}: minWallets=${settings.minWallets}, windowMinutes=${settings.windowMinutes}`);
@@ -40,6 +42,8 @@ const settingsCommand = {
       // Even if settings exist, fill in any missing values
       settings.minWallets = settings.minWallets || config.confluence.minWallets;
       settings.windowMinutes = settings.windowMinutes || config.confluence.windowMinutes;
+      settings.eventSignals = settings.eventSignals ?? config.confluence.eventSignals;
+      settings.editAlerts = settings.editAlerts ?? config.confluence.editAlerts;
     }
     
     // Créer le clavier de paramètres avec plus d'options
@@ -52,6 +56,14 @@ const settingsCommand = {
         [{
           text: `Time Window: ${settings.windowMinutes} mins`,
           callback_data: `set_time_window`
+        }],
+        [{
+          text: `Event Signals: ${settings.eventSignals ? 'ON' : 'OFF'}`,
+          callback_data: `toggle_event_signals`
+        }],
+        [{
+          text: `Updates: ${settings.editAlerts ? 'EDIT ALERT' : 'NEW MESSAGE'}`,
+          callback_data: `toggle_edit_alerts`
         }]
       ]
     };
@@ -61,7 +73,9 @@ const settingsCommand = {
       "📊 *Confluence Detection Settings*\n\n" +
       `Current configuration:\n` +
       `• Minimum wallets for confluence: ${settings.minWallets}\n` +
-      `• Time window: ${settings.windowMinutes} minutes\n\n` +
+      `• Time window: ${settings.windowMinutes} minutes\n` +
+      `• Event signals (transfers, liquidity pulls, mints): ${settings.eventSignals ? 'on' : 'off'}\n` +
+      `• Confluence updates: ${settings.editAlerts ? 'edit the first alert' : 'new message'}\n\n` +
       `Allowed ranges:\n` +
       `• Min wallets: 2-10\n` +
       `• Time window: 60-2880 minutes (1-48 hours)\n\n` +
@@ -2,6 +2,7 @@
 const logger = require('../../../utils/logger');
 const db = require('../../../db');
 const config = require('../../../config/config');
+const parserService = require('../../../services/parserService');
 
 /**
  * Commande /setup - Configure un tracker pour un groupe
@@ -203,16 +204,21 @@ const setupCommand = {
               timestamp: Date.now()
             });
             
-            // Now ask for tracker type
-            const trackerTypeKeyboard = {
-              inline_keyboard: [
-                [
-                  { text: 'Cielo', callback_data: `set_tracker_type:${trackerName}:cielo` },
-                  { text: 'Defined', callback_data: `set_tracker_type:${trackerName}:defined` },
-                  { text: 'Ray', callback_data: `set_tracker_type:${trackerName}:ray` }
-                ]
-              ]
-            };
+            // Now ask for tracker type - one button per registered parser, 3 per row
+            const typeButtons = parserService.getTrackerTypes().map(({ type, label }) => ({
+              text: label,
+              callback_data: `set_tracker_type:${trackerName}:${type}`
+            }));
+            
+            const inline_keyboard = [];
+            for (let i = 0; i < typeButtons.length; i += 3) {
+              inline_keyboard.push(typeButtons.slice(i, i + 3));
+            }
+            inline_keyboard.push([
+              { text: '🔍 Auto-detect', callback_data: `set_tracker_type:${trackerName}:auto` }
+            ]);
+            
+            const trackerTypeKeyboard = { inline_keyboard };
             
             bot.sendMessage(
               chatId,
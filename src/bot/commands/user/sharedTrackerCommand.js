@@ -0,0 +1,81 @@
+// src/bot/commands/user/sharedTrackerCommand.js
+const logger = require('../../../utils/logger');
+const db = require('../../../db');
+const { resolveChatId } = require('../../../forwarder/utils');
+
+/**
+ * Command /sharedtracker - Follow a tracker that posts in a shared channel instead of this group
+ *
+ * Tracker posts are only routed to the group they are made in. Groups that rely on a
+ * tracker shared by several groups opt in to the channel it posts in.
+ *
+ * Usage:
+ *   /sharedtracker @tracker @channel   Read the tracker posts made in the channel
+ *   /sharedtracker @tracker off        Read the tracker posts made in this group again
+ */
+const sharedTrackerCommand = {
+  name: 'sharedtracker',
+  regex: /\/sharedtracker(?:@\w+)?(?:\s+(@?\w+))?(?:\s+(\S+))?/,
+  description: 'Follow a tracker posting in a shared channel',
+  handler: async (bot, msg, match) => {
+    const chatId = msg.chat.id;
+
+    if (msg.chat.type !== 'group' && msg.chat.type !== 'supergroup') {
+      bot.sendMessage(chatId, "This command can only be used in groups.");
+      return;
+    }
+
+    try {
+      const member = await bot.getChatMember(chatId, msg.from.id);
+      if (!member || !['creator', 'administrator'].includes(member.status)) {
+        bot.sendMessage(chatId, "❌ Only group admins can change where tracker posts are read from.");
+        return;
+      }
+
+      if (!match[1] || !match[2]) {
+        bot.sendMessage(
+          chatId,
+          "Usage:\n" +
+          "/sharedtracker @tracker @channel - read the tracker posts made in a shared channel\n" +
+          "/sharedtracker @tracker off - read the tracker posts made in this group"
+        );
+        return;
+      }
+
+      const trackerName = match[1].replace(/^@/, '');
+      const tracker = await db.trackerService.findByNameAndGroup(trackerName, chatId.toString());
+
+      if (!tracker) {
+        bot.sendMessage(chatId, `❌ ${trackerName} is not configured in this group. Use /setup first.`);
+        return;
+      }
+
+      if (match[2].toLowerCase() === 'off') {
+        await db.trackerService.updateSourceChat(trackerName, chatId.toString(), null);
+        logger.info(`Tracker ${trackerName} in group ${chatId} reads posts from the group again`);
+        bot.sendMessage(chatId, `✅ ${trackerName} posts are now read from this group only.`);
+        return;
+      }
+
+      const sourceChatId = await resolveChatId(match[2]);
+      if (!sourceChatId) {
+        bot.sendMessage(chatId, `❌ Could not find the channel ${match[2]}. Use its @username or its ID (e.g. -1001234567890).`);
+        return;
+      }
+
+      await db.trackerService.updateSourceChat(trackerName, chatId.toString(), sourceChatId);
+      logger.info(`Tracker ${trackerName} in group ${chatId} now reads posts from shared chat ${sourceChatId} (set by ${msg.from.id})`);
+
+      bot.sendMessage(
+        chatId,
+        `✅ ${trackerName} posts are now read from ${match[2]} instead of this group.\n\n` +
+        `The forwarder accounts must be members of that channel to receive them.`
+      );
+    } catch (error) {
+      logger.error(`Error in sharedtracker command: ${error.message}`);
+      bot.sendMessage(chatId, `❌ Error: ${error.message}`);
+    }
+  }
+};
+
+module.exports = sharedTrackerCommand;
@@ -0,0 +1,92 @@
+// src/bot/commands/user/trackerSilenceCommand.js
+const logger = require('../../../utils/logger');
+const config = require('../../../config/config');
+const db = require('../../../db');
+const trackerSilenceService = require('../../../services/trackerSilenceService');
+
+/**
+ * Command /trackersilence - Choose when the group is warned that a tracker stopped posting
+ *
+ * Usage:
+ *   /trackersilence @tracker             Show the current threshold and last post
+ *   /trackersilence @tracker <minutes>   Warn after this many minutes without a post
+ *   /trackersilence @tracker default     Use the default threshold
+ *   /trackersilence @tracker off         Never warn for this tracker
+ */
+const trackerSilenceCommand = {
+  name: 'trackersilence',
+  regex: /\/trackersilence(?:@\w+)?(?:\s+(@?\w+))?(?:\s+(\w+))?/,
+  description: 'Set when to warn that a tracker stopped posting',
+  handler: async (bot, msg, match) => {
+    const chatId = msg.chat.id;
+
+    if (msg.chat.type !== 'group' && msg.chat.type !== 'supergroup') {
+      bot.sendMessage(chatId, "This command can only be used in groups.");
+      return;
+    }
+
+    if (!match[1]) {
+      bot.sendMessage(
+        chatId,
+        "Usage:\n" +
+        "/trackersilence @tracker - show the current setting\n" +
+        "/trackersilence @tracker <minutes> - warn after this many minutes without a post\n" +
+        `/trackersilence @tracker default - use the default (${config.trackerSilence.defaultThresholdMinutes} minutes)\n` +
+        "/trackersilence @tracker off - never warn"
+      );
+      return;
+    }
+
+    try {
+      const trackerName = match[1].replace(/^@/, '');
+      const tracker = await db.trackerService.findByNameAndGroup(trackerName, chatId.toString());
+
+      if (!tracker) {
+        bot.sendMessage(chatId, `❌ ${trackerName} is not configured in this group. Use /setup first.`);
+        return;
+      }
+
+      const value = match[2] ? match[2].toLowerCase() : null;
+
+      if (!value) {
+        const threshold = trackerSilenceService.getThresholdMinutes(tracker);
+        const lastPost = tracker.lastMessageAt
+          ? new Date(tracker.lastMessageAt).toISOString().replace('T', ' ').substring(0, 16) + ' UTC'
+          : 'none recorded yet';
+
+        bot.sendMessage(
+          chatId,
+          `🔕 ${trackerName}: ${threshold === 0 ? 'silence warnings are off' : `warning after ${threshold} minutes without a post`}\n` +
+          `Last post: ${lastPost}`
+        );
+        return;
+      }
+
+      let minutes;
+      if (value === 'off') {
+        minutes = 0;
+      } else if (value === 'default') {
+        minutes = null;
+      } else {
+        minutes = parseInt(value, 10);
+        if (isNaN(minutes) || minutes < 10 || minutes > 10080) {
+          bot.sendMessage(chatId, "❌ The threshold must be between 10 and 10080 minutes (7 days), 'default' or 'off'.");
+          return;
+        }
+      }
+
+      await db.trackerService.updateSilenceThreshold(trackerName, chatId.toString(), minutes);
+      logger.info(`Silence threshold of ${trackerName} in group ${chatId} set to ${minutes === null ? 'default' : minutes} by ${msg.from.id}`);
+
+      const description = minutes === 0
+        ? 'silence warnings are now off'
+        : `the group will be warned after ${minutes === null ? config.trackerSilence.defaultThresholdMinutes : minutes} minutes without a post`;
+      bot.sendMessage(chatId, `✅ ${trackerName}: ${description}.`);
+    } catch (error) {
+      logger.error(`Error in trackersilence command: ${error.message}`);
+      bot.sendMessage(chatId, `❌ Error: ${error.message}`);
+    }
+  }
+};
+
+module.exports = trackerSilenceCommand;
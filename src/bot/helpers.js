@@ -1,5 +1,6 @@
 const config = require('../config/config');
 const logger = require('../utils/logger')
+const parserService = require('../services/parserService');
 
 /**
  * Helper functions for the bot
@@ -40,7 +41,7 @@ const helpers = {
       `3️⃣ Add our forwarder account (@${forwarder1Username}) to the group.\n` +
       `4️⃣ Make me and both forwarders admin in the group (we need to read messages)\n` +
       `5️⃣ Use /setup in the group, then enter ${trackerName} when prompted\n` +
-      `6️⃣ Select the tracker type (Cielo, Defined, or Ray)\n\n` +
+      `6️⃣ Select the tracker type (${parserService.getTrackerTypes().map(t => t.label).join(', ')}, or Auto-detect)\n\n` +
       `Once set up, I'll alert you when multiple wallets buy or sell the same coin!\n\n` +
       `Note: We recommend also adding our backup forwarder @${forwarder2Username} to your group. This serves as a fallback system if the main forwarder @${forwarder1Username} experiences connectivity issues or becomes temporarily unavailable.`,
       {
@@ -25,10 +25,40 @@ module.exports = {
   },
   confluence: {
     minWallets: 2,
-    windowMinutes: 120
+    windowMinutes: 120,
+    // Alerts for transfers, liquidity pulls and mints shared by tracked wallets
+    eventSignals: false,
+    // Updates of a confluence edit its first alert instead of posting a new message
+    editAlerts: true,
+    // When an alert is edited, reply to it with the wallets that joined
+    joinReplies: true,
+    // Full scan of every token, new transactions only re-check their own token
+    reconcileIntervalMinutes: 10
+  },
+  // Catch-up of tracker messages posted while the forwarders were down
+  backfill: {
+    maxMessagesPerChat: 500,
+    maxAgeHours: 48,
+    // Backfilled transactions older than this update confluences without alerting
+    alertMaxAgeMinutes: 10
+  },
+  // Warnings sent to a group when one of its trackers stops posting
+  trackerSilence: {
+    defaultThresholdMinutes: 360,
+    checkIntervalMinutes: 5
+  },
+  // Replay of captured tracker messages instead of the live forwarder (local development)
+  replay: {
+    file: process.env.REPLAY_FILE || null,
+    speed: parseFloat(process.env.REPLAY_SPEED || '1'),
+    sendAlerts: process.env.REPLAY_SEND_ALERTS === 'true',
+    // Replays write to MongoDB, they need their own database unless the live one is explicitly allowed
+    database: process.env.REPLAY_DATABASE || null,
+    allowLiveDatabase: process.env.REPLAY_LIVE_DATABASE === 'true'
   },
   mongodb: {
-    uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/confluence-bot'
+    uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/confluence-bot',
+    database: process.env.MONGODB_DATABASE || 'telegram_bot'
   },
   redis: {
     uri: process.env.REDIS_URI || 'redis://localhost:6379',
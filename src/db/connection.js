@@ -6,6 +6,10 @@ const config = require('../config/config');
 const TrackerModel = require('./models/tracker');
 const GroupModel = require('./models/group');
 const TransactionModel = require('./models/transaction');
+const QuarantinedMessageModel = require('./models/quarantinedMessage');
+const TrackerCheckpointModel = require('./models/trackerCheckpoint');
+const TelegramEntityModel = require('./models/telegramEntity');
+const ConfluenceEventModel = require('./models/confluenceEvent');
 
 let mongoClient = null;
 let db = null;
@@ -49,8 +53,8 @@ async function connectToDatabase() {
     if (!db) {
         const client = initializeClient();
         await client.connect();
-        db = client.db("telegram_bot");
-        logger.info("Connected to MongoDB database: telegram_bot");
+        db = client.db(config.mongodb.database);
+        logger.info(`Connected to MongoDB database: ${config.mongodb.database}`);
         
         // Set up indexes based on model definitions
         await setupIndexes(db);
@@ -96,6 +100,38 @@ async function setupIndexes(database) {
             }
         }
         
+        // Create indexes for parser quarantine collection
+        if (QuarantinedMessageModel.indexes) {
+            const quarantineCollection = database.collection(QuarantinedMessageModel.collectionName);
+            for (const index of QuarantinedMessageModel.indexes) {
+                await createOrUpdateIndex(quarantineCollection, index);
+            }
+        }
+        
+        // Create indexes for tracker checkpoints collection
+        if (TrackerCheckpointModel.indexes) {
+            const checkpointCollection = database.collection(TrackerCheckpointModel.collectionName);
+            for (const index of TrackerCheckpointModel.indexes) {
+                await createOrUpdateIndex(checkpointCollection, index);
+            }
+        }
+        
+        // Create indexes for cached Telegram entities collection
+        if (TelegramEntityModel.indexes) {
+            const entityCollection = database.collection(TelegramEntityModel.collectionName);
+            for (const index of TelegramEntityModel.indexes) {
+                await createOrUpdateIndex(entityCollection, index);
+            }
+        }
+        
+        // Create indexes for confluence events collection
+        if (ConfluenceEventModel.indexes) {
+            const confluenceEventCollection = database.collection(ConfluenceEventModel.collectionName);
+            for (const index of ConfluenceEventModel.indexes) {
+                await createOrUpdateIndex(confluenceEventCollection, index);
+            }
+        }
+        
         logger.info("MongoDB indexes created successfully");
     } catch (error) {
         logger.error("Error creating MongoDB indexes:", error);
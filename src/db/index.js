@@ -7,6 +7,10 @@ const groupService = require('./services/groupService');
 const setupService = require('./services/setupService');
 const transactionService = require('./services/transactionService');
 const betaUserService = require('./services/betaUserService');
+const quarantineService = require('./services/quarantineService');
+const checkpointService = require('./services/checkpointService');
+const telegramEntityService = require('./services/telegramEntityService');
+const confluenceEventService = require('./services/confluenceEventService');
 const validators = require('./utils/validators');
 
 // Export everything
@@ -23,6 +27,10 @@ module.exports = {
   setupService,
   transactionService,
   betaUserService, // Add beta user service
+  quarantineService,
+  checkpointService,
+  telegramEntityService,
+  confluenceEventService,
   
   // Utils
   validators,
@@ -45,8 +53,8 @@ module.exports = {
   },
   
   // Get all groups for a tracker
-  async getGroupsForTracker(trackerName) {
-    return setupService.getGroupsForTracker(trackerName);
+  async getGroupsForTracker(trackerName, chatId = null) {
+    return setupService.getGroupsForTracker(trackerName, chatId);
   },
   
   // Get settings for a group
@@ -0,0 +1,58 @@
+/**
+ * Schema definition for a Confluence Event
+ * 
+ * With MongoDB native driver, we don't have formal schema validation like Mongoose,
+ * but we define the expected structure here for documentation purposes.
+ * 
+ * A confluence event is one confluence as it was detected in a group: the wallets,
+ * the threshold and the market cap at detection, then every update until it expires.
+ * Recaps and analyses read them instead of rebuilding confluences from transactions.
+ */
+
+/**
+ * @typedef {Object} ConfluenceWallet
+ * @property {string} walletName - Wallet name given by the tracker
+ * @property {string} walletAddress - Wallet address, if known
+ * @property {string} type - Latest transaction type of the wallet (buy or sell)
+ * @property {number} amount - Token amount traded by the wallet
+ * @property {number} baseAmount - Base currency amount traded by the wallet
+ * @property {number} marketCap - Market cap at the wallet's transactions
+ * @property {Date} timestamp - Time of the wallet's first transaction in the confluence
+ */
+
+/**
+ * @typedef {Object} ConfluenceEvent
+ * @property {ObjectId} _id - MongoDB document ID
+ * @property {string} groupId - Group the confluence was detected in
+ * @property {string} confluenceKey - Token key of the confluence in the group
+ * @property {string} coin - Token symbol
+ * @property {string} coinAddress - Token address, empty if unknown
+ * @property {string} chain - Chain of the token
+ * @property {string} type - Primary side of the confluence (buy or sell)
+ * @property {string} state - Lifecycle state (confirmed, growing, distributing, exited, expired)
+ * @property {number} alertMessageId - Telegram message ID of the alert edited on updates, if sent
+ * @property {number} minWallets - Wallet threshold of the group at detection
+ * @property {number} windowMinutes - Detection window of the group at detection
+ * @property {Date} detectedAt - When the confluence was first detected
+ * @property {number} detectionMarketCap - Average market cap of the wallets at detection
+ * @property {number} detectionWalletCount - Number of wallets at detection
+ * @property {Array<ConfluenceWallet>} wallets - Wallets of the confluence, in order of appearance
+ * @property {number} walletCount - Current number of wallets
+ * @property {number} marketCap - Current average market cap of the wallets
+ * @property {Array<Object>} updates - Every update ({at, state, walletCount, marketCap, newWallets})
+ * @property {Date} lastTransactionAt - Time of the latest transaction on the token, inactivity is counted from it
+ * @property {Date} updatedAt - Time of the last update
+ */
+
+module.exports = {
+  // Collection name
+  collectionName: 'confluence_events',
+  
+  // Indexes to create
+  indexes: [
+    { key: { groupId: 1, detectedAt: -1 } },
+    { key: { groupId: 1, confluenceKey: 1, detectedAt: -1 } },
+    { key: { state: 1 } },
+    { key: { detectedAt: 1 }, expireAfterSeconds: 7776000 }  // TTL index - kept 90 days for recaps
+  ]
+};
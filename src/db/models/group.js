@@ -15,6 +15,8 @@
  * @property {Object} settings - Group settings
  * @property {number} settings.minWallets - Minimum wallets for confluence detection
  * @property {number} settings.windowMinutes - Time window for confluence detection
+ * @property {boolean} settings.eventSignals - Whether to alert on shared transfers, liquidity pulls and mints
+ * @property {boolean} settings.editAlerts - Whether confluence updates edit the first alert instead of posting a new one
  * @property {boolean} active - Whether this group is active
  * @property {Date} createdAt - When this group was created
  * @property {Date} updatedAt - When this group was last updated
@@ -28,7 +30,9 @@
  *   groupName: "Crypto Trading Group",
  *   settings: {
  *     minWallets: 2,
- *     windowMinutes: 60
+ *     windowMinutes: 60,
+ *     eventSignals: false,
+ *     editAlerts: true
  *   },
  *   active: true,
  *   createdAt: ISODate("2025-04-10T12:00:00Z"),
@@ -50,7 +54,9 @@ module.exports = {
     defaults: {
       settings: {
         minWallets: 2,
-        windowMinutes: 60
+        windowMinutes: 60,
+        eventSignals: false,
+        editAlerts: true
       },
       active: true
     }
@@ -0,0 +1,50 @@
+/**
+ * Schema definition for a Quarantined Message
+ * 
+ * With MongoDB native driver, we don't have formal schema validation like Mongoose,
+ * but we define the expected structure here for documentation purposes.
+ * 
+ * A quarantined message is a message from a monitored tracker that no parser could
+ * turn into a transaction. It is kept so format changes can be reviewed and the
+ * message re-run through the parsers once they are fixed.
+ */
+
+/**
+ * @typedef {Object} QuarantinedMessage
+ * @property {ObjectId} _id - MongoDB document ID
+ * @property {string} trackerName - Name of the tracker that sent the message
+ * @property {string} trackerType - Tracker type configured for the groups (or 'auto')
+ * @property {string|null} parserType - Parser that handled the message, if one was resolved
+ * @property {Array<string>} groupIds - Groups the message was parsed for
+ * @property {string} reason - Reason code (see parserService.REASONS)
+ * @property {string|null} error - Error message when the parser threw
+ * @property {string} text - Message text
+ * @property {Array<Object>} entities - Telegram message entities
+ * @property {Object|null} source - Telegram origin of the message ({clientId, chatId, messageId, date})
+ * @property {string} status - 'pending' until a retry extracts transactions, then 'resolved'
+ * @property {number} retries - Number of times the message was re-run through the parsers
+ * @property {Date} createdAt - When the message was quarantined
+ * @property {Date|null} lastRetriedAt - When the message was last re-run
+ * @property {Date|null} resolvedAt - When a retry extracted transactions
+ */
+
+module.exports = {
+  // Collection name
+  collectionName: 'parser_quarantine',
+  
+  // Indexes to create
+  indexes: [
+    { key: { status: 1, createdAt: -1 } },
+    { key: { trackerName: 1 } },
+    { key: { reason: 1 } },
+    { key: { createdAt: 1 }, expireAfterSeconds: 1209600 }  // TTL index - 14 days
+  ],
+  
+  // Default values for new quarantined messages
+  defaults: {
+    status: 'pending',
+    retries: 0,
+    lastRetriedAt: null,
+    resolvedAt: null
+  }
+};
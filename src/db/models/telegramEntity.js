@@ -0,0 +1,31 @@
+/**
+ * Schema definition for a cached Telegram Entity
+ * 
+ * With MongoDB native driver, we don't have formal schema validation like Mongoose,
+ * but we define the expected structure here for documentation purposes.
+ * 
+ * Resolving a username costs a Telegram API call that is heavily rate limited.
+ * Tracker entities are cached here so restarts and failovers reuse them. User and
+ * channel IDs are the same for every account, so one entry serves all forwarders.
+ */
+
+/**
+ * @typedef {Object} TelegramEntity
+ * @property {ObjectId} _id - MongoDB document ID
+ * @property {string} name - Tracker name as configured, lowercased
+ * @property {string} entityId - Telegram ID of the user, bot or channel
+ * @property {string|null} username - Current username of the entity
+ * @property {string} className - gramjs class of the entity (User, Channel, ...)
+ * @property {Date} resolvedAt - When the entity was last resolved
+ */
+
+module.exports = {
+  // Collection name
+  collectionName: 'telegram_entities',
+  
+  // Indexes to create
+  indexes: [
+    { key: { name: 1 }, unique: true },
+    { key: { resolvedAt: 1 }, expireAfterSeconds: 604800 }  // TTL index - usernames are re-resolved weekly
+  ]
+};
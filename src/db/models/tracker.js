@@ -13,7 +13,15 @@
  * @property {ObjectId} _id - MongoDB document ID
  * @property {string} name - Name of the tracker (e.g., "CieloTrackerPrivate")
  * @property {string} groupId - ID of the Telegram group this tracker belongs to
- * @property {string} type - Type of tracker ('cielo', 'defined', 'ray')
+ * @property {string} type - Type of tracker (a registered parser type such as 'cielo', or 'auto' to detect per message)
+ * @property {Object|null} parserTemplate - Named-capture regex templates by field for 'custom' trackers
+ *   (side, wallet, token, address, baseAmount, mcap)
+ * @property {string|null} sourceChatId - Chat the tracker posts are read from for this group; null for
+ *   the group itself. Set to a channel ID to follow a tracker shared by several groups
+ * @property {Date|null} lastMessageAt - When the tracker last posted a message routed to this group
+ * @property {number|null} silenceThresholdMinutes - Silence after which the group is warned; null for
+ *   the default threshold, 0 to never warn
+ * @property {Date|null} silenceAlertedAt - When the group was warned of the current silence, null if not silent
  * @property {boolean} active - Whether this tracker is active
  * @property {Date} createdAt - When this tracker was created
  * @property {Date} updatedAt - When this tracker was last updated
@@ -52,6 +60,11 @@ module.exports = {
     active: true,
     type: 'cielo',
     setupUserId: null,
-    setupUsername: null
+    setupUsername: null,
+    parserTemplate: null,
+    sourceChatId: null,
+    lastMessageAt: null,
+    silenceThresholdMinutes: null,
+    silenceAlertedAt: null
   }
 };
\ No newline at end of file
@@ -0,0 +1,32 @@
+/**
+ * Schema definition for a Tracker Checkpoint
+ * 
+ * With MongoDB native driver, we don't have formal schema validation like Mongoose,
+ * but we define the expected structure here for documentation purposes.
+ * 
+ * A checkpoint is the last tracker message a forwarder account saw in a chat. After
+ * downtime, the forwarder fetches the messages posted since then to catch up.
+ * Message IDs are per account outside channels, so checkpoints are kept per client.
+ */
+
+/**
+ * @typedef {Object} TrackerCheckpoint
+ * @property {ObjectId} _id - MongoDB document ID
+ * @property {string} trackerName - Name of the tracker that posted the message
+ * @property {string} clientId - Forwarder client that saw the message
+ * @property {string} chatId - Chat the tracker posts in
+ * @property {number} lastMessageId - ID of the last tracker message seen in the chat
+ * @property {Date} lastMessageDate - Date the last tracker message was posted
+ * @property {Date} updatedAt - When the checkpoint was last moved
+ */
+
+module.exports = {
+  // Collection name
+  collectionName: 'tracker_checkpoints',
+  
+  // Indexes to create
+  indexes: [
+    { key: { trackerName: 1, clientId: 1, chatId: 1 }, unique: true },
+    { key: { clientId: 1 } }
+  ]
+};
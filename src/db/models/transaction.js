@@ -15,6 +15,7 @@ module.exports = {
       { key: { coinAddress: 1 } },
       { key: { walletName: 1 } },
       { key: { walletAddress: 1 } },
+      { key: { chain: 1 } },
       
       // Timestamp index with TTL
       { key: { timestamp: 1 }, expireAfterSeconds: 172800 },  // TTL index - 48 hours
@@ -33,7 +34,11 @@ module.exports = {
       
       // Indexes for aggregation queries
       { key: { walletName: 1, groupId: 1 }, name: 'wallet_group_lookup' },
-      { key: { groupId: 1, walletName: 1, timestamp: -1 }, name: 'recent_wallet_lookup' }
+      { key: { groupId: 1, walletName: 1, timestamp: -1 }, name: 'recent_wallet_lookup' },
+      
+      // Indexes to find the transactions of an edited or deleted tracker message
+      { key: { sourceChatId: 1, sourceMessageId: 1 }, name: 'source_chat_message_lookup' },
+      { key: { sourceClientId: 1, sourceMessageId: 1 }, name: 'source_client_message_lookup' }
     ],
     
     // Default values for new transactions
@@ -0,0 +1,67 @@
+// src/db/services/checkpointService.js
+const { getDatabase } = require('../connection');
+const TrackerCheckpointModel = require('../models/trackerCheckpoint');
+const logger = require('../../utils/logger');
+
+/**
+ * Service for handling tracker checkpoint database operations
+ */
+const checkpointService = {
+  /**
+   * Get the checkpoints collection
+   * @returns {Promise<Collection>} The checkpoints collection
+   */
+  async getCollection() {
+    const db = await getDatabase();
+    return db.collection(TrackerCheckpointModel.collectionName);
+  },
+
+  /**
+   * Move the checkpoint of a tracker chat forward to a message
+   * Older messages (backfilled or received late) never move it back
+   * @param {string} trackerName - Name of the tracker
+   * @param {Object} source - Telegram origin of the message ({clientId, chatId, messageId, date})
+   * @returns {Promise<boolean>} - Success status
+   */
+  async recordMessage(trackerName, source) {
+    try {
+      if (!source || !source.clientId || !source.chatId || !source.messageId) return false;
+      
+      const collection = await this.getCollection();
+      
+      await collection.updateOne(
+        { trackerName, clientId: source.clientId, chatId: source.chatId },
+        {
+          $max: {
+            lastMessageId: source.messageId,
+            lastMessageDate: new Date((source.date || Date.now() / 1000) * 1000)
+          },
+          $set: { updatedAt: new Date() }
+        },
+        { upsert: true }
+      );
+      
+      return true;
+    } catch (error) {
+      logger.error(`Error in checkpointService.recordMessage: ${error.message}`);
+      return false;
+    }
+  },
+
+  /**
+   * Get the checkpoints of a forwarder client
+   * @param {string} clientId - Forwarder client ID
+   * @returns {Promise<Array<Object>>} - Checkpoints of the client
+   */
+  async getCheckpointsForClient(clientId) {
+    try {
+      const collection = await this.getCollection();
+      return await collection.find({ clientId }).toArray();
+    } catch (error) {
+      logger.error(`Error in checkpointService.getCheckpointsForClient: ${error.message}`);
+      return [];
+    }
+  }
+};
+
+module.exports = checkpointService;
@@ -0,0 +1,227 @@
+// src/db/services/confluenceEventService.js
+const { getDatabase } = require('../connection');
+const ConfluenceEventModel = require('../models/confluenceEvent');
+const logger = require('../../utils/logger');
+
+/**
+ * Keep the fields of a confluence wallet worth storing
+ * @param {Object} wallet - Wallet of a detected confluence
+ * @returns {Object} - Stored wallet
+ */
+function toStoredWallet(wallet) {
+  const firstTransaction = wallet.transactions && wallet.transactions.length > 0
+    ? wallet.transactions.reduce((earliest, tx) =>
+      new Date(tx.timestamp) < new Date(earliest.timestamp) ? tx : earliest)
+    : wallet;
+
+  return {
+    walletName: wallet.walletName,
+    walletAddress: wallet.walletAddress || '',
+    type: wallet.type,
+    amount: wallet.amount || 0,
+    baseAmount: wallet.baseAmount || 0,
+    marketCap: wallet.marketCap || 0,
+    timestamp: new Date(firstTransaction.timestamp)
+  };
+}
+
+/**
+ * Service for handling confluence event database operations
+ */
+const confluenceEventService = {
+  /**
+   * Get the confluence events collection
+   * @returns {Promise<Collection>} The confluence events collection
+   */
+  async getCollection() {
+    const db = await getDatabase();
+    return db.collection(ConfluenceEventModel.collectionName);
+  },
+
+  /**
+   * Record a detected confluence, or an update of the latest one of its token
+   * A new detection closes the events of the token left open, they are marked expired
+   * @param {Object} confluence - Confluence from the detector
+   * @param {string} confluenceKey - Token key of the confluence in the group
+   * @param {Object} settings - Group settings used for the detection ({minWallets, windowMinutes})
+   * @param {Date} [settings.at] - Time of the transaction that made the detection or the update, defaults to now
+   * @returns {Promise<boolean>} - Success status
+   */
+  async recordConfluence(confluence, confluenceKey, { minWallets, windowMinutes, at }) {
+    try {
+      const collection = await this.getCollection();
+      const now = new Date();
+      const seenAt = at ? new Date(at) : now;
+      const wallets = confluence.wallets.map(toStoredWallet);
+      const marketCap = confluence.avgMarketCap || 0;
+      
+      if (confluence.isUpdate) {
+        const latest = await collection.findOne(
+          { groupId: confluence.groupId, confluenceKey },
+          { sort: { detectedAt: -1 } }
+        );
+        
+        if (latest) {
+          const knownWallets = new Set(latest.wallets.map(wallet => wallet.walletAddress || wallet.walletName));
+          const newWallets = wallets
+            .filter(wallet => !knownWallets.has(wallet.walletAddress || wallet.walletName))
+            .map(wallet => wallet.walletName);
+          
+          await collection.updateOne(
+            { _id: latest._id },
+            {
+              $set: {
+                type: confluence.type,
+                state: confluence.state,
+                wallets,
+                walletCount: wallets.length,
+                marketCap,
+                updatedAt: now
+              },
+              $max: { lastTransactionAt: seenAt },
+              $push: { updates: { at: seenAt, state: confluence.state, walletCount: wallets.length, marketCap, newWallets } }
+            }
+          );
+          return true;
+        }
+      }
+      
+      await collection.updateMany(
+        { groupId: confluence.groupId, confluenceKey, state: { $ne: 'expired' } },
+        { $set: { state: 'expired', updatedAt: now } }
+      );
+      
+      await collection.insertOne({
+        groupId: confluence.groupId,
+        confluenceKey,
+        coin: confluence.coin || '',
+        coinAddress: confluence.coinAddress || '',
+        chain: confluence.chain,
+        type: confluence.type,
+        state: confluence.state,
+        minWallets,
+        windowMinutes,
+        detectedAt: seenAt,
+        detectionMarketCap: marketCap,
+        detectionWalletCount: wallets.length,
+        wallets,
+        walletCount: wallets.length,
+        marketCap,
+        updates: [],
+        lastTransactionAt: seenAt,
+        updatedAt: now
+      });
+      
+      return true;
+    } catch (error) {
+      logger.error(`Error in confluenceEventService.recordConfluence: ${error.message}`);
+      return false;
+    }
+  },
+
+  /**
+   * Get the confluence events in some states, across all groups
+   * @param {Array<string>} states - States to look for
+   * @returns {Promise<Array<Object>>} - Confluence events
+   */
+  async getEventsInStates(states) {
+    try {
+      const collection = await this.getCollection();
+      return await collection.find({ state: { $in: states } }).toArray();
+    } catch (error) {
+      logger.error(`Error in confluenceEventService.getEventsInStates: ${error.message}`);
+      return [];
+    }
+  },
+
+  /**
+   * Store the Telegram message that alerts the latest confluence of a token
+   * @param {string} groupId - Group ID
+   * @param {string} confluenceKey - Token key of the confluence in the group
+   * @param {number} messageId - Telegram message ID of the alert
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setAlertMessageId(groupId, confluenceKey, messageId) {
+    try {
+      const collection = await this.getCollection();
+      const latest = await collection.findOne({ groupId, confluenceKey }, { sort: { detectedAt: -1 } });
+      if (!latest) return false;
+      
+      await collection.updateOne({ _id: latest._id }, { $set: { alertMessageId: messageId } });
+      return true;
+    } catch (error) {
+      logger.error(`Error in confluenceEventService.setAlertMessageId: ${error.message}`);
+      return false;
+    }
+  },
+
+  /**
+   * Note a transaction on the token of an open confluence that changed none of its wallets
+   * @param {string} groupId - Group ID
+   * @param {string} confluenceKey - Token key of the confluence in the group
+   * @param {Date} at - Time of the transaction
+   * @returns {Promise<boolean>} - Success status
+   */
+  async recordActivity(groupId, confluenceKey, at) {
+    try {
+      const collection = await this.getCollection();
+      const latest = await collection.findOne({ groupId, confluenceKey }, { sort: { detectedAt: -1 } });
+      if (!latest || latest.state === 'expired') return false;
+      
+      await collection.updateOne({ _id: latest._id }, { $max: { lastTransactionAt: new Date(at) } });
+      return true;
+    } catch (error) {
+      logger.error(`Error in confluenceEventService.recordActivity: ${error.message}`);
+      return false;
+    }
+  },
+
+  /**
+   * Move a confluence event to a new state
+   * @param {ObjectId} id - Event ID
+   * @param {string} state - New state
+   * @returns {Promise<boolean>} - Success status
+   */
+  async updateState(id, state) {
+    try {
+      const collection = await this.getCollection();
+      const now = new Date();
+      
+      const result = await collection.updateOne(
+        { _id: id },
+        {
+          $set: { state, updatedAt: now },
+          $push: { updates: { at: now, state } }
+        }
+      );
+      
+      return result.modifiedCount > 0;
+    } catch (error) {
+      logger.error(`Error in confluenceEventService.updateState: ${error.message}`);
+      return false;
+    }
+  },
+
+  /**
+   * Get the confluences detected in a group since a date
+   * @param {string} groupId - Group ID
+   * @param {Date|null} since - Earliest detection time, null for every stored confluence
+   * @returns {Promise<Array<Object>>} - Confluence events, oldest first
+   */
+  async getEventsForGroup(groupId, since = null) {
+    try {
+      const collection = await this.getCollection();
+      const query = { groupId: groupId.toString() };
+      if (since) {
+        query.detectedAt = { $gte: since };
+      }
+      
+      return await collection.find(query).sort({ detectedAt: 1 }).toArray();
+    } catch (error) {
+      logger.error(`Error in confluenceEventService.getEventsForGroup: ${error.message}`);
+      return [];
+    }
+  }
+};
+
+module.exports = confluenceEventService;
@@ -38,7 +38,9 @@ const groupService = {
         // Use configuration defaults for new group settings
         const defaultSettings = {
           minWallets: config.confluence.minWallets,
-          windowMinutes: config.confluence.windowMinutes
+          windowMinutes: config.confluence.windowMinutes,
+          eventSignals: config.confluence.eventSignals,
+          editAlerts: config.confluence.editAlerts
         };
         
         const result = await collection.insertOne({
@@ -75,7 +77,9 @@ const groupService = {
       if (!group.settings) {
         group.settings = {
           minWallets: config.confluence.minWallets,
-          windowMinutes: config.confluence.windowMinutes
+          windowMinutes: config.confluence.windowMinutes,
+          eventSignals: config.confluence.eventSignals,
+          editAlerts: config.confluence.editAlerts
         };
         
         await collection.updateOne(
@@ -87,7 +91,9 @@ const groupService = {
         const updatedSettings = {
           ...group.settings,
           minWallets: group.settings.minWallets ?? config.confluence.minWallets,
-          windowMinutes: group.settings.windowMinutes ?? config.confluence.windowMinutes
+          windowMinutes: group.settings.windowMinutes ?? config.confluence.windowMinutes,
+          eventSignals: group.settings.eventSignals ?? config.confluence.eventSignals,
+          editAlerts: group.settings.editAlerts ?? config.confluence.editAlerts
         };
         
         // Only update if changes were made
@@ -122,6 +128,21 @@ const groupService = {
     }
   },
 
+  /**
+   * Find several groups by groupId in one query
+   * @param {Array<string>} groupIds - The Telegram group IDs
+   * @returns {Promise<Array>} Array of group documents
+   */
+  async findByGroupIds(groupIds) {
+    try {
+      const collection = await this.getCollection();
+      return await collection.find({ groupId: { $in: groupIds } }).toArray();
+    } catch (error) {
+      logger.error(`Error in groupService.findByGroupIds: ${error.message}`);
+      throw error;
+    }
+  },
+
   /**
    * Find a group by ID
    * @param {string} id - The group ID
@@ -166,7 +187,9 @@ const groupService = {
       // Return settings with defaults filled in if missing
       return {
         minWallets: group.settings?.minWallets || config.confluence.minWallets,
-        windowMinutes: group.settings?.windowMinutes || config.confluence.windowMinutes
+        windowMinutes: group.settings?.windowMinutes || config.confluence.windowMinutes,
+        eventSignals: group.settings?.eventSignals ?? config.confluence.eventSignals,
+        editAlerts: group.settings?.editAlerts ?? config.confluence.editAlerts
       };
     } catch (error) {
       logger.error(`Error in groupService.getSettings: ${error.message}`);
@@ -194,6 +217,12 @@ const groupService = {
       if (settings.windowMinutes !== undefined) {
         updateFields['settings.windowMinutes'] = settings.windowMinutes;
       }
+      if (settings.eventSignals !== undefined) {
+        updateFields['settings.eventSignals'] = settings.eventSignals;
+      }
+      if (settings.editAlerts !== undefined) {
+        updateFields['settings.editAlerts'] = settings.editAlerts;
+      }
       
       if (Object.keys(updateFields).length > 0) {
         updateFields.updatedAt = new Date();
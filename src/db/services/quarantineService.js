@@ -0,0 +1,155 @@
+// src/db/services/quarantineService.js
+const { ObjectId } = require('mongodb');
+const { getDatabase } = require('../connection');
+const QuarantinedMessageModel = require('../models/quarantinedMessage');
+const logger = require('../../utils/logger');
+
+/**
+ * Service for handling quarantined tracker message database operations
+ */
+const quarantineService = {
+  /**
+   * Get the quarantine collection
+   * @returns {Promise<Collection>} The quarantine collection
+   */
+  async getCollection() {
+    const db = await getDatabase();
+    return db.collection(QuarantinedMessageModel.collectionName);
+  },
+
+  /**
+   * Store a message that no parser could turn into a transaction
+   * @param {Object} entry - Quarantine entry (trackerName, trackerType, parserType, groupIds, reason, error, text, entities, source)
+   * @returns {Promise<Object|null>} The stored entry or null
+   */
+  async addMessage(entry) {
+    try {
+      const collection = await this.getCollection();
+      
+      const doc = {
+        ...QuarantinedMessageModel.defaults,
+        trackerName: entry.trackerName,
+        trackerType: entry.trackerType,
+        parserType: entry.parserType || null,
+        groupIds: entry.groupIds || [],
+        reason: entry.reason,
+        error: entry.error || null,
+        text: entry.text,
+        entities: entry.entities || [],
+        source: entry.source || null,
+        createdAt: new Date()
+      };
+      
+      const result = await collection.insertOne(doc);
+      logger.debug(`Message from ${entry.trackerName} quarantined (${entry.reason})`);
+      
+      return { ...doc, _id: result.insertedId };
+    } catch (error) {
+      logger.error(`Error in quarantineService.addMessage: ${error.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * Find a quarantined message by ID
+   * @param {string} id - The entry ID
+   * @returns {Promise<Object|null>} The entry or null
+   */
+  async findById(id) {
+    try {
+      if (!ObjectId.isValid(id)) return null;
+      
+      const collection = await this.getCollection();
+      return await collection.findOne({ _id: new ObjectId(id) });
+    } catch (error) {
+      logger.error(`Error in quarantineService.findById: ${error.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * Get the most recent quarantined messages
+   * @param {Object} options - Query options
+   * @param {string} options.status - Status to filter on ('pending', 'resolved' or null for all)
+   * @param {number} options.limit - Maximum number of entries
+   * @returns {Promise<Array>} Entries, newest first
+   */
+  async getRecent({ status = 'pending', limit = 10 } = {}) {
+    try {
+      const collection = await this.getCollection();
+      const query = status ? { status } : {};
+      
+      return await collection.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .toArray();
+    } catch (error) {
+      logger.error(`Error in quarantineService.getRecent: ${error.message}`);
+      return [];
+    }
+  },
+
+  /**
+   * Count messages quarantined since a date, by reason and by tracker
+   * @param {Date} since - Start of the period
+   * @returns {Promise<{total: number, pending: number, byReason: Object, byTracker: Object}>} Counts
+   */
+  async countSince(since) {
+    const counts = { total: 0, pending: 0, byReason: {}, byTracker: {} };
+    
+    try {
+      const collection = await this.getCollection();
+      const entries = await collection.find(
+        { createdAt: { $gte: since } },
+        { projection: { reason: 1, trackerName: 1, status: 1 } }
+      ).toArray();
+      
+      for (const entry of entries) {
+        counts.total++;
+        if (entry.status === 'pending') counts.pending++;
+        counts.byReason[entry.reason] = (counts.byReason[entry.reason] || 0) + 1;
+        counts.byTracker[entry.trackerName] = (counts.byTracker[entry.trackerName] || 0) + 1;
+      }
+    } catch (error) {
+      logger.error(`Error in quarantineService.countSince: ${error.message}`);
+    }
+    
+    return counts;
+  },
+
+  /**
+   * Record the outcome of re-running a quarantined message through the parsers
+   * @param {string|ObjectId} id - The entry ID
+   * @param {Object} outcome - Retry outcome
+   * @param {boolean} outcome.resolved - True if transactions were extracted
+   * @param {string|null} outcome.reason - Reason code when still failing
+   * @param {string|null} outcome.parserType - Parser used for the retry
+   * @returns {Promise<boolean>} Success status
+   */
+  async recordRetry(id, { resolved, reason, parserType }) {
+    try {
+      const collection = await this.getCollection();
+      const now = new Date();
+      
+      const update = { lastRetriedAt: now, parserType: parserType || null };
+      if (resolved) {
+        update.status = 'resolved';
+        update.resolvedAt = now;
+      } else {
+        update.reason = reason;
+      }
+      
+      const result = await collection.updateOne(
+        { _id: new ObjectId(id) },
+        { $set: update, $inc: { retries: 1 } }
+      );
+      
+      return result.matchedCount > 0;
+    } catch (error) {
+      logger.error(`Error in quarantineService.recordRetry: ${error.message}`);
+      return false;
+    }
+  }
+};
+
+module.exports = quarantineService;
@@ -13,7 +13,7 @@ const setupService = {
    * @param {string} trackerName - Name of the tracker
    * @param {string} groupId - ID of the Telegram group
    * @param {string} groupName - Name of the Telegram group
-   * @param {string} trackerType - Type of the tracker ('cielo', 'defined', 'ray')
+   * @param {string} trackerType - Type of the tracker (a registered parser type, or 'auto')
    * @returns {Promise<boolean>} Success status
    */
   async registerTracking(trackerName, groupId, groupName, trackerType = 'cielo', userId = null, username = null) {
@@ -127,32 +127,11 @@ const setupService = {
     try {
       const confluenceService = require('../../services/confluenceService');
       
-      // Get all cache keys
-      const keys = await confluenceService.transactionsCache.keys();
-      
-      // Filter keys related to this group
-      const groupKeys = keys.filter(key => key.startsWith(`${groupId}_`));
-      
-      // Check each key for transactions from the specified tracker
-      for (const key of groupKeys) {
-        const transactions = await confluenceService.transactionsCache.get(key);
-        
-        if (transactions && Array.isArray(transactions)) {
-          // Filter out transactions from the specified tracker
-          const filteredTransactions = transactions.filter(
-            tx => tx.walletName.toLowerCase() !== trackerName.toLowerCase()
-          );
-          
-          // If all transactions were from this tracker, delete the key
-          if (filteredTransactions.length === 0) {
-            await confluenceService.transactionsCache.del(key);
-          }
-          // Otherwise, update with filtered transactions
-          else if (filteredTransactions.length !== transactions.length) {
-            await confluenceService.transactionsCache.set(key, filteredTransactions);
-          }
-        }
-      }
+      // Filter out transactions from the specified tracker
+      await confluenceService.removeCachedTransactions(
+        groupId,
+        tx => tx.walletName.toLowerCase() === trackerName.toLowerCase()
+      );
       
       logger.info(`Cleaned up cached data for tracker ${trackerName} in group ${groupId}`);
     } catch (error) {
@@ -185,27 +164,40 @@ const setupService = {
 
   /**
    * Get all groups for a tracker name
+   * A group only receives the tracker posts made in its own chat, or in the
+   * shared channel it opted in to
    * @param {string} trackerName - Name of the tracker
+   * @param {string|null} chatId - Chat the tracker message was posted in, null for every group
    * @returns {Promise<Array>} List of groups using this tracker name
    */
-  async getGroupsForTracker(trackerName) {
+  async getGroupsForTracker(trackerName, chatId = null) {
     try {
       // Find all trackers with this name (across groups)
-      const trackers = await trackerService.findByName(trackerName);
+      const trackers = (await trackerService.findByName(trackerName)).filter(tracker => {
+        const sourceChatId = tracker.sourceChatId || tracker.groupId;
+        return tracker.active && (!chatId || sourceChatId === chatId);
+      });
+      
+      if (trackers.length === 0) return [];
+      
+      // Get group details for all of them at once
+      const groupDocs = await groupService.findByGroupIds([...new Set(trackers.map(tracker => tracker.groupId))]);
+      const groupsById = new Map(groupDocs.map(group => [group.groupId, group]));
       
-      // Get group details for each tracker
       const groups = [];
       for (const tracker of trackers) {
-        if (tracker.active) {
-          const group = await groupService.findByGroupId(tracker.groupId);
-          if (group) {
-            groups.push({
-              id: group.groupId,
-              name: group.groupName,
-              settings: group.settings,
-              trackerType: tracker.type || 'cielo'
-            });
-          }
+        const group = groupsById.get(tracker.groupId);
+        if (group) {
+          groups.push({
+            id: group.groupId,
+            name: group.groupName,
+            settings: group.settings,
+            trackerType: tracker.type || 'cielo',
+            parserTemplate: tracker.parserTemplate || null,
+            sourceChatId: tracker.sourceChatId || tracker.groupId,
+            setupUserId: tracker.setupUserId || null,
+            setupUsername: tracker.setupUsername || null
+          });
         }
       }
       
@@ -0,0 +1,90 @@
+// src/db/services/telegramEntityService.js
+const { getDatabase } = require('../connection');
+const TelegramEntityModel = require('../models/telegramEntity');
+const logger = require('../../utils/logger');
+
+/**
+ * Service for handling cached Telegram entity database operations
+ */
+const telegramEntityService = {
+  /**
+   * Get the Telegram entities collection
+   * @returns {Promise<Collection>} The Telegram entities collection
+   */
+  async getCollection() {
+    const db = await getDatabase();
+    return db.collection(TelegramEntityModel.collectionName);
+  },
+
+  /**
+   * Find the cached entity of a tracker
+   * @param {string} name - Tracker name
+   * @returns {Promise<Object|null>} Entity ({id, username, className, resolvedAt}) or null if not cached
+   */
+  async findByName(name) {
+    try {
+      const collection = await this.getCollection();
+      const doc = await collection.findOne({ name: name.toLowerCase() });
+      
+      if (!doc) return null;
+      
+      return {
+        id: doc.entityId,
+        username: doc.username,
+        className: doc.className,
+        resolvedAt: doc.resolvedAt
+      };
+    } catch (error) {
+      logger.error(`Error in telegramEntityService.findByName: ${error.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * Cache the resolved entity of a tracker
+   * @param {string} name - Tracker name
+   * @param {Object} entity - gramjs entity
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveEntity(name, entity) {
+    try {
+      const collection = await this.getCollection();
+      
+      await collection.updateOne(
+        { name: name.toLowerCase() },
+        {
+          $set: {
+            entityId: entity.id.toString(),
+            username: entity.username || null,
+            className: entity.className || null,
+            resolvedAt: new Date()
+          }
+        },
+        { upsert: true }
+      );
+      
+      return true;
+    } catch (error) {
+      logger.error(`Error in telegramEntityService.saveEntity: ${error.message}`);
+      return false;
+    }
+  },
+
+  /**
+   * Forget the cached entity of a tracker that no longer resolves
+   * @param {string} name - Tracker name
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteByName(name) {
+    try {
+      const collection = await this.getCollection();
+      await collection.deleteOne({ name: name.toLowerCase() });
+      return true;
+    } catch (error) {
+      logger.error(`Error in telegramEntityService.deleteByName: ${error.message}`);
+      return false;
+    }
+  }
+};
+
+module.exports = telegramEntityService;
@@ -20,7 +20,7 @@ const trackerService = {
    * Find or create a tracker by name and groupId
    * @param {string} name - The tracker name
    * @param {string} groupId - The group ID this tracker belongs to
-   * @param {string} type - The tracker type ('cielo', 'defined', 'ray')
+   * @param {string} type - The tracker type (a registered parser type, or 'auto')
    * @returns {Promise<Object>} The tracker document
    */
   async findOrCreate(name, groupId, type = 'cielo', setupUserId = null, setupUsername = null) {
@@ -167,6 +167,115 @@ const trackerService = {
     }
   },
 
+  /**
+   * Save the parser template of a custom tracker
+   * @param {string} name - Tracker name
+   * @param {string} groupId - Group ID
+   * @param {Object} parserTemplate - Templates by field name
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateParserTemplate(name, groupId, parserTemplate) {
+    try {
+      const collection = await this.getCollection();
+      const result = await collection.updateOne(
+        { name, groupId },
+        { $set: { parserTemplate, updatedAt: new Date() } }
+      );
+      
+      return result.matchedCount > 0;
+    } catch (error) {
+      logger.error(`Error in trackerService.updateParserTemplate: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Set the chat a tracker's posts are read from for a group
+   * @param {string} name - Tracker name
+   * @param {string} groupId - Group ID
+   * @param {string|null} sourceChatId - Chat ID, or null to read the posts made in the group itself
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateSourceChat(name, groupId, sourceChatId) {
+    try {
+      const collection = await this.getCollection();
+      const result = await collection.updateOne(
+        { name, groupId },
+        { $set: { sourceChatId, updatedAt: new Date() } }
+      );
+      
+      return result.matchedCount > 0;
+    } catch (error) {
+      logger.error(`Error in trackerService.updateSourceChat: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Record that a tracker posted a message for some groups
+   * @param {string} name - Tracker name
+   * @param {Array<string>} groupIds - Groups the message was routed to
+   * @param {Date} date - When the message was posted
+   * @returns {Promise<boolean>} Success status
+   */
+  async recordMessage(name, groupIds, date = new Date()) {
+    try {
+      const collection = await this.getCollection();
+      await collection.updateMany(
+        { name, groupId: { $in: groupIds } },
+        { $max: { lastMessageAt: date } }
+      );
+      
+      return true;
+    } catch (error) {
+      logger.error(`Error in trackerService.recordMessage: ${error.message}`);
+      return false;
+    }
+  },
+
+  /**
+   * Set the silence after which a group is warned about a tracker
+   * @param {string} name - Tracker name
+   * @param {string} groupId - Group ID
+   * @param {number|null} minutes - Threshold in minutes, null for the default, 0 to never warn
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateSilenceThreshold(name, groupId, minutes) {
+    try {
+      const collection = await this.getCollection();
+      const result = await collection.updateOne(
+        { name, groupId },
+        { $set: { silenceThresholdMinutes: minutes, updatedAt: new Date() } }
+      );
+      
+      return result.matchedCount > 0;
+    } catch (error) {
+      logger.error(`Error in trackerService.updateSilenceThreshold: ${error.message}`);
+      throw error;
+    }
+  },
+
+  /**
+   * Remember when a group was warned of a tracker silence
+   * @param {ObjectId} id - Tracker ID
+   * @param {Date|null} date - Warning date, null once the tracker posts again
+   * @returns {Promise<boolean>} Success status
+   */
+  async setSilenceAlerted(id, date) {
+    try {
+      const collection = await this.getCollection();
+      const result = await collection.updateOne(
+        { _id: id },
+        { $set: { silenceAlertedAt: date } }
+      );
+      
+      return result.matchedCount > 0;
+    } catch (error) {
+      logger.error(`Error in trackerService.setSilenceAlerted: ${error.message}`);
+      return false;
+    }
+  },
+
   /**
    * Delete a tracker
    * @param {string} name - Tracker name
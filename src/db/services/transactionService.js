@@ -3,6 +3,7 @@ const { getDatabase } = require('../connection');
 const TransactionModel = require('../models/transaction');
 const logger = require('../../utils/logger');
 const performanceMonitor = require('../../utils/performanceMonitor');
+const chains = require('../../utils/chains');
 
 /**
  * Service for handling transaction-related database operations
@@ -38,7 +39,12 @@ async storeTransaction(transaction, groupId) {
         timestamp: transaction.timestamp || new Date(),
         groupId: groupId,
         baseAmount: transaction.baseAmount || 0,  // Make sure we store baseAmount
-        baseSymbol: transaction.baseSymbol || ''  // Make sure we store baseSymbol
+        baseSymbol: transaction.baseSymbol || '',  // Make sure we store baseSymbol
+        chain: transaction.chain || chains.DEFAULT_CHAIN,
+        // Tracker message the transaction was parsed from (for edits and deletions)
+        sourceClientId: transaction.sourceClientId || null,
+        sourceChatId: transaction.sourceChatId || null,
+        sourceMessageId: transaction.sourceMessageId || null
       };
       
       const result = await collection.insertOne(transactionDoc);
@@ -75,6 +81,70 @@ async storeTransaction(transaction, groupId) {
       }
     },
 
+  /**
+   * Build the query matching the transactions parsed from some tracker messages
+   * Deletions in channels carry the chat id, deletions in private chats only carry
+   * message ids, which are unique per forwarder account
+   * @param {Object} source - Message source
+   * @param {string} source.clientId - Forwarder client that received the messages
+   * @param {string} source.chatId - Chat the messages were posted in (optional)
+   * @param {Array<number>} source.messageIds - Telegram message ids
+   * @returns {Object} - MongoDB query
+   */
+  buildSourceQuery(source) {
+    const query = { sourceMessageId: { $in: source.messageIds } };
+
+    if (source.chatId) {
+      query.sourceChatId = source.chatId;
+    } else {
+      query.sourceClientId = source.clientId;
+    }
+
+    return query;
+  },
+
+  /**
+   * Delete the transactions parsed from some tracker messages
+   * @param {Object} source - Message source (see buildSourceQuery)
+   * @returns {Promise<Array>} The deleted transactions
+   */
+  async deleteTransactionsBySource(source) {
+    try {
+      const collection = await this.getCollection();
+      const query = this.buildSourceQuery(source);
+
+      const transactions = await collection.find(query).toArray();
+      if (transactions.length === 0) {
+        return [];
+      }
+
+      await collection.deleteMany({ _id: { $in: transactions.map(tx => tx._id) } });
+
+      logger.info(`Deleted ${transactions.length} transactions from messages ${source.messageIds.join(', ')}`);
+      return transactions;
+    } catch (error) {
+      logger.error(`Error in transactionService.deleteTransactionsBySource: ${error.message}`);
+      return [];
+    }
+  },
+
+  /**
+   * Get the IDs of the tracker messages already stored for a group from one source
+   * @param {string} groupId - The group ID
+   * @param {string} sourceClientId - Client the messages came from
+   * @param {string} sourceChatId - Chat the messages were posted in
+   * @returns {Promise<Array<number>>} Message IDs
+   */
+  async getSourceMessageIds(groupId, sourceClientId, sourceChatId) {
+    try {
+      const collection = await this.getCollection();
+      return await collection.distinct('sourceMessageId', { groupId, sourceClientId, sourceChatId });
+    } catch (error) {
+      logger.error(`Error in transactionService.getSourceMessageIds: ${error.message}`);
+      return [];
+    }
+  },
+
     /**
    * Delete all transactions for a specific group
    * @param {string} groupId - The group ID
@@ -295,9 +365,14 @@ async getRecentTransactions(groupId, type, coin, coinAddress, windowMinutes = 60
             tx.baseAmount = 0;
           }
           
+          // Ensure chain is set (transactions stored before multi-chain support are Solana)
+          if (!tx.chain) {
+            tx.chain = chains.DEFAULT_CHAIN;
+          }
+          
           // Ensure baseSymbol is set
           if (!tx.baseSymbol) {
-            tx.baseSymbol = 'SOL';
+            tx.baseSymbol = chains.getNativeSymbol(tx.chain);
           }
           
           // Ensure marketCap is set
@@ -338,7 +413,8 @@ async getRecentTransactions(groupId, type, coin, coinAddress, windowMinutes = 60
           transactions.forEach(tx => {
             if (!tx.type) tx.type = tx.baseAmount > 0 ? 'buy' : 'sell';
             if (tx.baseAmount === undefined) tx.baseAmount = 0;
-            if (!tx.baseSymbol) tx.baseSymbol = 'SOL';
+            if (!tx.chain) tx.chain = chains.DEFAULT_CHAIN;
+            if (!tx.baseSymbol) tx.baseSymbol = chains.getNativeSymbol(tx.chain);
             if (tx.marketCap === undefined) tx.marketCap = 0;
           });
           
@@ -61,6 +61,16 @@ const validators = {
       }
     }
     
+    // Validate event signals toggle (must be a boolean)
+    if (typeof settings.eventSignals === 'boolean') {
+      validatedSettings.eventSignals = settings.eventSignals;
+    }
+    
+    // Validate alert edit toggle (must be a boolean)
+    if (typeof settings.editAlerts === 'boolean') {
+      validatedSettings.editAlerts = settings.editAlerts;
+    }
+    
     return validatedSettings;
   }
 };
@@ -0,0 +1,180 @@
+// src/forwarder/backfill.js
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const checkpointService = require('../db/services/checkpointService');
+const { getAllClients, isClientHealthy, onClientStatusChange } = require('./clientPool');
+const { monitoredTrackers } = require('./utils');
+const { claimMessage } = require('./messageDeduplicator');
+const { callClient } = require('./rateLimiter');
+const { findMonitoredTracker, buildTrackerMessage } = require('./messageHandler');
+const { processMessage } = require('./processors');
+
+// Clients with a catch-up in progress
+const runningBackfills = new Set();
+
+/**
+ * Map the chats of a client by marked chat ID
+ * Sessions don't keep chat entities between restarts, the dialogs list resolves them
+ * @param {string} clientId - Client ID
+ * @param {TelegramClient} client - Client to use
+ * @returns {Promise<Map<string, Object>>} - Chat entities by chat ID
+ */
+async function getChatEntities(clientId, client) {
+  const chats = new Map();
+  const dialogs = await callClient(clientId, 'getDialogs', () => client.getDialogs({}));
+
+  for (const dialog of dialogs) {
+    if (dialog.id && dialog.entity) {
+      chats.set(dialog.id.toString(), dialog.entity);
+    }
+  }
+
+  return chats;
+}
+
+/**
+ * Fetch the messages posted in a chat after a message ID, oldest first
+ * Only the most recent messages within the backfill age are kept
+ * @param {string} clientId - Client ID
+ * @param {TelegramClient} client - Client to use
+ * @param {Object} chat - Chat entity
+ * @param {number} minId - Last message ID already seen
+ * @returns {Promise<Array<Object>>} - gramjs messages
+ */
+async function fetchMessagesSince(clientId, client, chat, minId) {
+  const { maxMessagesPerChat, maxAgeHours } = config.backfill;
+  const minDate = Math.floor(Date.now() / 1000) - maxAgeHours * 60 * 60;
+
+  const messages = await callClient(clientId, 'getMessages', () => client.getMessages(chat, {
+    minId,
+    limit: maxMessagesPerChat
+  }));
+
+  return Array.from(messages)
+    .filter(message => message.date >= minDate)
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Catch up on the tracker messages a client missed in one chat
+ * @param {string} clientId - Client ID
+ * @param {TelegramClient} client - Client to use
+ * @param {Object} chat - Chat entity
+ * @param {Array<Object>} checkpoints - Checkpoints of the trackers posting in the chat
+ * @returns {Promise<number>} - Number of messages processed
+ */
+async function backfillChat(clientId, client, chat, checkpoints) {
+  const lastIds = new Map(checkpoints.map(checkpoint => [checkpoint.trackerName, checkpoint.lastMessageId]));
+  const minId = Math.min(...lastIds.values());
+
+  const messages = await fetchMessagesSince(clientId, client, chat, minId);
+  let processed = 0;
+
+  for (const message of messages) {
+    if (message.out || !message.text) continue;
+
+    const trackerName = findMonitoredTracker(message);
+    if (!trackerName || !lastIds.has(trackerName) || message.id <= lastIds.get(trackerName)) continue;
+
+    const trackerMessage = buildTrackerMessage(clientId, message);
+
+    // Another client may have caught up on the same post, or received it live
+    if (claimMessage(clientId, message)) {
+      await processMessage(trackerName, {
+        ...trackerMessage,
+        source: { ...trackerMessage.source, backfill: true }
+      });
+      processed++;
+    }
+
+    await checkpointService.recordMessage(trackerName, trackerMessage.source);
+  }
+
+  return processed;
+}
+
+/**
+ * Catch up on the tracker messages posted while a client was down
+ * Messages are processed with their original time; transactions too old to
+ * matter update the confluences without sending alerts
+ * @param {string} clientId - Client ID
+ * @returns {Promise<number>} - Number of messages processed
+ */
+async function backfillClient(clientId) {
+  if (runningBackfills.has(clientId)) {
+    logger.debug(`[${clientId}] Backfill already running`);
+    return 0;
+  }
+
+  const client = getAllClients().get(clientId);
+  if (!client || !isClientHealthy(clientId)) return 0;
+
+  runningBackfills.add(clientId);
+  let processed = 0;
+
+  try {
+    const checkpoints = (await checkpointService.getCheckpointsForClient(clientId))
+      .filter(checkpoint => monitoredTrackers.has(checkpoint.trackerName));
+
+    if (checkpoints.length === 0) return 0;
+
+    // Several trackers can post in the same chat, its history is fetched once
+    const checkpointsByChat = new Map();
+    for (const checkpoint of checkpoints) {
+      if (!checkpointsByChat.has(checkpoint.chatId)) {
+        checkpointsByChat.set(checkpoint.chatId, []);
+      }
+      checkpointsByChat.get(checkpoint.chatId).push(checkpoint);
+    }
+
+    const chats = await getChatEntities(clientId, client);
+
+    for (const [chatId, chatCheckpoints] of checkpointsByChat.entries()) {
+      const chat = chats.get(chatId);
+      if (!chat) {
+        logger.warn(`[${clientId}] Chat ${chatId} not found in dialogs, skipping its backfill`);
+        continue;
+      }
+
+      try {
+        processed += await backfillChat(clientId, client, chat, chatCheckpoints);
+      } catch (chatError) {
+        logger.error(`[${clientId}] Error backfilling chat ${chatId}: ${chatError.message}`);
+      }
+    }
+
+    logger.info(`[${clientId}] Backfill done: ${processed} missed tracker message(s) processed`);
+    return processed;
+  } catch (error) {
+    logger.error(`[${clientId}] Error in backfillClient: ${error.message}`);
+    return processed;
+  } finally {
+    runningBackfills.delete(clientId);
+  }
+}
+
+/**
+ * Catch up on missed tracker messages with every healthy client
+ * @returns {Promise<number>} - Number of messages processed
+ */
+async function backfillAllClients() {
+  let processed = 0;
+
+  for (const clientId of getAllClients().keys()) {
+    processed += await backfillClient(clientId);
+  }
+
+  return processed;
+}
+
+// Catch up when a forwarder comes back, without holding the health checks
+onClientStatusChange((clientId, healthy) => {
+  if (healthy) {
+    backfillClient(clientId);
+  }
+});
+
+module.exports = {
+  backfillClient,
+  backfillAllClients
+};
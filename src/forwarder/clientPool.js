@@ -1,75 +1,75 @@
 // src/forwarder/clientPool.js
 const { TelegramClient } = require('telegram');
 const { StringSession } = require('telegram/sessions');
-const input = require('input');
-const fs = require('fs');
-const path = require('path');
 const logger = require('../utils/logger');
 const config = require('../config/config');
-
-// Path to save sessions
-const DATA_DIR = path.join(__dirname, '../../data');
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const sessionStore = require('./sessionStore');
+const rateLimiter = require('./rateLimiter');
 
 // Map to store clients by ID
 const clients = new Map();
 
+// Health of each client: { healthy, lastCheck, lastError, reconnectAttempts, nextReconnectAt }
+const clientHealth = new Map();
+
+// Callbacks notified when a client goes down or comes back
+const statusListeners = [];
+
+// Liveness check period, scheduler tick, time allowed for a check, and reconnection backoff bounds
+const HEALTH_CHECK_INTERVAL = 60 * 1000;
+const HEALTH_CHECK_TICK = 5 * 1000;
+const HEALTH_CHECK_TIMEOUT = 15 * 1000;
+const RECONNECT_BASE_DELAY = 5 * 1000;
+const RECONNECT_MAX_DELAY = 10 * 60 * 1000;
+
+let healthCheckInterval = null;
+let healthCheckRunning = false;
+
 /**
  * Initialize a Telegram client with its own parameters
  * @param {Object} forwarderConfig - Forwarder configuration
  * @returns {TelegramClient} - Initialized Telegram client
+ * @throws {Error} - If the forwarder has no provisioned session
  */
 function initClient(forwarderConfig) {
-  const sessionFilePath = path.join(DATA_DIR, forwarderConfig.sessionPath);
-  
-  // Check if session exists
-  let sessionData = '';
-  if (fs.existsSync(sessionFilePath)) {
-    sessionData = fs.readFileSync(sessionFilePath, 'utf8');
-  }
-
-  const stringSession = new StringSession(sessionData);
+  const stringSession = new StringSession(sessionStore.loadSession(forwarderConfig));
   
   // Initialize the Telegram client
   const client = new TelegramClient(
     stringSession,
     forwarderConfig.apiId,
     forwarderConfig.apiHash,
-    { connectionRetries: 5 }
+    // Flood waits are surfaced to the rate limiter instead of being slept through silently
+    { connectionRetries: 5, floodSleepThreshold: 0 }
   );
   
   return client;
 }
 
 /**
- * Connect a Telegram client
+ * Connect a Telegram client with its provisioned session
+ * Logging in needs a terminal, it is done beforehand with `npm run sessions`
  * @param {Object} forwarderConfig - Forwarder configuration
  * @returns {Promise<TelegramClient>} - Connected Telegram client
+ * @throws {Error} - If the session is missing or no longer authorized
  */
 async function connectClient(forwarderConfig) {
   const client = clients.get(forwarderConfig.id) || initClient(forwarderConfig);
   
-  // Store the client in the map
+  // Store the client in the map, so a network failure is retried by the health checks
   clients.set(forwarderConfig.id, client);
   
-  const sessionFilePath = path.join(DATA_DIR, forwarderConfig.sessionPath);
-  
-  // Login to Telegram
-  await client.start({
-    phoneNumber: async () => forwarderConfig.phoneNumber || await input.text(`[${forwarderConfig.id}] Please enter your phone number: `),
-    password: async () => await input.text(`[${forwarderConfig.id}] Please enter your password: `),
-    phoneCode: async () => await input.text(`[${forwarderConfig.id}] Please enter the code you received: `),
-    onError: (err) => logger.error(`[${forwarderConfig.id}] Login error:`, err),
-  });
+  await client.connect();
   
-  // Save the session for future use
-  const sessionString = client.session.save();
-  fs.writeFileSync(sessionFilePath, sessionString);
-  logger.info(`[${forwarderConfig.id}] Session saved to ${sessionFilePath}`);
+  if (!await client.checkAuthorization()) {
+    // A revoked session cannot recover by reconnecting
+    clients.delete(forwarderConfig.id);
+    await client.disconnect();
+    throw new Error(`Session of forwarder ${forwarderConfig.id} is no longer authorized. ${sessionStore.PROVISION_HINT}`);
+  }
   
   logger.info(`[${forwarderConfig.id}] Connected to Telegram!`);
+  markClientHealthy(forwarderConfig.id);
   
   return client;
 }
@@ -92,43 +92,231 @@ async function connectAllClients() {
       await connectClient(forwarderConfig);
       logger.info(`Successfully connected forwarder: ${forwarderConfig.id}`);
     } catch (err) {
-      logger.error(`Failed to connect forwarder ${forwarderConfig.id}:`, err);
+      logger.error(`Failed to connect forwarder ${forwarderConfig.id}: ${err.message}`);
+      markClientDown(forwarderConfig.id, err);
     }
   }
   
+  // Without a single usable session the app cannot receive tracker messages
+  if (clients.size === 0) {
+    throw new Error(`No forwarder could be started. ${sessionStore.PROVISION_HINT}`);
+  }
+  
   return clients;
 }
 
 /**
- * Get a client based on a distribution algorithm
- * Simple hash-based assignment for now
+ * Run a promise with a time limit
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Time limit in milliseconds
+ * @param {string} label - Operation name for the timeout error
+ * @returns {Promise<*>} - Result of the promise
+ */
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Register a callback notified when a client goes down or recovers
+ * @param {Function} listener - Called with (clientId, healthy)
+ */
+function onClientStatusChange(listener) {
+  statusListeners.push(listener);
+}
+
+/**
+ * Notify the status listeners of a client status change
+ * @param {string} clientId - Client ID
+ * @param {boolean} healthy - New status
+ */
+async function notifyStatusChange(clientId, healthy) {
+  for (const listener of statusListeners) {
+    try {
+      await listener(clientId, healthy);
+    } catch (error) {
+      logger.error(`Error in client status listener for ${clientId}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Mark a client as healthy and reset its reconnection backoff
+ * @param {string} clientId - Client ID
+ */
+function markClientHealthy(clientId) {
+  const previous = clientHealth.get(clientId);
+  
+  clientHealth.set(clientId, {
+    healthy: true,
+    lastCheck: new Date(),
+    lastError: null,
+    reconnectAttempts: 0,
+    nextReconnectAt: null
+  });
+  
+  if (previous && !previous.healthy) {
+    logger.info(`[${clientId}] Forwarder is back online`);
+    notifyStatusChange(clientId, true);
+  }
+}
+
+/**
+ * Mark a client as down and schedule its next reconnection with exponential backoff
+ * @param {string} clientId - Client ID
+ * @param {Error} error - Error that revealed the failure
+ */
+function markClientDown(clientId, error) {
+  const previous = clientHealth.get(clientId);
+  const reconnectAttempts = previous && !previous.healthy ? previous.reconnectAttempts + 1 : 0;
+  const delay = Math.min(RECONNECT_BASE_DELAY * Math.pow(2, reconnectAttempts), RECONNECT_MAX_DELAY);
+  
+  clientHealth.set(clientId, {
+    healthy: false,
+    lastCheck: new Date(),
+    lastError: error ? error.message : null,
+    reconnectAttempts,
+    nextReconnectAt: new Date(Date.now() + delay)
+  });
+  
+  logger.warn(`[${clientId}] Forwarder is down (${error ? error.message : 'unknown error'}), next reconnection in ${Math.round(delay / 1000)}s`);
+  
+  if (!previous || previous.healthy) {
+    if (getHealthyClientIds().length === 0) {
+      logger.error('All forwarders are down, waiting for reconnection');
+    }
+    notifyStatusChange(clientId, false);
+  }
+}
+
+/**
+ * Check whether a client is connected and passed its last health check
+ * @param {string} clientId - Client ID
+ * @returns {boolean} - True if the client can be used
+ */
+function isClientHealthy(clientId) {
+  const health = clientHealth.get(clientId);
+  return clients.has(clientId) && !!health && health.healthy;
+}
+
+/**
+ * Get the IDs of the healthy clients, in the configured forwarder order
+ * @returns {Array<string>} - Healthy client IDs
+ */
+function getHealthyClientIds() {
+  const configuredIds = (config.telegram.forwarders || []).map(forwarder => forwarder.id);
+  const orderedIds = [
+    ...configuredIds.filter(id => clients.has(id)),
+    ...Array.from(clients.keys()).filter(id => !configuredIds.includes(id))
+  ];
+  
+  return orderedIds.filter(isClientHealthy);
+}
+
+/**
+ * Get the IDs of the healthy clients that are not waiting out a flood ban
+ * @returns {Array<string>} - Client IDs available for API calls, in configured order
+ */
+function getAvailableClientIds() {
+  return getHealthyClientIds().filter(clientId => !rateLimiter.isThrottled(clientId));
+}
+
+/**
+ * Get the ID of the client a tracker should be monitored with
+ * Trackers are spread over the available clients by name, so a flood ban on one
+ * account only affects its share of the trackers
+ * @param {string} trackerName - Name of the tracker
+ * @returns {string|null} - Client ID, or null if no client is healthy
+ */
+function getClientIdForTracker(trackerName) {
+  const available = getAvailableClientIds();
+  const candidates = available.length > 0 ? available : getHealthyClientIds();
+  if (candidates.length === 0) return null;
+  
+  let hash = 0;
+  for (const char of String(trackerName).toLowerCase()) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return candidates[hash % candidates.length];
+}
+
+/**
+ * Get the client a tracker should be monitored with
  * @param {string} trackerName - Name of the tracker
  * @returns {TelegramClient} - Telegram client to use
  */
 function getClientForTracker(trackerName) {
-    if (clients.size === 0) {
-      throw new Error('No forwarder clients available');
-    }
-    
-    // Always try to use forwarder1 as priority
-    if (clients.has('forwarder1')) {
-      return clients.get('forwarder1');
+  if (clients.size === 0) {
+    throw new Error('No forwarder clients available');
+  }
+  
+  const clientId = getClientIdForTracker(trackerName);
+  if (!clientId) {
+    throw new Error('No healthy forwarder clients available');
+  }
+  
+  return clients.get(clientId);
+}
+
+/**
+ * Check that a client still answers requests
+ * @param {string} clientId - Client ID
+ * @returns {Promise<boolean>} - True if the client is healthy
+ */
+async function checkClientHealth(clientId) {
+  const client = clients.get(clientId);
+  if (!client) return false;
+  
+  try {
+    await rateLimiter.callClient(clientId, 'getMe', () => withTimeout(client.getMe(), HEALTH_CHECK_TIMEOUT, 'getMe'), { retry: false });
+    markClientHealthy(clientId);
+    logger.debug(`[${clientId}] Forwarder is operational`);
+    return true;
+  } catch (error) {
+    // A flood wait means Telegram answered: the account is throttled, not disconnected
+    if (error.floodWait) {
+      markClientHealthy(clientId);
+      return true;
     }
-    
-    // If forwarder1 is not available, use forwarder2
-    if (clients.has('forwarder2')) {
-      return clients.get('forwarder2');
+    markClientDown(clientId, error);
+    return false;
+  }
+}
+
+/**
+ * Reconnect a client that is down, using its saved session
+ * Interactive login is not possible here: a client whose session was revoked stays down
+ * @param {string} clientId - Client ID
+ * @returns {Promise<boolean>} - True if the client is back online
+ */
+async function reconnectClient(clientId) {
+  const client = clients.get(clientId);
+  if (!client) return false;
+  
+  logger.info(`[${clientId}] Reconnecting forwarder (attempt ${clientHealth.get(clientId).reconnectAttempts + 1})...`);
+  
+  try {
+    if (client.connected) {
+      await withTimeout(client.disconnect(), HEALTH_CHECK_TIMEOUT, 'disconnect');
     }
-    
-    // If none of the specific forwarders are available,
-    // take the first available one (fallback case)
-    return clients.values().next().value;
+    await withTimeout(client.connect(), HEALTH_CHECK_TIMEOUT, 'connect');
+  } catch (error) {
+    markClientDown(clientId, error);
+    return false;
   }
+  
+  return checkClientHealth(clientId);
+}
 
 /**
  * Disconnect all clients
  */
 async function disconnectAllClients() {
+  stopHealthChecks();
+  
   for (const [id, client] of clients.entries()) {
     try {
       await client.disconnect();
@@ -138,54 +326,92 @@ async function disconnectAllClients() {
     }
   }
   clients.clear();
+  clientHealth.clear();
+  rateLimiter.resetRateLimits();
 }
 
+/**
+ * Check every client: healthy clients are pinged once per check period, clients
+ * that are down are reconnected once their backoff delay has passed
+ * @returns {Promise<void>}
+ */
 async function checkForwarderHealth() {
+  // A slow check can outlast a tick, never run two at once
+  if (healthCheckRunning) return;
+  healthCheckRunning = true;
+  
+  try {
+    await runHealthChecks();
+  } finally {
+    healthCheckRunning = false;
+  }
+}
+
+/**
+ * Check or reconnect each client once
+ * @returns {Promise<void>}
+ */
+async function runHealthChecks() {
+  for (const clientId of Array.from(clients.keys())) {
     try {
-      // Check forwarder1 first
-      if (clients.has('forwarder1')) {
-        try {
-          // Perform a simple operation like getMe() to check if the client is operational
-          await clients.get('forwarder1').getMe();
-          logger.debug('forwarder1 is operational');
-        } catch (error) {
-          logger.warn(`forwarder1 appears to be down: ${error.message}`);
-          
-          // You could try to reconnect forwarder1 here
-          // or simply remove it from the map of available clients
-          clients.delete('forwarder1');
-        }
-      }
+      const health = clientHealth.get(clientId);
       
-      // If forwarder1 is not available, check forwarder2
-      if (!clients.has('forwarder1') && clients.has('forwarder2')) {
-        try {
-          await clients.get('forwarder2').getMe();
-          logger.debug('forwarder2 is operational and will be used as primary');
-        } catch (error) {
-          logger.error(`forwarder2 also appears to be down: ${error.message}`);
-          clients.delete('forwarder2');
+      if (health && !health.healthy) {
+        if (health.nextReconnectAt && health.nextReconnectAt <= new Date()) {
+          await reconnectClient(clientId);
         }
-      }
-      
-      // If no forwarder is available, you could try to reconnect them
-      if (clients.size === 0) {
-        logger.error('All forwarders are down, attempting to reconnect...');
-        await connectAllClients();
+      } else if (!health || Date.now() - health.lastCheck.getTime() >= HEALTH_CHECK_INTERVAL) {
+        await checkClientHealth(clientId);
       }
     } catch (error) {
-      logger.error(`Error checking forwarder health: ${error.message}`);
+      logger.error(`Error checking forwarder ${clientId} health: ${error.message}`);
     }
   }
+}
+
+/**
+ * Start the periodic health checks
+ */
+function startHealthChecks() {
+  if (healthCheckInterval) return;
   
-// Call this function periodically
-setInterval(checkForwarderHealth, 5 * 60 * 1000);
+  // Ticks are shorter than the check period so reconnection backoff delays are honoured
+  healthCheckInterval = setInterval(checkForwarderHealth, HEALTH_CHECK_TICK);
+  logger.info('Forwarder health checks started');
+}
+
+/**
+ * Stop the periodic health checks
+ */
+function stopHealthChecks() {
+  if (healthCheckInterval) {
+    clearInterval(healthCheckInterval);
+    healthCheckInterval = null;
+  }
+}
+
+/**
+ * Get the health of every client
+ * @returns {Object<string, Object>} - Health by client ID
+ */
+function getClientHealth() {
+  return Object.fromEntries(clientHealth.entries());
+}
 
 module.exports = {
   initClient,
   connectClient,
   connectAllClients,
   getClientForTracker,
+  getClientIdForTracker,
+  getHealthyClientIds,
+  getAvailableClientIds,
+  isClientHealthy,
+  checkForwarderHealth,
+  startHealthChecks,
+  stopHealthChecks,
+  onClientStatusChange,
+  getClientHealth,
   disconnectAllClients,
   getAllClients: () => clients
-};
\ No newline at end of file
+};
@@ -1,16 +1,24 @@
 // src/forwarder/index.js
 require('dotenv').config();
 const logger = require('../utils/logger');
+const config = require('../config/config');
 const db = require('../db');
-const { connectAllClients, disconnectAllClients } = require('./clientPool');
+const { connectAllClients, disconnectAllClients, startHealthChecks } = require('./clientPool');
 const { setupMessageHandler } = require('./messageHandler');
 const { updateMonitoredTrackers } = require('./utils');
+const { backfillAllClients } = require('./backfill');
 const shutdownManager = require('../utils/shutdownManager');
 
 /**
  * Initialize and start the forwarder
+ * With REPLAY_FILE set, captured tracker messages are replayed instead of
+ * connecting the Telegram accounts
  */
 async function startForwarder() {
+  if (config.replay.file) {
+    return startReplay();
+  }
+  
   try {
     // Initialize and connect all Telegram clients
     await connectAllClients();
@@ -18,12 +26,18 @@ async function startForwarder() {
     // Set up the global message handler
     setupMessageHandler();
     
+    // Ping the clients, reconnect the ones that drop and move their trackers to a healthy one
+    startHealthChecks();
+    
     // Connect to database if not already connected
     await db.connectToDatabase();
     
     // Start monitoring all active trackers
     await updateMonitoredTrackers();
     
+    // Catch up on tracker messages posted while the forwarder was stopped, in the background
+    backfillAllClients();
+    
     // Periodically check for new trackers to monitor
     const updateInterval = setInterval(updateMonitoredTrackers, 60000); // Check every minute
     
@@ -47,6 +61,33 @@ async function startForwarder() {
   }
 }
 
+/**
+ * Start the replay source in place of the Telegram clients
+ */
+async function startReplay() {
+  const { replayFile } = require('./replay');
+  const queueManager = require('../services/queueService');
+  let stopped = false;
+  
+  await db.connectToDatabase();
+  
+  // Replays must not spam real groups unless explicitly asked to
+  queueManager.setDryRun(!config.replay.sendAlerts);
+  
+  replayFile(config.replay.file, {
+    speed: config.replay.speed,
+    isStopped: () => stopped
+  }).catch(error => logger.error(`Replay failed: ${error.message}`));
+  
+  logger.info('Forwarder is now running in replay mode.');
+  
+  return {
+    stop: async () => {
+      stopped = true;
+    }
+  };
+}
+
 /**
  * Stop the forwarder gracefully
  */
@@ -55,6 +96,7 @@ async function stopForwarder() {
   
   // Clear all trackers
   require('./utils').monitoredTrackers.clear();
+  require('./messageDeduplicator').clearClaims();
   
   // Disconnect from Telegram
   await disconnectAllClients();
@@ -0,0 +1,78 @@
+// src/forwarder/messageDeduplicator.js
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const logger = require('../utils/logger');
+
+// Message keys already handled by a client of the pool, with the ID of that client
+const seenMessages = new NodeCache({
+  stdTTL: 60 * 60, // Forwarders get the same post within seconds, an hour also covers reconnections
+  checkperiod: 300,
+  useClones: false
+});
+
+/**
+ * Check if a message was posted in a channel or supergroup
+ * Only there do all accounts see the same message ID
+ * @param {Object} message - gramjs message
+ * @returns {boolean} - True for channel and supergroup messages
+ */
+function isChannelMessage(message) {
+  return !!message.peerId && message.peerId.className === 'PeerChannel';
+}
+
+/**
+ * Build the key identifying a tracker post for every client of the pool
+ * Channels and supergroups share message IDs between accounts, so (chat id, message id)
+ * is used. Basic groups and private chats number messages per account: the same post
+ * gets a different ID for each client, so it is identified by its sender, date and text.
+ * @param {Object} message - gramjs message
+ * @returns {string} - Message key
+ */
+function buildMessageKey(message) {
+  const chatId = message.chatId ? message.chatId.toString() : 'unknown';
+
+  if (isChannelMessage(message)) {
+    return `${chatId}:${message.id}`;
+  }
+
+  const fingerprint = crypto.createHash('sha1')
+    .update(`${message.senderId}|${message.date}|${message.text}`)
+    .digest('hex');
+  return `${chatId}:${fingerprint}`;
+}
+
+/**
+ * Claim a message for a client, so the other clients of the pool skip it
+ * The check and the claim happen without awaiting, so two clients cannot both claim a message
+ * @param {string} clientId - Client that received the message
+ * @param {Object} message - gramjs message
+ * @param {string} kind - 'new' for new messages, 'edit' for edits (each edit is claimed separately)
+ * @returns {boolean} - True if the client should process the message
+ */
+function claimMessage(clientId, message, kind = 'new') {
+  const editSuffix = kind === 'edit' ? `:${message.editDate || 0}` : '';
+  const key = `${kind}:${buildMessageKey(message)}${editSuffix}`;
+
+  const owner = seenMessages.get(key);
+  if (owner !== undefined) {
+    logger.debug(`[${clientId}] Skipping message ${message.id}, already handled by ${owner}`);
+    return false;
+  }
+
+  seenMessages.set(key, clientId);
+  return true;
+}
+
+/**
+ * Forget every claimed message
+ */
+function clearClaims() {
+  seenMessages.flushAll();
+}
+
+module.exports = {
+  isChannelMessage,
+  buildMessageKey,
+  claimMessage,
+  clearClaims
+};
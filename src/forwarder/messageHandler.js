@@ -1,9 +1,79 @@
 // src/forwarder/messageHandler.js
+const { utils } = require('telegram');
 const { NewMessage } = require('telegram/events');
+const { EditedMessage } = require('telegram/events/EditedMessage');
+const { DeletedMessage } = require('telegram/events/DeletedMessage');
 const logger = require('../utils/logger');
-const { getAllClients } = require('./clientPool');
+const checkpointService = require('../db/services/checkpointService');
+const { getAllClients, isClientHealthy } = require('./clientPool');
 const { monitoredTrackers } = require('./utils');
-const { processMessage } = require('./processors');
+const { claimMessage, isChannelMessage } = require('./messageDeduplicator');
+const { processMessage, processEditedMessage, processDeletedMessages } = require('./processors');
+
+/**
+ * Find the monitored tracker that sent a message
+ * @param {Object} message - gramjs message
+ * @returns {string|null} - Tracker name or null if the sender is not monitored
+ */
+function findMonitoredTracker(message) {
+  // Try different ways to get sender information
+  const senderId = message.senderId || (message.sender ? message.sender.id : null);
+  const senderUsername = message.sender ? message.sender.username : null;
+  
+  logger.debug(`Checking if message from ${senderId} matches tracked sources`);
+  logger.debug(`Current monitored trackers: ${Array.from(monitoredTrackers.keys()).join(', ')}`);
+  
+  for (const [trackerName, tracker] of monitoredTrackers.entries()) {
+    logger.debug(`Comparing ${senderId} with tracker ${trackerName} (ID: ${tracker.entity.id})`);
+    // Compare ID or username
+    if (tracker.entity.id === senderId || 
+        tracker.entity.username === senderUsername ||
+        (tracker.entity.username && senderUsername && 
+         tracker.entity.username.toLowerCase() === senderUsername.toLowerCase()) ||
+        String(tracker.entity.id) === String(senderId)) {
+      return trackerName;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Check if a client handles the messages of a tracker
+ * Every forwarder in the tracker's chat receives its posts, only the client the tracker is
+ * assigned to processes them. Another client stands in while that one is down, until
+ * reassignOrphanedTrackers moves the tracker.
+ * @param {string} trackerName - Monitored tracker
+ * @param {string} clientId - Client that received the message
+ * @returns {boolean} - True if the client should process the message
+ */
+function isHandledBy(trackerName, clientId) {
+  const tracker = monitoredTrackers.get(trackerName);
+  if (!tracker || !tracker.clientId || tracker.clientId === clientId) return true;
+  
+  return !isClientHealthy(tracker.clientId);
+}
+
+/**
+ * Build the message passed to the processors
+ * @param {string} clientId - Forwarder client that received the message
+ * @param {Object} message - gramjs message
+ * @returns {Object} - Message text, entities and Telegram source
+ */
+function buildTrackerMessage(clientId, message) {
+  return {
+    // Preserve the original message entities
+    text: message.text,
+    entities: message.entities || [],
+    // Where the message comes from, so later edits and deletions can be matched
+    source: {
+      clientId,
+      chatId: message.chatId ? message.chatId.toString() : null,
+      messageId: message.id,
+      date: message.date
+    }
+  };
+}
 
 /**
  * Set up the global message handler
@@ -27,83 +97,84 @@ function setupMessageHandler() {
         // Don't process messages from the bot itself or empty messages
         if (message.out || !message.text) return;
         
-        // Preserve the original message entities
-        const messageWithEntities = {
-          text: message.text,
-          entities: message.entities || []
-        };
-        
-        // Try different ways to get sender information
-        const senderId = message.senderId || (message.sender ? message.sender.id : null);
-        const senderUsername = message.sender ? message.sender.username : null;
-        
         // Log details about the received message
-        logger.debug(`[${clientId}] Received message. Sender ID: ${senderId}, Username: ${senderUsername}`);
+        logger.debug(`[${clientId}] Received message ${message.id} in chat ${message.chatId}`);
         logger.debug(`[${clientId}] Message content: ${message.text.substring(0, 100)}...`);
-
-        logger.debug(`Checking if message from ${senderId} matches tracked sources`);
-        logger.debug(`Current monitored trackers: ${Array.from(monitoredTrackers.keys()).join(', ')}`);
-
         
         // Check if this message is from a monitored tracker
-        for (const [trackerName, tracker] of monitoredTrackers.entries()) {
-          logger.debug(`Comparing ${senderId} with tracker ${trackerName} (ID: ${tracker.entity.id})`);
-          // Compare ID or username
-          if (tracker.entity.id === senderId || 
-              tracker.entity.username === senderUsername ||
-              (tracker.entity.username && senderUsername && 
-               tracker.entity.username.toLowerCase() === senderUsername.toLowerCase()) ||
-              String(tracker.entity.id) === String(senderId)) {
-            
+        const trackerName = findMonitoredTracker(message);
+        if (trackerName) {
+          const trackerMessage = buildTrackerMessage(clientId, message);
+          
+          // The tracker's client processes the post, the claim keeps a stand-in from processing it twice
+          if (isHandledBy(trackerName, clientId) && claimMessage(clientId, message)) {
             logger.info(`[${clientId}] Matched message from tracked source: ${trackerName}`);
             // Pass the message with entities instead of just the text
-            await processMessage(trackerName, messageWithEntities);
-            break;
+            await processMessage(trackerName, trackerMessage);
           }
+          
+          // Each client keeps its own checkpoint, so a restart only catches up on missed posts
+          await checkpointService.recordMessage(trackerName, trackerMessage.source);
         }
       } catch (error) {
         logger.error(`[${clientId}] Error in message handler: ${error.message}`, error);
       }
     }, new NewMessage({}));
     
-    logger.info(`[${clientId}] Message handler set up`);
-  }
-  
-  logger.info('All message handlers set up');
-}
-
-async function processMessageWithFailover(trackerName, messageWithEntities) {
-  try {
-    // First, try with the primary forwarder (forwarder1)
-    let client = getClientForTracker(trackerName);
-    
-    try {
-      // Attempt to process with the selected client
-      await processMessage(trackerName, messageWithEntities);
-      return true;
-    } catch (error) {
-      logger.error(`Error with primary forwarder: ${error.message}`);
-      
-      // If forwarder1 fails, try with forwarder2
-      if (clients.has('forwarder2') && client !== clients.get('forwarder2')) {
-        try {
-          client = clients.get('forwarder2');
-          await processMessage(trackerName, messageWithEntities);
-          return true;
-        } catch (backupError) {
-          logger.error(`Error with backup forwarder: ${backupError.message}`);
+    // Trackers edit their messages to fix amounts or market caps
+    client.addEventHandler(async (event) => {
+      try {
+        const message = event.message;
+        if (message.out || !message.text) return;
+        
+        const trackerName = findMonitoredTracker(message);
+        if (!trackerName) return;
+        
+        const trackerMessage = buildTrackerMessage(clientId, message);
+        
+        // In channels every account sees the same message ID, the tracker's client handles the edit
+        if (isChannelMessage(message)) {
+          if (!isHandledBy(trackerName, clientId) || !claimMessage(clientId, message, 'edit')) return;
+          
+          logger.info(`[${clientId}] Edited message ${message.id} from tracked source: ${trackerName}`);
+          await processEditedMessage(trackerName, trackerMessage, { matchChat: true, reprocess: true });
+          return;
         }
+        
+        // Elsewhere IDs are numbered per account: each client retracts the transactions it stored
+        // itself, and only the tracker's client parses the new version
+        const reprocess = isHandledBy(trackerName, clientId) && claimMessage(clientId, message, 'edit');
+        logger.info(`[${clientId}] Edited message ${message.id} from tracked source: ${trackerName}`);
+        await processEditedMessage(trackerName, trackerMessage, { matchChat: false, reprocess });
+      } catch (error) {
+        logger.error(`[${clientId}] Error in edited message handler: ${error.message}`, error);
       }
-    }
+    }, new EditedMessage({}));
+    
+    // Deletions only name the chat in channels; elsewhere message ids are unique per account
+    client.addEventHandler(async (event) => {
+      try {
+        if (!event.deletedIds || event.deletedIds.length === 0) return;
+        
+        await processDeletedMessages({
+          clientId,
+          chatId: event.peer ? utils.getPeerId(event.peer) : null,
+          messageIds: event.deletedIds
+        });
+      } catch (error) {
+        logger.error(`[${clientId}] Error in deleted message handler: ${error.message}`, error);
+      }
+    }, new DeletedMessage({}));
     
-    return false;
-  } catch (error) {
-    logger.error(`Failed to process message with failover: ${error.message}`);
-    return false;
+    logger.info(`[${clientId}] Message handler set up`);
   }
+  
+  logger.info('All message handlers set up');
 }
 
 module.exports = {
   setupMessageHandler,
-  processMessageWithFailover
+  findMonitoredTracker,
+  isHandledBy,
+  buildTrackerMessage
 };
\ No newline at end of file
@@ -2,16 +2,75 @@ const axios = require('axios');
 const logger = require('../utils/logger');
 const config = require('../config/config');
 const parserService = require('../services/parserService');
+const parserQuarantineService = require('../services/parserQuarantineService');
 const confluenceService = require('../services/confluenceService');
 const telegramService = require('../services/telegramService');
 const queueManager = require('../services/queueService');
 const userWalletService = require('../db/services/userWalletService');
 const db = require('../db');
+const Transaction = require('../models/transaction');
+
+/**
+ * Get the key of the parser configuration of a group
+ * @param {Object} group - Group entry from getGroupsForTracker
+ * @returns {string} - Key shared by the groups that parse messages the same way
+ */
+function getParseKey(group) {
+  const trackerType = group.trackerType || 'cielo';
+  return group.parserTemplate ? `${trackerType}:${JSON.stringify(group.parserTemplate)}` : trackerType;
+}
+
+/**
+ * Parse a tracker message with the parser configuration of a group
+ * @param {string} trackerName - Name of the tracker
+ * @param {Object} message - Message with text, entities and source
+ * @param {Object} group - Group entry from getGroupsForTracker
+ * @returns {{trackerType: string, transactions: Array<Object>, failure: Object|null}} - Transactions and parse failure
+ */
+function parseForGroup(trackerName, message, group) {
+  const trackerType = group.trackerType || 'cielo';
+  const outcome = parserService.parseWithDiagnostics(message, trackerType, {
+    template: group.parserTemplate
+  });
+  
+  // Known non-trade posts are not failures, only the others are kept for review
+  const failure = outcome.reason && outcome.reason !== parserService.REASONS.IRRELEVANT
+    ? { trackerType, parserType: outcome.parserType, reason: outcome.reason, error: outcome.error }
+    : null;
+  
+  // A message can hold several swaps (route hops, multi-wallet digests) or wallet events
+  const transactions = outcome.transactions.filter(tx => Transaction.TYPES.includes(tx.type));
+  
+  if (transactions.length === 0) {
+    logger.debug(`Message ignored - not a valid transaction for tracker type ${trackerType}`);
+    return { trackerType, transactions, failure };
+  }
+  
+  for (const transaction of transactions) {
+    // Remember the tracker message so edits and deletions can find this transaction
+    if (message.source) {
+      transaction.sourceClientId = message.source.clientId;
+      transaction.sourceChatId = message.source.chatId;
+      transaction.sourceMessageId = message.source.messageId;
+      
+      // An edit replaces a transaction and a backfilled message arrives late,
+      // both keep the time of the original message
+      if ((message.source.edited || message.source.backfill) && message.source.date) {
+        transaction.timestamp = new Date(message.source.date * 1000);
+      }
+    }
+    
+    logger.info(`Extracted transaction from ${trackerType} tracker ${trackerName}: ${transaction.type.toUpperCase()} ${transaction.amount} ${transaction.coin}`);
+  }
+  
+  return { trackerType, transactions, failure };
+}
 
 /**
  * Process a message from a tracker
  * @param {string} trackerName - Name of the tracker
- * @param {string} message - Message content
+ * @param {string|Object} message - Message content, or object with text, entities and source
+ * @param {Object} message.source - Telegram origin of the message ({clientId, chatId, messageId, date, edited, backfill})
  */
 async function processMessage(trackerName, message) {
   try {
@@ -24,95 +83,186 @@ async function processMessage(trackerName, message) {
       return;
     }
         
-    // 2. Check for confluence message format (messages that start with 🟢 or 🔴 followed by "CONFLUENCE")
-    if (messageText.match(/^[🟢🔴]\s+CONFLUENCE/)) {
+    // 2. Check for the bot's own alerts, in every state
+    if (telegramService.isOwnAlert(messageText)) {
       logger.debug(`Ignoring confluence message`);
       return;
     }
 
-    // Get all groups that need this message
-    const groups = await db.getGroupsForTracker(trackerName);
+    // Get the groups that follow this tracker in the chat the message was posted in
+    const chatId = message.source ? message.source.chatId : null;
+    const groups = await db.getGroupsForTracker(trackerName, chatId);
     
     if (groups.length === 0) {
-      logger.debug(`No groups registered for tracker: ${trackerName}`);
+      logger.debug(`No groups registered for tracker ${trackerName} in chat ${chatId}`);
       return;
     }
     
     logger.info(`Processing message from ${trackerName} for ${groups.length} groups`);
     
+    // Keep the time of the last post per group, so silent trackers can be reported
+    const postedAt = message.source && message.source.date ? new Date(message.source.date * 1000) : new Date();
+    await db.trackerService.recordMessage(trackerName, groups.map(group => group.id), postedAt);
+    
     // Log entity data for debugging - since entities appear to be undefined
     if (message.entities) {
       logger.debug(`Message entity types: ${JSON.stringify(message.entities)}`);
     }
     
-    // Process for each group
-     // Process for each group
-     for (const group of groups) {
+    // Groups sharing a parser configuration get the same result, parse once per configuration
+    const outcomes = new Map();
+    for (const group of groups) {
+      const parseKey = getParseKey(group);
+      if (!outcomes.has(parseKey)) {
+        outcomes.set(parseKey, parseForGroup(trackerName, message, group));
+      }
+    }
+    
+    // Fan the transactions out to the group queues
+    for (const group of groups) {
       try {
-        // Parse the message using the appropriate parser
-        const trackerType = group.trackerType || 'cielo';
-        const transaction = parserService.parseTrackerMessage(message, trackerType);
-        
-        // If it's not a buy or sell transaction, ignore
-        if (!transaction || (transaction.type !== 'buy' && transaction.type !== 'sell')) {
-          logger.debug(`Message ignored - not a valid transaction for tracker type ${trackerType}`);
-          continue;
-        }
+        const { trackerType, transactions } = outcomes.get(getParseKey(group));
         
-        // NEW CODE: Register the wallet for the user who set up this tracker
-        try {
-          // Get the setup information for this tracker in this group
-          const trackerWithSetupInfo = await db.trackerService.findByNameAndGroup(trackerName, group.id);
+        for (const transaction of transactions) {
+          // Register the wallet for the user who set up this tracker
+          try {
+            if (group.setupUserId && group.setupUsername) {
+              await userWalletService.addOrUpdateWallet(
+                group.setupUserId,
+                group.setupUsername,
+                transaction.walletAddress,  
+                transaction.walletName,    
+                trackerType,
+                group.id
+              );
+            }
+          } catch (walletError) {
+            logger.error(`Error registering wallet: ${walletError.message}`);
+            // Continue processing even if wallet registration fails
+          }
           
-          if (trackerWithSetupInfo && trackerWithSetupInfo.setupUserId && trackerWithSetupInfo.setupUsername) {
-            // Register this wallet for the user who set up the tracker
-            await userWalletService.addOrUpdateWallet(
-              trackerWithSetupInfo.setupUserId,
-              trackerWithSetupInfo.setupUsername,
-              transaction.walletAddress,  
-              transaction.walletName,    
+          // Create an extended transaction with token filtering info for confluence detection
+          const queuedTransaction = {
+            ...transaction,
+            // Add metadata for confluence filtering
+            _meta: {
+              trackerName,
               trackerType,
-              group.id
-            );
-          }
-        } catch (walletError) {
-          logger.error(`Error registering wallet: ${walletError.message}`);
-          // Continue processing even if wallet registration fails
+              currentToken: transaction.coin,
+              currentTokenAddress: transaction.coinAddress,
+              currentChain: transaction.chain,
+              // Caught up after downtime, alerts are only sent if still recent
+              backfill: !!(message.source && message.source.backfill),
+              // Store queue timestamp for analytics
+              queuedAt: Date.now()
+            }
+          };
+          
+          // Add the transaction to the group-specific queue
+          await queueManager.addTransaction(queuedTransaction, group.id);
+          
+          logger.debug(`Queued transaction for group ${group.id}: ${transaction.type} ${transaction.amount} ${transaction.coin}`);
         }
-        
-        // Keep track of the current token to filter confluences
-        const currentToken = transaction.coin;
-        const currentTokenAddress = transaction.coinAddress;
-        
-        logger.info(`Extracted transaction from ${trackerType} tracker: ${transaction.type.toUpperCase()} ${transaction.amount} ${currentToken}`);
-        
-        // Create an extended transaction with token filtering info for confluence detection
-        const queuedTransaction = {
-          ...transaction,
-          // Add metadata for confluence filtering
-          _meta: {
-            trackerName,
-            trackerType,
-            currentToken,
-            currentTokenAddress,
-            // Store queue timestamp for analytics
-            queuedAt: Date.now()
-          }
-        };
-        
-        // Add the transaction to the group-specific queue
-        await queueManager.addTransaction(queuedTransaction, group.id);
-        
-        logger.debug(`Queued transaction for group ${group.id}: ${transaction.type} ${transaction.amount} ${currentToken}`);
       } catch (error) {
         logger.error(`Error processing message for group ${group.id}: ${error.message}`);
       }
     }
+    
+    // Parse failures by tracker type, quarantined once per message
+    const parseFailures = new Map();
+    for (const group of groups) {
+      const { trackerType, failure } = outcomes.get(getParseKey(group));
+      if (!failure) continue;
+      
+      const failureKey = `${trackerType}:${failure.reason}`;
+      if (!parseFailures.has(failureKey)) {
+        parseFailures.set(failureKey, { ...failure, groupIds: [] });
+      }
+      parseFailures.get(failureKey).groupIds.push(group.id);
+    }
+    
+    // Keep unparseable messages for review instead of silently dropping them
+    for (const failure of parseFailures.values()) {
+      await parserQuarantineService.quarantine(trackerName, message, failure);
+    }
   } catch (error) {
     logger.error(`Error in processMessage: ${error.message}`);
   }
 }
 
+/**
+ * Process a tracker message that was edited (amounts or market cap fixed by the tracker)
+ * The transactions parsed from the previous version are retracted and the confluences of
+ * their tokens re-evaluated, then the new version goes through the normal flow
+ * @param {string} trackerName - Name of the tracker
+ * @param {Object} message - Edited message with text, entities and source
+ * @param {Object} options - Edit handling options
+ * @param {boolean} options.matchChat - Match the previous version by chat (channels), else by client
+ * @param {boolean} options.reprocess - Parse the new version; false when another client does it
+ */
+async function processEditedMessage(trackerName, message, { matchChat = true, reprocess = true } = {}) {
+  try {
+    const { clientId, chatId, messageId } = message.source;
+    
+    const affectedTokens = await confluenceService.removeTransactionsBySource({
+      clientId,
+      chatId: matchChat ? chatId : null,
+      messageIds: [messageId]
+    });
+    
+    // The new version may name another token or nothing at all, the tokens of the previous
+    // one are re-evaluated without the retracted wallets
+    for (const token of affectedTokens) {
+      await confluenceService.checkTokenConfluence(token.groupId, token);
+    }
+    
+    if (!reprocess) {
+      if (affectedTokens.length > 0) {
+        logger.info(`[${clientId}] Retracted the previous version of message ${messageId} from ${trackerName}, ${affectedTokens.length} token(s) affected`);
+      }
+      return;
+    }
+    
+    logger.info(`Message ${messageId} from ${trackerName} was edited, ${affectedTokens.length} token(s) affected, re-processing it`);
+    
+    await processMessage(trackerName, {
+      ...message,
+      source: { ...message.source, edited: true }
+    });
+  } catch (error) {
+    logger.error(`Error in processEditedMessage: ${error.message}`);
+  }
+}
+
+/**
+ * Process tracker messages that were deleted
+ * The transactions parsed from them are retracted and the confluences of the affected
+ * tokens are re-evaluated, without sending alerts
+ * @param {Object} source - Message source with clientId, chatId (channels only) and messageIds
+ */
+async function processDeletedMessages(source) {
+  try {
+    const affectedTokens = await confluenceService.removeTransactionsBySource(source);
+    
+    if (affectedTokens.length === 0) {
+      logger.debug(`Deleted messages ${source.messageIds.join(', ')} held no stored transaction`);
+      return;
+    }
+    
+    for (const token of affectedTokens) {
+      await confluenceService.checkTokenConfluence(token.groupId, token);
+    }
+    
+    const groupIds = new Set(affectedTokens.map(token => token.groupId));
+    
+    logger.info(`Retracted transactions of deleted messages ${source.messageIds.join(', ')} in ${groupIds.size} group(s)`);
+  } catch (error) {
+    logger.error(`Error in processDeletedMessages: ${error.message}`);
+  }
+}
+
 module.exports = {
-  processMessage
+  processMessage,
+  processEditedMessage,
+  processDeletedMessages
 };
\ No newline at end of file
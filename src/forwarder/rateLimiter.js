@@ -0,0 +1,151 @@
+// src/forwarder/rateLimiter.js
+const logger = require('../utils/logger');
+
+// Minimum time between two API calls of a client
+const MIN_CALL_INTERVAL = 250;
+
+// Flood waits up to this many seconds are slept through once before retrying
+const MAX_RETRY_WAIT = 60;
+
+// End of the current flood wait of each client (ms timestamp)
+const floodWaits = new Map();
+
+// Last call of each client, calls of a client run one after the other
+const callChains = new Map();
+const lastCallAt = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read the wait imposed by a Telegram FLOOD_WAIT error
+ * @param {Error} error - Error thrown by gramjs
+ * @returns {number|null} - Seconds to wait, or null if the error is not a flood wait
+ */
+function getFloodWaitSeconds(error) {
+  if (!error) return null;
+
+  if (typeof error.seconds === 'number' && /FLOOD/.test(error.errorMessage || error.message || '')) {
+    return error.seconds;
+  }
+
+  const match = /FLOOD_WAIT_(\d+)|wait of (\d+) seconds/i.exec(error.message || '');
+  return match ? parseInt(match[1] || match[2], 10) : null;
+}
+
+/**
+ * Check whether a client is waiting out a flood ban
+ * @param {string} clientId - Client ID
+ * @returns {boolean} - True if calls with this client would be refused
+ */
+function isThrottled(clientId) {
+  const until = floodWaits.get(clientId);
+  if (!until) return false;
+
+  if (until <= Date.now()) {
+    floodWaits.delete(clientId);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Get the end of the flood wait of every throttled client
+ * @returns {Object<string, Date>} - Flood wait end by client ID
+ */
+function getThrottledClients() {
+  const throttled = {};
+  for (const [clientId, until] of floodWaits.entries()) {
+    if (isThrottled(clientId)) throttled[clientId] = new Date(until);
+  }
+  return throttled;
+}
+
+/**
+ * Build the error returned for a call refused during a flood wait
+ * @param {string} clientId - Client ID
+ * @param {string} label - Call name
+ * @returns {Error} - Error with the remaining wait in seconds
+ */
+function buildFloodWaitError(clientId, label) {
+  const seconds = Math.ceil((floodWaits.get(clientId) - Date.now()) / 1000);
+  const error = new Error(`[${clientId}] ${label} skipped, flood wait of ${seconds} seconds in progress`);
+  error.seconds = seconds;
+  error.floodWait = true;
+  return error;
+}
+
+/**
+ * Run a call once its client is free, keeping calls spaced
+ * @param {string} clientId - Client ID
+ * @param {string} label - Call name for logs
+ * @param {Function} fn - Call to make
+ * @param {boolean} retry - Sleep through a short flood wait and retry once
+ * @returns {Promise<*>} - Result of the call
+ */
+async function execute(clientId, label, fn, retry) {
+  if (isThrottled(clientId)) {
+    throw buildFloodWaitError(clientId, label);
+  }
+
+  const wait = (lastCallAt.get(clientId) || 0) + MIN_CALL_INTERVAL - Date.now();
+  if (wait > 0) {
+    await sleep(wait);
+  }
+
+  try {
+    return await fn();
+  } catch (error) {
+    const seconds = getFloodWaitSeconds(error);
+    if (seconds === null) throw error;
+
+    floodWaits.set(clientId, Date.now() + seconds * 1000);
+    logger.warn(`[${clientId}] Telegram flood wait of ${seconds}s on ${label}`);
+
+    if (!retry || seconds > MAX_RETRY_WAIT) {
+      error.floodWait = true;
+      throw error;
+    }
+
+    await sleep(seconds * 1000);
+    floodWaits.delete(clientId);
+    return await fn();
+  } finally {
+    lastCallAt.set(clientId, Date.now());
+  }
+}
+
+/**
+ * Make a Telegram API call with a client, honouring flood waits
+ * Calls of a client are serialized and spaced. A client in flood wait refuses calls
+ * until the wait is over, so callers can fall back to another client.
+ * @param {string} clientId - Client ID
+ * @param {string} label - Call name for logs
+ * @param {Function} fn - Call to make
+ * @param {Object} options - Options
+ * @param {boolean} options.retry - Sleep through a short flood wait and retry once (default true)
+ * @returns {Promise<*>} - Result of the call
+ */
+function callClient(clientId, label, fn, { retry = true } = {}) {
+  const previous = callChains.get(clientId) || Promise.resolve();
+  const call = previous.then(() => execute(clientId, label, fn, retry));
+
+  callChains.set(clientId, call.catch(() => {}));
+  return call;
+}
+
+/**
+ * Forget the flood waits and call history of every client
+ */
+function resetRateLimits() {
+  floodWaits.clear();
+  callChains.clear();
+  lastCallAt.clear();
+}
+
+module.exports = {
+  getFloodWaitSeconds,
+  isThrottled,
+  getThrottledClients,
+  callClient,
+  resetRateLimits
+};
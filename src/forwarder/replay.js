@@ -0,0 +1,172 @@
+// src/forwarder/replay.js
+const fs = require('fs');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { processMessage } = require('./processors');
+
+// Client ID recorded as the source of replayed messages
+const REPLAY_CLIENT_ID = 'replay';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Read the captured tracker messages of a JSONL file
+ * Each line is one message:
+ *   {"date": 1712750400, "sender": {"id": "123", "username": "CieloTrackerPrivate_bot"},
+ *    "chat": {"id": "-1001234567890"}, "messageId": 42, "text": "...", "entities": [...]}
+ * date may also be an ISO string; trackerName overrides the sender username.
+ * chat is required, groups follow a tracker in the chat it posts in.
+ * @param {string} filePath - Path of the JSONL file
+ * @returns {Array<Object>} - Records sorted by date
+ * @throws {Error} - If a line is not valid JSON
+ */
+function loadRecords(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  const records = [];
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1} of ${filePath}: ${error.message}`);
+    }
+
+    const date = typeof record.date === 'number'
+      ? record.date
+      : Math.floor(new Date(record.date || Date.now()).getTime() / 1000);
+
+    records.push({ ...record, date, line: index + 1 });
+  });
+
+  return records.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Point the MongoDB connection at the database of the replay
+ * Must be called before connecting, replayed messages write transactions, confluences and quarantine entries
+ * @param {Object} options - Replay database options
+ * @param {string|null} options.database - Database to replay into
+ * @param {boolean} options.allowLiveDatabase - Replay into the configured database when no other is given
+ * @throws {Error} - If the replay would write to the configured database without being allowed to
+ */
+function useReplayDatabase({ database = null, allowLiveDatabase = false } = {}) {
+  if (database && database !== config.mongodb.database) {
+    logger.info(`Replay: using MongoDB database ${database} instead of ${config.mongodb.database}`);
+    config.mongodb.database = database;
+    return;
+  }
+
+  if (!allowLiveDatabase) {
+    throw new Error(`Replay would write to the MongoDB database ${config.mongodb.database}, give it another database (REPLAY_DATABASE) or explicitly allow the configured one (REPLAY_LIVE_DATABASE=true)`);
+  }
+
+  logger.warn(`Replay: writing to the configured MongoDB database ${config.mongodb.database}`);
+}
+
+/**
+ * Get the chat ID of a recorded message
+ * @param {Object} record - Recorded message
+ * @returns {string|null} - Chat ID, or null if the record has no chat
+ */
+function getChatId(record) {
+  return record.chat && record.chat.id !== undefined && record.chat.id !== null ? String(record.chat.id) : null;
+}
+
+/**
+ * Get the name of the tracker that sent a recorded message
+ * @param {Object} record - Recorded message
+ * @returns {string|null} - Tracker name, or null if the record has no sender
+ */
+function getTrackerName(record) {
+  const name = record.trackerName || (record.sender && (record.sender.username || record.sender.id));
+  return name ? String(name).replace(/^@/, '') : null;
+}
+
+/**
+ * Build the message passed to the processors for a recorded message
+ * Replayed messages are received "now", like live ones, so confluence windows apply as usual
+ * @param {Object} record - Recorded message
+ * @returns {Object} - Message text, entities and source
+ */
+function buildReplayMessage(record) {
+  return {
+    text: record.text,
+    entities: record.entities || [],
+    source: {
+      clientId: REPLAY_CLIENT_ID,
+      chatId: getChatId(record),
+      messageId: record.messageId || record.line,
+      date: Math.floor(Date.now() / 1000)
+    }
+  };
+}
+
+/**
+ * Feed recorded tracker messages to the processors
+ * @param {Array<Object>} records - Records sorted by date
+ * @param {Object} options - Replay options
+ * @param {number} options.speed - Speed factor over the recorded pace, 0 to replay without waiting
+ * @param {Function} options.isStopped - Returns true to stop the replay early
+ * @returns {Promise<number>} - Number of messages replayed
+ */
+async function replayRecords(records, { speed = 1, isStopped = () => false } = {}) {
+  let replayed = 0;
+
+  for (let i = 0; i < records.length; i++) {
+    if (isStopped()) break;
+
+    const record = records[i];
+
+    if (i > 0 && speed > 0) {
+      const delay = (record.date - records[i - 1].date) * 1000 / speed;
+      if (delay > 0) await sleep(delay);
+    }
+
+    const trackerName = getTrackerName(record);
+    if (!trackerName || !record.text) {
+      logger.warn(`Replay: line ${record.line} has no sender or text, skipped`);
+      continue;
+    }
+
+    // Without a chat the message would reach every group following the tracker
+    if (!getChatId(record)) {
+      logger.warn(`Replay: line ${record.line} has no chat, skipped`);
+      continue;
+    }
+
+    logger.info(`Replay: message ${i + 1}/${records.length} from ${trackerName}`);
+    await processMessage(trackerName, buildReplayMessage(record));
+    replayed++;
+  }
+
+  return replayed;
+}
+
+/**
+ * Replay a JSONL file of captured tracker messages in place of the live forwarder
+ * @param {string} filePath - Path of the JSONL file
+ * @param {Object} options - Replay options (see replayRecords)
+ * @returns {Promise<number>} - Number of messages replayed
+ */
+async function replayFile(filePath, options = {}) {
+  const records = loadRecords(filePath);
+  const speed = options.speed === undefined ? 1 : options.speed;
+
+  logger.info(`Replaying ${records.length} tracker messages from ${filePath} at ${speed > 0 ? `${speed}x speed` : 'full speed'}`);
+
+  const replayed = await replayRecords(records, options);
+  logger.info(`Replay finished: ${replayed} of ${records.length} messages replayed`);
+
+  return replayed;
+}
+
+module.exports = {
+  REPLAY_CLIENT_ID,
+  loadRecords,
+  useReplayDatabase,
+  replayRecords,
+  replayFile
+};
@@ -0,0 +1,160 @@
+// src/forwarder/sessionStore.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Sessions are kept next to the other runtime data
+const DATA_DIR = path.join(__dirname, '../../data');
+
+// Encrypted session files replace the plain text ones named by sessionPath
+const ENCRYPTED_EXTENSION = '.enc';
+const ALGORITHM = 'aes-256-gcm';
+
+// Plain text session of the single account versions, it belongs to the first forwarder
+const SINGLE_CLIENT_SESSION_FILE = 'telegram-session.txt';
+
+const PROVISION_HINT = 'Run `npm run sessions` on a terminal to log the forwarder accounts in.';
+
+/**
+ * Derive the encryption key of a session file
+ * @param {Buffer} salt - Salt stored in the session file
+ * @returns {Buffer} - 32-byte key
+ */
+function deriveKey(salt) {
+  const secret = process.env.SESSION_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error(`SESSION_ENCRYPTION_KEY is not set, forwarder sessions cannot be read or stored. ${PROVISION_HINT}`);
+  }
+  return crypto.scryptSync(secret, salt, 32);
+}
+
+/**
+ * Get the path of the encrypted session file of a forwarder
+ * @param {Object} forwarderConfig - Forwarder configuration
+ * @returns {string} - Session file path
+ */
+function getSessionFilePath(forwarderConfig) {
+  return path.join(DATA_DIR, `${forwarderConfig.sessionPath}${ENCRYPTED_EXTENSION}`);
+}
+
+/**
+ * Get the path of the plain text session file written by older versions
+ * @param {Object} forwarderConfig - Forwarder configuration
+ * @returns {string} - Legacy session file path
+ */
+function getLegacySessionFilePath(forwarderConfig) {
+  return path.join(DATA_DIR, forwarderConfig.sessionPath);
+}
+
+/**
+ * Check whether a forwarder has a stored session
+ * @param {Object} forwarderConfig - Forwarder configuration
+ * @returns {boolean} - True if an encrypted or legacy session file exists
+ */
+function hasSession(forwarderConfig) {
+  return fs.existsSync(getSessionFilePath(forwarderConfig)) ||
+    fs.existsSync(getLegacySessionFilePath(forwarderConfig));
+}
+
+/**
+ * Read the string session of a forwarder
+ * Plain text sessions of older versions are still read, until they are provisioned again
+ * @param {Object} forwarderConfig - Forwarder configuration
+ * @returns {string} - String session
+ * @throws {Error} - If no session is stored or it cannot be decrypted
+ */
+function loadSession(forwarderConfig) {
+  const sessionFilePath = getSessionFilePath(forwarderConfig);
+
+  if (!fs.existsSync(sessionFilePath)) {
+    const legacyFilePath = getLegacySessionFilePath(forwarderConfig);
+    if (fs.existsSync(legacyFilePath)) {
+      return fs.readFileSync(legacyFilePath, 'utf8').trim();
+    }
+    throw new Error(`No session stored for forwarder ${forwarderConfig.id}. ${PROVISION_HINT}`);
+  }
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(sessionFilePath, 'utf8'));
+    const key = deriveKey(Buffer.from(stored.salt, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(stored.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(stored.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    if (error.message.startsWith('SESSION_ENCRYPTION_KEY')) throw error;
+    throw new Error(`Session of forwarder ${forwarderConfig.id} cannot be decrypted (${error.message}), check SESSION_ENCRYPTION_KEY. ${PROVISION_HINT}`);
+  }
+}
+
+/**
+ * Encrypt and store the string session of a forwarder
+ * The plain text session of older versions is removed once the encrypted one is written
+ * @param {Object} forwarderConfig - Forwarder configuration
+ * @param {string} session - String session
+ * @returns {string} - Path of the session file
+ */
+function saveSession(forwarderConfig, session) {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(salt), iv);
+  const data = Buffer.concat([cipher.update(session, 'utf8'), cipher.final()]);
+
+  const sessionFilePath = getSessionFilePath(forwarderConfig);
+  fs.writeFileSync(sessionFilePath, JSON.stringify({
+    version: 1,
+    forwarderId: forwarderConfig.id,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+    savedAt: new Date().toISOString()
+  }), { mode: 0o600 });
+
+  const legacyFilePath = getLegacySessionFilePath(forwarderConfig);
+  if (fs.existsSync(legacyFilePath)) {
+    fs.unlinkSync(legacyFilePath);
+  }
+
+  return sessionFilePath;
+}
+
+/**
+ * Move the session of the single account versions to the encrypted session of the first forwarder
+ * Nothing is migrated if that forwarder already has a session, the old file is then left for review
+ * @param {Object} forwarderConfig - Configuration of the first forwarder
+ * @returns {string|null} - Path of the encrypted session file, or null if nothing was migrated
+ */
+function migrateSingleClientSession(forwarderConfig) {
+  const singleClientFilePath = path.join(DATA_DIR, SINGLE_CLIENT_SESSION_FILE);
+
+  if (!fs.existsSync(singleClientFilePath) || hasSession(forwarderConfig)) {
+    return null;
+  }
+
+  const session = fs.readFileSync(singleClientFilePath, 'utf8').trim();
+  if (!session) {
+    return null;
+  }
+
+  const sessionFilePath = saveSession(forwarderConfig, session);
+  fs.unlinkSync(singleClientFilePath);
+
+  return sessionFilePath;
+}
+
+module.exports = {
+  PROVISION_HINT,
+  SINGLE_CLIENT_SESSION_FILE,
+  hasSession,
+  loadSession,
+  saveSession,
+  migrateSingleClientSession
+};
@@ -1,11 +1,22 @@
 // src/forwarder/utils.js
+const { utils: telegramUtils } = require('telegram');
 const logger = require('../utils/logger');
 const db = require('../db');
-const { getClientForTracker } = require('./clientPool');
+const { getAllClients, getClientIdForTracker, getAvailableClientIds, isClientHealthy, onClientStatusChange } = require('./clientPool');
+const { callClient } = require('./rateLimiter');
 
 // Keep track of monitored trackers with their associated clients
 const monitoredTrackers = new Map();
 
+// Trackers whose entity could not be found, with the time of the next attempt
+const failedResolutions = new Map();
+
+// Delay before resolving a tracker that could not be found again
+const RESOLUTION_RETRY_DELAY = 15 * 60 * 1000;
+
+// Age after which the entity of a monitored tracker is resolved again, to follow username changes
+const ENTITY_REFRESH_INTERVAL = 24 * 60 * 60 * 1000;
+
 /**
  * Start monitoring a tracker
  * @param {string} trackerName - Name of the tracker to monitor
@@ -30,70 +41,205 @@ async function startMonitoringTracker(trackerName) {
     logger.info(`Starting to monitor tracker: ${trackerName}`);
     
     // Get the client to use for this tracker
-    const client = getClientForTracker(trackerName);
+    const clientId = getClientIdForTracker(trackerName);
     
-    if (!client) {
+    if (!clientId) {
       logger.error(`No client available for tracker: ${trackerName}`);
       return false;
     }
     
-    // Get the entity for this tracker
-    logger.debug(`Trying to get entity for tracker: ${trackerName}`);
+    const entity = await resolveTrackerEntity(trackerName);
+    if (!entity) {
+      return false;
+    }
+    
+    // Store the tracker info
+    monitoredTrackers.set(trackerName, {
+      entity,
+      startTime: new Date(),
+      resolvedAt: entity.resolvedAt ? new Date(entity.resolvedAt) : new Date(),
+      clientId
+    });
+    
+    logger.info(`Successfully monitoring tracker: ${trackerName} with ${clientId}`);
+    return true;
+  } catch (error) {
+    logger.error(`Error starting to monitor tracker ${trackerName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Look up the Telegram entity of a tracker
+ * Entities are cached in the database, as user and channel IDs are the same for
+ * every account. Otherwise the username is resolved with the first client that is
+ * not waiting out a flood ban.
+ * @param {string} trackerName - Name of the tracker
+ * @returns {Promise<Object|null>} - Tracker entity ({id, username}) or null if not found
+ */
+async function resolveTrackerEntity(trackerName) {
+  const cached = await db.telegramEntityService.findByName(trackerName);
+  if (cached) {
+    logger.debug(`Entity of tracker ${trackerName} found in cache with ID: ${cached.id}`);
+    return cached;
+  }
+  
+  const retryAt = failedResolutions.get(trackerName);
+  if (retryAt && retryAt > Date.now()) {
+    logger.debug(`Tracker ${trackerName} was not found recently, next attempt at ${new Date(retryAt).toISOString()}`);
+    return null;
+  }
+  
+  const { entity } = await lookupTrackerEntity(trackerName);
+  return entity;
+}
+
+/**
+ * Resolve the username of a tracker with the first client that is not waiting out a flood ban
+ * A tracker that is not found any more loses its cached entity
+ * @param {string} trackerName - Name of the tracker
+ * @returns {Promise<{entity: Object|null, notFound: boolean}>} - Entity, or whether Telegram said it does not exist
+ */
+async function lookupTrackerEntity(trackerName) {
+  let notFound = false;
+  
+  for (const clientId of getAvailableClientIds()) {
+    const client = getAllClients().get(clientId);
+    logger.debug(`[${clientId}] Trying to get entity for tracker: ${trackerName}`);
     
     try {
-      const entity = await client.getEntity(trackerName);
+      let entity;
+      try {
+        entity = await callClient(clientId, 'getEntity', () => client.getEntity(trackerName));
+      } catch (entityError) {
+        if (entityError.floodWait) throw entityError;
+        
+        // Try with username format if failed
+        logger.debug(`Trying with username format for: ${trackerName}`);
+        entity = await callClient(clientId, 'getEntity', () => client.getEntity(`@${trackerName}`));
+      }
       
       if (!entity) {
-        logger.error(`Could not find entity for tracker: ${trackerName}`);
-        return false;
+        notFound = true;
+        break;
       }
       
       logger.debug(`Entity found for tracker ${trackerName} with ID: ${entity.id}`);
+      failedResolutions.delete(trackerName);
+      await db.telegramEntityService.saveEntity(trackerName, entity);
+      return { entity, notFound: false };
+    } catch (error) {
+      // Another client can resolve the tracker while this one is throttled
+      if (error.floodWait) continue;
       
-      // Store the tracker info
-      monitoredTrackers.set(trackerName, {
-        entity,
-        startTime: new Date(),
-        clientId: Array.from(require('./clientPool').getAllClients().entries())
-                      .find(([id, c]) => c === client)?.[0] || 'unknown'
-      });
+      logger.error(`Could not find entity for tracker ${trackerName}: ${error.message}`);
+      notFound = true;
+      break;
+    }
+  }
+  
+  // Every client is throttled, nothing was learned about the tracker
+  if (!notFound) {
+    logger.warn(`No available forwarder to resolve tracker ${trackerName}`);
+    return { entity: null, notFound: false };
+  }
+  
+  logger.warn(`Tracker ${trackerName} could not be resolved, retrying in ${RESOLUTION_RETRY_DELAY / 60000} minutes`);
+  failedResolutions.set(trackerName, Date.now() + RESOLUTION_RETRY_DELAY);
+  await db.telegramEntityService.deleteByName(trackerName);
+  return { entity: null, notFound: true };
+}
+
+/**
+ * Resolve again the entities of the monitored trackers resolved more than a day ago
+ * A tracker whose username no longer resolves stops being monitored until it resolves again;
+ * when every client is throttled the current entity is kept for the next attempt.
+ * @returns {Promise<number>} - Number of entities refreshed
+ */
+async function refreshTrackerEntities() {
+  let refreshed = 0;
+  
+  for (const [trackerName, tracker] of monitoredTrackers.entries()) {
+    if (Date.now() - new Date(tracker.resolvedAt).getTime() < ENTITY_REFRESH_INTERVAL) continue;
+    
+    const { entity, notFound } = await lookupTrackerEntity(trackerName);
+    
+    if (entity) {
+      monitoredTrackers.set(trackerName, { ...tracker, entity, resolvedAt: new Date() });
+      refreshed++;
+    } else if (notFound) {
+      logger.warn(`Tracker ${trackerName} no longer resolves, it is not monitored until it does`);
+      monitoredTrackers.delete(trackerName);
+    }
+  }
+  
+  return refreshed;
+}
+
+/**
+ * Resolve a chat reference to the chat ID found in tracker messages
+ * @param {string} reference - Marked chat ID (e.g. -1001234567890), @username or t.me link
+ * @returns {Promise<string|null>} - Marked chat ID or null if the chat could not be resolved
+ */
+async function resolveChatId(reference) {
+  if (/^-?\d+$/.test(reference)) {
+    return reference;
+  }
+  
+  const username = reference.replace(/^(?:https?:\/\/)?t\.me\//, '').replace(/^@/, '');
+  
+  for (const clientId of getAvailableClientIds()) {
+    try {
+      const client = getAllClients().get(clientId);
+      const entity = await callClient(clientId, 'getEntity', () => client.getEntity(username));
+      return telegramUtils.getPeerId(entity).toString();
+    } catch (error) {
+      if (error.floodWait) continue;
       
-      logger.info(`Successfully monitoring tracker: ${trackerName}`);
-      return true;
-    } catch (entityError) {
-      // Try with username format if failed
-      try {
-        logger.debug(`Trying with username format for: ${trackerName}`);
-        const entity = await client.getEntity(`@${trackerName}`);
-        
-        if (!entity) {
-          logger.error(`Could not find entity for tracker with username: @${trackerName}`);
-          return false;
-        }
-        
-        logger.debug(`Entity found for tracker @${trackerName} with ID: ${entity.id}`);
-        
-        // Store the tracker info
-        monitoredTrackers.set(trackerName, {
-          entity,
-          startTime: new Date(),
-          clientId: Array.from(require('./clientPool').getAllClients().entries())
-                      .find(([id, c]) => c === client)?.[0] || 'unknown'
-        });
-        
-        logger.info(`Successfully monitoring tracker: @${trackerName}`);
-        return true;
-      } catch (usernameError) {
-        logger.error(`Failed with username format too: ${usernameError.message}`);
-        return false;
-      }
+      logger.warn(`Could not resolve chat ${reference}: ${error.message}`);
+      return null;
     }
-  } catch (error) {
-    logger.error(`Error starting to monitor tracker ${trackerName}: ${error.message}`);
-    return false;
   }
+  
+  logger.warn(`No available forwarder to resolve chat ${reference}`);
+  return null;
+}
+
+/**
+ * Move the trackers of forwarders that are down to a healthy forwarder
+ * The messages of a tracker are processed by its client (see messageHandler.isHandledBy).
+ * Trackers stay on their client when no healthy client is available, and are
+ * moved as soon as one comes back. Entities are shared by all accounts, so no
+ * API call is needed to move a tracker.
+ * @returns {Promise<number>} - Number of trackers reassigned
+ */
+async function reassignOrphanedTrackers() {
+  let reassigned = 0;
+  
+  for (const [trackerName, tracker] of monitoredTrackers.entries()) {
+    if (isClientHealthy(tracker.clientId)) continue;
+    
+    const clientId = getClientIdForTracker(trackerName);
+    if (!clientId) {
+      logger.warn(`No healthy forwarder to take over tracker ${trackerName} from ${tracker.clientId}`);
+      continue;
+    }
+    
+    logger.info(`Tracker ${trackerName} reassigned from ${tracker.clientId} to ${clientId}`);
+    monitoredTrackers.set(trackerName, {
+      ...tracker,
+      clientId,
+      reassignedAt: new Date()
+    });
+    reassigned++;
+  }
+  
+  return reassigned;
 }
 
+// Reassign trackers whenever a forwarder goes down or a healthy one becomes available
+onClientStatusChange(() => reassignOrphanedTrackers());
+
 /**
  * Stop monitoring a tracker
  * @param {string} trackerName - Name of the tracker to stop monitoring
@@ -143,6 +289,9 @@ async function updateMonitoredTrackers() {
       }
     }
     
+    // Follow username changes and entities that became invalid
+    await refreshTrackerEntities();
+    
     // Log status
     logger.info(`Currently monitoring ${monitoredTrackers.size} trackers`);
   } catch (error) {
@@ -159,7 +308,7 @@ function dumpTrackerState() {
     logger.debug(`Tracker: ${name}`);
     logger.debug(`Entity ID: ${tracker.entity.id}`);
     logger.debug(`Username: ${tracker.entity.username}`);
-    logger.debug(`Client ID: ${tracker.clientId}`);
+    logger.debug(`Client ID: ${tracker.clientId} (${isClientHealthy(tracker.clientId) ? 'healthy' : 'down'})`);
     logger.debug(`Start time: ${tracker.startTime}`);
     logger.debug('----------------------------');
   }
@@ -170,5 +319,8 @@ module.exports = {
   startMonitoringTracker,
   stopMonitoringTracker,
   updateMonitoredTrackers,
+  reassignOrphanedTrackers,
+  refreshTrackerEntities,
+  resolveChatId,
   dumpTrackerState
 };
\ No newline at end of file
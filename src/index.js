@@ -11,6 +11,9 @@ const queueManager = require('./services/queueService');
 const performanceMonitor = require('./utils/performanceMonitor');
 const shutdownManager = require('./utils/shutdownManager');
 const accessControlService = require('./services/accessControlService');
+const parserQuarantineService = require('./services/parserQuarantineService');
+const trackerSilenceService = require('./services/trackerSilenceService');
+const config = require('./config/config');
 
 /**
  * Main application entry point
@@ -20,6 +23,11 @@ async function startApp() {
     // Initialize the shutdown manager
     shutdownManager.init();
     
+    // A replay writes to its own database unless the configured one is explicitly allowed
+    if (config.replay.file) {
+      require('./forwarder/replay').useReplayDatabase(config.replay);
+    }
+    
     // Connect to MongoDB
     await db.connectToDatabase();
     logger.info('MongoDB connection established');
@@ -96,6 +104,22 @@ async function startApp() {
       logger.info(`Daily cleanup completed: ${cleanupResult.orphanedTransactionsDeleted} orphaned transactions removed`);
     }, 24 * 60 * 60 * 1000); // Run once per day
     
+    // Report unparsed tracker messages to admins once per day
+    setInterval(async () => {
+      await parserQuarantineService.sendDailyReport(bot);
+    }, 24 * 60 * 60 * 1000);
+    
+    // Scan every token of the groups through their queues, new transactions only check their own,
+    // and tell groups about the confluences that expired
+    setInterval(async () => {
+      await queueManager.reconcileConfluences();
+    }, config.confluence.reconcileIntervalMinutes * 60 * 1000);
+    
+    // Warn groups whose trackers stopped posting, and tell them when they come back
+    setInterval(async () => {
+      await trackerSilenceService.checkTrackers(bot);
+    }, config.trackerSilence.checkIntervalMinutes * 60 * 1000);
+    
     // Setup detailed performance monitoring for slow operations
     setInterval(() => {
       // Check if any slow operations have happened in the last minute
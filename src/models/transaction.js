@@ -1,3 +1,9 @@
+// Swaps take part in buy/sell confluences
+const SWAP_TYPES = ['buy', 'sell'];
+
+// Other wallet events posted by trackers (type names must not contain '_', they are part of cache keys)
+const EVENT_TYPES = ['transfer-in', 'transfer-out', 'lp-add', 'lp-remove', 'mint'];
+
 /**
  * Class representing a crypto transaction
  */
@@ -5,7 +11,7 @@ class Transaction {
   /**
    * Create a new transaction
    * @param {string} walletName - Name or alias of the wallet
-   * @param {string} type - Transaction type ('buy', 'sell')
+   * @param {string} type - Transaction type ('buy', 'sell') or event type ('transfer-in', 'transfer-out', 'lp-add', 'lp-remove', 'mint')
    * @param {string} coin - Symbol or name of the cryptocurrency
    * @param {string} coinAddress - Blockchain address of the cryptocurrency (optional)
    * @param {number} amount - Transaction amount (in crypto units)
@@ -14,6 +20,8 @@ class Transaction {
    * @param {number} marketCap - Market cap of the token (optional)
    * @param {number} baseAmount - Amount of base token (SOL/ETH) used (optional)
    * @param {string} baseSymbol - Symbol of base token (SOL/ETH) (optional)
+   * @param {string} walletAddress - Address of the wallet (optional)
+   * @param {string} chain - Chain the transaction happened on ('solana', 'ethereum', 'base', 'bsc')
    */
   constructor(
     walletName,
@@ -26,7 +34,8 @@ class Transaction {
     marketCap = 0,
     baseAmount = 0,
     baseSymbol = '',
-    walletAddress = '' 
+    walletAddress = '',
+    chain = 'solana'
   ) {
     this.walletName = walletName;
     this.type = type.toLowerCase();
@@ -39,6 +48,15 @@ class Transaction {
     this.baseAmount = baseAmount;
     this.baseSymbol = baseSymbol;
     this.walletAddress = walletAddress || ''; 
+    this.chain = chain || 'solana';
+  }
+
+  /**
+   * Check if the transaction is a buy or a sell
+   * @returns {boolean} - True for swaps, false for transfers, liquidity events and mints
+   */
+  isSwap() {
+    return SWAP_TYPES.includes(this.type);
   }
 
   /**
@@ -54,4 +72,8 @@ class Transaction {
   }
 }
 
+Transaction.SWAP_TYPES = SWAP_TYPES;
+Transaction.EVENT_TYPES = EVENT_TYPES;
+Transaction.TYPES = [...SWAP_TYPES, ...EVENT_TYPES];
+
 module.exports = Transaction;
\ No newline at end of file
@@ -1,6 +1,7 @@
 // src/services/birdeyeService.js
 const axios = require('axios');
 const logger = require('../utils/logger');
+const chains = require('../utils/chains');
 
 /**
  * Service for interacting with Birdeye API to get token price history and ATH
@@ -17,6 +18,7 @@ const birdeyeService = {
    * @param {number} timeFrom - Start time in Unix timestamp (seconds)
    * @param {number} timeTo - End time in Unix timestamp (seconds)
    * @param {string} resolution - Chart resolution (1m, 5m, 15m, 1H, etc.)
+   * @param {string} options.chain - Chain of the token (defaults to solana)
    * @returns {Promise<Array>} - Array of price points
    */
   async getPriceHistory(tokenAddress, timeFrom, timeTo, options = {}) {
@@ -32,7 +34,8 @@ const birdeyeService = {
       }
       
       // Vérifier si l'adresse du token est valide pour Birdeye
-      if (!this.isValidTokenAddress(tokenAddress)) {
+      const chain = chains.getChain(options.chain).id;
+      if (!this.isValidTokenAddress(tokenAddress, chain)) {
         logger.warn(`Skipping invalid token address: ${tokenAddress}`);
         return null;
       }
@@ -103,7 +106,7 @@ const birdeyeService = {
               params,
               headers: {
                 'x-api-key': this.apiKey,
-                'x-chain': 'solana'
+                'x-chain': chain
               }
             });
             
@@ -152,7 +155,7 @@ const birdeyeService = {
           params,
           headers: {
             'x-api-key': this.apiKey,
-            'x-chain': 'solana'
+            'x-chain': chain
           }
         });
         
@@ -253,7 +256,8 @@ const birdeyeService = {
         firstPhaseEndTime, 
         {
           preferredResolution: firstPhaseResolution,
-          confluenceTimestamp: confluenceTimestamp
+          confluenceTimestamp: confluenceTimestamp,
+          chain: options.chain
         }
       );
       
@@ -347,7 +351,8 @@ const birdeyeService = {
             secondPhaseEndTime, 
             {
               preferredResolution: secondPhaseResolution,
-              confluenceTimestamp: confluenceTimestamp
+              confluenceTimestamp: confluenceTimestamp,
+              chain: options.chain
             }
           );
           
@@ -416,7 +421,8 @@ const birdeyeService = {
               finalEndTime, 
               {
                 preferredResolution: thirdPhaseResolution,
-                confluenceTimestamp: confluenceTimestamp
+                confluenceTimestamp: confluenceTimestamp,
+                chain: options.chain
               }
             );
             
@@ -580,9 +586,10 @@ const birdeyeService = {
   /**
    * Vérifie si une adresse de token est probablement valide pour l'API Birdeye
    * @param {string} tokenAddress - Adresse du token à vérifier
+   * @param {string} chain - Chaîne du token (solana par défaut)
    * @returns {boolean} - True si l'adresse semble valide
    */
-    isValidTokenAddress(tokenAddress) {
+    isValidTokenAddress(tokenAddress, chain = chains.DEFAULT_CHAIN) {
         if (!tokenAddress) return false;
         
         // Les addresses Solana valides sont généralement des Base58, ~44 caractères
@@ -592,6 +599,11 @@ const birdeyeService = {
         return false;
         }
         
+        // Les chaînes EVM (Ethereum, Base, BSC) utilisent des adresses 0x de 40 caractères hexadécimaux
+        if (chains.getChain(chain).format === 'evm') {
+        return chains.isEvmAddress(tokenAddress);
+        }
+        
         // Vérification basique de longueur pour Solana
         if (tokenAddress.length < 30) {
         logger.debug(`Adresse trop courte (${tokenAddress}), considérée comme invalide pour Birdeye`);
@@ -645,7 +657,7 @@ const birdeyeService = {
   /**
    * Batch process ATH data for multiple tokens
    * 
-   * @param {Array<Object>} tokens - Array of {tokenAddress, tokenName, detectionTime, initialMarketCap} objects
+   * @param {Array<Object>} tokens - Array of {tokenAddress, tokenName, detectionTime, initialMarketCap, chain} objects
    * @returns {Promise<Array<Object>>} - Array of ATH data
    */
   async batchProcessATH(tokens) {
@@ -653,7 +665,7 @@ const birdeyeService = {
       const results = [];
       
       // Filtrer pour ignorer les adresses de token simulées ou invalides
-      const validTokens = tokens.filter(token => this.isValidTokenAddress(token.tokenAddress));
+      const validTokens = tokens.filter(token => this.isValidTokenAddress(token.tokenAddress, token.chain));
       
       if (validTokens.length === 0) {
         logger.warn('Aucune adresse de token valide trouvée pour l\'analyse Birdeye');
@@ -709,7 +721,8 @@ const birdeyeService = {
             const athData = await this.findATH(
               token.tokenAddress,
               detectionDate,
-              searchEndDate
+              searchEndDate,
+              { chain: token.chain }
             );
             
             // Apply rate limiting between API calls
@@ -54,6 +54,24 @@ class CacheService {
         return result;
       };
       
+      // Set API, each change is made without awaiting so it can't interleave with another
+      this.cache.addToSet = async (key, members, ttl) => {
+        const set = this.originalGet(key) || new Set();
+        members.forEach(member => set.add(member));
+        return this.originalSet(key, set, ttl);
+      };
+      this.cache.removeFromSet = async (key, members) => {
+        const set = this.originalGet(key);
+        if (!set) return true;
+        members.forEach(member => set.delete(member));
+        if (set.size === 0) this.originalDel(key);
+        return true;
+      };
+      this.cache.getSetMembers = async (key) => {
+        const set = this.originalGet(key);
+        return set ? Array.from(set) : [];
+      };
+      
       // Add API to estimate size
       this.cache.estimateSize = async () => {
         const keys = this.originalKeys();
@@ -136,6 +154,36 @@ class CacheService {
     return this.cache.mget(keys);
   }
 
+  /**
+   * Add members to a set, atomically
+   * @param {string} key - Key of the set
+   * @param {string[]} members - Members to add
+   * @param {number} ttl - TTL of the set in seconds (optional)
+   * @returns {Promise<boolean>} - Success status
+   */
+  async addToSet(key, members, ttl) {
+    return this.cache.addToSet(key, members, ttl || this.ttl);
+  }
+
+  /**
+   * Remove members from a set, atomically; an empty set is deleted
+   * @param {string} key - Key of the set
+   * @param {string[]} members - Members to remove
+   * @returns {Promise<boolean>} - Success status
+   */
+  async removeFromSet(key, members) {
+    return this.cache.removeFromSet(key, members);
+  }
+
+  /**
+   * Get the members of a set
+   * @param {string} key - Key of the set
+   * @returns {Promise<string[]>} - Members, empty if the set does not exist
+   */
+  async getSetMembers(key) {
+    return this.cache.getSetMembers(key);
+  }
+
   /**
    * Clear the entire cache
    * @returns {Promise<boolean>} - Success status
@@ -3,9 +3,56 @@ const CacheService = require('../cacheService');
 const config = require('../../config/config');
 const logger = require('../../utils/logger');
 const groupSettingsManager = require('./groupSettingsManager');
+const confluenceUtils = require('./utils');
+const Transaction = require('../../models/transaction');
+
+// Cache keys of the group indexes and of the transactions of one token side
+const INDEX_PREFIX = 'index:';
+const SIDE_PREFIX = 'side:';
+
+/**
+ * Build the cache key of a group index
+ * @param {string} groupId - Group ID
+ * @returns {string} - Cache key
+ */
+function buildIndexKey(groupId) {
+  return `${INDEX_PREFIX}${groupId}`;
+}
+
+/**
+ * Build the cache key holding the transactions of a token for one side
+ * @param {string} groupId - Group ID
+ * @param {Object} token - Object with coin, coinAddress and chain
+ * @param {string} type - Transaction type (buy, sell, transfer...)
+ * @returns {string} - Cache key
+ */
+function buildSideKey(groupId, token, type) {
+  return `${SIDE_PREFIX}${groupId}:${type}:${confluenceUtils.buildTokenKey(token)}`;
+}
+
+/**
+ * Check if a cache key was written by the former key format
+ * Former keys were <groupId>_<type>_<chain>_<addr|name>_<identifier>, plus meta_ entries
+ * @param {string} key - Cache key
+ * @returns {boolean} - True if the key is a former transaction or metadata key
+ */
+function isLegacyKey(key) {
+  if (key.startsWith(INDEX_PREFIX) || key.startsWith(SIDE_PREFIX)) return false;
+  
+  const { type, idType, identifier } = confluenceUtils.parseTransactionKey(key.replace(/^meta_/, ''));
+  return Transaction.TYPES.includes(type) && ['addr', 'name'].includes(idType) && !!identifier;
+}
 
 /**
  * Manages caching for confluence detection
+ *
+ * Recent transactions are kept in one cache value per group, token and side:
+ *   side:<groupId>:<type>:<chain>_<addr|name>_<id>  ->  { groupId, tokenKey, coin, coinAddress, chain, type, transactions }
+ * and each group has an index, a set of the keys of its sides:
+ *   index:<groupId>  ->  { side:<groupId>:buy:..., side:<groupId>:sell:... }
+ * A new transaction only rewrites the value of its token side, and the index is changed
+ * with atomic set operations, so writers of different tokens never overwrite each other.
+ * Groups, tokens and sides are read from the stored values instead of from key strings.
  */
 const cacheManager = {
   // Cache to store recent transactions for fast access
@@ -27,45 +74,238 @@ const cacheManager = {
   async initialize() {
     await this.transactionsCache.initialize();
     await this.detectedConfluences.initialize();
+    await this.migrateLegacyKeys();
     logger.info('Confluence cache services initialized');
   },
   
+  /**
+   * Get the cached sides of a group
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Array<Object>>} - Sides ({key, groupId, tokenKey, coin, coinAddress, chain, type, transactions})
+   */
+  async getSides(groupId) {
+    const sideKeys = await this.transactionsCache.getSetMembers(buildIndexKey(groupId));
+    if (sideKeys.length === 0) return [];
+    
+    const values = await this.transactionsCache.mget(sideKeys);
+    return sideKeys
+      .filter(key => values[key] && Array.isArray(values[key].transactions))
+      .map(key => ({ key, ...values[key] }));
+  },
+  
+  /**
+   * Get the groups with cached transactions
+   * @returns {Promise<Array<string>>} - Group IDs
+   */
+  async getGroupIds() {
+    const keys = await this.transactionsCache.keys();
+    return keys
+      .filter(key => key.startsWith(INDEX_PREFIX))
+      .map(key => key.substring(INDEX_PREFIX.length));
+  },
+  
+  /**
+   * Get the cached tokens of a group
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Array<Object>>} - Token entries ({coin, coinAddress, chain, sides, updatedAt})
+   */
+  async getTokenEntries(groupId) {
+    const entries = new Map();
+    
+    for (const side of await this.getSides(groupId)) {
+      if (!entries.has(side.tokenKey)) {
+        entries.set(side.tokenKey, {
+          coin: side.coin,
+          coinAddress: side.coinAddress,
+          chain: side.chain,
+          sides: {},
+          updatedAt: side.updatedAt
+        });
+      }
+      
+      const entry = entries.get(side.tokenKey);
+      entry.sides[side.type] = side.transactions;
+      if (!entry.coin && side.coin) entry.coin = side.coin;
+      if (new Date(side.updatedAt) > new Date(entry.updatedAt)) entry.updatedAt = side.updatedAt;
+    }
+    
+    return Array.from(entries.values());
+  },
+  
+  /**
+   * Get the cached transactions of a token for one side
+   * @param {string} groupId - Group ID
+   * @param {Object} token - Object with coin, coinAddress and chain
+   * @param {string} type - Transaction type (buy, sell, transfer...)
+   * @returns {Promise<Array<Object>>} - Cached transactions
+   */
+  async getTransactions(groupId, token, type) {
+    const side = await this.transactionsCache.get(buildSideKey(groupId, token, type));
+    return side && Array.isArray(side.transactions) ? side.transactions : [];
+  },
+  
+  /**
+   * Replace the cached transactions of a token for one side
+   * @param {string} groupId - Group ID
+   * @param {Object} token - Object with coin, coinAddress and chain
+   * @param {string} type - Transaction type (buy, sell, transfer...)
+   * @param {Array<Object>} transactions - Transactions to keep, empty to drop the side
+   * @returns {Promise<void>}
+   */
+  async setTransactions(groupId, token, type, transactions) {
+    const indexKey = buildIndexKey(groupId);
+    const sideKey = buildSideKey(groupId, token, type);
+    
+    if (transactions.length === 0) {
+      await this.transactionsCache.removeFromSet(indexKey, [sideKey]);
+      await this.transactionsCache.del(sideKey);
+      return;
+    }
+    
+    const namedTransaction = transactions.find(tx => tx.coin);
+    
+    await this.transactionsCache.set(sideKey, {
+      groupId,
+      tokenKey: confluenceUtils.buildTokenKey(token),
+      coin: token.coin || (namedTransaction ? namedTransaction.coin : ''),
+      coinAddress: confluenceUtils.hasUsableAddress(token.coinAddress) ? token.coinAddress : '',
+      chain: confluenceUtils.getChain(token),
+      type,
+      transactions,
+      updatedAt: new Date()
+    });
+    await this.transactionsCache.addToSet(indexKey, [sideKey]);
+  },
+  
+  /**
+   * Remove the cached transactions of a group that match a condition
+   * @param {string} groupId - Group ID
+   * @param {Function} predicate - Returns true for the transactions to remove
+   * @returns {Promise<number>} - Number of transactions removed
+   */
+  async removeTransactions(groupId, predicate) {
+    let removed = 0;
+    
+    for (const side of await this.getSides(groupId)) {
+      const remaining = side.transactions.filter(tx => !predicate(tx));
+      if (remaining.length === side.transactions.length) continue;
+      
+      removed += side.transactions.length - remaining.length;
+      await this.setTransactions(groupId, side, side.type, remaining);
+    }
+    
+    return removed;
+  },
+  
+  /**
+   * Replace the cached transactions of a group
+   * @param {string} groupId - Group ID
+   * @param {Array<Object>} transactions - Transactions of the group
+   * @returns {Promise<void>}
+   */
+  async setGroupTransactions(groupId, transactions) {
+    const sides = new Map();
+    
+    for (const tx of transactions) {
+      const sideKey = buildSideKey(groupId, tx, tx.type);
+      if (!sides.has(sideKey)) {
+        sides.set(sideKey, []);
+      }
+      sides.get(sideKey).push(tx);
+    }
+    
+    // Sides cached before that are not part of the new transactions are dropped
+    for (const side of await this.getSides(groupId)) {
+      if (!sides.has(side.key)) {
+        await this.setTransactions(groupId, side, side.type, []);
+      }
+    }
+    
+    for (const sideTransactions of sides.values()) {
+      const [first] = sideTransactions;
+      await this.setTransactions(groupId, first, first.type, sideTransactions);
+    }
+  },
+  
+  /**
+   * Move transactions cached under the former key format into the group sides
+   * Only keys of the former format are read and deleted. The group is read from the key,
+   * the token and side come from the transactions.
+   * @returns {Promise<number>} - Number of transactions migrated
+   */
+  async migrateLegacyKeys() {
+    try {
+      const keys = (await this.transactionsCache.keys()).filter(isLegacyKey);
+      if (keys.length === 0) return 0;
+      
+      const transactionsByGroup = new Map();
+      
+      for (const key of keys) {
+        if (!key.startsWith('meta_')) {
+          const transactions = await this.transactionsCache.get(key);
+          const { groupId } = confluenceUtils.parseTransactionKey(key);
+          
+          if (Array.isArray(transactions) && groupId) {
+            if (!transactionsByGroup.has(groupId)) {
+              transactionsByGroup.set(groupId, []);
+            }
+            transactionsByGroup.get(groupId).push(...transactions.filter(tx => tx && tx.type));
+          }
+        }
+        
+        await this.transactionsCache.del(key);
+      }
+      
+      let migrated = 0;
+      for (const [groupId, transactions] of transactionsByGroup.entries()) {
+        for (const tx of transactions) {
+          const cached = await this.getTransactions(groupId, tx, tx.type);
+          await this.setTransactions(groupId, tx, tx.type, [...cached, tx]);
+        }
+        migrated += transactions.length;
+      }
+      
+      logger.info(`Migrated ${migrated} cached transactions from ${keys.length} former cache keys into ${transactionsByGroup.size} group indexes`);
+      return migrated;
+    } catch (error) {
+      logger.error(`Error migrating former cache keys: ${error.message}`);
+      return 0;
+    }
+  },
+  
   /**
    * Estimate the used cache size
    * @returns {Promise<Object>} Cache size estimation
    */
   async estimateCacheSize() {
-    return this.transactionsCache.estimateSize();
+    const stats = await this.transactionsCache.estimateSize();
+    
+    // Each token side is one cache entry, count the transactions it holds instead
+    let totalEntries = 0;
+    for (const groupId of await this.getGroupIds()) {
+      for (const side of await this.getSides(groupId)) {
+        totalEntries += side.transactions.length;
+      }
+    }
+    
+    return { ...stats, totalEntries };
   },
 
   /**
- * Clean transactions that are too old from cache
- * @returns {Promise<void>}
- */
-async cleanOldTransactions() {
+   * Clean transactions that are too old from cache
+   * @returns {Promise<void>}
+   */
+  async cleanOldTransactions() {
     try {
-      const keys = await this.transactionsCache.keys();
+      const groupIds = await this.getGroupIds();
       const now = new Date();
       let totalRemoved = 0;
       let totalKept = 0;
       
-      // Group keys by groupId for more efficient processing
-      const groupKeys = {};
-      for (const key of keys) {
-        // Skip keys that don't match our expected format with groupId as first part
-        if (!key || !key.includes('_')) continue;
-        
-        const groupId = key.split('_')[0]; // Extract groupId from key
-        if (!groupKeys[groupId]) {
-          groupKeys[groupId] = [];
-        }
-        groupKeys[groupId].push(key);
-      }
-      
       const cleanupPromises = [];
       
       // Process each group separately with its own window setting
-      for (const [groupId, groupKeyList] of Object.entries(groupKeys)) {
+      for (const groupId of groupIds) {
         cleanupPromises.push(
           (async () => {
             try {
@@ -75,27 +315,23 @@ async cleanOldTransactions() {
               
               // Calculate cutoff time based on group's window
               const cutoffTime = new Date(now.getTime() - (windowMinutes * 60 * 1000));
+              const indexKey = buildIndexKey(groupId);
+              const sides = await this.getSides(groupId);
               
-              // Process each key for this group
-              for (const key of groupKeyList) {
-                const transactions = await this.transactionsCache.get(key);
-                
-                if (!Array.isArray(transactions)) {
-                  logger.debug(`Skipping key ${key} as transactions is not an array`);
-                  continue; // Skip if not an array
-                }
-                
-                const originalCount = transactions.length;
+              // Sides expire on their own, forget the keys they left in the index
+              const liveKeys = new Set(sides.map(side => side.key));
+              const expiredKeys = (await this.transactionsCache.getSetMembers(indexKey)).filter(key => !liveKeys.has(key));
+              if (expiredKeys.length > 0) {
+                await this.transactionsCache.removeFromSet(indexKey, expiredKeys);
+              }
+              
+              for (const side of sides) {
+                const originalCount = side.transactions.length;
                 
                 // Filter transactions based on group's time window
-                const filteredTransactions = transactions.filter(tx => {
-                  try {
-                    const txTime = new Date(tx.timestamp);
-                    return txTime >= cutoffTime;
-                  } catch (err) {
-                    logger.warn(`Error processing transaction timestamp in key ${key}: ${err.message}`);
-                    return false; // Remove problematic transactions
-                  }
+                const filteredTransactions = side.transactions.filter(tx => {
+                  const txTime = new Date(tx.timestamp);
+                  return !isNaN(txTime.getTime()) && txTime >= cutoffTime;
                 });
                 
                 const removedCount = originalCount - filteredTransactions.length;
@@ -103,15 +339,8 @@ async cleanOldTransactions() {
                 totalKept += filteredTransactions.length;
                 
                 if (removedCount > 0) {
-                  logger.debug(`Cleaned ${removedCount} old transactions for key ${key} (window: ${windowMinutes}m)`);
-                }
-                
-                // Update or delete the key
-                if (filteredTransactions.length > 0) {
-                  await this.transactionsCache.set(key, filteredTransactions);
-                } else {
-                  await this.transactionsCache.del(key);
-                  logger.debug(`Removed empty key ${key} from cache`);
+                  logger.debug(`Cleaned ${removedCount} old ${side.type} transactions for ${side.tokenKey} in group ${groupId} (window: ${windowMinutes}m)`);
+                  await this.setTransactions(groupId, side, side.type, filteredTransactions);
                 }
               }
             } catch (innerError) {
@@ -130,48 +359,34 @@ async cleanOldTransactions() {
       if (cacheStats.estimatedSizeMB > 100) {
         logger.warn(`Cache size exceeds threshold (${cacheStats.estimatedSizeMB.toFixed(2)}MB), performing additional cleanup`);
         
-        // Perform emergency cleanup as before
-        const updatedKeys = await this.transactionsCache.keys();
-        const keyTransactions = {};
-        const fetchPromises = [];
+        // Collect every cached token with its most recent transaction
+        const tokens = new Map();
         
-        for (const key of updatedKeys) {
-          fetchPromises.push(
-            this.transactionsCache.get(key).then(transactions => {
-              if (transactions && transactions.length > 0) {
-                keyTransactions[key] = transactions;
-              }
-            })
-          );
+        for (const groupId of await this.getGroupIds()) {
+          for (const side of await this.getSides(groupId)) {
+            const tokenId = `${groupId}:${side.tokenKey}`;
+            if (!tokens.has(tokenId)) {
+              tokens.set(tokenId, { groupId, sides: [], latest: 0 });
+            }
+            
+            const token = tokens.get(tokenId);
+            token.sides.push(side);
+            token.latest = Math.max(token.latest, ...side.transactions.map(tx => new Date(tx.timestamp).getTime()));
+          }
         }
         
-        await Promise.all(fetchPromises);
-        
         // Sort by recency
-        const sortedKeys = Object.keys(keyTransactions).sort((a, b) => {
-          const txA = keyTransactions[a];
-          const txB = keyTransactions[b];
-          
-          if (!txA || txA.length === 0) return 1;
-          if (!txB || txB.length === 0) return -1;
-          
-          const latestA = Math.max(...txA.map(tx => new Date(tx.timestamp).getTime()));
-          const latestB = Math.max(...txB.map(tx => new Date(tx.timestamp).getTime()));
-          
-          return latestB - latestA; 
-        });
+        const sortedTokens = Array.from(tokens.values()).sort((a, b) => b.latest - a.latest);
         
-        // Delete the 30% oldest transaction groups
-        const keysToRemove = sortedKeys.slice(Math.floor(sortedKeys.length * 0.7));
-        const removePromises = [];
-        
-        for (const key of keysToRemove) {
-          removePromises.push(this.transactionsCache.del(key));
+        // Delete the 30% oldest tokens
+        const tokensToRemove = sortedTokens.slice(Math.floor(sortedTokens.length * 0.7));
+        for (const { groupId, sides } of tokensToRemove) {
+          for (const side of sides) {
+            await this.setTransactions(groupId, side, side.type, []);
+          }
         }
         
-        await Promise.all(removePromises);
-        
-        logger.info(`Emergency cleanup completed: removed ${keysToRemove.length} transaction groups`);
+        logger.info(`Emergency cleanup completed: removed ${tokensToRemove.length} tokens`);
       }
       
       if (totalRemoved > 0) {
@@ -187,35 +402,25 @@ async cleanOldTransactions() {
    * @returns {Promise<void>}
    */
   async dumpTransactionsCache() {
-    const keys = await this.transactionsCache.keys();
+    const groupIds = await this.getGroupIds();
     logger.debug(`--- TRANSACTION CACHE DUMP ---`);
-    logger.debug(`Total keys in cache: ${keys.length}`);
+    logger.debug(`Groups in cache: ${groupIds.length}`);
     
-    const dumpPromises = [];
-    
-    for (const key of keys) {
-      dumpPromises.push(
-        this.transactionsCache.get(key).then(transactions => {
-          if (!transactions) return;
+    for (const groupId of groupIds) {
+      for (const entry of await this.getTokenEntries(groupId)) {
+        for (const [type, transactions] of Object.entries(entry.sides)) {
+          const wallets = new Set(transactions.map(tx => tx.walletName));
           
-          logger.debug(`Key: ${key}`);
+          logger.debug(`Group ${groupId} - ${type} ${entry.coin || entry.coinAddress} (${entry.chain})`);
           logger.debug(`  Transactions: ${transactions.length}`);
-          
-          const wallets = new Set();
-          for (const tx of transactions) {
-            wallets.add(tx.walletName);
-          }
-          
           logger.debug(`  Unique wallets: ${wallets.size}`);
           logger.debug(`  Wallets: ${Array.from(wallets).join(', ')}`);
-        })
-      );
+        }
+      }
     }
     
-    await Promise.all(dumpPromises);
-    
     logger.debug(`--- END TRANSACTION CACHE DUMP ---`);
   }
 };
 
-module.exports = cacheManager;
\ No newline at end of file
+module.exports = cacheManager;
@@ -1,12 +1,16 @@
 // src/services/confluence/confluenceDetector.js
 const logger = require('../../utils/logger');
+const config = require('../../config/config');
 const performanceMonitor = require('../../utils/performanceMonitor');
 const transactionService = require('../../db/services/transactionService');
+const confluenceEventService = require('../../db/services/confluenceEventService');
 const cacheManager = require('./cacheManager');
 const groupSettingsManager = require('./groupSettingsManager');
+const confluenceLifecycle = require('./confluenceLifecycle');
+const confluenceUtils = require('./utils');
+const Transaction = require('../../models/transaction');
 
-// Keep track of startup time for recent transaction filtering
-const startupTime = new Date();
+const { STATES } = confluenceLifecycle;
 
 /**
  * Core confluence detection logic
@@ -27,6 +31,7 @@ const confluenceDetector = {
       const { 
         coin, 
         coinAddress, 
+        chain,
         buyTransactions, 
         sellTransactions, 
         groupId,
@@ -83,6 +88,11 @@ const confluenceDetector = {
               groupId, coin, windowMinutes
             );
           }
+          
+          // Symbols and EVM addresses can exist on several chains, and only swaps make confluences
+          additionalTransactions = additionalTransactions.filter(tx =>
+            confluenceUtils.getChain(tx) === chain && Transaction.SWAP_TYPES.includes(tx.type)
+          );
         } catch (dbError) {
           logger.warn(`Error loading additional transactions: ${dbError.message}`);
         }
@@ -115,6 +125,7 @@ const confluenceDetector = {
                 walletName: wallet,
                 coin: olderBuyData.coin,
                 coinAddress: olderBuyData.coinAddress,
+                chain,
                 amount: olderBuyData.totalAmount / olderBuyData.wallets.length, // average amount
                 type: 'buy',
                 timestamp: olderBuyData.newestTimestamp,
@@ -130,6 +141,7 @@ const confluenceDetector = {
                 walletName: wallet,
                 coin: olderSellData.coin,
                 coinAddress: olderSellData.coinAddress,
+                chain,
                 amount: olderSellData.totalAmount / olderSellData.wallets.length, // average amount
                 type: 'sell',
                 timestamp: olderSellData.newestTimestamp,
@@ -145,19 +157,21 @@ const confluenceDetector = {
       if (combinedTransactions.length === 0) return;
       
       // Generate a unique key for this token's confluence
-      const confluenceKey = coinAddress && coinAddress.length > 0 
-        ? `${groupId}_addr_${coinAddress}` // Remove transaction type from key
-        : `${groupId}_name_${coin}`;
+      const confluenceKey = confluenceUtils.buildConfluenceKey(groupId, { coin, coinAddress, chain }); // No transaction type in key
         
       // Get existing confluence for this token
       const existingConfluence = await cacheManager.detectedConfluences.get(confluenceKey) || { wallets: [] };
       
+      // Wallets retracted with an edited or deleted tracker message still belong to the
+      // confluence, so the re-parsed message does not announce them as joining again
+      const knownWallets = [...existingConfluence.wallets, ...(existingConfluence.retractedWallets || [])];
+      
       // Process all transactions and create a wallet map
       const walletMap = new Map();
       
       // First, process existing wallets to maintain their order
-      existingConfluence.wallets.forEach(wallet => {
-        walletMap.set(wallet.walletName, {
+      knownWallets.forEach(wallet => {
+        walletMap.set(wallet.walletAddress || wallet.walletName, {
           ...wallet,
           amount: 0,
           usdValue: 0,
@@ -206,7 +220,7 @@ const confluenceDetector = {
             buyBaseAmount: tx.type === 'buy' ? (tx.baseAmount || 0) : 0,
             sellBaseAmount: tx.type === 'sell' ? (tx.baseAmount || 0) : 0,
             transactions: [tx],
-            isUpdated: existingConfluence.wallets.length > 0, // Mark as updated if it's a new wallet in an existing confluence
+            isUpdated: knownWallets.length > 0, // Mark as updated if it's a new wallet in an existing confluence
             isFromMetadata: !!tx.isMetadataTransaction
           });
         } else {
@@ -255,7 +269,7 @@ const confluenceDetector = {
           }
           
           // Mark as updated if new transaction is of a different type or adds significant value
-          const previousWallet = existingConfluence.wallets.find(w => w.walletName === wallet.walletName);
+          const previousWallet = knownWallets.find(w => w.walletName === wallet.walletName);
           if (previousWallet) {
             if (previousType !== wallet.type || 
                 Math.abs(previousWallet.baseAmount - wallet.baseAmount) > 0.01) {
@@ -274,7 +288,7 @@ const confluenceDetector = {
       let wallets = [];
       
       // First add existing wallets in their original order
-      existingConfluence.wallets.forEach(existingWallet => {
+      knownWallets.forEach(existingWallet => {
         const walletId = existingWallet.walletAddress || existingWallet.walletName;
         const updatedWallet = walletMap.get(walletId);
         if (updatedWallet && updatedWallet.transactions.length > 0) {
@@ -284,7 +298,7 @@ const confluenceDetector = {
       
       // Then add new wallets in order of their first transaction
       const newWalletIds = [...walletMap.keys()].filter(
-        id => !existingConfluence.wallets.some(w => (w.walletAddress || w.walletName) === id)
+        id => !knownWallets.some(w => (w.walletAddress || w.walletName) === id)
       );
       
       const newWallets = newWalletIds.map(id => walletMap.get(id))
@@ -302,60 +316,169 @@ const confluenceDetector = {
       // Check if enough different wallets made a transaction
       const totalUniqueWallets = wallets.length;
       
-      if (totalUniqueWallets >= minWallets) {
-        const isUpdate = existingConfluence.wallets.length > 0;
-        
-        // Count real transactions (not from metadata)
-        const nonMetadataWallets = wallets.filter(w => !w.isFromMetadata);
-        
-        // Determine the primary transaction type based on most recent activity
-        // or the type with the most transactions
-        const buyWallets = wallets.filter(w => w.buyBaseAmount > 0).length;
-        const sellWallets = wallets.filter(w => w.sellBaseAmount > 0).length;
-        const primaryType = buyWallets >= sellWallets ? 'buy' : 'sell';
+      // Move the token through its lifecycle (forming, confirmed, growing, distributing, exited)
+      const previousState = existingConfluence.state ||
+        (knownWallets.length > 0 ? STATES.CONFIRMED : null);
+      const state = confluenceLifecycle.getNextState(previousState, wallets, minWallets);
+      
+      // Below the minimum, only remember that the token is forming; a confluence that lost
+      // wallets keeps its state until it expires
+      if (state === STATES.FORMING) {
+        if (!previousState || previousState === STATES.FORMING) {
+          await cacheManager.detectedConfluences.set(confluenceKey, {
+            state,
+            wallets: [],
+            walletCount: totalUniqueWallets,
+            timestamp: new Date()
+          });
+        }
+        return;
+      }
+      
+      const isUpdate = knownWallets.length > 0;
+      
+      // A detection dates from the transaction that brought the minimum wallets, an update
+      // from the latest one, so imported history is not recorded at the time of the import
+      const activityAt = isUpdate
+        ? sortedTransactions[sortedTransactions.length - 1].timestamp
+        : this.getCompletionTime(sortedTransactions, minWallets);
+      
+      // Count real transactions (not from metadata)
+      const nonMetadataWallets = wallets.filter(w => !w.isFromMetadata);
+      
+      // Determine the primary transaction type based on most recent activity
+      // or the type with the most transactions
+      const buyWallets = wallets.filter(w => w.buyBaseAmount > 0).length;
+      const sellWallets = wallets.filter(w => w.sellBaseAmount > 0).length;
+      const primaryType = buyWallets >= sellWallets ? 'buy' : 'sell';
+      
+      // Create the confluence object
+      const confluence = {
+        type: primaryType, // Primary type for the message emoji
+        coin,
+        coinAddress,
+        chain,
+        wallets,
+        count: totalUniqueWallets,
+        nonMetadataCount: nonMetadataWallets.length,
+        totalAmount: wallets.reduce((sum, w) => sum + w.amount, 0),
+        totalUsdValue: wallets.reduce((sum, w) => sum + (w.usdValue || 0), 0),
+        totalBaseAmount: wallets.reduce((sum, w) => sum + (w.baseAmount || 0), 0),
+        avgMarketCap: wallets.reduce((sum, w) => sum + (w.marketCap || 0), 0) / wallets.length,
+        timestamp: new Date(),
+        groupId,
+        isUpdate,
+        buyCount: buyWallets,
+        sellCount: sellWallets,
+        // Add 48h window flag
+        is48hWindow: nonMetadataWallets.length < minWallets && totalUniqueWallets >= minWallets,
+        state,
+        previousState,
+        ...confluenceLifecycle.countPositions(wallets),
+        // Wallets without transactions left, kept until the confluence expires
+        retractedWallets: knownWallets.filter(known =>
+          !wallets.some(wallet => (wallet.walletAddress || wallet.walletName) === (known.walletAddress || known.walletName))),
+        // Alert to edit on updates, and the wallets to announce in its reply
+        alertMessageId: existingConfluence.alertMessageId || null,
+        joinedWallets: isUpdate ? newWallets.map(wallet => wallet.walletName) : []
+      };
+      
+      // Save this confluence for future reference
+      await cacheManager.detectedConfluences.set(confluenceKey, confluence);
+      
+      // Only report updates if something has changed (at least one wallet was updated)
+      if (!isUpdate || wallets.some(w => w.isUpdated)) {
+        confluences.push(confluence);
         
-        // Create the confluence object
-        const confluence = {
-          type: primaryType, // Primary type for the message emoji
-          coin,
-          coinAddress,
-          wallets,
-          count: totalUniqueWallets,
-          nonMetadataCount: nonMetadataWallets.length,
-          totalAmount: wallets.reduce((sum, w) => sum + w.amount, 0),
-          totalUsdValue: wallets.reduce((sum, w) => sum + (w.usdValue || 0), 0),
-          totalBaseAmount: wallets.reduce((sum, w) => sum + (w.baseAmount || 0), 0),
-          avgMarketCap: wallets.reduce((sum, w) => sum + (w.marketCap || 0), 0) / wallets.length,
-          timestamp: new Date(),
-          groupId,
-          isUpdate,
-          buyCount: buyWallets,
-          sellCount: sellWallets,
-          // Add 48h window flag
-          is48hWindow: nonMetadataWallets.length < minWallets && totalUniqueWallets >= minWallets
-        };
+        // Keep a lasting record of the detection and of each update
+        await confluenceEventService.recordConfluence(confluence, confluenceKey, { minWallets, windowMinutes, at: activityAt });
+      } else {
+        // Trading without new wallets still keeps the confluence open
+        await confluenceEventService.recordActivity(groupId, confluenceKey, activityAt);
+      }
+    } catch (error) {
+      logger.error(`Error processing token confluence for ${tokenId}: ${error.message}`);
+    }
+  },
+
+  /**
+   * Find when a token reached the minimum number of wallets
+   * @param {Array} sortedTransactions - Transactions of the token, oldest first
+   * @param {number} minWallets - Minimum wallets for a confluence
+   * @returns {Date} - Timestamp of the transaction of the last wallet needed
+   */
+  getCompletionTime(sortedTransactions, minWallets) {
+    const walletIds = new Set();
+    
+    for (const tx of sortedTransactions) {
+      walletIds.add(tx.walletAddress || tx.walletName);
+      if (walletIds.size >= minWallets) return tx.timestamp;
+    }
+    
+    return sortedTransactions[sortedTransactions.length - 1].timestamp;
+  },
+
+  /**
+   * Check the confluence of a single token
+   * Only the cache keys of this token are read, so a new transaction costs the same
+   * whatever the number of tokens followed by the group
+   * @param {string} groupId - Group ID
+   * @param {Object} token - Object with coin, coinAddress and chain
+   * @returns {Promise<Array>} - The confluence of the token if it is new or changed, else an empty list
+   */
+  async checkTokenConfluence(groupId, token) {
+    const perfTimer = performanceMonitor.startTimer();
+    
+    try {
+      const confluences = [];
+      const chain = confluenceUtils.getChain(token);
+      const byAddress = confluenceUtils.hasUsableAddress(token.coinAddress);
+      
+      const tokenInfo = {
+        coin: byAddress ? '' : token.coin,
+        coinAddress: byAddress ? token.coinAddress : '',
+        chain,
+        buyTransactions: [],
+        sellTransactions: [],
+        groupId,
+        olderBuyData: null,
+        olderSellData: null
+      };
+      
+      for (const type of Transaction.SWAP_TYPES) {
+        const transactions = await cacheManager.getTransactions(groupId, token, type);
+        const metadataKey = confluenceUtils.buildTransactionKey(groupId, { ...token, type });
+        const metadata = this.olderTransactionsMetadata ? this.olderTransactionsMetadata[metadataKey] : null;
         
-        // Save this confluence for future reference
-        await cacheManager.detectedConfluences.set(confluenceKey, confluence);
+        if (type === 'buy') {
+          tokenInfo.buyTransactions = transactions;
+          tokenInfo.olderBuyData = metadata || null;
+        } else if (type === 'sell') {
+          tokenInfo.sellTransactions = transactions;
+          tokenInfo.olderSellData = metadata || null;
+        }
         
-        // Only send updates if something has changed
-        if (isUpdate) {
-          // Only add to results if at least one wallet was updated
-          if (wallets.some(w => w.isUpdated)) {
-            confluences.push(confluence);
-          }
-        } else {
-          // New confluence
-          confluences.push(confluence);
+        // Address-based tokens may have been indexed before the symbol was known
+        if (!tokenInfo.coin) {
+          tokenInfo.coin = (transactions[0] && transactions[0].coin) || (metadata && metadata.coin) || '';
         }
       }
+      
+      await this.processTokenConfluence(confluenceUtils.buildTokenKey(token), tokenInfo, confluences);
+      
+      performanceMonitor.endTimer(perfTimer, 'confluenceDetection', `check_token_${groupId}`);
+      return confluences;
     } catch (error) {
-      logger.error(`Error processing token confluence for ${tokenId}: ${error.message}`);
+      logger.error(`Error checking token confluence in group ${groupId}: ${error.message}`);
+      performanceMonitor.endTimer(perfTimer, 'confluenceDetection', `check_token_${groupId}_error`);
+      return [];
     }
   },
 
   /**
    * Check for confluences
+   * Scans every token of the group; new transactions go through checkTokenConfluence,
+   * full scans are kept for periodic reconciliation and the admin simulation commands
    * @param {string} groupId - Group ID
    * @returns {Promise<Array>} - List of detected confluences
    */
@@ -365,121 +488,56 @@ const confluenceDetector = {
     
     try {
       const confluences = [];
-      const detectedTokens = new Map(); // Map to track tokens by their address or name
-      const keys = await cacheManager.transactionsCache.keys();
-      
-      // Filter keys for this group
-      const groupKeys = keys.filter(key => key.startsWith(`${groupId}_`));
-      
-      // Debug log for monitoring
-      if (groupKeys.length > 100) {
-        logger.warn(`Large number of cache keys for group ${groupId}: ${groupKeys.length} keys`);
-      }
-      
-      // Optimization: retrieve all transactions at once
-      const keyTransactionMap = {};
-      const getPromises = [];
+      const detectedTokens = new Map(); // Map to track tokens by their chain and address or name
       
       // Start measuring cache retrieval performance
       const cacheTimer = performanceMonitor.startTimer();
       
-      for (const key of groupKeys) {
-        getPromises.push(
-          cacheManager.transactionsCache.get(key)
-            .then(transactions => {
-              if (transactions) {
-                keyTransactionMap[key] = transactions;
-              }
-            })
-        );
-      }
-      
-      // Wait for all transactions to be retrieved
-      await Promise.all(getPromises);
+      // Transfers, liquidity and mints are handled by the event signal detector
+      const tokenEntries = (await cacheManager.getTokenEntries(groupId))
+        .filter(entry => Transaction.SWAP_TYPES.some(type => entry.sides[type] && entry.sides[type].length > 0));
       
       // End measuring cache performance
       performanceMonitor.endTimer(cacheTimer, 'transactionProcessing', `cache_retrieval_${groupId}`);
       
+      // Debug log for monitoring
+      if (tokenEntries.length > 100) {
+        logger.warn(`Large number of cached tokens for group ${groupId}: ${tokenEntries.length} tokens`);
+      }
+      
       // First pass: identify all tokens and their information from cache
-      for (const key of groupKeys) {
-        // Extract info from key
-        const parts = key.split('_');
-        const type = parts[1]; // buy or sell
-        let coin, coinAddress;
-        
-        if (parts[2] === 'addr') {
-          coinAddress = parts[3];
-          coin = ''; 
-        } else if (parts[2] === 'name') {
-          coin = parts[3];
-          coinAddress = '';
-        }
-        
-        const transactions = keyTransactionMap[key] || [];
-        
-        // Skip if no recent transactions
-        const hasNewTransactions = transactions.some(tx => 
-          new Date(tx.timestamp) > startupTime
-        );
-        
-        // Get coin name from transactions if missing
-        if (!coin && coinAddress && transactions.length > 0) {
-          coin = transactions[0].coin;
-        }
-        
-        // Create a unified token identifier (prefer address, fallback to name)
-        const tokenId = coinAddress && coinAddress.length > 0 ? coinAddress : coin;
-        
-        // Store token info
-        if (!detectedTokens.has(tokenId)) {
-          detectedTokens.set(tokenId, {
-            coin: coin,
-            coinAddress: coinAddress,
-            buyTransactions: [],
-            sellTransactions: [],
-            groupId: groupId,
-            // Add metadata for older transactions
-            olderBuyData: null,
-            olderSellData: null
-          });
-        }
+      for (const entry of tokenEntries) {
+        const buyTransactions = entry.sides.buy || [];
+        const sellTransactions = entry.sides.sell || [];
+        const firstTransaction = buyTransactions[0] || sellTransactions[0];
         
-        // Add transactions to the appropriate array
-        const tokenInfo = detectedTokens.get(tokenId);
-        if (type === 'buy') {
-          tokenInfo.buyTransactions.push(...transactions);
-        } else if (type === 'sell') {
-          tokenInfo.sellTransactions.push(...transactions);
-        }
+        detectedTokens.set(confluenceUtils.buildTokenKey(entry), {
+          coin: entry.coin || (firstTransaction && firstTransaction.coin) || '',
+          coinAddress: entry.coinAddress,
+          chain: entry.chain,
+          buyTransactions,
+          sellTransactions,
+          groupId: groupId,
+          // Add metadata for older transactions
+          olderBuyData: null,
+          olderSellData: null
+        });
       }
       
       // Add older transactions metadata to the detected tokens
       if (this.olderTransactionsMetadata) {
-        for (const [key, metadata] of Object.entries(this.olderTransactionsMetadata)) {
-          // Only process keys for this group
-          if (!key.startsWith(`${groupId}_`)) continue;
+        for (const metadata of Object.values(this.olderTransactionsMetadata)) {
+          // Only process swaps of this group
+          if (metadata.groupId !== groupId || !Transaction.SWAP_TYPES.includes(metadata.type)) continue;
           
-          // Extract info from key
-          const parts = key.split('_');
-          const type = parts[1]; // buy or sell
-          const idType = parts[2]; // addr or name 
-          const tokenIdentifier = parts[3]; // the actual address or name
-          
-          // Find the corresponding token
-          let tokenId;
-          if (idType === 'addr') {
-            tokenId = tokenIdentifier;
-          } else {
-            tokenId = metadata.coin; // Use the name
-          }
-          
-          if (!tokenId) continue;
+          const tokenId = confluenceUtils.buildTokenKey(metadata);
           
           // Get or create token info
           if (!detectedTokens.has(tokenId)) {
             detectedTokens.set(tokenId, {
               coin: metadata.coin,
-              coinAddress: metadata.coinAddress,
+              coinAddress: confluenceUtils.hasUsableAddress(metadata.coinAddress) ? metadata.coinAddress : '',
+              chain: metadata.chain,
               buyTransactions: [],
               sellTransactions: [],
               groupId: groupId,
@@ -491,9 +549,9 @@ const confluenceDetector = {
           const tokenInfo = detectedTokens.get(tokenId);
           
           // Add older transaction metadata
-          if (type === 'buy') {
+          if (metadata.type === 'buy') {
             tokenInfo.olderBuyData = metadata;
-          } else if (type === 'sell') {
+          } else if (metadata.type === 'sell') {
             tokenInfo.olderSellData = metadata;
           }
         }
@@ -531,6 +589,72 @@ const confluenceDetector = {
       
       return [];
     }
+  },
+
+  /**
+   * Remember the Telegram message that alerted a confluence
+   * @param {string} groupId - Group ID
+   * @param {Object} confluence - Alerted confluence
+   * @param {number} messageId - Telegram message ID of the alert
+   * @returns {Promise<void>}
+   */
+  async setAlertMessageId(groupId, confluence, messageId) {
+    try {
+      const confluenceKey = confluenceUtils.buildConfluenceKey(groupId, confluence);
+      const detected = await cacheManager.detectedConfluences.get(confluenceKey);
+      
+      if (detected) {
+        await cacheManager.detectedConfluences.set(confluenceKey, { ...detected, alertMessageId: messageId });
+      }
+      await confluenceEventService.setAlertMessageId(groupId, confluenceKey, messageId);
+    } catch (error) {
+      logger.error(`Error storing alert message of confluence in group ${groupId}: ${error.message}`);
+    }
+  },
+
+  /**
+   * Close the confluences without a transaction on their token during their window
+   * Their detected confluence is forgotten, so new activity on the token starts a new one
+   * @returns {Promise<Array>} - Expired confluences to alert, confluences already exited are closed silently
+   */
+  async expireInactiveConfluences() {
+    const expired = [];
+    
+    try {
+      const events = await confluenceEventService.getEventsInStates(confluenceLifecycle.OPEN_STATES);
+      const now = Date.now();
+      
+      for (const event of events) {
+        const windowMinutes = event.windowMinutes || config.confluence.windowMinutes;
+        const lastActivity = new Date(event.lastTransactionAt || event.updatedAt).getTime();
+        if (now - lastActivity < windowMinutes * 60 * 1000) continue;
+        
+        await confluenceEventService.updateState(event._id, STATES.EXPIRED);
+        await cacheManager.detectedConfluences.del(event.confluenceKey);
+        logger.info(`Confluence ${event.confluenceKey} expired after ${windowMinutes} minutes without activity`);
+        
+        if (event.state === STATES.EXITED) continue;
+        
+        expired.push({
+          type: event.type,
+          coin: event.coin,
+          coinAddress: event.coinAddress,
+          chain: event.chain,
+          wallets: event.wallets,
+          count: event.walletCount,
+          groupId: event.groupId,
+          isUpdate: true,
+          state: STATES.EXPIRED,
+          previousState: event.state,
+          windowMinutes,
+          alertMessageId: event.alertMessageId || null
+        });
+      }
+    } catch (error) {
+      logger.error(`Error expiring inactive confluences: ${error.message}`);
+    }
+    
+    return expired;
   }
 };
 
@@ -0,0 +1,64 @@
+// src/services/confluence/confluenceLifecycle.js
+
+/**
+ * States of a confluence, tracked per token per group
+ *   forming       Tracked wallets traded the token, fewer than the group minimum
+ *   confirmed     The group minimum was reached
+ *   growing       Wallets joined or added to their position
+ *   distributing  Some of the wallets that bought are selling
+ *   exited        Every wallet that bought has sold
+ *   expired       No transaction on the token during the group window, the confluence is closed
+ */
+const STATES = {
+  FORMING: 'forming',
+  CONFIRMED: 'confirmed',
+  GROWING: 'growing',
+  DISTRIBUTING: 'distributing',
+  EXITED: 'exited',
+  EXPIRED: 'expired'
+};
+
+/**
+ * Lifecycle of a confluence, from the first wallets to its expiry
+ */
+const confluenceLifecycle = {
+  STATES,
+
+  // States of a confluence that was alerted and is not closed yet
+  OPEN_STATES: [STATES.CONFIRMED, STATES.GROWING, STATES.DISTRIBUTING, STATES.EXITED],
+
+  /**
+   * Count the wallets that bought and the ones among them now selling
+   * @param {Array<Object>} wallets - Wallets of the confluence, with buyAmount and their latest type
+   * @returns {{buyerCount: number, sellingCount: number}} - Wallet counts
+   */
+  countPositions(wallets) {
+    const buyers = wallets.filter(wallet => wallet.buyAmount > 0);
+    return {
+      buyerCount: buyers.length,
+      sellingCount: buyers.filter(wallet => wallet.type === 'sell').length
+    };
+  },
+
+  /**
+   * Get the state a confluence moves to after a change of its wallets
+   * @param {string|null} previousState - State before the change, null if the token had none
+   * @param {Array<Object>} wallets - Wallets of the confluence after the change
+   * @param {number} minWallets - Wallet threshold of the group
+   * @returns {string} - New state
+   */
+  getNextState(previousState, wallets, minWallets) {
+    if (wallets.length < minWallets) return STATES.FORMING;
+
+    if (!previousState || previousState === STATES.FORMING || previousState === STATES.EXPIRED) {
+      return STATES.CONFIRMED;
+    }
+
+    const { buyerCount, sellingCount } = this.countPositions(wallets);
+    if (buyerCount > 0 && sellingCount === buyerCount) return STATES.EXITED;
+    if (sellingCount > 0) return STATES.DISTRIBUTING;
+    return STATES.GROWING;
+  }
+};
+
+module.exports = confluenceLifecycle;
@@ -0,0 +1,119 @@
+// src/services/confluence/eventSignalDetector.js
+const logger = require('../../utils/logger');
+const cacheManager = require('./cacheManager');
+const groupSettingsManager = require('./groupSettingsManager');
+const confluenceUtils = require('./utils');
+
+/**
+ * Wallet events that can raise a signal, with the number of distinct wallets needed.
+ * A null minimum uses the group's minWallets setting. Liquidity adds and outgoing
+ * transfers are stored but never alerted on.
+ */
+const SIGNAL_RULES = {
+  'transfer-in': { minWallets: null, label: 'received by transfer' },
+  'mint': { minWallets: null, label: 'minted' },
+  'lp-remove': { minWallets: 1, label: 'pulled liquidity' }
+};
+
+/**
+ * Detects signals from non-swap wallet events (transfers, liquidity, mints)
+ */
+const eventSignalDetector = {
+  /**
+   * Check whether an event type can raise a signal
+   * @param {string} type - Transaction type
+   * @returns {boolean} - True if the type has a signal rule
+   */
+  isSignalType(type) {
+    return Object.prototype.hasOwnProperty.call(SIGNAL_RULES, type);
+  },
+
+  /**
+   * Build the detected confluences cache key used to remember an alerted signal
+   * @param {string} groupId - Group ID
+   * @param {string} type - Event type
+   * @param {Object} token - Object with coin, coinAddress and chain
+   * @returns {string} - Cache key
+   */
+  buildSignalKey(groupId, type, token) {
+    return `${groupId}_signal_${type}_${confluenceUtils.buildTokenKey(token)}`;
+  },
+
+  /**
+   * Check the events of one token and type for a signal
+   * @param {Transaction} transaction - Event that was just added
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Object|null>} - Signal ({type, label, coin, coinAddress, chain, wallets, isUpdate}) or null
+   */
+  async checkEventSignal(transaction, groupId) {
+    try {
+      if (!this.isSignalType(transaction.type)) return null;
+
+      const rule = SIGNAL_RULES[transaction.type];
+      const minWallets = rule.minWallets || await groupSettingsManager.getMinWalletsForGroup(groupId);
+      const windowMinutes = await groupSettingsManager.getWindowMinutesForGroup(groupId);
+      const cutoffTime = new Date(Date.now() - windowMinutes * 60 * 1000);
+
+      const events = (await cacheManager.getTransactions(groupId, transaction, transaction.type))
+        .filter(tx => new Date(tx.timestamp) >= cutoffTime);
+
+      // One entry per wallet, keeping the total amount it moved
+      const walletMap = new Map();
+      for (const tx of events) {
+        const walletId = tx.walletAddress || tx.walletName;
+        const wallet = walletMap.get(walletId) || {
+          walletName: tx.walletName,
+          walletAddress: tx.walletAddress,
+          amount: 0,
+          usdValue: 0,
+          baseAmount: 0,
+          baseSymbol: tx.baseSymbol,
+          timestamp: tx.timestamp
+        };
+
+        wallet.amount += tx.amount || 0;
+        wallet.usdValue += tx.usdValue || 0;
+        wallet.baseAmount += tx.baseAmount || 0;
+        if (new Date(tx.timestamp) > new Date(wallet.timestamp)) {
+          wallet.timestamp = tx.timestamp;
+        }
+        walletMap.set(walletId, wallet);
+      }
+
+      if (walletMap.size < minWallets) return null;
+
+      // Only alert again when a wallet joins the signal
+      const signalKey = this.buildSignalKey(groupId, transaction.type, transaction);
+      const alerted = await cacheManager.detectedConfluences.get(signalKey);
+      const alertedWallets = alerted ? alerted.wallets : [];
+      const walletIds = Array.from(walletMap.keys());
+
+      if (walletIds.every(walletId => alertedWallets.includes(walletId))) {
+        return null;
+      }
+
+      await cacheManager.detectedConfluences.set(signalKey, {
+        wallets: walletIds,
+        timestamp: new Date()
+      });
+
+      const tokenEvent = events.find(tx => tx.coin) || transaction;
+      logger.info(`Event signal for group ${groupId}: ${walletIds.length} wallet(s) ${rule.label} ${tokenEvent.coin || transaction.coinAddress}`);
+
+      return {
+        type: transaction.type,
+        label: rule.label,
+        coin: tokenEvent.coin,
+        coinAddress: transaction.coinAddress,
+        chain: confluenceUtils.getChain(transaction),
+        wallets: Array.from(walletMap.values()),
+        isUpdate: !!alerted
+      };
+    } catch (error) {
+      logger.error(`Error in eventSignalDetector.checkEventSignal: ${error.message}`);
+      return null;
+    }
+  }
+};
+
+module.exports = eventSignalDetector;
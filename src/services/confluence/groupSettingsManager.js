@@ -46,6 +46,42 @@ const groupSettingsManager = {
     }
   },
 
+  /**
+   * Check whether event signals (transfers, liquidity, mints) are enabled for a group
+   * @param {string} groupId - Group ID
+   * @returns {Promise<boolean>} True if event signals are enabled
+   */
+  async getEventSignalsForGroup(groupId) {
+    try {
+      const groupSettings = await require('../../db').getGroupSettings(groupId);
+      
+      return groupSettings && groupSettings.eventSignals !== undefined
+        ? groupSettings.eventSignals
+        : config.confluence.eventSignals;
+    } catch (error) {
+      logger.error(`Error getting eventSignals for group ${groupId}: ${error.message}`);
+      return config.confluence.eventSignals; // Fallback to default
+    }
+  },
+
+  /**
+   * Check whether confluence updates edit the first alert of a group instead of posting a new one
+   * @param {string} groupId - Group ID
+   * @returns {Promise<boolean>} True if alerts are edited in place
+   */
+  async getEditAlertsForGroup(groupId) {
+    try {
+      const groupSettings = await require('../../db').getGroupSettings(groupId);
+      
+      return groupSettings && groupSettings.editAlerts !== undefined
+        ? groupSettings.editAlerts
+        : config.confluence.editAlerts;
+    } catch (error) {
+      logger.error(`Error getting editAlerts for group ${groupId}: ${error.message}`);
+      return config.confluence.editAlerts; // Fallback to default
+    }
+  },
+
   /**
    * Get all settings for a group
    * @param {string} groupId - Group ID
@@ -59,14 +95,18 @@ const groupSettingsManager = {
       // Combine with defaults for any missing values
       return {
         minWallets: groupSettings?.minWallets ?? config.confluence.minWallets,
-        windowMinutes: groupSettings?.windowMinutes ?? config.confluence.windowMinutes
+        windowMinutes: groupSettings?.windowMinutes ?? config.confluence.windowMinutes,
+        eventSignals: groupSettings?.eventSignals ?? config.confluence.eventSignals,
+        editAlerts: groupSettings?.editAlerts ?? config.confluence.editAlerts
       };
     } catch (error) {
       logger.error(`Error getting settings for group ${groupId}: ${error.message}`);
       // Return defaults
       return {
         minWallets: config.confluence.minWallets,
-        windowMinutes: config.confluence.windowMinutes
+        windowMinutes: config.confluence.windowMinutes,
+        eventSignals: config.confluence.eventSignals,
+        editAlerts: config.confluence.editAlerts
       };
     }
   }
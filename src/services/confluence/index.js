@@ -1,7 +1,9 @@
 // src/services/confluence/index.js
 const cacheManager = require('./cacheManager');
 const transactionProcessor = require('./transactionProcessor');
+const confluenceUtils = require('./utils');
 const confluenceDetector = require('./confluenceDetector');
+const eventSignalDetector = require('./eventSignalDetector');
 const groupSettingsManager = require('./groupSettingsManager');
 const transactionService = require('../../db/services/transactionService');
 const logger = require('../../utils/logger');
@@ -50,7 +52,7 @@ const confluenceService = {
       
       logger.info(`Loaded ${transactions.length} transactions (${recentTransactions.length} recent for cache, ${olderTransactions.length} older for analysis)`);
       
-      // Group recent transactions for cache storage
+      // Group recent transactions by group for the cache indexes
       const grouped = {};
       
       for (const tx of recentTransactions) {
@@ -60,20 +62,12 @@ const confluenceService = {
           logger.debug(`Setting default type ${tx.type} for transaction from wallet ${tx.walletName}`);
         }
         
-        // Determine the appropriate cache key - prioritize address over name
-        let key;
-        if (tx.coinAddress && tx.coinAddress.length > 0) {
-          key = `${tx.groupId}_${tx.type}_addr_${tx.coinAddress}`;
-        } else {
-          key = `${tx.groupId}_${tx.type}_name_${tx.coin}`;
-        }
-        
-        if (!grouped[key]) {
-          grouped[key] = [];
+        if (!grouped[tx.groupId]) {
+          grouped[tx.groupId] = [];
         }
         
         // Include all important fields
-        grouped[key].push({
+        grouped[tx.groupId].push({
           walletName: tx.walletName,
           walletAddress: tx.walletAddress, // Include wallet address
           coin: tx.coin,
@@ -84,14 +78,18 @@ const confluenceService = {
           marketCap: tx.marketCap || 0,
           type: tx.type,                // Preserve transaction type
           baseAmount: tx.baseAmount || 0,  // Preserve base amount
-          baseSymbol: tx.baseSymbol || ''  // Preserve base symbol
+          baseSymbol: tx.baseSymbol || '',  // Preserve base symbol
+          chain: confluenceUtils.getChain(tx),
+          sourceClientId: tx.sourceClientId,  // Source message, to handle edits and deletions
+          sourceChatId: tx.sourceChatId,
+          sourceMessageId: tx.sourceMessageId
         });
       }
       
-      // Populate cache with grouped transactions using batch operations
+      // Populate the cache index of every group using batch operations
       const batchPromises = [];
-      for (const [key, txList] of Object.entries(grouped)) {
-        batchPromises.push(cacheManager.transactionsCache.set(key, txList));
+      for (const [groupId, txList] of Object.entries(grouped)) {
+        batchPromises.push(cacheManager.setGroupTransactions(groupId, txList));
       }
       
       // Wait for all cache operations to complete
@@ -100,7 +98,7 @@ const confluenceService = {
       // Store metadata about older transactions to support 48h confluence detection
       confluenceDetector.olderTransactionsMetadata = transactionProcessor.groupOlderTransactions(olderTransactions);
       
-      logger.info(`Confluence service initialized with ${Object.keys(grouped).length} transaction groups in cache and ${Object.keys(confluenceDetector.olderTransactionsMetadata).length} older transaction groups metadata`);
+      logger.info(`Confluence service initialized with ${recentTransactions.length} transactions of ${Object.keys(grouped).length} groups in cache and ${Object.keys(confluenceDetector.olderTransactionsMetadata).length} older transaction groups metadata`);
     } catch (error) {
       logger.error(`Error initializing confluence service: ${error.message}`);
     }
@@ -118,6 +116,15 @@ const confluenceService = {
     return transactionProcessor.addTransaction(transaction, groupId);
   },
   
+  /**
+   * Remove the transactions parsed from edited or deleted tracker messages
+   * @param {Object} source - Message source with clientId, chatId (optional) and messageIds
+   * @returns {Promise<Array<Object>>} Affected tokens ({groupId, coin, coinAddress, chain})
+   */
+  async removeTransactionsBySource(source) {
+    return transactionProcessor.removeTransactionsBySource(source);
+  },
+  
   /**
    * Check for confluences
    * @param {string} groupId - Group ID
@@ -127,6 +134,61 @@ const confluenceService = {
     return confluenceDetector.checkConfluences(groupId);
   },
   
+  /**
+   * Check the confluence of the token of a transaction
+   * @param {string} groupId - Group ID
+   * @param {Object} token - Object with coin, coinAddress and chain
+   * @returns {Promise<Array>} - The confluence of the token if it is new or changed, else an empty list
+   */
+  async checkTokenConfluence(groupId, token) {
+    return confluenceDetector.checkTokenConfluence(groupId, token);
+  },
+  
+  /**
+   * Get the groups with cached transactions, the ones reconciliation scans
+   * @returns {Promise<Array<string>>} - Group IDs
+   */
+  async getCachedGroupIds() {
+    return cacheManager.getGroupIds();
+  },
+  
+  /**
+   * Expire the confluences without activity during their window
+   * @returns {Promise<Array>} - Confluences that expired, for the caller to alert
+   */
+  async expireInactiveConfluences() {
+    return confluenceDetector.expireInactiveConfluences();
+  },
+  
+  /**
+   * Check the events of a token for a transfer, liquidity or mint signal
+   * @param {Transaction} transaction - Event that was just added
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Object|null>} - Signal or null
+   */
+  async checkEventSignal(transaction, groupId) {
+    return eventSignalDetector.checkEventSignal(transaction, groupId);
+  },
+  
+  /**
+   * Get the cached tokens of a group
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Array<Object>>} - Token entries ({coin, coinAddress, chain, sides: {<type>: transactions}})
+   */
+  async getCachedTokens(groupId) {
+    return cacheManager.getTokenEntries(groupId);
+  },
+  
+  /**
+   * Remove cached transactions of a group
+   * @param {string} groupId - Group ID
+   * @param {Function} predicate - Returns true for the transactions to remove
+   * @returns {Promise<number>} - Number of transactions removed
+   */
+  async removeCachedTransactions(groupId, predicate) {
+    return cacheManager.removeTransactions(groupId, predicate);
+  },
+  
   /**
    * Clean transactions that are too old
    * @returns {Promise<void>}
@@ -178,6 +240,35 @@ const confluenceService = {
     return groupSettingsManager.getWindowMinutesForGroup(groupId);
   },
   
+  /**
+   * Check whether event signals are enabled for a group
+   * @param {string} groupId - Group ID
+   * @returns {Promise<boolean>} True if event signals are enabled
+   */
+  async getEventSignalsForGroup(groupId) {
+    return groupSettingsManager.getEventSignalsForGroup(groupId);
+  },
+  
+  /**
+   * Check whether confluence updates edit the first alert of a group
+   * @param {string} groupId - Group ID
+   * @returns {Promise<boolean>} True if alerts are edited in place
+   */
+  async getEditAlertsForGroup(groupId) {
+    return groupSettingsManager.getEditAlertsForGroup(groupId);
+  },
+  
+  /**
+   * Remember the Telegram message that alerted a confluence, so its updates can edit it
+   * @param {string} groupId - Group ID
+   * @param {Object} confluence - Alerted confluence
+   * @param {number} messageId - Telegram message ID of the alert
+   * @returns {Promise<void>}
+   */
+  async setAlertMessageId(groupId, confluence, messageId) {
+    return confluenceDetector.setAlertMessageId(groupId, confluence, messageId);
+  },
+  
   /**
    * Get all settings for a group
    * @param {string} groupId - Group ID
@@ -2,6 +2,8 @@
 const logger = require('../../utils/logger');
 const transactionService = require('../../db/services/transactionService');
 const cacheManager = require('./cacheManager');
+const confluenceUtils = require('./utils');
+const Transaction = require('../../models/transaction');
 
 /**
  * Processes transactions for confluence detection
@@ -50,25 +52,18 @@ const transactionProcessor = {
   async addTransaction(transaction, groupId) {
     try {
       // Check for invalid transactions
-      if (!transaction.type || !['buy', 'sell'].includes(transaction.type)) {
+      if (!transaction.type || !Transaction.TYPES.includes(transaction.type)) {
         logger.warn(`addTransaction: Invalid transaction type '${transaction.type}' - skipping`);
         return false;
       }
       
-      // Generate cache key
-      let key;
-      if (transaction.coinAddress && transaction.coinAddress.trim().length > 0 
-          && transaction.coinAddress !== 'unknown' 
-          && transaction.coinAddress !== 'undefined') {
-        key = `${groupId}_${transaction.type}_addr_${transaction.coinAddress}`;
-      } else {
-        key = `${groupId}_${transaction.type}_name_${transaction.coin}`;
-      }
+      // Tokens are indexed by chain, so the same address or symbol on two chains stays apart
+      const tokenKey = confluenceUtils.buildTokenKey(transaction);
       
-      logger.debug(`Using ${transaction.coinAddress ? 'address' : 'name'}-based key: ${key} for token ${transaction.coin || 'UNKNOWN'} (address: ${transaction.coinAddress || 'none'})`);
+      logger.debug(`Using ${transaction.coinAddress ? 'address' : 'name'}-based token ${tokenKey} for token ${transaction.coin || 'UNKNOWN'} on ${confluenceUtils.getChain(transaction)} (address: ${transaction.coinAddress || 'none'})`);
       
       // Get existing transactions
-      let transactions = await cacheManager.transactionsCache.get(key) || [];
+      const transactions = await cacheManager.getTransactions(groupId, transaction, transaction.type);
       
       // Check for duplicates
       if (this.isDuplicateTransaction(transactions, transaction)) {
@@ -83,23 +78,10 @@ const transactionProcessor = {
         return false;
       }
       
-      // Add to transaction array
-      transactions.push(transaction);
-      
       // Store in cache
-      await cacheManager.transactionsCache.set(key, transactions);
-      
-      // Keep metadata synchronized
-      const metadataKey = `meta_${key}`;
-      let metadata = await cacheManager.transactionsCache.get(metadataKey) || {};
-      metadata.lastUpdated = new Date();
-      metadata.tokenAddress = transaction.coinAddress;
-      metadata.tokenSymbol = transaction.coin;
-      metadata.transactionCount = transactions.length;
+      await cacheManager.setTransactions(groupId, transaction, transaction.type, [...transactions, transaction]);
       
-      await cacheManager.transactionsCache.set(metadataKey, metadata);
-      
-      logger.info(`Transaction added for group ${groupId}: ${transaction.type} ${transaction.amount} ${transaction.coin || 'UNKNOWN'} by ${transaction.walletName}, key: ${key}`);
+      logger.info(`Transaction added for group ${groupId}: ${transaction.type} ${transaction.amount} ${transaction.coin || 'UNKNOWN'} by ${transaction.walletName}, token: ${tokenKey}`);
       return true;
     } catch (error) {
       logger.error(`Error in transactionProcessor.addTransaction: ${error.message}`);
@@ -107,6 +89,80 @@ const transactionProcessor = {
     }
   },
   
+  /**
+   * Remove the transactions parsed from edited or deleted tracker messages
+   * Transactions are removed from MongoDB and from the cache, and the wallets left without
+   * transactions are retracted from the detected confluence of their token
+   * @param {Object} source - Message source with clientId, chatId (optional) and messageIds
+   * @returns {Promise<Array<Object>>} Affected tokens ({groupId, coin, coinAddress, chain})
+   */
+  async removeTransactionsBySource(source) {
+    try {
+      const removed = await transactionService.deleteTransactionsBySource(source);
+      const affectedTokens = new Map();
+      
+      for (const tx of removed) {
+        const transactions = await cacheManager.getTransactions(tx.groupId, tx, tx.type);
+        const remaining = transactions.filter(cached => !confluenceUtils.matchesSource(cached, source));
+        
+        if (remaining.length !== transactions.length) {
+          await cacheManager.setTransactions(tx.groupId, tx, tx.type, remaining);
+          logger.debug(`Removed ${transactions.length - remaining.length} ${tx.type} transactions of ${confluenceUtils.buildTokenKey(tx)} from group ${tx.groupId} cache`);
+        }
+        
+        const confluenceKey = confluenceUtils.buildConfluenceKey(tx.groupId, tx);
+        affectedTokens.set(confluenceKey, {
+          groupId: tx.groupId,
+          coin: tx.coin,
+          coinAddress: tx.coinAddress,
+          chain: confluenceUtils.getChain(tx)
+        });
+      }
+      
+      for (const [confluenceKey, token] of affectedTokens.entries()) {
+        await this.retractWallets(confluenceKey, token);
+      }
+      
+      return Array.from(affectedTokens.values());
+    } catch (error) {
+      logger.error(`Error in transactionProcessor.removeTransactionsBySource: ${error.message}`);
+      return [];
+    }
+  },
+  
+  /**
+   * Retract the wallets left without transactions from a detected confluence
+   * The confluence keeps its state and alert until it expires, and the retracted wallets are
+   * remembered so a re-parsed edit brings them back without announcing them as new
+   * @param {string} confluenceKey - Detected confluence cache key
+   * @param {Object} token - Token with groupId, coin, coinAddress and chain
+   * @returns {Promise<number>} Number of wallets retracted
+   */
+  async retractWallets(confluenceKey, token) {
+    const confluence = await cacheManager.detectedConfluences.get(confluenceKey);
+    if (!confluence || !confluence.wallets || confluence.wallets.length === 0) return 0;
+    
+    const walletIds = new Set();
+    for (const type of Transaction.SWAP_TYPES) {
+      const transactions = await cacheManager.getTransactions(token.groupId, token, type);
+      transactions.forEach(tx => walletIds.add(tx.walletAddress || tx.walletName));
+    }
+    
+    const kept = confluence.wallets.filter(wallet => walletIds.has(wallet.walletAddress || wallet.walletName));
+    const retracted = confluence.wallets.filter(wallet => !walletIds.has(wallet.walletAddress || wallet.walletName));
+    if (retracted.length === 0) return 0;
+    
+    await cacheManager.detectedConfluences.set(confluenceKey, {
+      ...confluence,
+      wallets: kept,
+      retractedWallets: [...(confluence.retractedWallets || []), ...retracted],
+      count: kept.length
+    });
+    
+    logger.info(`Retracted ${retracted.length} wallet(s) from confluence ${confluenceKey}, ${kept.length} left`);
+    return retracted.length;
+  },
+  
   /**
    * Group older transactions for metadata tracking
    * This helps support 48h confluence detection without keeping all data in memory
@@ -123,12 +179,7 @@ const transactionProcessor = {
       }
       
       // Determine key (same pattern as cache keys)
-      let key;
-      if (tx.coinAddress && tx.coinAddress.length > 0) {
-        key = `${tx.groupId}_${tx.type}_addr_${tx.coinAddress}`;
-      } else {
-        key = `${tx.groupId}_${tx.type}_name_${tx.coin}`;
-      }
+      const key = confluenceUtils.buildTransactionKey(tx.groupId, tx);
       
       if (!metadata[key]) {
         metadata[key] = {
@@ -136,6 +187,7 @@ const transactionProcessor = {
           type: tx.type,
           coin: tx.coin,
           coinAddress: tx.coinAddress,
+          chain: confluenceUtils.getChain(tx),
           wallets: new Set(),
           oldestTimestamp: tx.timestamp,
           newestTimestamp: tx.timestamp,
@@ -175,41 +227,31 @@ const transactionProcessor = {
    * @returns {Promise<void>}
    */
   async findTransactionsForToken(tokenSymbolOrAddress) {
-    const keys = await cacheManager.transactionsCache.keys();
+    const groupIds = await cacheManager.getGroupIds();
     logger.debug(`--- LOOKING FOR TOKEN: ${tokenSymbolOrAddress} ---`);
     
     let found = false;
-    const searchPromises = [];
     
-    for (const key of keys) {
-      // Check both address-based and name-based keys
-      if (key.includes(`_addr_${tokenSymbolOrAddress}`) || 
-          key.includes(`_name_${tokenSymbolOrAddress}`)) {
-        
-        searchPromises.push(
-          cacheManager.transactionsCache.get(key).then(transactions => {
-            if (!transactions) return;
-            
-            found = true;
-            logger.debug(`Found in key: ${key}`);
-            logger.debug(`  Transactions: ${transactions.length}`);
-            
-            // Add details about the first transaction to see full token info
-            if (transactions.length > 0) {
-              const firstTx = transactions[0];
-              logger.debug(`  Token details: Name=${firstTx.coin || 'UNKNOWN'}, Address=${firstTx.coinAddress || 'none'}`);
-            }
-            
-            for (const tx of transactions) {
-              logger.debug(`  - Wallet: ${tx.walletName}, Amount: ${tx.amount}, Type: ${tx.type}, Base: ${tx.baseAmount} ${tx.baseSymbol}, Time: ${new Date(tx.timestamp).toISOString()}`);
-            }
-          })
-        );
+    for (const groupId of groupIds) {
+      // Check both address-based and name-based tokens (on any chain)
+      const entries = (await cacheManager.getTokenEntries(groupId)).filter(entry =>
+        entry.coinAddress === tokenSymbolOrAddress || entry.coin === tokenSymbolOrAddress
+      );
+      
+      for (const entry of entries) {
+        for (const [type, transactions] of Object.entries(entry.sides)) {
+          found = true;
+          logger.debug(`Found in group ${groupId}, ${type} side`);
+          logger.debug(`  Transactions: ${transactions.length}`);
+          logger.debug(`  Token details: Name=${entry.coin || 'UNKNOWN'}, Address=${entry.coinAddress || 'none'}, Chain=${entry.chain}`);
+          
+          for (const tx of transactions) {
+            logger.debug(`  - Wallet: ${tx.walletName}, Amount: ${tx.amount}, Type: ${tx.type}, Base: ${tx.baseAmount} ${tx.baseSymbol}, Time: ${new Date(tx.timestamp).toISOString()}`);
+          }
+        }
       }
     }
     
-    await Promise.all(searchPromises);
-    
     if (!found) {
       logger.debug(`No transactions found for token: ${tokenSymbolOrAddress}`);
     }
@@ -0,0 +1,112 @@
+// src/services/confluence/utils.js
+const chains = require('../../utils/chains');
+
+// Identifier types used in cache keys
+const ADDRESS_KEY = 'addr';
+const NAME_KEY = 'name';
+
+/**
+ * Cache key helpers for the confluence service
+ *
+ * Token keys:        <chain>_addr_<address>                   or  <chain>_name_<symbol>
+ * Transaction keys:  <groupId>_<type>_<chain>_addr_<address>  or  <groupId>_<type>_<chain>_name_<symbol>
+ * Confluence keys:   <groupId>_<chain>_addr_<address>         or  <groupId>_<chain>_name_<symbol>
+ *
+ * Keys are only built, never split: cached transactions are indexed by group, token and
+ * type in cacheManager. Transaction keys remain as identifiers of older transaction metadata.
+ */
+const confluenceUtils = {
+  /**
+   * Check if a token address can be used to identify a token
+   * @param {string} coinAddress - Token address
+   * @returns {boolean} - True if the address is usable
+   */
+  hasUsableAddress(coinAddress) {
+    return !!coinAddress &&
+      coinAddress.trim().length > 0 &&
+      coinAddress !== 'unknown' &&
+      coinAddress !== 'undefined';
+  },
+
+  /**
+   * Get the chain of a transaction, defaulting to Solana for older records
+   * @param {Object} transaction - Transaction or confluence
+   * @returns {string} - Chain id
+   */
+  getChain(transaction) {
+    return chains.normalizeChain(transaction && transaction.chain) || chains.DEFAULT_CHAIN;
+  },
+
+  /**
+   * Build the token part of a key (chain, identifier type and identifier)
+   * @param {Object} token - Object with coin, coinAddress and chain
+   * @returns {string} - Token key part
+   */
+  buildTokenKey(token) {
+    const chain = this.getChain(token);
+    return this.hasUsableAddress(token.coinAddress)
+      ? `${chain}_${ADDRESS_KEY}_${token.coinAddress}`
+      : `${chain}_${NAME_KEY}_${token.coin}`;
+  },
+
+  /**
+   * Build the transactions cache key of a transaction
+   * @param {string} groupId - Group ID
+   * @param {Object} transaction - Transaction
+   * @returns {string} - Cache key
+   */
+  buildTransactionKey(groupId, transaction) {
+    return `${groupId}_${transaction.type}_${this.buildTokenKey(transaction)}`;
+  },
+
+  /**
+   * Build the detected confluences cache key of a token (all transaction types)
+   * @param {string} groupId - Group ID
+   * @param {Object} token - Object with coin, coinAddress and chain
+   * @returns {string} - Cache key
+   */
+  buildConfluenceKey(groupId, token) {
+    return `${groupId}_${this.buildTokenKey(token)}`;
+  },
+
+  /**
+   * Check if a transaction was parsed from one of the given tracker messages
+   * @param {Object} transaction - Cached transaction
+   * @param {Object} source - Message source with clientId, chatId (optional) and messageIds
+   * @returns {boolean} - True if the transaction comes from one of the messages
+   */
+  matchesSource(transaction, source) {
+    if (!transaction.sourceMessageId || !source.messageIds.includes(transaction.sourceMessageId)) {
+      return false;
+    }
+
+    return source.chatId
+      ? transaction.sourceChatId === source.chatId
+      : transaction.sourceClientId === source.clientId;
+  },
+
+  /**
+   * Split a transactions cache key of the former cache format into its parts
+   * Only used to migrate those keys: symbols containing underscores can't be split reliably.
+   * Keys written before multi-chain support have no chain segment and are read as Solana.
+   * @param {string} key - Cache key
+   * @returns {{groupId: string, type: string, chain: string, idType: string, identifier: string}} - Key parts
+   */
+  parseTransactionKey(key) {
+    const parts = key.split('_');
+
+    // Keys without a chain segment predate multi-chain support
+    const hasChain = parts[2] !== ADDRESS_KEY && parts[2] !== NAME_KEY;
+    const idIndex = hasChain ? 3 : 2;
+
+    return {
+      groupId: parts[0],
+      type: parts[1],
+      chain: hasChain ? parts[2] : chains.DEFAULT_CHAIN,
+      idType: parts[idIndex],
+      identifier: parts.slice(idIndex + 1).join('_')
+    };
+  }
+};
+
+module.exports = confluenceUtils;
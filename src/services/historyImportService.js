@@ -0,0 +1,176 @@
+// src/services/historyImportService.js
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const parserService = require('./parserService');
+const confluenceService = require('./confluenceService');
+const trackerService = require('../db/services/trackerService');
+const transactionService = require('../db/services/transactionService');
+const telegramEntityService = require('../db/services/telegramEntityService');
+const confluenceUtils = require('./confluence/utils');
+const Transaction = require('../models/transaction');
+
+// Client ID recorded as the source of imported transactions
+const IMPORT_CLIENT_ID = 'import';
+
+// Telegram Desktop entity types and the gramjs entity classes the parsers know
+const ENTITY_CLASSES = {
+  text_link: 'MessageEntityTextUrl',
+  link: 'MessageEntityUrl',
+  mention: 'MessageEntityMention',
+  bold: 'MessageEntityBold',
+  italic: 'MessageEntityItalic',
+  code: 'MessageEntityCode',
+  pre: 'MessageEntityPre',
+  cashtag: 'MessageEntityCashtag',
+  hashtag: 'MessageEntityHashtag'
+};
+
+/**
+ * Import of Telegram Desktop chat exports (result.json), so new groups start
+ * with the recent history of their trackers instead of an empty window
+ */
+const historyImportService = {
+  /**
+   * Rebuild the text and entities of an exported message
+   * Exports split the text in typed parts; offsets are counted in UTF-16 units like Telegram's
+   * @param {Object} exportMessage - Message of a Telegram Desktop export
+   * @returns {{text: string, entities: Array<Object>}} - Message as received by the forwarder
+   */
+  toTrackerMessage(exportMessage) {
+    const parts = exportMessage.text_entities ||
+      (Array.isArray(exportMessage.text) ? exportMessage.text : [exportMessage.text || ''])
+        .map(part => typeof part === 'string' ? { type: 'plain', text: part } : part);
+
+    let text = '';
+    const entities = [];
+
+    for (const part of parts) {
+      const partText = part.text || '';
+      const className = ENTITY_CLASSES[part.type];
+
+      if (className && partText) {
+        entities.push({
+          className,
+          offset: text.length,
+          length: partText.length,
+          ...(part.href && { url: part.href })
+        });
+      }
+      text += partText;
+    }
+
+    return { text, entities };
+  },
+
+  /**
+   * Get the date of an exported message
+   * @param {Object} exportMessage - Message of a Telegram Desktop export
+   * @returns {Date} - Date the message was posted
+   */
+  getMessageDate(exportMessage) {
+    if (exportMessage.date_unixtime) {
+      return new Date(parseInt(exportMessage.date_unixtime, 10) * 1000);
+    }
+    return new Date(exportMessage.date);
+  },
+
+  /**
+   * Import the transactions of a tracker chat export into a group
+   * Messages are parsed with the tracker's configured parser and keep their original
+   * time. The history is stored in MongoDB without alerts; only the transactions inside
+   * the group's window join the cache, and the confluences they form are recorded as
+   * already seen, dated from their own transactions, so only later wallets trigger alerts.
+   * @param {Object} exportData - Parsed result.json of a Telegram Desktop chat export
+   * @param {Object} options - Import options
+   * @param {string} options.groupId - Group the transactions are imported into
+   * @param {string} options.trackerName - Tracker configured in the group that posted the messages
+   * @returns {Promise<Object>} - Import report ({messages, tooOld, alreadyImported, unparsed, transactions, stored, outsideWindow})
+   * @throws {Error} - If the export or the tracker is invalid
+   */
+  async importExport(exportData, { groupId, trackerName }) {
+    if (!exportData || !Array.isArray(exportData.messages)) {
+      throw new Error('Not a Telegram Desktop chat export (no messages array). Export the chat as JSON.');
+    }
+
+    const tracker = await trackerService.findByNameAndGroup(trackerName, groupId);
+    if (!tracker) {
+      throw new Error(`${trackerName} is not configured in group ${groupId}`);
+    }
+
+    // Group chats hold other messages too, keep the tracker's when its ID is known
+    const entity = await telegramEntityService.findByName(trackerName);
+    const senderId = entity ? `${entity.className === 'Channel' ? 'channel' : 'user'}${entity.id}` : null;
+
+    const chatId = String(exportData.id || exportData.name || 'export');
+    const cutoff = Date.now() - config.backfill.maxAgeHours * 60 * 60 * 1000;
+    const imported = new Set(await transactionService.getSourceMessageIds(groupId, IMPORT_CLIENT_ID, chatId));
+    const windowMinutes = await confluenceService.getWindowMinutesForGroup(groupId);
+    const windowStart = Date.now() - windowMinutes * 60 * 1000;
+    const windowTokens = new Map();
+    const report = { messages: 0, tooOld: 0, alreadyImported: 0, unparsed: 0, transactions: 0, stored: 0, outsideWindow: 0 };
+
+    for (const exportMessage of exportData.messages) {
+      if (exportMessage.type !== 'message') continue;
+      if (senderId && exportMessage.from_id && exportMessage.from_id !== senderId) continue;
+
+      report.messages++;
+
+      const date = this.getMessageDate(exportMessage);
+      if (isNaN(date.getTime()) || date.getTime() < cutoff) {
+        report.tooOld++;
+        continue;
+      }
+
+      if (imported.has(exportMessage.id)) {
+        report.alreadyImported++;
+        continue;
+      }
+
+      const message = this.toTrackerMessage(exportMessage);
+      if (!message.text) continue;
+
+      const outcome = parserService.parseWithDiagnostics(message, tracker.type || 'cielo', {
+        template: tracker.parserTemplate
+      });
+      const transactions = outcome.transactions.filter(tx => Transaction.TYPES.includes(tx.type));
+
+      if (transactions.length === 0) {
+        report.unparsed++;
+        continue;
+      }
+
+      for (const transaction of transactions) {
+        transaction.timestamp = date;
+        transaction.sourceClientId = IMPORT_CLIENT_ID;
+        transaction.sourceChatId = chatId;
+        transaction.sourceMessageId = exportMessage.id;
+
+        report.transactions++;
+
+        // Older transactions only serve recaps, the detector must not see them
+        if (date.getTime() < windowStart) {
+          if (await transactionService.storeTransaction(transaction, groupId)) {
+            report.stored++;
+            report.outsideWindow++;
+          }
+          continue;
+        }
+
+        if (await confluenceService.addTransaction(transaction, groupId)) {
+          report.stored++;
+          windowTokens.set(confluenceUtils.buildTokenKey(transaction), transaction);
+        }
+      }
+    }
+
+    // Record the confluences formed inside the window, without alerting
+    for (const token of windowTokens.values()) {
+      await confluenceService.checkTokenConfluence(groupId, token);
+    }
+
+    logger.info(`History import for ${trackerName} in group ${groupId}: ${report.stored} transaction(s) stored from ${report.messages} message(s)`);
+    return report;
+  }
+};
+
+module.exports = historyImportService;
@@ -0,0 +1,158 @@
+// src/services/parserQuarantineService.js
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const parserService = require('./parserService');
+const quarantineService = require('../db/services/quarantineService');
+const trackerService = require('../db/services/trackerService');
+
+/**
+ * Quarantine of tracker messages that no parser could turn into a transaction,
+ * so tracker format changes get noticed and the messages can be re-run after a fix
+ */
+const parserQuarantineService = {
+  /**
+   * Store a tracker message that yielded no transaction
+   * @param {string} trackerName - Name of the tracker
+   * @param {string|Object} message - Message content, or object with text, entities and source
+   * @param {Object} failure - Parse failure
+   * @param {string} failure.trackerType - Tracker type configured for the groups
+   * @param {string|null} failure.parserType - Parser that handled the message
+   * @param {string} failure.reason - Reason code (see parserService.REASONS)
+   * @param {string|null} failure.error - Parser error message
+   * @param {Array<string>} failure.groupIds - Groups the message was parsed for
+   * @returns {Promise<Object|null>} The quarantine entry or null
+   */
+  async quarantine(trackerName, message, failure) {
+    const isString = typeof message === 'string';
+
+    const entry = await quarantineService.addMessage({
+      trackerName,
+      trackerType: failure.trackerType,
+      parserType: failure.parserType,
+      groupIds: failure.groupIds,
+      reason: failure.reason,
+      error: failure.error,
+      text: isString ? message : message.text,
+      entities: isString ? [] : message.entities,
+      source: isString ? null : message.source
+    });
+
+    if (entry) {
+      logger.warn(`Quarantined message from ${trackerName} (${failure.trackerType}): ${failure.reason}`);
+    }
+
+    return entry;
+  },
+
+  /**
+   * Re-run a quarantined message through the parsers, using the current tracker settings
+   * @param {Object} entry - Quarantine entry
+   * @returns {Promise<{resolved: boolean, transactions: Array<Transaction>, reason: string|null, parserType: string|null}>} - Retry outcome
+   */
+  async retry(entry) {
+    // The tracker type or template may have been fixed since the message was quarantined
+    let trackerType = entry.trackerType;
+    let template = null;
+
+    if (entry.groupIds && entry.groupIds.length > 0) {
+      try {
+        const tracker = await trackerService.findByNameAndGroup(entry.trackerName, entry.groupIds[0]);
+        if (tracker) {
+          trackerType = tracker.type || trackerType;
+          template = tracker.parserTemplate;
+        }
+      } catch (error) {
+        logger.warn(`Could not load tracker ${entry.trackerName} for quarantine retry: ${error.message}`);
+      }
+    }
+
+    const message = { text: entry.text, entities: entry.entities || [] };
+    const outcome = parserService.parseWithDiagnostics(message, trackerType, { template });
+    const resolved = outcome.transactions.length > 0;
+
+    await quarantineService.recordRetry(entry._id, {
+      resolved,
+      reason: outcome.reason,
+      parserType: outcome.parserType
+    });
+
+    logger.info(`Quarantine retry ${entry._id}: ${resolved ? `${outcome.transactions.length} transaction(s) extracted` : outcome.reason}`);
+
+    return {
+      resolved,
+      transactions: outcome.transactions,
+      reason: outcome.reason,
+      parserType: outcome.parserType
+    };
+  },
+
+  /**
+   * Re-run every pending quarantined message
+   * @param {number} limit - Maximum number of messages to re-run
+   * @returns {Promise<{total: number, resolved: number}>} - Retry counts
+   */
+  async retryPending(limit = 100) {
+    const entries = await quarantineService.getRecent({ status: 'pending', limit });
+    let resolved = 0;
+
+    for (const entry of entries) {
+      const outcome = await this.retry(entry);
+      if (outcome.resolved) resolved++;
+    }
+
+    return { total: entries.length, resolved };
+  },
+
+  /**
+   * Build the quarantine summary of the last 24 hours
+   * @returns {Promise<string|null>} - Plain text summary, or null if nothing was quarantined
+   */
+  async buildDailySummary() {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const counts = await quarantineService.countSince(since);
+
+    if (counts.total === 0) return null;
+
+    let summary = `🧪 Parser quarantine: ${counts.total} unparsed tracker message(s) in the last 24h (${counts.pending} pending)\n`;
+
+    summary += '\nBy reason:\n';
+    for (const [reason, count] of Object.entries(counts.byReason).sort((a, b) => b[1] - a[1])) {
+      summary += `• ${reason}: ${count}\n`;
+    }
+
+    summary += '\nBy tracker:\n';
+    for (const [trackerName, count] of Object.entries(counts.byTracker).sort((a, b) => b[1] - a[1])) {
+      summary += `• @${trackerName}: ${count}\n`;
+    }
+
+    summary += '\nUse /quarantine list to review them.';
+    return summary;
+  },
+
+  /**
+   * Send the daily quarantine summary to the bot admins
+   * @param {TelegramBot} bot - Telegram bot instance
+   * @returns {Promise<void>}
+   */
+  async sendDailyReport(bot) {
+    try {
+      const summary = await this.buildDailySummary();
+      if (!summary) {
+        logger.debug('No quarantined messages in the last 24h, skipping report');
+        return;
+      }
+
+      for (const adminId of config.adminUsers || []) {
+        try {
+          await bot.sendMessage(adminId, summary);
+        } catch (sendError) {
+          logger.error(`Error sending quarantine report to admin ${adminId}: ${sendError.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error in parserQuarantineService.sendDailyReport: ${error.message}`);
+    }
+  }
+};
+
+module.exports = parserQuarantineService;
@@ -1,44 +1,146 @@
 // src/services/parserService.js
 const logger = require('../utils/logger');
+const parserRegistry = require('./parsers/parserRegistry');
 const cieloParser = require('./parsers/cieloParser');
-const definedParser = require('./parsers/definedParser');
-const rayParser = require('./parsers/rayParser');
+const normalizer = require('./parsers/normalizer');
 
 /**
  * Service to parse wallet tracker Telegram messages
  */
 const parserService = {
+  // Reason codes reported when a tracker message yields no transaction
+  REASONS: {
+    NO_PARSER: 'NO_PARSER',                 // No parser recognized the message format
+    FORMAT_MISMATCH: 'FORMAT_MISMATCH',     // The tracker's parser does not recognize the message
+    NO_TEMPLATE: 'NO_TEMPLATE',             // Custom tracker without parser templates
+    NO_TRANSACTION: 'NO_TRANSACTION',       // The parser recognized the format but extracted nothing
+    PARSER_ERROR: 'PARSER_ERROR',           // The parser threw
+    IRRELEVANT: 'IRRELEVANT'                // Known non-trade post (headers, pings, base currency transfers), not a failure
+  },
+
   /**
    * Parse a wallet tracker message and extract transaction information
    * @param {string|Object} message - Message to parse (string or object with text property)
-   * @param {string} trackerType - Type of tracker ('cielo', 'defined', 'ray')
-   * @returns {Transaction|null} - Extracted transaction or null if the message is not a transaction
+   * @param {string} trackerType - Type of tracker (any registered parser type, or 'auto')
+   * @param {Object} options - Parser options
+   * @param {Object} options.template - Parser template of a 'custom' tracker
+   * @returns {Array<Transaction>} - Extracted transactions, empty if the message holds no transaction
+   */
+  parseTrackerMessage(message, trackerType = 'cielo', options = {}) {
+    return this.parseWithDiagnostics(message, trackerType, options).transactions;
+  },
+
+  /**
+   * Parse a wallet tracker message and explain why nothing was extracted
+   * @param {string|Object} message - Message to parse (string or object with text property)
+   * @param {string} trackerType - Type of tracker (any registered parser type, or 'auto')
+   * @param {Object} options - Parser options
+   * @param {Object} options.template - Parser template of a 'custom' tracker
+   * @returns {{transactions: Array<Transaction>, parserType: string|null, reason: string|null, error: string|null}} - Parse outcome, reason is set when no transaction was extracted
    */
-  parseTrackerMessage(message, trackerType = 'cielo') {
+  parseWithDiagnostics(message, trackerType = 'cielo', options = {}) {
+    const outcome = { transactions: [], parserType: null, reason: null, error: null };
+
     try {
-      // Route to the appropriate parser based on tracker type
-      switch (trackerType.toLowerCase()) {
-        case 'cielo':
-          return cieloParser.parseMessage(message);
-        case 'defined':
-          return definedParser.parseMessage(message);
-        case 'ray':
-          return rayParser.parseMessage(message);
-        default:
-          logger.warn(`Unknown tracker type: ${trackerType}, defaulting to Cielo parser`);
-          return cieloParser.parseMessage(message);
+      const parser = this.resolveParser(message, trackerType);
+
+      if (!parser) {
+        logger.debug(`No parser recognized message for tracker type ${trackerType}`);
+        outcome.reason = this.isIrrelevant(message) ? this.REASONS.IRRELEVANT : this.REASONS.NO_PARSER;
+        return outcome;
       }
+
+      outcome.parserType = parser.type;
+      outcome.transactions = parser.parseMessage(message, options) || [];
+
+      if (outcome.transactions.length === 0) {
+        if (this.isIrrelevant(message, parser)) {
+          outcome.reason = this.REASONS.IRRELEVANT;
+        } else if (parser.type === 'custom') {
+          // Template formats have no fingerprint to check
+          outcome.reason = options.template ? this.REASONS.NO_TRANSACTION : this.REASONS.NO_TEMPLATE;
+        } else if (!parser.canParse(message)) {
+          outcome.reason = this.REASONS.FORMAT_MISMATCH;
+        } else {
+          outcome.reason = this.REASONS.NO_TRANSACTION;
+        }
+      }
+
+      return outcome;
     } catch (error) {
       logger.error(`Error in parserService for ${trackerType}:`, error);
-      return null;
+      outcome.transactions = [];
+      outcome.reason = this.REASONS.PARSER_ERROR;
+      outcome.error = error.message;
+      return outcome;
+    }
+  },
+
+  /**
+   * Check if a message that yielded no transaction is a known non-trade post
+   * A message without any number cannot hold a trade (headers, pings), the parser
+   * recognizes the other non-trade posts of its tracker
+   * @param {string|Object} message - Message that yielded no transaction
+   * @param {Object|null} parser - Parser of the tracker, if any
+   * @returns {boolean} - True if the message is not worth quarantining
+   */
+  isIrrelevant(message, parser = null) {
+    const messageText = typeof message === 'string' ? message : message && message.text;
+    if (!messageText || !/\d/.test(messageText)) {
+      return true;
+    }
+
+    return !!parser && typeof parser.isIrrelevant === 'function' && parser.isIrrelevant(message);
+  },
+
+  /**
+   * Resolve the parser to use for a message
+   * @param {string|Object} message - Message to parse
+   * @param {string} trackerType - Type of tracker (any registered parser type, or 'auto')
+   * @returns {Object|null} - Parser or null if none applies
+   */
+  resolveParser(message, trackerType = 'cielo') {
+    const type = (trackerType || parserRegistry.AUTO_TRACKER_TYPE).toLowerCase();
+
+    if (type === parserRegistry.AUTO_TRACKER_TYPE) {
+      const detected = parserRegistry.detect(message);
+      if (detected) {
+        logger.debug(`Auto-detected tracker format: ${detected.type}`);
+      }
+      return detected;
     }
+
+    const parser = parserRegistry.get(type);
+    if (parser) {
+      return parser;
+    }
+
+    logger.warn(`Unknown tracker type: ${trackerType}, falling back to format auto-detection`);
+    return parserRegistry.detect(message);
   },
-  
-  // Re-export utility functions from Cielo parser for backward compatibility
+
+  /**
+   * Get the tracker types that can be selected during setup
+   * @returns {Array<{type: string, label: string}>} - Tracker types
+   */
+  getTrackerTypes() {
+    return parserRegistry.getTrackerTypes();
+  },
+
+  /**
+   * Check if a tracker type is supported
+   * @param {string} trackerType - Tracker type
+   * @returns {boolean} - True if the type can be stored on a tracker
+   */
+  isSupportedTrackerType(trackerType) {
+    return parserRegistry.isSupportedType(trackerType);
+  },
+
+  // Re-export utility functions for backward compatibility
   extractUsdValue: cieloParser.extractUsdValue,
   extractMarketCap: cieloParser.extractMarketCap,
-  normalizeTokenSymbol: cieloParser.normalizeTokenSymbol,
-  formatMarketCap: cieloParser.formatMarketCap
+  normalizeTokenSymbol: normalizer.normalizeSymbol,
+  formatMarketCap: normalizer.formatMarketCap
 };
 
-module.exports = parserService;
\ No newline at end of file
+module.exports = parserService;
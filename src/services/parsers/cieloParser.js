@@ -1,233 +1,428 @@
 const Transaction = require('../../models/transaction');
 const logger = require('../../utils/logger');
+const chains = require('../../utils/chains');
+const messageSplitter = require('./messageSplitter');
+const normalizer = require('./normalizer');
+
+// Each swap or event of a multi-swap message is on its own "Swapped ..." / "Transferred ..." line
+const SWAP_LINE_REGEX = /(?:Swapped|Transferred|Received|Minted|(?:Added|Removed)\s+Liquidity)[\s\*]+[\d,.]+/i;
+
+// Non-swap event lines: "Transferred/Received/Minted <amount> #TOKEN", "Added/Removed Liquidity <amount> #A and <amount> #B"
+const TRANSFER_REGEX = /(Transferred|Received)[\s\*]+([\d,.]+)[\s\*]+#([A-Z0-9•\-]+)/i;
+const MINT_REGEX = /Minted[\s\*]+([\d,.]+)[\s\*]+#([A-Z0-9•\-]+)/i;
+const LIQUIDITY_REGEX = /(Added|Removed)\s+Liquidity[\s\*]+([\d,.]+)[\s\*]+#([A-Z0-9•\-]+)[\s\*]+and[\s\*]+([\d,.]+)[\s\*]+#([A-Z0-9•\-]+)/i;
+
+// "$1,300.00" USD values and "MC: $263.2k" market caps
+const USD_VALUE_REGEX = new RegExp(`\\$\\s*(${normalizer.NUMBER_PATTERN})`);
+const MARKET_CAP_REGEX = new RegExp(`MC:\\s*\\$\\s*(${normalizer.NUMBER_PATTERN})`);
+
+// Currencies a token is bought with or sold for
+const BASE_SYMBOLS = ['SOL', 'WETH', 'ETH', 'WBNB', 'BNB', 'USDC', 'USDT'];
 
 /**
  * Parser for Cielo wallet tracker messages
  */
 const cieloParser = {
+  type: 'cielo',
+  label: 'Cielo',
+  // Generic "Swapped X #SOL for Y #TOKEN" layout, checked last
+  priority: 10,
+
   /**
-   * Parse a Cielo wallet tracker message
+   * Check if a message looks like a Cielo tracker message
+   * @param {string|Object} message - Message to check
+   * @returns {boolean} - True if the message matches the Cielo format
+   */
+  canParse(message) {
+    const messageText = typeof message === 'string' ? message : message && message.text;
+    if (!messageText) return false;
+    
+    return /Swapped[\s\*]+[\d,.]+[\s\*]+#[A-Z0-9]/i.test(messageText) ||
+      /(?:Transferred|Received|Minted)[\s\*]+[\d,.]+[\s\*]+#[A-Z0-9]/i.test(messageText) ||
+      /(?:Added|Removed)\s+Liquidity[\s\*]+[\d,.]+[\s\*]+#[A-Z0-9]/i.test(messageText) ||
+      /@cielosol|app\.cielo\.finance|d-cielo-/i.test(messageText);
+  },
+
+  /**
+   * Parse a Cielo wallet tracker message, one transaction per swap or event line
    * @param {string|Object} message - Message to parse
-   * @returns {Transaction|null} - Extracted transaction or null
+   * @returns {Array<Transaction>} - Extracted transactions (empty if the message is not a transaction)
    */
   parseMessage(message) {
-    try {
-      // Handle case where message is an object vs a simple string
-      let messageText = typeof message === 'string' ? message : message.text;
-      
-      // Extract URLs from message entities if they exist
-      let extractedUrls = [];
+    const transactions = messageSplitter.split(message, SWAP_LINE_REGEX, { singleLine: true })
+      .map(part => (this.isEventMessage(part) ? this.parseEvent(part) : this.parseSwap(part)))
+      .filter(Boolean);
+
+    // A chart link shared by swaps of different tokens cannot tell which token it belongs to
+    const coinsByAddress = new Map();
+    for (const tx of transactions) {
+      if (!tx.coinAddress) continue;
+      if (!coinsByAddress.has(tx.coinAddress)) coinsByAddress.set(tx.coinAddress, new Set());
+      coinsByAddress.get(tx.coinAddress).add(tx.coin);
+    }
+    for (const tx of transactions) {
+      if (tx.coinAddress && coinsByAddress.get(tx.coinAddress).size > 1) {
+        logger.debug(`Dropping ambiguous token address ${tx.coinAddress} for ${tx.coin}`);
+        tx.coinAddress = '';
+      }
+    }
+
+    return transactions;
+  },
+
+  /**
+   * Check if a message that yielded no transaction is a known non-trade post
+   * Events are always extracted unless they only move base currencies
+   * @param {string|Object} message - Message to check
+   * @returns {boolean} - True if every line is a transfer, liquidity or mint event
+   */
+  isIrrelevant(message) {
+    return messageSplitter.split(message, SWAP_LINE_REGEX, { singleLine: true })
+      .every(part => this.isEventMessage(part));
+  },
+
+  /**
+   * Check if a message (or sub-message) holds a transfer, liquidity or mint event rather than a swap
+   * @param {string|Object} message - Message to check
+   * @returns {boolean} - True for event messages
+   */
+  isEventMessage(message) {
+    const messageText = typeof message === 'string' ? message : message.text;
+    return !messageText.includes('Swapped') &&
+      (TRANSFER_REGEX.test(messageText) || MINT_REGEX.test(messageText) || LIQUIDITY_REGEX.test(messageText));
+  },
+
+  /**
+   * Parse a single Cielo transfer, liquidity or mint event
+   * Transfers of the chain's base currencies are ignored, only token movements are signals
+   * @param {string|Object} message - Message (or sub-message) holding one event
+   * @returns {Transaction|null} - Extracted event or null
+   */
+  parseEvent(message) {
+    const messageText = typeof message === 'string' ? message : message.text;
+    
+    const walletAddress = this.extractWalletAddress(message);
+    const walletNameMatch = messageText.match(/^#([^\n]+)/);
+    const walletName = walletNameMatch ? walletNameMatch[1] : 'unknown';
+    
+    let type = null;
+    let tokenSymbol = '';
+    let tokenAmount = 0;
+    let baseSymbol = '';
+    let baseAmount = 0;
+    
+    const liquidityMatch = messageText.match(LIQUIDITY_REGEX);
+    const transferMatch = messageText.match(TRANSFER_REGEX);
+    const mintMatch = messageText.match(MINT_REGEX);
+    
+    if (liquidityMatch) {
+      type = liquidityMatch[1].toLowerCase() === 'added' ? 'lp-add' : 'lp-remove';
       
-      if (typeof message === 'object' && message.entities) {
-        // Look for MessageEntityTextUrl entities which contain the URLs
-        for (const entity of message.entities) {
-          if (entity.className === "MessageEntityTextUrl" && entity.url) {
-            extractedUrls.push(entity.url);
-            logger.debug(`Found URL in TextUrl entity: ${entity.url}`);
-          }
-        }
+      // Pairs are written in either order, the base currency is the known symbol
+      let sides = [
+        { amount: liquidityMatch[2], symbol: normalizer.normalizeSymbol(liquidityMatch[3]) },
+        { amount: liquidityMatch[4], symbol: normalizer.normalizeSymbol(liquidityMatch[5]) }
+      ];
+      if (BASE_SYMBOLS.includes(sides[0].symbol) && !BASE_SYMBOLS.includes(sides[1].symbol)) {
+        sides = [sides[1], sides[0]];
       }
       
-      // Log the message for debugging
-      logger.info('New message detected: ' + messageText.substring(0, 100).replace(/\n/g, ' ') + '...');
+      tokenSymbol = sides[0].symbol;
+      tokenAmount = normalizer.parseNumber(sides[0].amount);
+      baseSymbol = sides[1].symbol;
+      baseAmount = normalizer.parseNumber(sides[1].amount);
+    } else if (transferMatch) {
+      type = transferMatch[1].toLowerCase() === 'received' ? 'transfer-in' : 'transfer-out';
+      tokenAmount = normalizer.parseNumber(transferMatch[2]);
+      tokenSymbol = normalizer.normalizeSymbol(transferMatch[3]);
+    } else if (mintMatch) {
+      type = 'mint';
+      tokenAmount = normalizer.parseNumber(mintMatch[1]);
+      tokenSymbol = normalizer.normalizeSymbol(mintMatch[2]);
+    } else {
+      return null;
+    }
+    
+    if (BASE_SYMBOLS.includes(tokenSymbol)) {
+      logger.info(`Message type: IRRELEVANT - ${tokenSymbol} ${type}`);
+      return null;
+    }
+    
+    const { coinAddress, urls } = this.extractTokenAddress(message);
+    const chain = chains.resolveChain({ texts: [...urls, messageText], address: coinAddress, baseSymbol });
+    
+    const usdValue = this.extractUsdValue(messageText);
+    const marketCap = this.extractMarketCap(messageText);
+    
+    logger.info(`Message type: ${type.toUpperCase()} | Wallet: ${walletName} | ${tokenAmount} ${tokenSymbol}${baseSymbol ? ` + ${baseAmount} ${baseSymbol}` : ''} | Address: ${coinAddress || 'none'}`);
+    
+    return new Transaction(
+      walletName,
+      type,
+      tokenSymbol,
+      coinAddress,
+      tokenAmount,
+      usdValue,
+      new Date(),
+      marketCap,
+      baseAmount,
+      baseSymbol || chains.getNativeSymbol(chain),
+      walletAddress,
+      chain
+    );
+  },
+
+  /**
+   * Parse a single Cielo swap
+   * @param {string|Object} message - Message (or sub-message) holding one swap
+   * @returns {Transaction|null} - Extracted transaction or null
+   */
+  parseSwap(message) {
+    // Handle case where message is an object vs a simple string
+    let messageText = typeof message === 'string' ? message : message.text;
+    
+    // Log the message for debugging
+    logger.info('New message detected: ' + messageText.substring(0, 100).replace(/\n/g, ' ') + '...');
 
 
-      logger.debug('Full message to parse for URL: ' + messageText);
+    logger.debug('Full message to parse for URL: ' + messageText);
 
-      // Extract wallet address first
-      const walletAddress = this.extractWalletAddress(message);
-      
-      // Extract wallet name
-      const walletNameMatch = messageText.match(/^#([^\n]+)/);
-      const walletName = walletNameMatch ? walletNameMatch[1] : 'unknown';
-      logger.debug('Wallet name match: ' + (walletName || 'none'));
-      logger.debug('Wallet address: ' + (walletAddress || 'none'));
+    // Extract wallet address first
+    const walletAddress = this.extractWalletAddress(message);
+    
+    // Extract wallet name
+    const walletNameMatch = messageText.match(/^#([^\n]+)/);
+    const walletName = walletNameMatch ? walletNameMatch[1] : 'unknown';
+    logger.debug('Wallet name match: ' + (walletName || 'none'));
+    logger.debug('Wallet address: ' + (walletAddress || 'none'));
 
+    
+    // Extract token address from chart and bot links
+    const { coinAddress, urls: extractedUrls } = this.extractTokenAddress(message);
+    
+    // Chain from the #solana / #base / #ethereum tag, links and address format
+    const chain = chains.resolveChain({ texts: [...extractedUrls, messageText], address: coinAddress });
+    const nativeSymbol = chains.getNativeSymbol(chain);
+    logger.debug('Chain: ' + chain);
+    
+    // Determine transaction type based on emoji
+    let transactionType = null;
+    if (messageText.includes('🟢')) {
+      transactionType = 'buy';
+    } else if (messageText.includes('🔴')) {
+      transactionType = 'sell';
+    }
+    
+    // Check if this is a Swap transaction
+    if (messageText.includes('Swapped')) {
+      const buyPattern = /Swapped[\s\*]+([\d,.]+)[\s\*]+#(SOL|WETH|ETH|WBNB|BNB|USDC|USDT).+for[\s\*]+([\d,.]+)[\s\*]+#([A-Z0-9•\-]+)/i;
+      const buyMatch = messageText.match(buyPattern);
       
-      // Extract token address from URLs
-      let coinAddress = '';
+      const sellPattern = /Swapped[\s\*]+([\d,.]+)[\s\*]+#([A-Z0-9•\-]+).+for[\s\*]+([\d,.]+)[\s\*]+#(SOL|WETH|ETH|WBNB|BNB|USDC|USDT)/i;
+      const sellMatch = messageText.match(sellPattern);
       
-      // 1. First, check URLs extracted from entities
-      if (extractedUrls.length > 0) {
-        for (const url of extractedUrls) {
-          // Look for Chart URLs containing the address (photon-sol.tinyastro.io)
-          const photonMatch = url.match(/photon-sol\.tinyastro\.io\/en\/r\/@cielosol\/([A-Za-z0-9]+)(?:pump)?/i);
-          if (photonMatch && photonMatch[1]) {
-            coinAddress = photonMatch[1];
-            logger.debug('Token address matched from Photon URL: ' + coinAddress);
-            break;
+      // BUY case
+      if (buyMatch || (transactionType === 'buy' && messageText.includes('Swapped'))) {
+        let baseAmount = 0;
+        let baseSymbol = nativeSymbol;
+        let tokenAmount = 0;
+        let tokenSymbol = 'unknown';
+        
+        if (buyMatch) {
+          baseAmount = normalizer.parseNumber(buyMatch[1]);
+          baseSymbol = buyMatch[2].toUpperCase();
+          tokenAmount = normalizer.parseNumber(buyMatch[3]);
+          tokenSymbol = normalizer.normalizeSymbol(buyMatch[4]);
+        } else {
+          const baseMatch = messageText.match(/Swapped[\s\*]+([\d,.]+)[\s\*]+#(SOL|WETH|ETH|WBNB|BNB|USDC|USDT)/i);
+          if (baseMatch) {
+            baseAmount = normalizer.parseNumber(baseMatch[1]);
+            baseSymbol = baseMatch[2].toUpperCase();
           }
           
-          // Also check for Trojan bot URLs which also contain the token address
-          const trojanMatch = url.match(/nestor_trojanbot\?start=d-cielo-([A-Za-z0-9]+)(?:pump)?/i);
-          if (trojanMatch && trojanMatch[1]) {
-            coinAddress = trojanMatch[1];
-            logger.debug('Token address matched from Trojan URL: ' + coinAddress);
-            break;
+          const tokenMatch = messageText.match(/for[\s\*]+([\d,.]+)[\s\*]+#([A-Z0-9•\-]+)/i);
+          if (tokenMatch) {
+            tokenAmount = normalizer.parseNumber(tokenMatch[1]);
+            tokenSymbol = normalizer.normalizeSymbol(tokenMatch[2]);
           }
         }
+        
+        // Route hops between two base currencies (e.g. SOL → USDC) are not token trades
+        if (BASE_SYMBOLS.includes(tokenSymbol)) {
+          logger.info(`Message type: IRRELEVANT - ${baseSymbol} → ${tokenSymbol} route hop`);
+          return null;
+        }
+        
+        const usdValue = this.extractUsdValue(messageText);
+        const marketCap = this.extractMarketCap(messageText);
+        
+        logger.info(`Message type: BUY | Wallet: ${walletName} | ${baseAmount} ${baseSymbol} → ${tokenAmount} ${tokenSymbol} | MC: ${normalizer.formatMarketCap(marketCap)} | Address: ${coinAddress || 'none'}`);
+        
+        return new Transaction(
+          walletName,
+          'buy',
+          tokenSymbol,
+          coinAddress,
+          tokenAmount,
+          usdValue,
+          new Date(),
+          marketCap,
+          baseAmount,
+          baseSymbol,
+          walletAddress,
+          chain
+        );
       }
       
-      // 2. If nothing found in entities, try with the old method on text
-      if (!coinAddress) {
-        // Try various patterns in the text
-        const patterns = [
-          /Chart.*?photon-sol\.tinyastro\.io\/en\/r\/@cielosol\/([A-Za-z0-9]+)(?:pump)?/i,
-          /Chart\s*\(.*?\/([a-zA-Z0-9]+)(?:pump)?\)/i,
-          /trojanbot\?start=d-cielo-([A-Za-z0-9]+)(?:pump)?/i,
-          /@cielosol\/([A-Za-z0-9]{20,50})(?:pump)?/i
-        ];
+      // SELL case
+      if (sellMatch || (transactionType === 'sell' && messageText.includes('Swapped'))) {
+        let tokenAmount = 0;
+        let tokenSymbol = 'unknown';
+        let baseAmount = 0;
+        let baseSymbol = nativeSymbol;
         
-        for (const pattern of patterns) {
-          const match = messageText.match(pattern);
-          if (match && match[1]) {
-            coinAddress = match[1];
-            logger.debug(`Token address matched using text pattern: ${coinAddress}`);
-            break;
+        if (sellMatch) {
+          tokenAmount = normalizer.parseNumber(sellMatch[1]);
+          tokenSymbol = normalizer.normalizeSymbol(sellMatch[2]);
+          baseAmount = normalizer.parseNumber(sellMatch[3]);
+          baseSymbol = sellMatch[4].toUpperCase();
+        } else {
+          const tokenMatch = messageText.match(/Swapped[\s\*]+([\d,.]+)[\s\*]+#([A-Z0-9•\-]+)/i);
+          if (tokenMatch) {
+            tokenAmount = normalizer.parseNumber(tokenMatch[1]);
+            tokenSymbol = normalizer.normalizeSymbol(tokenMatch[2]);
+          }
+          
+          const baseMatch = messageText.match(/for[\s\*]+([\d,.]+)[\s\*]+#(SOL|WETH|ETH|WBNB|BNB|USDC|USDT)/i);
+          if (baseMatch) {
+            baseAmount = normalizer.parseNumber(baseMatch[1]);
+            baseSymbol = baseMatch[2].toUpperCase();
           }
         }
+        
+        const usdValue = this.extractUsdValue(messageText);
+        const marketCap = this.extractMarketCap(messageText);
+        
+        logger.info(`Message type: SELL | Wallet: ${walletName} | ${tokenAmount} ${tokenSymbol} → ${baseAmount} ${baseSymbol} | MC: ${normalizer.formatMarketCap(marketCap)} | Address: ${coinAddress || 'none'}`);
+        
+        return new Transaction(
+          walletName,
+          'sell',
+          tokenSymbol,
+          coinAddress,
+          tokenAmount,
+          usdValue,
+          new Date(),
+          marketCap,
+          baseAmount,
+          baseSymbol,
+          walletAddress,
+          chain
+        );
       }
-      
-      // Log the final extracted address
-      logger.debug('Final extracted token address: ' + (coinAddress || 'none'));
-      
-      // Determine transaction type based on emoji
-      let transactionType = null;
-      if (messageText.includes('🟢')) {
-        transactionType = 'buy';
-      } else if (messageText.includes('🔴')) {
-        transactionType = 'sell';
+    }
+    
+    logger.info('Message type: IRRELEVANT - Not a buy or sell transaction');
+    return null;
+  },
+  
+  /**
+   * Extract the token address from the chart, Trojan or DexScreener links of a message
+   * @param {string|Object} message - Message (or sub-message)
+   * @returns {{coinAddress: string, urls: Array<string>}} - Token address ('' if none) and the entity URLs
+   */
+  extractTokenAddress(message) {
+    const messageText = typeof message === 'string' ? message : message.text;
+    
+    // Extract URLs from message entities if they exist
+    let extractedUrls = [];
+    
+    if (typeof message === 'object' && message.entities) {
+      // Look for MessageEntityTextUrl entities which contain the URLs
+      for (const entity of message.entities) {
+        if (entity.className === "MessageEntityTextUrl" && entity.url) {
+          extractedUrls.push(entity.url);
+          logger.debug(`Found URL in TextUrl entity: ${entity.url}`);
+        }
       }
-      
-      // Check if this is a Swap transaction
-      if (messageText.includes('Swapped')) {
-        const buyPattern = /Swapped[\s\*]+([\d,.]+)[\s\*]+#(SOL|ETH|USDC|USDT).+for[\s\*]+([\d,.]+)[\s\*]+#([A-Z0-9•\-]+)/i;
-        const buyMatch = messageText.match(buyPattern);
-        
-        const sellPattern = /Swapped[\s\*]+([\d,.]+)[\s\*]+#([A-Z0-9•\-]+).+for[\s\*]+([\d,.]+)[\s\*]+#(SOL|ETH|USDC|USDT)/i;
-        const sellMatch = messageText.match(sellPattern);
+    }
+    
+    // Extract token address from URLs
+    let coinAddress = '';
+    
+    // 1. First, check URLs extracted from entities
+    if (extractedUrls.length > 0) {
+      for (const url of extractedUrls) {
+        // Look for Chart URLs containing the address (photon-sol.tinyastro.io, photon-base..., photon-eth...)
+        const photonMatch = url.match(/photon-(?:sol|eth|base|bsc)\.tinyastro\.io\/en\/r\/@cielosol\/([A-Za-z0-9]+)(?:pump)?/i);
+        if (photonMatch && photonMatch[1]) {
+          coinAddress = photonMatch[1];
+          logger.debug('Token address matched from Photon URL: ' + coinAddress);
+          break;
+        }
         
-        // BUY case
-        if (buyMatch || (transactionType === 'buy' && messageText.includes('Swapped'))) {
-          let baseAmount = 0;
-          let baseSymbol = 'SOL';
-          let tokenAmount = 0;
-          let tokenSymbol = 'unknown';
-          
-          if (buyMatch) {
-            baseAmount = parseFloat(buyMatch[1].replace(/[^\d.]/g, ''));
-            baseSymbol = buyMatch[2].toUpperCase();
-            tokenAmount = parseFloat(buyMatch[3].replace(/[^\d.]/g, ''));
-            tokenSymbol = this.normalizeTokenSymbol(buyMatch[4]);
-          } else {
-            const baseMatch = messageText.match(/Swapped[\s\*]+([\d,.]+)[\s\*]+#(SOL|ETH|USDC|USDT)/i);
-            if (baseMatch) {
-              baseAmount = parseFloat(baseMatch[1].replace(/[^\d.]/g, ''));
-              baseSymbol = baseMatch[2].toUpperCase();
-            }
-            
-            const tokenMatch = messageText.match(/for[\s\*]+([\d,.]+)[\s\*]+#([A-Z0-9•\-]+)/i);
-            if (tokenMatch) {
-              tokenAmount = parseFloat(tokenMatch[1].replace(/[^\d.]/g, ''));
-              tokenSymbol = this.normalizeTokenSymbol(tokenMatch[2]);
-            }
-          }
-          
-          const usdValue = this.extractUsdValue(messageText);
-          const marketCap = this.extractMarketCap(messageText);
-          
-          logger.info(`Message type: BUY | Wallet: ${walletName} | ${baseAmount} ${baseSymbol} → ${tokenAmount} ${tokenSymbol} | MC: ${this.formatMarketCap(marketCap)} | Address: ${coinAddress || 'none'}`);
-          
-          return new Transaction(
-            walletName,
-            'buy',
-            tokenSymbol,
-            coinAddress,
-            tokenAmount,
-            usdValue,
-            new Date(),
-            marketCap,
-            baseAmount,
-            baseSymbol,
-            walletAddress
-          );
+        // Also check for Trojan bot URLs which also contain the token address
+        const trojanMatch = url.match(/nestor_trojanbot\?start=d-cielo-([A-Za-z0-9]+)(?:pump)?/i);
+        if (trojanMatch && trojanMatch[1]) {
+          coinAddress = trojanMatch[1];
+          logger.debug('Token address matched from Trojan URL: ' + coinAddress);
+          break;
         }
         
-        // SELL case
-        if (sellMatch || (transactionType === 'sell' && messageText.includes('Swapped'))) {
-          let tokenAmount = 0;
-          let tokenSymbol = 'unknown';
-          let baseAmount = 0;
-          let baseSymbol = 'SOL';
-          
-          if (sellMatch) {
-            tokenAmount = parseFloat(sellMatch[1].replace(/[^\d.]/g, ''));
-            tokenSymbol = this.normalizeTokenSymbol(sellMatch[2]);
-            baseAmount = parseFloat(sellMatch[3].replace(/[^\d.]/g, ''));
-            baseSymbol = sellMatch[4].toUpperCase();
-          } else {
-            const tokenMatch = messageText.match(/Swapped[\s\*]+([\d,.]+)[\s\*]+#([A-Z0-9•\-]+)/i);
-            if (tokenMatch) {
-              tokenAmount = parseFloat(tokenMatch[1].replace(/[^\d.]/g, ''));
-              tokenSymbol = this.normalizeTokenSymbol(tokenMatch[2]);
-            }
-            
-            const baseMatch = messageText.match(/for[\s\*]+([\d,.]+)[\s\*]+#(SOL|ETH|USDC|USDT)/i);
-            if (baseMatch) {
-              baseAmount = parseFloat(baseMatch[1].replace(/[^\d.]/g, ''));
-              baseSymbol = baseMatch[2].toUpperCase();
-            }
-          }
-          
-          const usdValue = this.extractUsdValue(messageText);
-          const marketCap = this.extractMarketCap(messageText);
-          
-          logger.info(`Message type: SELL | Wallet: ${walletName} | ${tokenAmount} ${tokenSymbol} → ${baseAmount} ${baseSymbol} | MC: ${this.formatMarketCap(marketCap)} | Address: ${coinAddress || 'none'}`);
-          
-          return new Transaction(
-            walletName,
-            'sell',
-            tokenSymbol,
-            coinAddress,
-            tokenAmount,
-            usdValue,
-            new Date(),
-            marketCap,
-            baseAmount,
-            baseSymbol,
-            walletAddress
-          );
+        // EVM charts link to DexScreener with the token address
+        const dexScreenerMatch = url.match(/dexscreener\.com\/(?:ethereum|base|bsc)\/(0x[0-9a-fA-F]{40})/i);
+        if (dexScreenerMatch && dexScreenerMatch[1]) {
+          coinAddress = dexScreenerMatch[1];
+          logger.debug('Token address matched from DexScreener URL: ' + coinAddress);
+          break;
         }
       }
+    }
+    
+    // 2. If nothing found in entities, try with the old method on text
+    if (!coinAddress) {
+      // Try various patterns in the text
+      const patterns = [
+        /Chart.*?photon-(?:sol|eth|base|bsc)\.tinyastro\.io\/en\/r\/@cielosol\/([A-Za-z0-9]+)(?:pump)?/i,
+        /Chart\s*\(.*?\/([a-zA-Z0-9]+)(?:pump)?\)/i,
+        /trojanbot\?start=d-cielo-([A-Za-z0-9]+)(?:pump)?/i,
+        /@cielosol\/([A-Za-z0-9]{20,50})(?:pump)?/i
+      ];
       
-      logger.info('Message type: IRRELEVANT - Not a buy or sell transaction');
-      return null;
-    } catch (error) {
-      logger.error('Error parsing Cielo message:', error);
-      return null;
+      for (const pattern of patterns) {
+        const match = messageText.match(pattern);
+        if (match && match[1]) {
+          coinAddress = match[1];
+          logger.debug(`Token address matched using text pattern: ${coinAddress}`);
+          break;
+        }
+      }
     }
+    
+    // Log the final extracted address
+    logger.debug('Final extracted token address: ' + (coinAddress || 'none'));
+    
+    return { coinAddress, urls: extractedUrls };
   },
-  
+
+  /**
+   * Extract the USD value of a transaction (first dollar amount of the message)
+   * @param {string} message - Message text
+   * @returns {number} - USD value or 0
+   */
   extractUsdValue(message) {
-    const usdMatch = message.match(/\$\s*([\d,.]+)/);
-    return usdMatch ? parseFloat(usdMatch[1].replace(/,/g, '')) : 0;
+    const usdMatch = message.match(USD_VALUE_REGEX);
+    return usdMatch ? normalizer.parseNumber(usdMatch[1]) : 0;
   },
   
+  /**
+   * Extract the market cap from the "MC: $263.2k" part of a message
+   * @param {string} message - Message text
+   * @returns {number} - Market cap or 0
+   */
   extractMarketCap(message) {
-    const mcMatch = message.match(/MC:\s*\$\s*([\d,.]+)([kMB]?)/);
-    let marketCap = 0;
-    
-    if (mcMatch) {
-      const mcValue = parseFloat(mcMatch[1].replace(/,/g, ''));
-      const mcUnit = mcMatch[2] || '';
-      
-      if (mcUnit === 'k') marketCap = mcValue * 1000;
-      else if (mcUnit === 'M') marketCap = mcValue * 1000000;
-      else if (mcUnit === 'B') marketCap = mcValue * 1000000000;
-      else marketCap = mcValue;
-    }
-    
-    return marketCap;
+    const mcMatch = message.match(MARKET_CAP_REGEX);
+    return mcMatch ? normalizer.parseNumber(mcMatch[1]) : 0;
   },
 
   extractWalletAddress(message) {
@@ -239,7 +434,7 @@ const cieloParser = {
       const cieloProfileMatch = messageText.match(/https:\/\/app\.cielo\.finance\/profile\/([A-Za-z0-9]+)/i);
       if (cieloProfileMatch && cieloProfileMatch[1]) {
         const candidateAddress = cieloProfileMatch[1];
-        if (this.isValidSolanaAddress(candidateAddress)) {
+        if (chains.isValidAddress(candidateAddress)) {
           walletAddress = candidateAddress;
           logger.debug(`Wallet address extracted from Cielo profile URL: ${walletAddress}`);
         }
@@ -250,7 +445,7 @@ const cieloParser = {
         for (const entity of message.entities) {
           if (entity.className === "MessageEntityTextUrl" && entity.url) {
             const match = entity.url.match(/https:\/\/app\.cielo\.finance\/profile\/([A-Za-z0-9]+)/i);
-            if (match && match[1] && this.isValidSolanaAddress(match[1])) {
+            if (match && match[1] && chains.isValidAddress(match[1])) {
               walletAddress = match[1];
               logger.debug(`Wallet address extracted from entity URL: ${walletAddress}`);
               break;
@@ -264,28 +459,6 @@ const cieloParser = {
       logger.error('Error extracting wallet address:', error);
       return null;
     }
-  },
-
-  isValidSolanaAddress(address) {
-    // Solana addresses are typically 32-44 characters long and use base58 encoding
-    const solanaAddressRegex = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
-    return solanaAddressRegex.test(address);
-  },  
-  
-  normalizeTokenSymbol(symbol) {
-    return symbol.replace(/[^\w\-•]/g, '').toUpperCase();
-  },
-  
-  formatMarketCap(marketCap) {
-    if (marketCap >= 1000000000) {
-      return (marketCap / 1000000000).toFixed(1) + 'B';
-    } else if (marketCap >= 1000000) {
-      return (marketCap / 1000000).toFixed(1) + 'M';
-    } else if (marketCap >= 1000) {
-      return (marketCap / 1000).toFixed(1) + 'k';
-    } else {
-      return marketCap.toString();
-    }
   }
 };
 
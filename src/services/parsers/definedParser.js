@@ -2,168 +2,314 @@
 
 const Transaction = require('../../models/transaction');
 const logger = require('../../utils/logger');
+const chains = require('../../utils/chains');
+const messageSplitter = require('./messageSplitter');
+const normalizer = require('./normalizer');
+
+// Each swap or event of a digest message starts with its own "<wallet>: Token Buy/Sell" line
+const BLOCK_START_REGEX = /^[^:\n]+:\s*(?:Token\s+(?:Buy|Sell|Mint)|Transfer|Liquidity\s+(?:Add|Remove))/;
+
+// Header of non-swap events and the event type it maps to
+const EVENT_HEADER_REGEX = /^([^:\n]+):\s*(Transfer|Liquidity\s+Add|Liquidity\s+Remove|Token\s+Mint)\b/;
+
+// "➡️ Sent: <amount> <symbol>" / "⬅️ Received: <amount> <symbol>" lines
+const MOVEMENT_LINE_REGEX = new RegExp(`(➡️\\s*Sent|⬅️\\s*Received):\\s*(${normalizer.NUMBER_PATTERN})\\s*([A-Za-z0-9•\\-]+)`, 'g');
+const SENT_REGEX = new RegExp(`➡️\\s*Sent:\\s*(${normalizer.NUMBER_PATTERN})\\s*([A-Z0-9a-z•\\-\\s]+)`, 'i');
+const RECEIVED_REGEX = new RegExp(`⬅️\\s*Received:\\s*(${normalizer.NUMBER_PATTERN})\\s*([A-Z0-9a-z•\\-\\s]+)`, 'i');
+
+// "$210.35" / "USD 210.35" values and "💎 Mkt. Cap (FDV): $1.2M" market caps
+const USD_VALUE_REGEX = new RegExp(`(?:\\$|USD)\\s*(${normalizer.NUMBER_PATTERN})`, 'i');
+const MARKET_CAP_REGEX = new RegExp(`(?:💎|Mkt\\.?\\s*Cap|MC)(?:\\s*\\(FDV\\))?:\\s*(?:\\$|USD)?\\s*(${normalizer.NUMBER_PATTERN})`, 'i');
+
+// Currencies a token is paired with
+const BASE_SYMBOLS = ['SOL', 'WSOL', 'WETH', 'ETH', 'WBNB', 'BNB', 'USDC', 'USDT'];
+
+// Wallet links to the block explorer of each supported chain
+const WALLET_URL_REGEX = /(?:solscan\.io|etherscan\.io|basescan\.org|bscscan\.com)\/(?:address|account)\/([A-Za-z0-9]{32,44})/;
 
 /**
  * Parser for Defined wallet tracker messages
  */
 const definedParser = {
+  type: 'defined',
+  label: 'Defined',
+  priority: 30,
+
+  /**
+   * Check if a message looks like a Defined tracker message
+   * @param {string|Object} message - Message to check
+   * @returns {boolean} - True if the message matches the Defined format
+   */
+  canParse(message) {
+    const messageText = typeof message === 'string' ? message : message && message.text;
+    if (!messageText) return false;
+    
+    return (/Token\s+(Buy|Sell)/.test(messageText) || EVENT_HEADER_REGEX.test(messageText)) &&
+      /(➡️\s*Sent:|⬅️\s*Received:|defined\.fi)/i.test(messageText);
+  },
+
   /**
-   * Parse a Defined wallet tracker message
+   * Parse a Defined wallet tracker message, one transaction per swap or event block
    * @param {string|Object} message - Message to parse
-   * @returns {Transaction|null} - Extracted transaction or null
+   * @returns {Array<Transaction>} - Extracted transactions (empty if the message is not a transaction)
    */
   parseMessage(message) {
-    try {
-      // Handle case where message is an object vs a simple string
-      let messageText = typeof message === 'string' ? message : message.text;
-      
-      // Extract wallet address
-      const walletAddress = this.extractWalletAddress(message);
-      
-      // Extract wallet name - typically at beginning of message before colon
-      const walletNameMatch = messageText.match(/^([^:\n]+):/);
-      const walletName = walletNameMatch ? walletNameMatch[1].trim() : 'unknown';
-      logger.debug('Wallet name match: ' + (walletName || 'none'));
-      logger.debug('Wallet address: ' + (walletAddress || 'none'));
-      
-      // Determine transaction type - Buy or Sell
-      let transactionType = null;
-      if (messageText.includes('Token Buy')) {
-        transactionType = 'buy';
-      } else if (messageText.includes('Token Sell')) {
-        transactionType = 'sell';
-      }
-      
-      logger.debug('Transaction type: ' + (transactionType || 'none'));
-      
-      // If not a buy/sell transaction, ignore
-      if (!transactionType) {
-        return null;
-      }
-      
-      // Extract coin address - usually found in backticks
-      let coinAddress = '';
-      const addressMatch = messageText.match(/`([A-Za-z0-9]{32,44})`/);
-      if (addressMatch && addressMatch[1]) {
-        coinAddress = addressMatch[1];
-        logger.debug('Coin address matched from backticks: ' + coinAddress);
-      }
-      
-      // Extract sent and received amounts
-      let sentAmount = 0;
-      let sentSymbol = '';
-      let receivedAmount = 0;
-      let receivedSymbol = '';
-      
-      // For Defined format, parse 'Sent' and 'Received' lines
-      const sentMatch = messageText.match(/➡️\s*Sent:\s*([\d.,]+)\s*([A-Z0-9a-z•\-\s]+)/i);
-      if (sentMatch) {
-        sentAmount = parseFloat(sentMatch[1].replace(/,/g, ''));
-        sentSymbol = sentMatch[2].trim();
-        logger.debug(`Sent: ${sentAmount} ${sentSymbol}`);
-      }
-      
-      const receivedMatch = messageText.match(/⬅️\s*Received:\s*([\d.,]+)\s*([A-Z0-9a-z•\-\s]+)/i);
-      if (receivedMatch) {
-        receivedAmount = parseFloat(receivedMatch[1].replace(/,/g, ''));
-        receivedSymbol = receivedMatch[2].trim();
-        logger.debug(`Received: ${receivedAmount} ${receivedSymbol}`);
+    return messageSplitter.split(message, BLOCK_START_REGEX)
+      .map(part => {
+        const partText = typeof part === 'string' ? part : part.text;
+        return EVENT_HEADER_REGEX.test(partText) ? this.parseEvent(part) : this.parseSwap(part);
+      })
+      .filter(Boolean);
+  },
+
+  /**
+   * Check if a message that yielded no transaction is a known non-trade post
+   * Events are always extracted unless they only move base currencies
+   * @param {string|Object} message - Message to check
+   * @returns {boolean} - True if every block is a transfer, liquidity or mint event
+   */
+  isIrrelevant(message) {
+    return messageSplitter.split(message, BLOCK_START_REGEX)
+      .every(part => EVENT_HEADER_REGEX.test(typeof part === 'string' ? part : part.text));
+  },
+
+  /**
+   * Parse a single Defined transfer, liquidity or mint event
+   * Transfers of the chain's base currencies are ignored, only token movements are signals
+   * @param {string|Object} message - Message (or sub-message) holding one event
+   * @returns {Transaction|null} - Extracted event or null
+   */
+  parseEvent(message) {
+    const messageText = typeof message === 'string' ? message : message.text;
+    
+    const headerMatch = messageText.match(EVENT_HEADER_REGEX);
+    if (!headerMatch) return null;
+    
+    const walletName = headerMatch[1].trim();
+    const header = headerMatch[2].replace(/\s+/g, ' ').toLowerCase();
+    const walletAddress = this.extractWalletAddress(message);
+    
+    // Token and base currency movements of the event
+    const movements = [...messageText.matchAll(MOVEMENT_LINE_REGEX)].map(match => ({
+      direction: match[1].includes('Sent') ? 'out' : 'in',
+      amount: normalizer.parseNumber(match[2]),
+      symbol: normalizer.normalizeSymbol(match[3])
+    }));
+    
+    const tokenMovement = movements.find(movement => !BASE_SYMBOLS.includes(movement.symbol));
+    const baseMovement = movements.find(movement => BASE_SYMBOLS.includes(movement.symbol));
+    
+    if (!tokenMovement) {
+      logger.info(`Message type: IRRELEVANT - ${header} without token movement`);
+      return null;
+    }
+    
+    let type;
+    if (header === 'transfer') {
+      type = tokenMovement.direction === 'in' ? 'transfer-in' : 'transfer-out';
+    } else if (header === 'liquidity add') {
+      type = 'lp-add';
+    } else if (header === 'liquidity remove') {
+      type = 'lp-remove';
+    } else {
+      type = 'mint';
+    }
+    
+    let coinAddress = '';
+    const addressMatch = messageText.match(/`([A-Za-z0-9]{32,44})`/);
+    if (addressMatch && addressMatch[1]) {
+      coinAddress = addressMatch[1];
+    }
+    
+    const urls = typeof message === 'object' && message.entities
+      ? message.entities.filter(entity => entity.className === "MessageEntityTextUrl" && entity.url).map(entity => entity.url)
+      : [];
+    const chain = chains.resolveChain({ texts: [...urls, messageText], address: coinAddress });
+    
+    const usdMatch = messageText.match(USD_VALUE_REGEX);
+    const usdValue = usdMatch ? normalizer.parseNumber(usdMatch[1]) : 0;
+    
+    const marketCapMatch = messageText.match(MARKET_CAP_REGEX);
+    const marketCap = marketCapMatch ? normalizer.parseNumber(marketCapMatch[1]) : 0;
+    
+    logger.info(`Creating event: ${type} ${tokenMovement.amount} ${tokenMovement.symbol} by ${walletName}`);
+    
+    return new Transaction(
+      walletName,
+      type,
+      tokenMovement.symbol,
+      coinAddress,
+      tokenMovement.amount,
+      usdValue,
+      new Date(),
+      marketCap,
+      baseMovement ? baseMovement.amount : 0,
+      baseMovement ? baseMovement.symbol : chains.getNativeSymbol(chain),
+      walletAddress,
+      chain
+    );
+  },
+
+  /**
+   * Parse a single Defined swap
+   * @param {string|Object} message - Message (or sub-message) holding one swap
+   * @returns {Transaction|null} - Extracted transaction or null
+   */
+  parseSwap(message) {
+    // Handle case where message is an object vs a simple string
+    let messageText = typeof message === 'string' ? message : message.text;
+    
+    // Extract wallet address
+    const walletAddress = this.extractWalletAddress(message);
+    
+    // Extract wallet name - typically at beginning of message before colon
+    const walletNameMatch = messageText.match(/^([^:\n]+):/);
+    const walletName = walletNameMatch ? walletNameMatch[1].trim() : 'unknown';
+    logger.debug('Wallet name match: ' + (walletName || 'none'));
+    logger.debug('Wallet address: ' + (walletAddress || 'none'));
+    
+    // Determine transaction type - Buy or Sell
+    let transactionType = null;
+    if (messageText.includes('Token Buy')) {
+      transactionType = 'buy';
+    } else if (messageText.includes('Token Sell')) {
+      transactionType = 'sell';
+    }
+    
+    logger.debug('Transaction type: ' + (transactionType || 'none'));
+    
+    // If not a buy/sell transaction, ignore
+    if (!transactionType) {
+      return null;
+    }
+    
+    // Extract coin address - usually found in backticks
+    let coinAddress = '';
+    const addressMatch = messageText.match(/`([A-Za-z0-9]{32,44})`/);
+    if (addressMatch && addressMatch[1]) {
+      coinAddress = addressMatch[1];
+      logger.debug('Coin address matched from backticks: ' + coinAddress);
+    }
+    
+    // Chain from the defined.fi / explorer links and the address format
+    const urls = typeof message === 'object' && message.entities
+      ? message.entities.filter(entity => entity.className === "MessageEntityTextUrl" && entity.url).map(entity => entity.url)
+      : [];
+    const chain = chains.resolveChain({ texts: [...urls, messageText], address: coinAddress });
+    logger.debug('Chain: ' + chain);
+    
+    // Extract sent and received amounts
+    let sentAmount = 0;
+    let sentSymbol = '';
+    let receivedAmount = 0;
+    let receivedSymbol = '';
+    
+    // For Defined format, parse 'Sent' and 'Received' lines
+    const sentMatch = messageText.match(SENT_REGEX);
+    if (sentMatch) {
+      sentAmount = normalizer.parseNumber(sentMatch[1]);
+      sentSymbol = sentMatch[2].trim();
+      logger.debug(`Sent: ${sentAmount} ${sentSymbol}`);
+    }
+    
+    const receivedMatch = messageText.match(RECEIVED_REGEX);
+    if (receivedMatch) {
+      receivedAmount = normalizer.parseNumber(receivedMatch[1]);
+      receivedSymbol = receivedMatch[2].trim();
+      logger.debug(`Received: ${receivedAmount} ${receivedSymbol}`);
+    }
+    
+    // If received data is missing, try to parse token info from other parts of the message
+    if (!receivedSymbol || receivedSymbol === '') {
+      // Try extracting from message context around the token address
+      const tokenInfoMatch = messageText.match(/Token\s+(Buy|Sell)[\s\S]*?([A-Z0-9]{2,10})\s*\(/i);
+      if (tokenInfoMatch) {
+        receivedSymbol = tokenInfoMatch[2].trim();
+        logger.debug(`Extracted token symbol from context: ${receivedSymbol}`);
       }
       
-      // If received data is missing, try to parse token info from other parts of the message
-      if (!receivedSymbol || receivedSymbol === '') {
-        // Try extracting from message context around the token address
-        const tokenInfoMatch = messageText.match(/Token\s+(Buy|Sell)[\s\S]*?([A-Z0-9]{2,10})\s*\(/i);
-        if (tokenInfoMatch) {
-          receivedSymbol = tokenInfoMatch[2].trim();
-          logger.debug(`Extracted token symbol from context: ${receivedSymbol}`);
-        }
-        
-        // If still not found and we have a coin address, try to extract from message entities
-        if ((!receivedSymbol || receivedSymbol === '') && coinAddress && typeof message === 'object' && message.entities) {
-          for (const entity of message.entities) {
-            if (entity.className === "MessageEntityTextUrl" && 
-                entity.url && 
-                entity.url.includes('defined.fi/sol/') && 
-                !entity.url.includes('So11111111111111111111111111111111111111112')) {
-              // Extract token symbol from the entity text
-              const tokenText = messageText.substring(entity.offset, entity.offset + entity.length).trim();
-              if (tokenText && tokenText.length > 0 && tokenText.length <= 10) {
-                receivedSymbol = tokenText;
-                logger.debug(`Extracted token symbol from URL entity: ${receivedSymbol}`);
-                break;
-              }
+      // If still not found and we have a coin address, try to extract from message entities
+      if ((!receivedSymbol || receivedSymbol === '') && coinAddress && typeof message === 'object' && message.entities) {
+        for (const entity of message.entities) {
+          if (entity.className === "MessageEntityTextUrl" && 
+              entity.url && 
+              /defined\.fi\/(?:sol|eth|base|bsc)\//.test(entity.url) && 
+              !entity.url.includes('So11111111111111111111111111111111111111112')) {
+            // Extract token symbol from the entity text
+            const tokenText = messageText.substring(entity.offset, entity.offset + entity.length).trim();
+            if (tokenText && tokenText.length > 0 && tokenText.length <= 10) {
+              receivedSymbol = tokenText;
+              logger.debug(`Extracted token symbol from URL entity: ${receivedSymbol}`);
+              break;
             }
           }
         }
       }
-      
-      // If received amount is missing, try to extract from USD value
-      if (receivedAmount === 0 || isNaN(receivedAmount)) {
-        // Try to find amount in parentheses after a USD value
-        const amountMatch = messageText.match(/\((?:\$|USD)[\d.,]+\)\s*(?:for)?\s*([\d.,]+)/i);
-        if (amountMatch) {
-          receivedAmount = parseFloat(amountMatch[1].replace(/,/g, ''));
-          logger.debug(`Extracted token amount from context: ${receivedAmount}`);
-        }
-      }
-      
-      // Extract USD value
-      let usdValue = 0;
-      const usdMatch = messageText.match(/(?:\$|USD)\s*([\d.,]+)/i);
-      if (usdMatch) {
-        usdValue = parseFloat(usdMatch[1].replace(/,/g, ''));
-        logger.debug('USD value: ' + usdValue);
-      }
-      
-      // Extract market cap
-      const marketCapMatch = messageText.match(/(?:💎|Mkt\.?\s*Cap|MC)(?:\s*\(FDV\))?:\s*(?:\$|USD)?\s*([\d.,]+)([kKmMbB]?)/i);
-      const marketCap = marketCapMatch ? this.parseMarketCap(marketCapMatch[1], marketCapMatch[2]) : 0;
-      logger.debug('Market cap: ' + marketCap);
-      
-      // Determine token symbol and amount based on transaction type
-      let tokenSymbol, tokenAmount, baseAmount, baseSymbol;
-      
-      if (transactionType === 'buy') {
-        // For buys: Base currency (SOL/USDC) -> Token
-        tokenSymbol = receivedSymbol ? this.cleanTokenSymbol(receivedSymbol) : 'UNKNOWN';
-        tokenAmount = receivedAmount;
-        baseSymbol = sentSymbol ? this.cleanTokenSymbol(sentSymbol) : 'SOL';
-        baseAmount = sentAmount;
-      } else { // sell
-        // For sells: Token -> Base currency (SOL/USDC)
-        tokenSymbol = sentSymbol ? this.cleanTokenSymbol(sentSymbol) : 'UNKNOWN';
-        tokenAmount = sentAmount;
-        baseSymbol = receivedSymbol ? this.cleanTokenSymbol(receivedSymbol) : 'SOL';
-        baseAmount = receivedAmount;
-      }
-      
-      // If we still don't have a token symbol but have a coin address, 
-      // use the last part of the coin address as a placeholder
-      if ((tokenSymbol === 'UNKNOWN' || !tokenSymbol) && coinAddress) {
-        tokenSymbol = coinAddress.substring(0, 4).toUpperCase();
-        logger.debug(`Using prefix of coin address as token symbol: ${tokenSymbol}`);
+    }
+    
+    // If received amount is missing, try to extract from USD value
+    if (receivedAmount === 0 || isNaN(receivedAmount)) {
+      // Try to find amount in parentheses after a USD value
+      const amountMatch = messageText.match(/\((?:\$|USD)[\d.,]+\)\s*(?:for)?\s*([\d.,]+)/i);
+      if (amountMatch) {
+        receivedAmount = normalizer.parseNumber(amountMatch[1]);
+        logger.debug(`Extracted token amount from context: ${receivedAmount}`);
       }
-      
-      logger.info(`Creating transaction: ${transactionType} ${tokenAmount} ${tokenSymbol} for ${baseAmount} ${baseSymbol}`);
-      
-      return new Transaction(
-        walletName,
-        transactionType,
-        tokenSymbol,
-        coinAddress,
-        tokenAmount,
-        usdValue,
-        new Date(),
-        marketCap,
-        baseAmount,
-        baseSymbol,
-        walletAddress
-      );
-    } catch (error) {
-      logger.error('Error parsing Defined message:', error);
-      return null;
     }
+    
+    // Extract USD value
+    let usdValue = 0;
+    const usdMatch = messageText.match(USD_VALUE_REGEX);
+    if (usdMatch) {
+      usdValue = normalizer.parseNumber(usdMatch[1]);
+      logger.debug('USD value: ' + usdValue);
+    }
+    
+    // Extract market cap
+    const marketCapMatch = messageText.match(MARKET_CAP_REGEX);
+    const marketCap = marketCapMatch ? normalizer.parseNumber(marketCapMatch[1]) : 0;
+    logger.debug('Market cap: ' + marketCap);
+    
+    // Determine token symbol and amount based on transaction type
+    let tokenSymbol, tokenAmount, baseAmount, baseSymbol;
+    
+    if (transactionType === 'buy') {
+      // For buys: Base currency (SOL/USDC) -> Token
+      tokenSymbol = receivedSymbol ? normalizer.normalizeSymbol(receivedSymbol) : 'UNKNOWN';
+      tokenAmount = receivedAmount;
+      baseSymbol = sentSymbol ? normalizer.normalizeSymbol(sentSymbol) : chains.getNativeSymbol(chain);
+      baseAmount = sentAmount;
+    } else { // sell
+      // For sells: Token -> Base currency (SOL/USDC)
+      tokenSymbol = sentSymbol ? normalizer.normalizeSymbol(sentSymbol) : 'UNKNOWN';
+      tokenAmount = sentAmount;
+      baseSymbol = receivedSymbol ? normalizer.normalizeSymbol(receivedSymbol) : chains.getNativeSymbol(chain);
+      baseAmount = receivedAmount;
+    }
+    
+    // If we still don't have a token symbol but have a coin address, 
+    // use the last part of the coin address as a placeholder
+    if ((tokenSymbol === 'UNKNOWN' || !tokenSymbol) && coinAddress) {
+      tokenSymbol = coinAddress.replace(/^0x/i, '').substring(0, 4).toUpperCase();
+      logger.debug(`Using prefix of coin address as token symbol: ${tokenSymbol}`);
+    }
+    
+    logger.info(`Creating transaction: ${transactionType} ${tokenAmount} ${tokenSymbol} for ${baseAmount} ${baseSymbol}`);
+    
+    return new Transaction(
+      walletName,
+      transactionType,
+      tokenSymbol,
+      coinAddress,
+      tokenAmount,
+      usdValue,
+      new Date(),
+      marketCap,
+      baseAmount,
+      baseSymbol,
+      walletAddress,
+      chain
+    );
   },
   
   /**
@@ -178,9 +324,9 @@ const definedParser = {
         // Look for wallet address in TextUrl entities
         for (const entity of message.entities) {
           if (entity.className === "MessageEntityTextUrl" && entity.url) {
-            // Check for Solscan address URL
-            const match = entity.url.match(/solscan\.io\/address\/([A-Za-z0-9]{32,44})/);
-            if (match && match[1] && this.isValidSolanaAddress(match[1])) {
+            // Check for explorer address URL (Solscan, Etherscan, Basescan, BscScan)
+            const match = entity.url.match(WALLET_URL_REGEX);
+            if (match && match[1] && chains.isValidAddress(match[1])) {
               logger.debug(`Wallet address extracted from entity URL: ${match[1]}`);
               return match[1];
             }
@@ -191,11 +337,11 @@ const definedParser = {
       // Fallback to parsing the message text
       let messageText = typeof message === 'string' ? message : message.text;
       
-      // Check for Solscan address URL in text
-      const addressMatch = messageText.match(/solscan\.io\/address\/([A-Za-z0-9]{32,44})/);
+      // Check for explorer address URL in text
+      const addressMatch = messageText.match(WALLET_URL_REGEX);
       if (addressMatch && addressMatch[1]) {
         const candidateAddress = addressMatch[1];
-        if (this.isValidSolanaAddress(candidateAddress)) {
+        if (chains.isValidAddress(candidateAddress)) {
           logger.debug(`Wallet address extracted from text URL: ${candidateAddress}`);
           return candidateAddress;
         }
@@ -206,66 +352,6 @@ const definedParser = {
       logger.error('Error extracting wallet address:', error);
       return null;
     }
-  },
-  
-  /**
-   * Clean up token symbol
-   * @param {string} symbol - Token symbol to clean
-   * @returns {string} - Cleaned token symbol
-   */
-  cleanTokenSymbol(symbol) {
-    if (!symbol) return 'UNKNOWN';
-    
-    // Remove common decorations and clean up
-    return symbol
-      .replace(/\s+/g, '')  // Remove spaces
-      .replace(/\(.*\)$/, '') // Remove anything in parentheses at end
-      .replace(/^\$/, '')   // Remove leading $ sign
-      .replace(/[^\w\-•]/g, '') // Remove non-word characters except dash and bullet
-      .trim()
-      .toUpperCase();
-  },
-  
-  /**
-   * Validate if a string is a valid Solana address
-   * @param {string} address - Address to validate
-   * @returns {boolean} - True if valid Solana address
-   */
-  isValidSolanaAddress(address) {
-    // Solana addresses are typically 32-44 characters long and use base58 encoding
-    const solanaAddressRegex = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
-    return solanaAddressRegex.test(address);
-  },
-  
-  /**
-   * Parse market cap string into a number
-   * @param {string} value - Market cap value as string
-   * @param {string} suffix - Market cap suffix (k/m/b)
-   * @returns {number} - Parsed market cap value
-   */
-  parseMarketCap(value, suffix = '') {
-    try {
-      const numValue = parseFloat(value.replace(/[^0-9.]/g, ''));
-      
-      if (!suffix) {
-        return numValue;
-      }
-      
-      suffix = suffix.toLowerCase();
-      
-      if (suffix === 'k') {
-        return numValue * 1000;
-      } else if (suffix === 'm') {
-        return numValue * 1000000;
-      } else if (suffix === 'b') {
-        return numValue * 1000000000;
-      }
-      
-      return numValue;
-    } catch (error) {
-      logger.error('Error parsing market cap:', error);
-      return 0;
-    }
   }
 };
 
@@ -0,0 +1,220 @@
+// src/services/parsers/gmgnParser.js
+
+const Transaction = require('../../models/transaction');
+const logger = require('../../utils/logger');
+const chains = require('../../utils/chains');
+const messageSplitter = require('./messageSplitter');
+const normalizer = require('./normalizer');
+
+// Each swap of a digest message starts with its own Buy / Sell header line
+const BLOCK_START_REGEX = /^(?:🟢|🔴)+\s*(?:Buy|Sell)\s/;
+
+// "💰 1.5 SOL ➜ 2.5M PEPE ($210.35)" swap lines and "MC: $1.2M" market caps
+const SWAP_REGEX = new RegExp(
+  `💰\\s*(${normalizer.NUMBER_PATTERN})\\s+([A-Za-z0-9•\\-$]+)\\s*(?:➜|→|->|for)\\s*(${normalizer.NUMBER_PATTERN})\\s+([A-Za-z0-9•\\-$]+)(?:\\s*\\(\\$(${normalizer.NUMBER_PATTERN})\\))?`
+);
+const MARKET_CAP_REGEX = new RegExp(`(?:MC|MCap|Market Cap):\\s*\\$?\\s*(${normalizer.NUMBER_PATTERN})`, 'i');
+
+// GMGN alerts that are not wallet trades ("🆕 New Pool $CAT")
+const NON_TRADE_ALERT_REGEX = /^🆕\s*New Pool\b/m;
+
+/**
+ * Parser for GMGN wallet tracker messages
+ *
+ * Expected layout:
+ *   🟢 Buy $PEPE | SmartWhale
+ *   👤 SmartWhale (5tzF...uAi9)
+ *   💰 1.5 SOL ➜ 2.5M PEPE ($210.35)
+ *   📈 MC: $1.2M | Price: $0.000084
+ *   📍 CA: `7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hr`
+ *   🔗 GMGN | Solscan
+ *
+ * EVM trackers use the same layout with 0x addresses and gmgn.ai/eth|base|bsc links.
+ */
+const gmgnParser = {
+  type: 'gmgn',
+  label: 'GMGN',
+  priority: 25,
+
+  /**
+   * Check if a message looks like a GMGN tracker message
+   * @param {string|Object} message - Message to check
+   * @returns {boolean} - True if the message matches the GMGN format
+   */
+  canParse(message) {
+    const messageText = typeof message === 'string' ? message : message && message.text;
+    if (!messageText) return false;
+
+    const hasHeader = /^(?:🟢|🔴)+\s*(?:Buy|Sell)\s+\$?[A-Za-z0-9]/m.test(messageText);
+    return hasHeader && this.extractUrls(message).concat(messageText).some(text => /gmgn\.ai/i.test(text));
+  },
+
+  /**
+   * Parse a GMGN wallet tracker message, one transaction per swap block
+   * @param {string|Object} message - Message to parse
+   * @returns {Array<Transaction>} - Extracted transactions (empty if the message is not a transaction)
+   */
+  parseMessage(message) {
+    return messageSplitter.split(message, BLOCK_START_REGEX)
+      .map(part => this.parseSwap(part))
+      .filter(Boolean);
+  },
+
+  /**
+   * Check if a message that yielded no transaction is a known non-trade post
+   * @param {string|Object} message - Message to check
+   * @returns {boolean} - True for GMGN alerts that are not wallet trades
+   */
+  isIrrelevant(message) {
+    const messageText = typeof message === 'string' ? message : message && message.text;
+    return !!messageText && NON_TRADE_ALERT_REGEX.test(messageText);
+  },
+
+  /**
+   * Parse a single GMGN swap
+   * @param {string|Object} message - Message (or sub-message) holding one swap
+   * @returns {Transaction|null} - Extracted transaction or null
+   */
+  parseSwap(message) {
+    // Handle case where message is an object vs a simple string
+    let messageText = typeof message === 'string' ? message : message.text;
+
+    logger.info('New GMGN message detected: ' + messageText.substring(0, 100).replace(/\n/g, ' ') + '...');
+
+    // Header line gives the side, the token symbol and usually the wallet name
+    const headerMatch = messageText.match(/^(?:🟢|🔴)+\s*(Buy|Sell)\s+\$?([A-Za-z0-9•\-]+)(?:\s*\|\s*([^\n]+))?/im);
+    if (!headerMatch) {
+      logger.info('Message type: IRRELEVANT - Not a buy or sell transaction');
+      return null;
+    }
+
+    const transactionType = headerMatch[1].toLowerCase();
+    const tokenSymbol = normalizer.normalizeSymbol(headerMatch[2]);
+
+    // Wallet name - prefer the 👤 line, fall back to the header suffix
+    const walletLineMatch = messageText.match(/👤\s*\*?\*?([^\n(*]+?)\*?\*?\s*(?:\(|\n|$)/);
+    let walletName = walletLineMatch ? walletLineMatch[1].trim() : '';
+    if (!walletName && headerMatch[3]) {
+      walletName = headerMatch[3].trim();
+    }
+    walletName = walletName || 'unknown';
+
+    const walletAddress = this.extractWalletAddress(message);
+    const coinAddress = this.extractTokenAddress(message);
+
+    // Swap line: "1.5 SOL ➜ 2.5M PEPE ($210.35)" for buys, reversed for sells
+    let baseAmount = 0;
+    let baseSymbol = '';
+    let tokenAmount = 0;
+    let usdValue = 0;
+
+    const swapMatch = messageText.match(SWAP_REGEX);
+    if (swapMatch) {
+      const fromAmount = normalizer.parseNumber(swapMatch[1]);
+      const toAmount = normalizer.parseNumber(swapMatch[3]);
+
+      if (transactionType === 'buy') {
+        baseAmount = fromAmount;
+        baseSymbol = normalizer.normalizeSymbol(swapMatch[2]);
+        tokenAmount = toAmount;
+      } else {
+        tokenAmount = fromAmount;
+        baseAmount = toAmount;
+        baseSymbol = normalizer.normalizeSymbol(swapMatch[4]);
+      }
+
+      if (swapMatch[5]) {
+        usdValue = normalizer.parseNumber(swapMatch[5]);
+      }
+    }
+
+    // Market cap
+    const marketCapMatch = messageText.match(MARKET_CAP_REGEX);
+    const marketCap = marketCapMatch ? normalizer.parseNumber(marketCapMatch[1]) : 0;
+
+    // Chain from the gmgn.ai/<chain>/ links and the address format
+    const chain = chains.resolveChain({ texts: [...this.extractUrls(message), messageText], address: coinAddress, baseSymbol });
+    baseSymbol = baseSymbol || chains.getNativeSymbol(chain);
+
+    logger.info(`Message type: ${transactionType.toUpperCase()} | Wallet: ${walletName} | ${baseAmount} ${baseSymbol} ${transactionType === 'buy' ? '→' : '←'} ${tokenAmount} ${tokenSymbol} | MC: ${marketCap} | Address: ${coinAddress || 'none'}`);
+
+    return new Transaction(
+      walletName,
+      transactionType,
+      tokenSymbol,
+      coinAddress,
+      tokenAmount,
+      usdValue,
+      new Date(),
+      marketCap,
+      baseAmount,
+      baseSymbol,
+      walletAddress,
+      chain
+    );
+  },
+
+  /**
+   * Collect URLs from message entities
+   * @param {string|Object} message - Message object or text
+   * @returns {Array<string>} - URLs found in TextUrl entities
+   */
+  extractUrls(message) {
+    if (typeof message !== 'object' || !message || !message.entities) {
+      return [];
+    }
+
+    return message.entities
+      .filter(entity => entity.className === "MessageEntityTextUrl" && entity.url)
+      .map(entity => entity.url);
+  },
+
+  /**
+   * Extract wallet address from GMGN wallet links (any chain)
+   * @param {string|Object} message - Message object or text
+   * @returns {string|null} - Wallet address or null
+   */
+  extractWalletAddress(message) {
+    try {
+      let messageText = typeof message === 'string' ? message : message.text;
+
+      for (const text of [...this.extractUrls(message), messageText]) {
+        const match = text.match(/gmgn\.ai\/(?:sol|eth|base|bsc)\/address\/(?:[A-Za-z0-9]+_)?(0x[0-9a-fA-F]{40}|[1-9A-HJ-NP-Za-km-z]{32,44})/);
+        if (match && match[1] && chains.isValidAddress(match[1])) {
+          logger.debug(`Wallet address extracted from GMGN URL: ${match[1]}`);
+          return match[1];
+        }
+      }
+
+      return null;
+    } catch (error) {
+      logger.error('Error extracting wallet address:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Extract token address from the CA line or GMGN token links
+   * @param {string|Object} message - Message object or text
+   * @returns {string} - Token address or empty string
+   */
+  extractTokenAddress(message) {
+    let messageText = typeof message === 'string' ? message : message.text;
+
+    const caMatch = messageText.match(/CA:\s*`?(0x[0-9a-fA-F]{40}|[1-9A-HJ-NP-Za-km-z]{32,48})`?/);
+    if (caMatch) {
+      return caMatch[1];
+    }
+
+    for (const text of [...this.extractUrls(message), messageText]) {
+      const match = text.match(/gmgn\.ai\/(?:sol|eth|base|bsc)\/token\/(?:[A-Za-z0-9]+_)?(0x[0-9a-fA-F]{40}|[1-9A-HJ-NP-Za-km-z]{32,48})/);
+      if (match) {
+        return match[1];
+      }
+    }
+
+    return '';
+  }
+};
+
+module.exports = gmgnParser;
@@ -0,0 +1,110 @@
+// src/services/parsers/messageSplitter.js
+
+/**
+ * Splits tracker messages that hold several swaps (route hops, digests of
+ * several wallets) into one sub-message per swap block, so each block can go
+ * through the single-swap parsing logic of a parser.
+ *
+ * A sub-message is made of the lines before the first block (usually the
+ * wallet header), the block itself and, for one-line blocks, the footer after
+ * the last block. Link entities are carried over with their offsets moved to
+ * the sub-message text.
+ */
+const messageSplitter = {
+  /**
+   * Split a message into swap blocks
+   * @param {string|Object} message - Message text or object with text/entities
+   * @param {RegExp} blockStart - Pattern matching the first line of a block
+   * @param {Object} options - Split options
+   * @param {boolean} options.singleLine - Blocks are a single line and the lines after the last one are a footer shared by every block
+   * @returns {Array<string|Object>} - Sub-messages, or the original message alone when it holds at most one block
+   */
+  split(message, blockStart, options = {}) {
+    const messageText = typeof message === 'string' ? message : message && message.text;
+    if (!messageText) return [message];
+
+    const lines = this.getLines(messageText);
+    const startIndexes = lines
+      .map((line, index) => (blockStart.test(line.text) ? index : -1))
+      .filter(index => index >= 0);
+
+    if (startIndexes.length <= 1) {
+      return [message];
+    }
+
+    const firstBlockStart = lines[startIndexes[0]].start;
+    const preamble = firstBlockStart > 0 ? [[0, firstBlockStart]] : [];
+
+    let footer = [];
+    if (options.singleLine) {
+      const lastLine = lines[startIndexes[startIndexes.length - 1]];
+      if (lastLine.next < messageText.length) {
+        footer = [[lastLine.next, messageText.length]];
+      }
+    }
+
+    return startIndexes.map((lineIndex, i) => {
+      const blockLine = lines[lineIndex];
+      let blockEnd;
+
+      if (options.singleLine) {
+        blockEnd = blockLine.next;
+      } else {
+        blockEnd = i + 1 < startIndexes.length ? lines[startIndexes[i + 1]].start : messageText.length;
+      }
+
+      return this.extract(message, [...preamble, [blockLine.start, blockEnd], ...footer]);
+    });
+  },
+
+  /**
+   * Index the lines of a text
+   * @param {string} text - Text to index
+   * @returns {Array<{text: string, start: number, next: number}>} - Lines with the offset of their first character and of the next line
+   */
+  getLines(text) {
+    const lines = [];
+    let start = 0;
+
+    while (start <= text.length) {
+      const newline = text.indexOf('\n', start);
+      const end = newline === -1 ? text.length : newline;
+      lines.push({ text: text.substring(start, end), start, next: newline === -1 ? text.length : newline + 1 });
+      if (newline === -1) break;
+      start = newline + 1;
+    }
+
+    return lines;
+  },
+
+  /**
+   * Build a sub-message from ranges of the original text
+   * @param {string|Object} message - Original message
+   * @param {Array<Array<number>>} ranges - [start, end) ranges in ascending order
+   * @returns {string|Object} - Sub-message of the same shape as the original
+   */
+  extract(message, ranges) {
+    const messageText = typeof message === 'string' ? message : message.text;
+    const text = ranges.map(([start, end]) => messageText.substring(start, end)).join('');
+
+    if (typeof message === 'string') {
+      return text;
+    }
+
+    // Keep the entities that fall inside a range, moved to their new offset
+    const entities = [];
+    let shift = 0;
+    for (const [start, end] of ranges) {
+      for (const entity of message.entities || []) {
+        if (entity.offset >= start && entity.offset + entity.length <= end) {
+          entities.push({ ...entity, offset: entity.offset - start + shift });
+        }
+      }
+      shift += end - start;
+    }
+
+    return { ...message, text, entities };
+  }
+};
+
+module.exports = messageSplitter;
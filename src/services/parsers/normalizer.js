@@ -0,0 +1,134 @@
+// src/services/parsers/normalizer.js
+
+// Unit suffixes used by trackers for amounts, USD values and market caps
+const SUFFIX_MULTIPLIERS = {
+  k: 1000,
+  m: 1000000,
+  b: 1000000000
+};
+
+// Subscript digits some trackers use to shorten leading zeros: $0.0₄84 is $0.000084
+const SUBSCRIPT_DIGITS = '₀₁₂₃₄₅₆₇₈₉';
+
+// Bullet-like characters found in token symbols, all stored as '•'
+const BULLET_REGEX = /[·∙‧⋅●]/g;
+
+// Spaces used as thousands separators: "1 234 567", also as no-break and narrow no-break spaces
+const SPACE_SEPARATORS = ' \\u00A0\\u202F';
+
+// Digits of a displayed number, space-grouped thousands first so "1 234" is not read as 1
+const NUMBER_DIGITS = `(?:\\d{1,3}(?:[${SPACE_SEPARATORS}]\\d{3})+(?![\\dA-Za-z])(?:[.,]\\d+)?|\\d[\\d.,${SUBSCRIPT_DIGITS}]*)`;
+
+/**
+ * Number and token symbol normalization shared by the tracker parsers, so every
+ * tracker format records the same value for "$1.2M", "1,200,000" or "1.200.000"
+ */
+const normalizer = {
+  /**
+   * Regex source matching a displayed number, with thousands separators, subscript
+   * zeros and a K/M/B suffix (e.g. "1,234.5", "1 234", "0.0₄84", "2.5M"), for use inside capture groups
+   */
+  NUMBER_PATTERN: `${NUMBER_DIGITS}(?:[kKmMbB](?![A-Za-z]))?`,
+
+  /**
+   * Parse a number as displayed by a tracker
+   * @param {string|number} value - Displayed number, optionally with a $ sign and a K/M/B suffix
+   * @returns {number} - Parsed number, 0 if the value is not a number
+   */
+  parseNumber(value) {
+    if (typeof value === 'number') return isNaN(value) ? 0 : value;
+    if (!value) return 0;
+
+    const match = String(value).match(new RegExp(`(${NUMBER_DIGITS})\\s*([kKmMbB](?![A-Za-z]))?`));
+    if (!match) return 0;
+
+    const number = parseFloat(this.normalizeSeparators(this.expandSubscriptZeros(match[1])));
+    if (isNaN(number)) return 0;
+
+    const multiplier = match[2] ? SUFFIX_MULTIPLIERS[match[2].toLowerCase()] : 1;
+    return number * multiplier;
+  },
+
+  /**
+   * Expand subscript zero notation: "0.0₄84" becomes "0.000084"
+   * @param {string} value - Displayed number
+   * @returns {string} - Number without subscript digits
+   */
+  expandSubscriptZeros(value) {
+    return value.replace(new RegExp(`0([.,])0([${SUBSCRIPT_DIGITS}]+)`), (full, separator, subscript) => {
+      const zeroCount = parseInt(subscript.split('').map(digit => SUBSCRIPT_DIGITS.indexOf(digit)).join(''), 10);
+      return `0${separator}${'0'.repeat(zeroCount)}`;
+    });
+  },
+
+  /**
+   * Turn thousands and decimal separators into a plain decimal number string
+   * Spaces are thousands separators. Commas and dots are accepted either way: the last
+   * separator is the decimal one when both appear, and a repeated separator is a thousands
+   * separator. A lone comma followed by exactly three digits after a non-zero integer is a
+   * thousands separator ("1,500" is 1500), a lone dot is always a decimal point ("1.500" is 1.5)
+   * @param {string} value - Number with separators
+   * @returns {string} - Number with only a decimal point
+   */
+  normalizeSeparators(value) {
+    value = value.replace(new RegExp(`[${SPACE_SEPARATORS}]`, 'g'), '');
+
+    const lastComma = value.lastIndexOf(',');
+    const lastDot = value.lastIndexOf('.');
+
+    if (lastComma !== -1 && lastDot !== -1) {
+      const decimal = lastComma > lastDot ? ',' : '.';
+      const thousands = decimal === ',' ? /\./g : /,/g;
+      return value.replace(thousands, '').replace(',', '.');
+    }
+
+    if (lastComma !== -1) {
+      const isThousands = value.indexOf(',') !== lastComma || /^[1-9]\d{0,2}(,\d{3})+$/.test(value);
+      return isThousands ? value.replace(/,/g, '') : value.replace(',', '.');
+    }
+
+    if (lastDot !== -1 && value.indexOf('.') !== lastDot) {
+      return value.replace(/\./g, '');
+    }
+
+    return value;
+  },
+
+  /**
+   * Normalize a token symbol: uppercase, without $ or # prefix, decorations or spaces
+   * @param {string} symbol - Symbol as displayed by a tracker
+   * @returns {string} - Normalized symbol, 'UNKNOWN' if nothing is left
+   */
+  normalizeSymbol(symbol) {
+    if (!symbol) return 'UNKNOWN';
+
+    const normalized = symbol
+      .replace(/\s+on\s+.+$/i, '') // Remove "on PUMP FUN" etc.
+      .replace(/\(.*\)$/, '')      // Remove anything in parentheses at end
+      .replace(/\s+/g, '')
+      .replace(/^[$#]/, '')
+      .replace(BULLET_REGEX, '•')
+      .replace(/[^\w\-•]/g, '')    // Remove non-word characters except dash and bullet
+      .toUpperCase();
+
+    return normalized || 'UNKNOWN';
+  },
+
+  /**
+   * Format a market cap for display
+   * @param {number} marketCap - Market cap value
+   * @returns {string} - Formatted market cap (e.g. "1.2M")
+   */
+  formatMarketCap(marketCap) {
+    if (marketCap >= 1000000000) {
+      return (marketCap / 1000000000).toFixed(1) + 'B';
+    } else if (marketCap >= 1000000) {
+      return (marketCap / 1000000).toFixed(1) + 'M';
+    } else if (marketCap >= 1000) {
+      return (marketCap / 1000).toFixed(1) + 'k';
+    }
+    return marketCap.toString();
+  }
+};
+
+module.exports = normalizer;
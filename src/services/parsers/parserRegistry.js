@@ -0,0 +1,112 @@
+// src/services/parsers/parserRegistry.js
+const logger = require('../../utils/logger');
+
+// Special tracker type that lets the registry pick a parser per message
+const AUTO_TRACKER_TYPE = 'auto';
+
+/**
+ * Registry of tracker message parsers
+ *
+ * Each parser is an object exposing:
+ * - type {string}: tracker type key stored on the tracker document (e.g. 'cielo')
+ * - label {string}: human readable name used in /setup and /help
+ * - priority {number}: higher priorities are tried first during auto-detection
+ * - canParse(message) {boolean}: cheap fingerprint check for the tracker format
+ * - parseMessage(message) {Array<Transaction>}: full parsing logic, one transaction per swap in the message
+ * - isIrrelevant(message) {boolean}: optional, true for the tracker's known non-trade posts that yield no transaction
+ */
+const parserRegistry = {
+  AUTO_TRACKER_TYPE,
+
+  // Registered parsers by type
+  parsers: new Map(),
+
+  /**
+   * Register a parser
+   * @param {Object} parser - Parser implementing the interface described above
+   */
+  register(parser) {
+    if (!parser || !parser.type || typeof parser.parseMessage !== 'function' || typeof parser.canParse !== 'function') {
+      logger.error(`Invalid parser registration: ${parser && parser.type}`);
+      return;
+    }
+
+    const type = parser.type.toLowerCase();
+
+    if (type === AUTO_TRACKER_TYPE) {
+      logger.error(`Parser type '${AUTO_TRACKER_TYPE}' is reserved`);
+      return;
+    }
+
+    this.parsers.set(type, parser);
+    logger.debug(`Parser registered: ${type} (priority ${parser.priority || 0})`);
+  },
+
+  /**
+   * Get a parser by tracker type
+   * @param {string} type - Tracker type
+   * @returns {Object|null} - Parser or null if not registered
+   */
+  get(type) {
+    if (!type) return null;
+    return this.parsers.get(type.toLowerCase()) || null;
+  },
+
+  /**
+   * Check if a tracker type can be stored on a tracker
+   * @param {string} type - Tracker type
+   * @returns {boolean} - True for registered types and 'auto'
+   */
+  isSupportedType(type) {
+    if (!type) return false;
+    return type.toLowerCase() === AUTO_TRACKER_TYPE || this.parsers.has(type.toLowerCase());
+  },
+
+  /**
+   * Get registered parsers sorted by priority (highest first)
+   * @returns {Array<Object>} - Sorted parsers
+   */
+  getByPriority() {
+    return Array.from(this.parsers.values())
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  },
+
+  /**
+   * Get the list of selectable tracker types, in registration order
+   * @returns {Array<{type: string, label: string}>} - Tracker types
+   */
+  getTrackerTypes() {
+    return Array.from(this.parsers.values()).map(parser => ({
+      type: parser.type,
+      label: parser.label || parser.type
+    }));
+  },
+
+  /**
+   * Detect the parser able to handle a message
+   * @param {string|Object} message - Message to inspect
+   * @returns {Object|null} - Matching parser or null if none recognizes the format
+   */
+  detect(message) {
+    for (const parser of this.getByPriority()) {
+      try {
+        if (parser.canParse(message)) {
+          return parser;
+        }
+      } catch (error) {
+        logger.warn(`Error in ${parser.type} fingerprint check: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+};
+
+// Register built-in parsers
+parserRegistry.register(require('./cieloParser'));
+parserRegistry.register(require('./definedParser'));
+parserRegistry.register(require('./rayParser'));
+parserRegistry.register(require('./gmgnParser'));
+parserRegistry.register(require('./templateParser'));
+
+module.exports = parserRegistry;
@@ -0,0 +1,280 @@
+// src/services/parsers/templateParser.js
+const vm = require('vm');
+const Transaction = require('../../models/transaction');
+const logger = require('../../utils/logger');
+const chains = require('../../utils/chains');
+const normalizer = require('./normalizer');
+
+// Template fields a group admin can define, each one a regex with a named group of the same name
+const TEMPLATE_FIELDS = ['side', 'wallet', 'token', 'address', 'baseAmount', 'mcap'];
+
+// Fields without which no transaction can be built
+const REQUIRED_FIELDS = ['side', 'wallet', 'token'];
+
+// Guard against pathological user-supplied patterns
+const MAX_PATTERN_LENGTH = 300;
+
+// Templates run on the shared event loop for every message of the tracker: the text is
+// capped at Telegram's message length and each match is interrupted past the time limit
+const MAX_TEXT_LENGTH = 4096;
+const MATCH_TIMEOUT_MS = 50;
+
+// Matches run in a context of their own so the timeout can interrupt a runaway regex
+const matchContext = vm.createContext({});
+const matchScript = new vm.Script('pattern.exec(text)');
+
+/**
+ * Run a template regex on a message with a time limit
+ * @param {RegExp} pattern - Template regex
+ * @param {string} text - Message text
+ * @returns {Array|null} - Match result
+ * @throws {Error} - If the match takes longer than MATCH_TIMEOUT_MS
+ */
+function matchWithTimeout(pattern, text) {
+  matchContext.pattern = pattern;
+  matchContext.text = text.substring(0, MAX_TEXT_LENGTH);
+
+  try {
+    return matchScript.runInContext(matchContext, { timeout: MATCH_TIMEOUT_MS });
+  } finally {
+    matchContext.pattern = null;
+    matchContext.text = null;
+  }
+}
+
+/**
+ * Find a quantified group that holds a quantifier or an alternation, such as (a+)+ or (a|ab)*
+ * Those are what makes a regex backtrack exponentially
+ * @param {string} pattern - Regex source
+ * @returns {string|null} - The offending group, or null if there is none
+ */
+function findNestedQuantifier(pattern) {
+  const groups = [];
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (char === ']') inClass = false;
+      continue;
+    }
+
+    if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ start: i, risky: false });
+    } else if (char === ')' && groups.length > 0) {
+      const group = groups.pop();
+      const next = pattern[i + 1];
+      const repeated = next === '*' || next === '+' || (next === '{' && !/^\{\d+\}/.test(pattern.substring(i + 1)));
+
+      if (group.risky && repeated) {
+        return pattern.substring(group.start, i + 2);
+      }
+      // The enclosing group repeats whatever this one repeats
+      if ((group.risky || repeated) && groups.length > 0) {
+        groups[groups.length - 1].risky = true;
+      }
+    } else if (groups.length > 0 && (char === '*' || char === '+' || char === '{' || char === '|')) {
+      groups[groups.length - 1].risky = true;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parser for "custom" trackers, driven by named-capture regex templates
+ * stored on the tracker document (tracker.parserTemplate)
+ */
+const templateParser = {
+  type: 'custom',
+  label: 'Custom',
+  priority: 0,
+
+  TEMPLATE_FIELDS,
+  REQUIRED_FIELDS,
+
+  /**
+   * Custom formats are never auto-detected, they only apply to trackers configured with a template
+   * @returns {boolean} - Always false
+   */
+  canParse() {
+    return false;
+  },
+
+  /**
+   * Parse a message with the tracker's templates
+   * @param {string|Object} message - Message to parse
+   * @param {Object} options - Parsing options
+   * @param {Object} options.template - Templates by field name
+   * @returns {Array<Transaction>} - Extracted transactions (templates describe a single swap)
+   */
+  parseMessage(message, options = {}) {
+    const transaction = this.parseSwap(message, options);
+    return transaction ? [transaction] : [];
+  },
+
+  /**
+   * Parse a single swap with the tracker's templates
+   * @param {string|Object} message - Message to parse
+   * @param {Object} options - Parsing options
+   * @param {Object} options.template - Templates by field name
+   * @returns {Transaction|null} - Extracted transaction or null
+   */
+  parseSwap(message, options = {}) {
+    const template = options.template;
+    if (!template) {
+      logger.debug('Custom tracker has no parser template yet, ignoring message');
+      return null;
+    }
+
+    const { values } = this.extractFields(message, template);
+
+    const type = this.normalizeSide(values.side);
+    if (!type || !values.wallet || !values.token) {
+      logger.debug('Message does not match the custom parser template');
+      return null;
+    }
+
+    const coinAddress = values.address ? values.address.trim() : '';
+    const messageText = typeof message === 'string' ? message : message.text;
+    const chain = chains.resolveChain({ texts: [messageText], address: coinAddress });
+
+    const transaction = new Transaction(
+      values.wallet.trim(),
+      type,
+      normalizer.normalizeSymbol(values.token),
+      coinAddress,
+      0,
+      0,
+      new Date(),
+      normalizer.parseNumber(values.mcap),
+      normalizer.parseNumber(values.baseAmount),
+      chains.getNativeSymbol(chain),
+      '',
+      chain
+    );
+
+    logger.info(`Message type: ${type.toUpperCase()} | Wallet: ${transaction.walletName} | ${transaction.baseAmount} ${transaction.baseSymbol} | ${transaction.coin} | Address: ${transaction.coinAddress || 'none'}`);
+    return transaction;
+  },
+
+  /**
+   * Apply each template to the message text
+   * @param {string|Object} message - Message to parse
+   * @param {Object} template - Templates by field name
+   * @returns {{values: Object, missing: Array<string>}} - Captured values and fields that did not match
+   */
+  extractFields(message, template) {
+    const messageText = typeof message === 'string' ? message : message.text;
+    const values = {};
+    const missing = [];
+
+    for (const field of TEMPLATE_FIELDS) {
+      if (!template[field]) continue;
+
+      let match = null;
+      try {
+        match = matchWithTimeout(new RegExp(template[field], 'm'), messageText);
+      } catch (error) {
+        logger.warn(`Template pattern for "${field}" was stopped: ${error.message}`);
+      }
+
+      if (match && match.groups && match.groups[field] !== undefined) {
+        values[field] = match.groups[field];
+      } else {
+        missing.push(field);
+      }
+    }
+
+    return { values, missing };
+  },
+
+  /**
+   * Parse a template definition sent by a user, one "field: regex" per line
+   * @param {string} text - Definition text
+   * @returns {Object} - Templates by field name (unknown fields are kept so validation can report them)
+   */
+  parseDefinition(text) {
+    const template = {};
+
+    for (const line of (text || '').split('\n')) {
+      const match = line.match(/^\s*([A-Za-z]+)\s*:\s*(.+?)\s*$/);
+      if (match) {
+        template[match[1]] = match[2];
+      }
+    }
+
+    return template;
+  },
+
+  /**
+   * Validate a template definition
+   * @param {Object} template - Templates by field name
+   * @returns {{valid: boolean, errors: Array<string>, template: Object}} - Validation result and the cleaned template
+   */
+  validateTemplate(template) {
+    const errors = [];
+    const cleaned = {};
+
+    for (const [field, pattern] of Object.entries(template || {})) {
+      if (!TEMPLATE_FIELDS.includes(field)) {
+        errors.push(`Unknown field "${field}" (allowed: ${TEMPLATE_FIELDS.join(', ')})`);
+        continue;
+      }
+
+      if (pattern.length > MAX_PATTERN_LENGTH) {
+        errors.push(`Pattern for "${field}" is longer than ${MAX_PATTERN_LENGTH} characters`);
+        continue;
+      }
+
+      try {
+        new RegExp(pattern, 'm');
+      } catch (error) {
+        errors.push(`Invalid regex for "${field}": ${error.message}`);
+        continue;
+      }
+
+      const nested = findNestedQuantifier(pattern);
+      if (nested) {
+        errors.push(`Pattern for "${field}" repeats a group that already repeats (${nested}), which can freeze the bot; rewrite it without nested quantifiers`);
+        continue;
+      }
+
+      if (!pattern.includes(`(?<${field}>`)) {
+        errors.push(`Pattern for "${field}" must contain a named group (?<${field}>...)`);
+        continue;
+      }
+
+      cleaned[field] = pattern;
+    }
+
+    for (const field of REQUIRED_FIELDS) {
+      if (!template || !template[field]) {
+        errors.push(`Missing required field "${field}"`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors, template: cleaned };
+  },
+
+  /**
+   * Map a captured side to a transaction type
+   * @param {string} side - Captured side text
+   * @returns {string|null} - 'buy', 'sell' or null
+   */
+  normalizeSide(side) {
+    if (!side) return null;
+    if (/buy|bought|🟢/i.test(side)) return 'buy';
+    if (/sell|sold|🔴/i.test(side)) return 'sell';
+    return null;
+  }
+};
+
+module.exports = templateParser;
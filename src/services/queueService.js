@@ -1,7 +1,9 @@
 // src/services/queueService.js
 const NodeCache = require('node-cache');
 const logger = require('../utils/logger');
+const config = require('../config/config');
 const confluenceService = require('./confluenceService');
+const Transaction = require('../models/transaction');
 
 /**
  * Memory Queue Manager - In-memory queue system for transaction processing
@@ -24,6 +26,9 @@ class MemoryQueueManager {
     // Stats by group
     this.stats = new Map();
     
+    // Log alerts instead of sending them (message replays)
+    this.dryRun = false;
+    
     // Start queue processor
     this.processorInterval = setInterval(() => this.processAllQueues(), 1000);
     
@@ -40,6 +45,30 @@ class MemoryQueueManager {
    * @returns {Promise<boolean>} - Success status
    */
   async addTransaction(transaction, groupId) {
+    // Add to queue
+    const queue = this.getQueue(groupId);
+    queue.push({
+      data: transaction,
+      addedAt: Date.now(),
+      attempts: 0
+    });
+    
+    // Store queue stats
+    this.updateQueueStats(groupId);
+    
+    if (queue.length % 100 === 0) {
+      logger.info(`Queue for group ${groupId} has reached ${queue.length} pending transactions`);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Get the queue of a group, created on first use
+   * @param {string} groupId - Group ID
+   * @returns {Array<Object>} - Pending jobs of the group
+   */
+  getQueue(groupId) {
     if (!this.queues.has(groupId)) {
       this.queues.set(groupId, []);
       this.processingStatus.set(groupId, false);
@@ -54,22 +83,59 @@ class MemoryQueueManager {
       logger.debug(`Created new queue for group ${groupId}`);
     }
     
-    // Add to queue
-    const queue = this.queues.get(groupId);
-    queue.push({
-      data: transaction,
-      addedAt: Date.now(),
-      attempts: 0
-    });
+    return this.queues.get(groupId);
+  }
+  
+  /**
+   * Queue a full confluence scan of every group with cached transactions, then expire and
+   * alert the confluences without activity during their window
+   * Scans run in the group queues, between transactions: run alongside them they could record
+   * a confluence between a transaction's addTransaction and its check, and drop its alert.
+   * @returns {Promise<number>} - Number of groups whose scan was queued
+   */
+  async reconcileConfluences() {
+    let queued = 0;
     
-    // Store queue stats
-    this.updateQueueStats(groupId);
+    for (const groupId of await confluenceService.getCachedGroupIds()) {
+      const queue = this.getQueue(groupId);
+      
+      // A scan still waiting covers this run too
+      if (queue.some(job => job.reconcile)) continue;
+      
+      queue.push({ reconcile: true, addedAt: Date.now(), attempts: 0 });
+      queued++;
+    }
     
-    if (queue.length % 100 === 0) {
-      logger.info(`Queue for group ${groupId} has reached ${queue.length} pending transactions`);
+    const expired = await confluenceService.expireInactiveConfluences();
+    
+    for (const confluence of expired) {
+      try {
+        await this.deliverConfluenceAlert(confluence.groupId, confluence);
+      } catch (error) {
+        logger.error(`Error sending expired confluence alert to group ${confluence.groupId}: ${error.message}`);
+      }
     }
     
-    return true;
+    return queued;
+  }
+  
+  /**
+   * Scan every token of a group and alert the confluences that changed
+   * Catches what per-token checks can't see; only called from the group's queue
+   * @param {string} groupId - Group ID
+   * @returns {Promise<void>}
+   */
+  async reconcileGroup(groupId) {
+    const confluences = await confluenceService.checkConfluences(groupId);
+    
+    for (const confluence of confluences) {
+      try {
+        await this.deliverConfluenceAlert(groupId, confluence);
+        logger.info(`Reconciliation alerted the confluence of ${confluence.coin} in group ${groupId}: ${confluence.wallets.length} wallets`);
+      } catch (alertError) {
+        logger.error(`Error sending confluence alert: ${alertError.message}`);
+      }
+    }
   }
   
   /**
@@ -101,8 +167,12 @@ class MemoryQueueManager {
         try {
           const startTime = Date.now();
           
-          // Process the transaction
-          await this.processTransactionForGroup(job.data, groupId);
+          // Process the transaction, or the scan queued by reconciliation
+          if (job.reconcile) {
+            await this.reconcileGroup(groupId);
+          } else {
+            await this.processTransactionForGroup(job.data, groupId);
+          }
           
           // Track processing time
           const processingTime = Date.now() - startTime;
@@ -179,40 +249,42 @@ class MemoryQueueManager {
       delete transaction._meta; // Remove metadata before processing
       
       // This guarantees that processing happens in isolation for each group
-      await confluenceService.addTransaction(transaction, groupId);
+      const added = await confluenceService.addTransaction(transaction, groupId);
       
-      // Check for confluences for this group after adding the transaction
-      const allConfluences = await confluenceService.checkConfluences(groupId);
+      // Messages caught up after downtime still build confluences, but old ones must not alert
+      const silent = !!meta.backfill && this.isStale(transaction);
       
-      // If we have token filtering information and confluences
-      if (allConfluences.length > 0 && (meta.currentToken || meta.currentTokenAddress)) {
-        // Filter to only show confluences related to the current token
-        const relevantConfluences = allConfluences.filter(confluence => 
-          confluence.coin === meta.currentToken || 
-          (meta.currentTokenAddress && confluence.coinAddress === meta.currentTokenAddress)
-        );
-        
-        // Log the filtering
-        if (allConfluences.length > relevantConfluences.length) {
-          logger.debug(`Filtered ${allConfluences.length} confluences down to ${relevantConfluences.length} relevant to token ${meta.currentToken || meta.currentTokenAddress}`);
+      // Transfers, liquidity and mints never make buy/sell confluences, they can raise event signals
+      if (!Transaction.SWAP_TYPES.includes(transaction.type)) {
+        if (added && await confluenceService.getEventSignalsForGroup(groupId)) {
+          await this.processEventSignal(transaction, groupId, silent);
         }
-        
-        // If relevant confluences are detected, send alerts
-        if (relevantConfluences && relevantConfluences.length > 0) {
-          const telegramService = require('./telegramService'); // Require here to avoid circular dependencies
-          
-          for (const confluence of relevantConfluences) {
-            try {
-              // Format the message
-              const message = telegramService.formatConfluenceMessage(confluence);
-              
-              // Send the alert via bot
-              await this.sendConfluenceAlert(groupId, message);
-              
-              logger.info(`Confluence alert sent for ${confluence.coin} in group ${groupId}: ${confluence.wallets.length} wallets`);
-            } catch (alertError) {
-              logger.error(`Error sending confluence alert: ${alertError.message}`);
-            }
+        return true;
+      }
+      
+      // Only the token of this transaction can have changed, other tokens are left to reconciliation
+      const relevantConfluences = await confluenceService.checkTokenConfluence(groupId, {
+        coin: transaction.coin,
+        coinAddress: transaction.coinAddress,
+        chain: transaction.chain
+      });
+      
+      if (silent) {
+        if (relevantConfluences.length > 0) {
+          logger.info(`Backfilled transaction for ${meta.currentToken || meta.currentTokenAddress} is too old to alert, confluence of group ${groupId} updated silently`);
+        }
+        return true;
+      }
+      
+      // If the confluence of the token is new or changed, send alerts
+      if (relevantConfluences.length > 0) {
+        for (const confluence of relevantConfluences) {
+          try {
+            await this.deliverConfluenceAlert(groupId, confluence);
+            
+            logger.info(`Confluence alert sent for ${confluence.coin} in group ${groupId}: ${confluence.wallets.length} wallets`);
+          } catch (alertError) {
+            logger.error(`Error sending confluence alert: ${alertError.message}`);
           }
         }
       }
@@ -224,31 +296,179 @@ class MemoryQueueManager {
     }
   }
   
+  /**
+   * Check whether a backfilled transaction is too old to send alerts
+   * @param {Object} transaction - Transaction with its original timestamp
+   * @returns {boolean} - True if the transaction is older than the backfill alert age
+   */
+  isStale(transaction) {
+    const maxAge = config.backfill.alertMaxAgeMinutes * 60 * 1000;
+    return Date.now() - new Date(transaction.timestamp).getTime() > maxAge;
+  }
+  
+  /**
+   * Check a wallet event for a signal and alert the group
+   * @param {Object} transaction - Event transaction (transfer, liquidity or mint)
+   * @param {string} groupId - Group ID
+   * @param {boolean} silent - Record the signal without alerting (old backfilled events)
+   * @returns {Promise<void>}
+   */
+  async processEventSignal(transaction, groupId, silent = false) {
+    const signal = await confluenceService.checkEventSignal(transaction, groupId);
+    if (!signal) return;
+    
+    if (silent) {
+      logger.info(`Backfilled event signal for ${signal.coin || signal.coinAddress} in group ${groupId} is too old to alert`);
+      return;
+    }
+    
+    const telegramService = require('./telegramService'); // Require here to avoid circular dependencies
+    
+    try {
+      await this.sendConfluenceAlert(groupId, telegramService.formatEventSignalMessage(signal));
+      logger.info(`Event signal alert sent for ${signal.coin || signal.coinAddress} in group ${groupId}: ${signal.wallets.length} wallets ${signal.label}`);
+    } catch (alertError) {
+      logger.error(`Error sending event signal alert: ${alertError.message}`);
+    }
+  }
+  
+  /**
+   * Alert a group about a new or changed confluence
+   * When the group keeps alerts in place, wallets joining a confluence edit the first alert
+   * and are announced in a short reply; otherwise every change is a new message. State
+   * changes, expiry included, are always sent as a reply to the first alert so they notify.
+   * @param {string} groupId - ID of the group
+   * @param {Object} confluence - Confluence from the detector
+   * @returns {Promise<void>}
+   * @throws {Error} - If the alert could not be sent
+   */
+  async deliverConfluenceAlert(groupId, confluence) {
+    const telegramService = require('./telegramService'); // Require here to avoid circular dependencies
+    const message = telegramService.formatConfluenceMessage(confluence);
+    const isExpired = confluence.state === 'expired';
+    const stateChanged = confluence.isUpdate && confluence.state !== confluence.previousState;
+    let alertLost = false;
+    
+    if (confluence.isUpdate && confluence.alertMessageId && !stateChanged &&
+        await confluenceService.getEditAlertsForGroup(groupId)) {
+      if (await this.editConfluenceAlert(groupId, confluence.alertMessageId, message)) {
+        if (config.confluence.joinReplies && confluence.joinedWallets && confluence.joinedWallets.length > 0) {
+          await this.sendConfluenceAlert(
+            groupId,
+            telegramService.formatJoinedWalletsMessage(confluence),
+            confluence.alertMessageId
+          );
+        }
+        return;
+      }
+      
+      // The first alert can't be edited any more, the new message takes its place
+      alertLost = true;
+    }
+    
+    const replyTo = stateChanged && !alertLost ? confluence.alertMessageId : null;
+    const messageId = await this.sendConfluenceAlert(groupId, message, replyTo);
+    
+    // Keep the first alert of the confluence, later messages reply to it or replace a lost one
+    if (messageId && !isExpired && (!confluence.alertMessageId || alertLost)) {
+      await confluenceService.setAlertMessageId(groupId, confluence, messageId);
+    }
+  }
+  
   /**
    * Send a confluence alert to a group
    * @param {string} groupId - ID of the group
    * @param {string} message - Message content
-   * @returns {Promise<void>}
+   * @param {number|null} replyToMessageId - Message the alert replies to, if any
+   * @returns {Promise<number|null>} - Telegram message ID of the alert, null in dry run
    */
-  async sendConfluenceAlert(groupId, message) {
+  async sendConfluenceAlert(groupId, message, replyToMessageId = null) {
+    if (this.dryRun) {
+      logger.info(`[dry run] Alert for group ${groupId}:\n${message}`);
+      return null;
+    }
+    
     try {
       const axios = require('axios'); // Require here to avoid circular dependencies
       const config = require('../config/config');
       
       // Send the message using the bot API
-      await axios.post(`https://api.telegram.org/bot${config.telegram.botToken}/sendMessage`, {
+      const response = await axios.post(`https://api.telegram.org/bot${config.telegram.botToken}/sendMessage`, {
         chat_id: groupId,
         text: message,
-        parse_mode: 'HTML'
+        parse_mode: 'HTML',
+        ...(replyToMessageId && {
+          reply_to_message_id: replyToMessageId,
+          allow_sending_without_reply: true
+        })
       });
       
       logger.debug(`Alert sent to group: ${groupId}`);
+      return response.data && response.data.result ? response.data.result.message_id : null;
     } catch (error) {
       logger.error(`Error sending alert to group ${groupId}: ${error.message}`);
       throw error; // Rethrow to trigger retry mechanism
     }
   }
   
+  /**
+   * Replace the text of a confluence alert already sent to a group
+   * @param {string} groupId - ID of the group
+   * @param {number} messageId - Telegram message ID of the alert
+   * @param {string} message - New message content
+   * @returns {Promise<boolean>} - True if the alert shows the new content, false if it could not be edited
+   */
+  async editConfluenceAlert(groupId, messageId, message) {
+    if (this.dryRun) {
+      logger.info(`[dry run] Edit of alert ${messageId} in group ${groupId}:\n${message}`);
+      return true;
+    }
+    
+    try {
+      const axios = require('axios'); // Require here to avoid circular dependencies
+      const config = require('../config/config');
+      
+      await axios.post(`https://api.telegram.org/bot${config.telegram.botToken}/editMessageText`, {
+        chat_id: groupId,
+        message_id: messageId,
+        text: message,
+        parse_mode: 'HTML'
+      });
+      
+      logger.debug(`Alert ${messageId} edited in group: ${groupId}`);
+      return true;
+    } catch (error) {
+      const description = error.response && error.response.data ? error.response.data.description || '' : '';
+      
+      // Same text as before, the alert is already up to date
+      if (description.includes('message is not modified')) return true;
+      
+      // Deleted or too old to edit, the caller sends a new alert instead
+      logger.warn(`Could not edit alert ${messageId} in group ${groupId}: ${description || error.message}`);
+      return false;
+    }
+  }
+  
+  /**
+   * Log alerts instead of sending them to the groups
+   * @param {boolean} enabled - Whether alerts are only logged
+   */
+  setDryRun(enabled) {
+    this.dryRun = !!enabled;
+    logger.info(`Alert dry run ${this.dryRun ? 'enabled' : 'disabled'}`);
+  }
+  
+  /**
+   * Check whether every queue is empty and idle
+   * @returns {boolean} - True if no transaction is pending or being processed
+   */
+  isIdle() {
+    for (const [groupId, queue] of this.queues.entries()) {
+      if (queue.length > 0 || this.processingStatus.get(groupId)) return false;
+    }
+    return true;
+  }
+  
   /**
    * Update queue statistics
    * @param {string} groupId - Group ID
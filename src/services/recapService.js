@@ -1,7 +1,6 @@
 // src/services/recapService.js
 const logger = require('../utils/logger');
-const { getDatabase } = require('../db/connection');
-const TransactionModel = require('../db/models/transaction');
+const confluenceEventService = require('../db/services/confluenceEventService');
 const birdeyeService = require('./birdeyeService');
 const config = require('../config/config');
 
@@ -52,114 +51,76 @@ const recapService = {
   },
 
   /**
-   * Get confluences that occurred within a specific timeframe
+   * Format a stored confluence event for the performance analysis
+   * @param {Object} event - Confluence event
+   * @returns {Object} - Confluence with token, detection time and market cap, and wallets
+   */
+  formatConfluenceEvent(event) {
+    return {
+      tokenName: event.coin,
+      tokenAddress: event.coinAddress,
+      chain: event.chain || 'solana',
+      detectionTimestamp: event.detectedAt,
+      detectionMarketCap: event.detectionMarketCap,
+      minWallets: event.minWallets,
+      totalUniqueWallets: event.walletCount,
+      wallets: event.wallets.map(wallet => wallet.walletName),
+      // Wallets in order of appearance, with the time and market cap of their first transaction
+      transactions: event.wallets
+    };
+  },
+
+  /**
+   * Get confluences that were detected within a specific timeframe
    * @param {string} groupId - Group ID
    * @param {Date} cutoffTime - Cutoff timestamp
    * @returns {Promise<Array>} - List of confluences
    */
   async getConfluencesInTimeframe(groupId, cutoffTime) {
     try {
-      const db = await getDatabase();
-      const collection = db.collection(TransactionModel.collectionName);
+      const events = await confluenceEventService.getEventsForGroup(groupId, cutoffTime);
       
-      logger.info(`Querying transactions since ${cutoffTime.toISOString()} for group ${groupId}`);
+      logger.info(`Found ${events.length} confluences detected since ${cutoffTime.toISOString()} in group ${groupId}`);
       
-      // Check if we have any transactions for this group in this timeframe
-      const transactionCount = await collection.countDocuments({
-        groupId: groupId.toString(),
-        timestamp: { $gte: cutoffTime }
-      });
-      
-      logger.info(`Found ${transactionCount} total transactions in timeframe for group ${groupId}`);
-      
-      if (transactionCount === 0) {
-        return [];
-      }
+      return events.map(event => this.formatConfluenceEvent(event));
+    } catch (error) {
+      logger.error(`Error in recapService.getConfluencesInTimeframe: ${error.message}`);
+      return [];
+    }
+  },
+
+  /**
+   * Get the first confluence detected for each token of a group
+   * Wallets are split so an analysis can move the detection to the Nth wallet
+   * @param {string} groupId - Group ID
+   * @param {boolean} recentOnly - Only the last 48 hours, false for every stored confluence
+   * @returns {Promise<Array>} - Confluences with firstWallet, secondWallet and additionalWallets
+   */
+  async getFirstConfluencesPerToken(groupId, recentOnly = true) {
+    try {
+      const since = recentOnly ? new Date(Date.now() - 48 * 60 * 60 * 1000) : null;
+      const events = await confluenceEventService.getEventsForGroup(groupId, since);
+      const firstByToken = new Map();
       
-      // Group transactions by token to find confluences
-      const tokens = await collection.aggregate([
-        // Step 1: Match transactions in the specified timeframe for this group
-        {
-          $match: {
-            groupId: groupId.toString(),
-            timestamp: { $gte: cutoffTime }
-          }
-        },
-        // Step 2: Sort by timestamp to get proper order
-        {
-          $sort: { timestamp: 1 }
-        },
-        // Step 3: Group by token (using both address and name as some tokens may not have address)
-        {
-          $group: {
-            _id: { 
-              coinAddress: "$coinAddress", 
-              coin: "$coin" 
-            },
-            wallets: { $addToSet: "$walletName" },
-            transactions: { $push: "$$ROOT" },
-            firstTimestamp: { $min: "$timestamp" },
-            lastTimestamp: { $max: "$timestamp" },
-            marketCap: { $avg: "$marketCap" },
-            minMarketCap: { $min: "$marketCap" },
-            maxMarketCap: { $max: "$marketCap" },
-            transactionCount: { $sum: 1 }
-          }
-        },
-        // Step 4: Filter to only tokens with multiple wallets (confluences)
-        {
-          $match: {
-            "wallets.1": { $exists: true }  // At least 2 different wallets
-          }
-        },
-        // Step 5: Sort by first timestamp
-        {
-          $sort: { firstTimestamp: 1 }
+      // Events come oldest first, keep the first one of each token
+      for (const event of events) {
+        if (!firstByToken.has(event.confluenceKey)) {
+          firstByToken.set(event.confluenceKey, event);
         }
-      ]).toArray();
-      
-      logger.info(`Found ${tokens.length} tokens with multiple wallets in timeframe for group ${groupId}`);
+      }
       
-      // Format for easier processing
-      const confluences = tokens.map(token => {
-        // Find when the confluence was first detected (when the second wallet bought)
-        const sortedTx = [...token.transactions].sort((a, b) => 
-          new Date(a.timestamp) - new Date(b.timestamp)
-        );
-        
-        // Find the timestamp when the second unique wallet appeared
-        let detectionTimestamp = null;
-        const walletsSeen = new Set();
-        
-        for (const tx of sortedTx) {
-          walletsSeen.add(tx.walletName);
-          
-          // When we have 2 unique wallets, we have a confluence
-          if (walletsSeen.size === 2) {
-            detectionTimestamp = tx.timestamp;
-            break;
-          }
-        }
-        
-        // If we couldn't determine detection time, use the first transaction
-        if (!detectionTimestamp && sortedTx.length > 0) {
-          detectionTimestamp = sortedTx[0].timestamp;
-        }
+      return Array.from(firstByToken.values()).map(event => {
+        const [firstWallet, secondWallet, ...additionalWallets] = event.wallets;
         
         return {
-          tokenName: token._id.coin,
-          tokenAddress: token._id.coinAddress,
-          detectionTimestamp: detectionTimestamp || token.firstTimestamp,
-          detectionMarketCap: token.marketCap,
-          totalUniqueWallets: token.wallets.length,
-          wallets: token.wallets,
-          transactions: token.transactions
+          ...this.formatConfluenceEvent(event),
+          firstWallet: firstWallet || null,
+          secondWallet: secondWallet || null,
+          additionalWallets
         };
       });
-      
-      return confluences;
     } catch (error) {
-      logger.error(`Error in recapService.getConfluencesInTimeframe: ${error.message}`);
+      logger.error(`Error in recapService.getFirstConfluencesPerToken: ${error.message}`);
       return [];
     }
   },
@@ -176,8 +137,7 @@ const recapService = {
       // Filter to only tokens with addresses
       const confluencesWithAddresses = confluences.filter(conf => 
         conf.tokenAddress && conf.tokenAddress.trim().length > 0 &&
-        conf.tokenAddress.length >= 30 && 
-        !conf.tokenAddress.startsWith('SIM')
+        birdeyeService.isValidTokenAddress(conf.tokenAddress, conf.chain)
       );
       
       if (confluencesWithAddresses.length === 0) {
@@ -190,7 +150,8 @@ const recapService = {
         tokenAddress: conf.tokenAddress,
         tokenName: conf.tokenName,
         detectionTime: new Date(conf.detectionTimestamp),
-        initialMarketCap: conf.detectionMarketCap
+        initialMarketCap: conf.detectionMarketCap,
+        chain: conf.chain
       }));
       
       // Get ATH data for each token
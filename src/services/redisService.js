@@ -338,6 +338,139 @@ class RedisService {
     }
   }
 
+  /**
+   * Ajouter des membres à un ensemble (SADD, atomique)
+   * @param {string} key - Clé de l'ensemble
+   * @param {string[]} members - Membres à ajouter
+   * @param {number} ttl - TTL en secondes (optionnel)
+   * @returns {boolean} - Succès de l'opération
+   */
+  async addToSet(key, members, ttl) {
+    try {
+      if (this.failoverMode) {
+        // Mode failover - utiliser le cache en mémoire
+        const item = this.fallbackCache.get(key);
+        const set = item && (!item.expires || item.expires > Date.now()) ? item.value : new Set();
+        members.forEach(member => set.add(member));
+        this.fallbackCache.set(key, {
+          value: set,
+          expires: ttl ? Date.now() + (ttl * 1000) : 0
+        });
+        return true;
+      }
+
+      if (!this.initialized) {
+        await this.initialize();
+      }
+      
+      const fullKey = this.getFullKey(key);
+      await this.client.multi()
+        .sAdd(fullKey, members)
+        .expire(fullKey, ttl || this.ttl)
+        .exec();
+      
+      return true;
+    } catch (error) {
+      logger.error(`Erreur Redis addToSet(${key}): ${error.message}`);
+      
+      // Fallback en cas d'erreur
+      if (!this.failoverMode) {
+        this.failoverMode = true;
+        this.fallbackCache = new Map();
+        logger.warn('Mode failover Redis activé en raison d\'une erreur');
+        
+        // Réessayer en mode failover
+        return this.addToSet(key, members, ttl);
+      }
+      
+      return false;
+    }
+  }
+
+  /**
+   * Retirer des membres d'un ensemble (SREM, atomique)
+   * Redis supprime l'ensemble une fois vide
+   * @param {string} key - Clé de l'ensemble
+   * @param {string[]} members - Membres à retirer
+   * @returns {boolean} - Succès de l'opération
+   */
+  async removeFromSet(key, members) {
+    try {
+      if (this.failoverMode) {
+        // Mode failover - utiliser le cache en mémoire
+        const item = this.fallbackCache.get(key);
+        if (!item) return true;
+        
+        members.forEach(member => item.value.delete(member));
+        if (item.value.size === 0) {
+          this.fallbackCache.delete(key);
+        }
+        return true;
+      }
+
+      if (!this.initialized) {
+        await this.initialize();
+      }
+      
+      await this.client.sRem(this.getFullKey(key), members);
+      return true;
+    } catch (error) {
+      logger.error(`Erreur Redis removeFromSet(${key}): ${error.message}`);
+      
+      // Fallback en cas d'erreur
+      if (!this.failoverMode) {
+        this.failoverMode = true;
+        this.fallbackCache = new Map();
+        logger.warn('Mode failover Redis activé en raison d\'une erreur');
+        
+        // Réessayer en mode failover
+        return this.removeFromSet(key, members);
+      }
+      
+      return false;
+    }
+  }
+
+  /**
+   * Obtenir les membres d'un ensemble
+   * @param {string} key - Clé de l'ensemble
+   * @returns {string[]} - Membres, vide si l'ensemble n'existe pas
+   */
+  async getSetMembers(key) {
+    try {
+      if (this.failoverMode) {
+        // Mode failover - utiliser le cache en mémoire
+        const item = this.fallbackCache.get(key);
+        if (!item) return [];
+        
+        // Vérifier si expiré
+        if (item.expires && item.expires < Date.now()) {
+          this.fallbackCache.delete(key);
+          return [];
+        }
+        
+        return Array.from(item.value);
+      }
+
+      if (!this.initialized) {
+        await this.initialize();
+      }
+      
+      return await this.client.sMembers(this.getFullKey(key));
+    } catch (error) {
+      logger.error(`Erreur Redis getSetMembers(${key}): ${error.message}`);
+      
+      // Fallback en cas d'erreur
+      if (!this.failoverMode) {
+        this.failoverMode = true;
+        this.fallbackCache = new Map();
+        logger.warn('Mode failover Redis activé en raison d\'une erreur');
+      }
+      
+      return [];
+    }
+  }
+
   /**
    * Vider complètement le cache
    */
@@ -1,5 +1,6 @@
 // src/services/telegramService.js
 const logger = require('../utils/logger');
+const chains = require('../utils/chains');
 
 /**
  * Service to handle Telegram interactions
@@ -12,23 +13,40 @@ const telegramMessageService = {
    */
   formatConfluenceMessage(confluence) {
     try {
-      // The primary emoji is determined by the transaction type of the confluence
+      // The primary emoji is determined by the transaction type of the confluence,
+      // states past confirmation have their own
       const primaryEmoji = confluence.type === 'buy' ? '🟢' : '🔴';
-      const isUpdate = confluence.isUpdate ? 'UPDATED' : 'DETECTED';
+      const state = confluence.state || (confluence.isUpdate ? 'growing' : 'confirmed');
+      const style = STATE_STYLES[state] || STATE_STYLES.confirmed;
+      const chain = chains.getChain(confluence.chain);
       
       // Format token identifier - use token name if available, otherwise use address
       let tokenIdentifier;
       if (confluence.coin && confluence.coin.trim().length > 0 && 
           confluence.coin.toUpperCase() !== 'UNKNOWN') {
-        tokenIdentifier = `$${confluence.coin}`;
+        tokenIdentifier = `$${escapeHtml(confluence.coin)}`;
       } else if (confluence.coinAddress && confluence.coinAddress.trim().length > 0) {
         // Use token address with code formatting to make it copiable
-        tokenIdentifier = `<code>${confluence.coinAddress}</code>`;
+        tokenIdentifier = `<code>${escapeHtml(confluence.coinAddress)}</code>`;
       } else {
         tokenIdentifier = '$UNKNOWN';
       }
       
-      let message = `${primaryEmoji} CONFLUENCE ${isUpdate} FOR ${tokenIdentifier}\n\n`;
+      let message = `${style.emoji || primaryEmoji} CONFLUENCE ${style.title} FOR ${tokenIdentifier}\n`;
+      
+      if (state === 'distributing') {
+        message += `${confluence.sellingCount}/${confluence.buyerCount} wallets that bought are selling\n`;
+      } else if (state === 'exited') {
+        message += 'Every wallet that bought has sold\n';
+      } else if (state === 'expired') {
+        message += `No wallet activity for ${confluence.windowMinutes} minutes, confluence closed\n`;
+      }
+      message += '\n';
+      
+      // Expired confluences come from the stored events, which keep the wallets but not their transactions
+      if (state === 'expired') {
+        message += confluence.wallets.map(wallet => escapeHtml(wallet.walletName.replace(/^#/, ''))).join(', ') + '\n';
+      }
       
       // Create two arrays for wallets - preserving the original if wallet has both buy and sell
       const displayWallets = [];
@@ -65,7 +83,7 @@ const telegramMessageService = {
         const buyDisplay = {
           walletName: wallet.walletName,
           baseAmount: buyTransactions.reduce((sum, tx) => sum + (tx.baseAmount || 0), 0),
-          baseSymbol: buyTransactions[0].baseSymbol || 'SOL',
+          baseSymbol: buyTransactions[0].baseSymbol || chain.nativeSymbol,
           marketCap: calculateWeightedAverage(buyTransactions, 'marketCap', 'baseAmount'),
           type: 'buy',
           isUpdated: wallet.isUpdated && wallet.type === 'buy' && 
@@ -79,7 +97,7 @@ const telegramMessageService = {
         const sellDisplay = {
           walletName: wallet.walletName,
           baseAmount: sellTransactions.reduce((sum, tx) => sum + (tx.baseAmount || 0), 0),
-          baseSymbol: sellTransactions[0].baseSymbol || 'SOL', 
+          baseSymbol: sellTransactions[0].baseSymbol || chain.nativeSymbol, 
           marketCap: calculateWeightedAverage(sellTransactions, 'marketCap', 'baseAmount'),
           type: 'sell',
           isUpdated: wallet.isUpdated && wallet.type === 'sell' &&
@@ -133,15 +151,15 @@ const telegramMessageService = {
         }
         
         // Get the wallet name without the # prefix if it exists
-        const displayName = wallet.walletName.replace(/^#/, '');
+        const displayName = escapeHtml(wallet.walletName.replace(/^#/, ''));
         
         // Format base amount (SOL/ETH)
         const baseAmount = wallet.baseAmount !== undefined && wallet.baseAmount > 0 ? 
           wallet.baseAmount.toFixed(2) : 
           "0.00";
           
-        // Get base symbol, default to SOL if not specified
-        const baseSymbol = wallet.baseSymbol || "SOL";
+        // Get base symbol, default to the chain's native currency if not specified
+        const baseSymbol = wallet.baseSymbol || chain.nativeSymbol;
         
         return `${updateEmoji}${walletEmoji} ${displayName}: ${baseAmount}${baseSymbol}@${formattedMC} mcap`;
       };
@@ -165,14 +183,128 @@ const telegramMessageService = {
         });
       }
       
+      // Explorer and chart links for the token's chain
+      if (chains.isValidAddress(confluence.coinAddress, chain.id)) {
+        message += `\n⛓ ${chain.label} | ` +
+          `<a href="${chains.getTokenExplorerUrl(chain.id, confluence.coinAddress)}">${chain.explorerName}</a> | ` +
+          `<a href="${chains.getChartUrl(chain.id, confluence.coinAddress)}">DexScreener</a>`;
+      }
+      
       return message;
     } catch (error) {
       logger.error('Error formatting confluence message:', error);
       return `Confluence detected for ${confluence.coin || confluence.coinAddress || 'UNKNOWN'}: ${confluence.wallets.length} wallets`;
     }
+  },
+
+  /**
+   * Format the short reply announcing the wallets that joined a confluence whose alert was edited
+   * @param {Object} confluence - Updated confluence with joinedWallets
+   * @returns {string} - Formatted HTML message for Telegram
+   */
+  formatJoinedWalletsMessage(confluence) {
+    const tokenIdentifier = confluence.coin && confluence.coin.toUpperCase() !== 'UNKNOWN'
+      ? `$${escapeHtml(confluence.coin)}`
+      : `<code>${escapeHtml(confluence.coinAddress)}</code>`;
+    const names = confluence.joinedWallets.map(name => escapeHtml(name.replace(/^#/, ''))).join(', ');
+
+    return `➕ ${names} joined the ${tokenIdentifier} confluence (${confluence.count} wallets, alert updated above)`;
+  },
+
+  /**
+   * Check if a message is one of the bot's own alerts, forwarded back through a tracker chat
+   * @param {string} text - Message text
+   * @returns {boolean} - True for confluence alerts of every state and event signal alerts
+   */
+  isOwnAlert(text) {
+    return ALERT_HEADER_REGEX.test(text || '');
+  },
+
+  /**
+   * Format a wallet event signal (transfers, liquidity pulls, mints) for Telegram
+   * @param {Object} signal - Signal from the event signal detector
+   * @returns {string} - Formatted HTML message for Telegram
+   */
+  formatEventSignalMessage(signal) {
+    try {
+      const emoji = SIGNAL_EMOJIS[signal.type] || '📣';
+      const status = signal.isUpdate ? 'UPDATED' : 'DETECTED';
+      const chain = chains.getChain(signal.chain);
+
+      const tokenIdentifier = signal.coin && signal.coin.toUpperCase() !== 'UNKNOWN'
+        ? `$${escapeHtml(signal.coin)}`
+        : `<code>${escapeHtml(signal.coinAddress)}</code>`;
+
+      const walletCount = signal.wallets.length;
+      let message = `${emoji} SIGNAL ${status} FOR ${tokenIdentifier}\n`;
+      message += `${walletCount} tracked wallet${walletCount > 1 ? 's' : ''} ${signal.label}\n\n`;
+
+      signal.wallets.forEach(wallet => {
+        const displayName = escapeHtml(wallet.walletName.replace(/^#/, ''));
+        const usdValue = wallet.usdValue > 0 ? ` ($${wallet.usdValue.toFixed(2)})` : '';
+        const baseAmount = wallet.baseAmount > 0 ? ` + ${wallet.baseAmount.toFixed(2)}${wallet.baseSymbol || chain.nativeSymbol}` : '';
+        message += `${emoji} ${displayName}: ${formatTokenAmount(wallet.amount)}${baseAmount}${usdValue}\n`;
+      });
+
+      if (chains.isValidAddress(signal.coinAddress, chain.id)) {
+        message += `\n⛓ ${chain.label} | ` +
+          `<a href="${chains.getTokenExplorerUrl(chain.id, signal.coinAddress)}">${chain.explorerName}</a> | ` +
+          `<a href="${chains.getChartUrl(chain.id, signal.coinAddress)}">DexScreener</a>`;
+      }
+
+      return message;
+    } catch (error) {
+      logger.error('Error formatting event signal message:', error);
+      return `Signal for ${signal.coin || signal.coinAddress || 'UNKNOWN'}: ${signal.wallets.length} wallets ${signal.label}`;
+    }
   }
 };
 
+// Emoji and title of the confluence alerts for each lifecycle state, confirmed uses the side's emoji
+const STATE_STYLES = {
+  'confirmed': { emoji: null, title: 'CONFIRMED' },
+  'growing': { emoji: '📈', title: 'GROWING' },
+  'distributing': { emoji: '⚠️', title: 'DISTRIBUTING' },
+  'exited': { emoji: '🚪', title: 'EXITED' },
+  'expired': { emoji: '⌛', title: 'EXPIRED' }
+};
+
+// First line of the alerts, whatever their state emoji: "📈 CONFLUENCE GROWING FOR $PEPE"
+const ALERT_HEADER_REGEX = new RegExp(
+  `^\\S+\\s+(?:CONFLUENCE (?:${Object.values(STATE_STYLES).map(style => style.title).join('|')})|SIGNAL (?:DETECTED|UPDATED)) FOR `
+);
+
+// Emoji shown for each event signal type
+const SIGNAL_EMOJIS = {
+  'transfer-in': '📥',
+  'mint': '🌱',
+  'lp-remove': '🚨'
+};
+
+/**
+ * Escape text from trackers before it goes into an HTML message
+ * @param {string} text - Wallet name, symbol or address
+ * @returns {string} - Text safe for Telegram's HTML parse mode
+ */
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Format a token amount with a k/M/B suffix
+ * @param {number} amount - Token amount
+ * @returns {string} - Short amount
+ */
+function formatTokenAmount(amount) {
+  if (amount >= 1000000000) return `${(amount / 1000000000).toFixed(1)}B`;
+  if (amount >= 1000000) return `${(amount / 1000000).toFixed(1)}M`;
+  if (amount >= 1000) return `${(amount / 1000).toFixed(1)}k`;
+  return amount.toFixed(2);
+}
+
 /**
  * Calculate a weighted average of a field based on another field
  * @param {Array} transactions - Array of transaction objects
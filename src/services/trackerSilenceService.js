@@ -0,0 +1,149 @@
+// src/services/trackerSilenceService.js
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const trackerService = require('../db/services/trackerService');
+const groupService = require('../db/services/groupService');
+
+// Trackers set up before silence detection have no last message yet, their silence starts here
+const startedAt = new Date();
+
+/**
+ * Format a duration in minutes for a notice
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} - Duration such as "45 min", "6h" or "2d 3h"
+ */
+function formatDuration(minutes) {
+  if (minutes < 60) return `${Math.round(minutes)} min`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h`;
+
+  const days = Math.floor(hours / 24);
+  return `${days}d${hours % 24 ? ` ${hours % 24}h` : ''}`;
+}
+
+/**
+ * Detection of trackers that stopped posting, so groups learn that a tracker bot
+ * died or was removed before they wonder why confluences stopped
+ */
+const trackerSilenceService = {
+  /**
+   * Get the silence threshold of a tracker
+   * @param {Object} tracker - Tracker document
+   * @returns {number} - Threshold in minutes, 0 if the tracker is never reported
+   */
+  getThresholdMinutes(tracker) {
+    if (tracker.silenceThresholdMinutes === null || tracker.silenceThresholdMinutes === undefined) {
+      return config.trackerSilence.defaultThresholdMinutes;
+    }
+    return tracker.silenceThresholdMinutes;
+  },
+
+  /**
+   * Get how long a tracker has been silent
+   * @param {Object} tracker - Tracker document
+   * @returns {number} - Silence in minutes
+   */
+  getSilenceMinutes(tracker) {
+    const createdAt = tracker.createdAt ? new Date(tracker.createdAt) : startedAt;
+    const lastSeen = tracker.lastMessageAt
+      ? new Date(tracker.lastMessageAt)
+      : new Date(Math.max(createdAt.getTime(), startedAt.getTime()));
+
+    return (Date.now() - lastSeen.getTime()) / 60000;
+  },
+
+  /**
+   * Send a notice to a group and to the bot admins
+   * @param {TelegramBot} bot - Telegram bot instance
+   * @param {Object} tracker - Tracker document
+   * @param {string} groupMessage - Notice for the group
+   * @param {string} adminMessage - Notice for the admins
+   * @returns {Promise<void>}
+   */
+  async notify(bot, tracker, groupMessage, adminMessage) {
+    try {
+      await bot.sendMessage(tracker.groupId, groupMessage);
+    } catch (error) {
+      logger.error(`Error sending tracker silence notice to group ${tracker.groupId}: ${error.message}`);
+    }
+
+    for (const adminId of config.adminUsers || []) {
+      try {
+        await bot.sendMessage(adminId, adminMessage);
+      } catch (error) {
+        logger.error(`Error sending tracker silence notice to admin ${adminId}: ${error.message}`);
+      }
+    }
+  },
+
+  /**
+   * Warn the groups whose trackers have been silent too long, and tell them when
+   * a silent tracker posts again
+   * @param {TelegramBot} bot - Telegram bot instance
+   * @returns {Promise<{warned: number, recovered: number}>} - Notices sent
+   */
+  async checkTrackers(bot) {
+    const counts = { warned: 0, recovered: 0 };
+
+    try {
+      // Without a forwarder nothing is received, every tracker would look silent
+      const { getHealthyClientIds } = require('../forwarder/clientPool'); // Require here to avoid circular dependencies
+      if (getHealthyClientIds().length === 0) {
+        logger.debug('No healthy forwarder, skipping tracker silence check');
+        return counts;
+      }
+
+      const trackers = await trackerService.getAllActive();
+
+      // Group names for the admin notices, in one query
+      const groupDocs = await groupService.findByGroupIds([...new Set(trackers.map(tracker => tracker.groupId))]);
+      const groupsById = new Map(groupDocs.map(group => [group.groupId, group]));
+
+      for (const tracker of trackers) {
+        const group = groupsById.get(tracker.groupId);
+        const groupName = group ? group.groupName : tracker.groupId;
+
+        if (tracker.silenceAlertedAt) {
+          if (tracker.lastMessageAt && new Date(tracker.lastMessageAt) > new Date(tracker.silenceAlertedAt)) {
+            await this.notify(
+              bot,
+              tracker,
+              `✅ ${tracker.name} is posting again, confluence detection is back to normal.`,
+              `✅ Tracker ${tracker.name} is posting again in ${groupName} (${tracker.groupId})`
+            );
+            await trackerService.setSilenceAlerted(tracker._id, null);
+            logger.info(`Tracker ${tracker.name} recovered in group ${tracker.groupId}`);
+            counts.recovered++;
+          }
+          continue;
+        }
+
+        const threshold = this.getThresholdMinutes(tracker);
+        if (threshold === 0) continue;
+
+        const silence = this.getSilenceMinutes(tracker);
+        if (silence < threshold) continue;
+
+        await this.notify(
+          bot,
+          tracker,
+          `⚠️ ${tracker.name} has not posted anything for ${formatDuration(silence)}.\n\n` +
+          `The tracker bot may be down or may have been removed from this group. ` +
+          `Confluences cannot be detected from it until it posts again.\n\n` +
+          `Use /trackersilence @${tracker.name} <minutes|off> to change when this warning is sent.`,
+          `⚠️ Tracker ${tracker.name} silent for ${formatDuration(silence)} in ${groupName} (${tracker.groupId})`
+        );
+        await trackerService.setSilenceAlerted(tracker._id, new Date());
+        logger.warn(`Tracker ${tracker.name} silent for ${Math.round(silence)} minutes in group ${tracker.groupId}`);
+        counts.warned++;
+      }
+    } catch (error) {
+      logger.error(`Error in trackerSilenceService.checkTrackers: ${error.message}`);
+    }
+
+    return counts;
+  }
+};
+
+module.exports = trackerSilenceService;
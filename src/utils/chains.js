@@ -0,0 +1,232 @@
+// src/utils/chains.js
+
+/**
+ * Supported chains and their display / explorer settings
+ *
+ * - format: address format used on the chain ('solana' base58 or 'evm' 0x hex)
+ * - nativeSymbol: base currency shown when a tracker does not name one
+ * - hints: patterns in tracker messages or links that identify the chain
+ */
+const CHAINS = {
+  solana: {
+    id: 'solana',
+    label: 'Solana',
+    format: 'solana',
+    nativeSymbol: 'SOL',
+    explorerName: 'Solscan',
+    explorerUrl: 'https://solscan.io',
+    tokenPath: '/token/',
+    walletPath: '/account/',
+    dexscreenerId: 'solana',
+    hints: [/#solana\b/i, /solscan\.io/i, /photon-sol\./i, /gmgn\.ai\/sol\//i, /dexscreener\.com\/solana\//i, /defined\.fi\/sol\//i]
+  },
+  ethereum: {
+    id: 'ethereum',
+    label: 'Ethereum',
+    format: 'evm',
+    nativeSymbol: 'ETH',
+    explorerName: 'Etherscan',
+    explorerUrl: 'https://etherscan.io',
+    tokenPath: '/token/',
+    walletPath: '/address/',
+    dexscreenerId: 'ethereum',
+    hints: [/#ethereum\b/i, /etherscan\.io/i, /photon-eth\./i, /gmgn\.ai\/eth\//i, /dexscreener\.com\/ethereum\//i, /defined\.fi\/eth\//i]
+  },
+  base: {
+    id: 'base',
+    label: 'Base',
+    format: 'evm',
+    nativeSymbol: 'ETH',
+    explorerName: 'Basescan',
+    explorerUrl: 'https://basescan.org',
+    tokenPath: '/token/',
+    walletPath: '/address/',
+    dexscreenerId: 'base',
+    hints: [/#base\b/i, /basescan\.org/i, /photon-base\./i, /gmgn\.ai\/base\//i, /dexscreener\.com\/base\//i, /defined\.fi\/base\//i]
+  },
+  bsc: {
+    id: 'bsc',
+    label: 'BSC',
+    format: 'evm',
+    nativeSymbol: 'BNB',
+    explorerName: 'BscScan',
+    explorerUrl: 'https://bscscan.com',
+    tokenPath: '/token/',
+    walletPath: '/address/',
+    dexscreenerId: 'bsc',
+    hints: [/#(?:bsc|bnb)\b/i, /bscscan\.com/i, /photon-bsc\./i, /gmgn\.ai\/bsc\//i, /dexscreener\.com\/bsc\//i, /defined\.fi\/bsc\//i]
+  }
+};
+
+const DEFAULT_CHAIN = 'solana';
+
+// Alternative spellings used by trackers and URLs
+const CHAIN_ALIASES = {
+  sol: 'solana',
+  eth: 'ethereum',
+  ether: 'ethereum',
+  mainnet: 'ethereum',
+  bnb: 'bsc',
+  binance: 'bsc',
+  bnbchain: 'bsc'
+};
+
+// Base currencies that imply an EVM chain when no address is available
+const EVM_BASE_SYMBOLS = ['ETH', 'WETH', 'BNB', 'WBNB'];
+const BSC_BASE_SYMBOLS = ['BNB', 'WBNB'];
+
+const SOLANA_ADDRESS_REGEX = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const EVM_ADDRESS_REGEX = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * Chain helpers shared by parsers, the confluence cache and alerts
+ */
+const chains = {
+  CHAINS,
+  DEFAULT_CHAIN,
+
+  /**
+   * Normalize a chain name or alias
+   * @param {string} value - Chain name as written by a tracker or a user
+   * @returns {string|null} - Chain id or null if unknown
+   */
+  normalizeChain(value) {
+    if (!value) return null;
+
+    const key = value.toString().trim().toLowerCase().replace(/[\s_-]/g, '');
+    if (CHAINS[key]) return key;
+    return CHAIN_ALIASES[key] || null;
+  },
+
+  /**
+   * Get the settings of a chain, falling back to the default chain
+   * @param {string} chain - Chain id or alias
+   * @returns {Object} - Chain settings
+   */
+  getChain(chain) {
+    return CHAINS[this.normalizeChain(chain)] || CHAINS[DEFAULT_CHAIN];
+  },
+
+  /**
+   * Check if an address is a Solana (base58) address
+   * @param {string} address - Address to check
+   * @returns {boolean} - True if the address looks like a Solana address
+   */
+  isSolanaAddress(address) {
+    return !!address && SOLANA_ADDRESS_REGEX.test(address);
+  },
+
+  /**
+   * Check if an address is an EVM (0x) address
+   * @param {string} address - Address to check
+   * @returns {boolean} - True if the address looks like an EVM address
+   */
+  isEvmAddress(address) {
+    return !!address && EVM_ADDRESS_REGEX.test(address);
+  },
+
+  /**
+   * Check if an address is valid, either for a given chain or for any supported chain
+   * @param {string} address - Address to check
+   * @param {string} chain - Chain id (optional)
+   * @returns {boolean} - True if the address is valid
+   */
+  isValidAddress(address, chain = null) {
+    if (!chain) {
+      return this.isSolanaAddress(address) || this.isEvmAddress(address);
+    }
+
+    return this.getChain(chain).format === 'evm'
+      ? this.isEvmAddress(address)
+      : this.isSolanaAddress(address);
+  },
+
+  /**
+   * Find the first chain hinted at by a list of texts (message text, link URLs)
+   * @param {Array<string>} texts - Texts to scan
+   * @param {string} format - Restrict to chains using this address format (optional)
+   * @returns {string|null} - Chain id or null
+   */
+  detectChainFromText(texts, format = null) {
+    const candidates = Object.values(CHAINS).filter(chain => !format || chain.format === format);
+
+    for (const text of texts) {
+      if (!text) continue;
+      for (const chain of candidates) {
+        if (chain.hints.some(hint => hint.test(text))) {
+          return chain.id;
+        }
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Resolve the chain of a transaction from its address, its base currency and hints in the message
+   * @param {Object} params - Resolution inputs
+   * @param {Array<string>} params.texts - Message text and link URLs
+   * @param {string} params.address - Token address (optional)
+   * @param {string} params.baseSymbol - Base currency symbol (optional)
+   * @returns {string} - Chain id
+   */
+  resolveChain({ texts = [], address = '', baseSymbol = '' } = {}) {
+    // The address format rules out chains of the other family
+    let format = null;
+    if (this.isEvmAddress(address)) format = 'evm';
+    else if (this.isSolanaAddress(address)) format = 'solana';
+
+    const hinted = this.detectChainFromText(texts, format);
+    if (hinted) return hinted;
+
+    const symbol = (baseSymbol || '').toUpperCase();
+    if (format === 'evm' || (!format && EVM_BASE_SYMBOLS.includes(symbol))) {
+      return BSC_BASE_SYMBOLS.includes(symbol) ? 'bsc' : 'ethereum';
+    }
+
+    return DEFAULT_CHAIN;
+  },
+
+  /**
+   * Get the native currency symbol of a chain
+   * @param {string} chain - Chain id
+   * @returns {string} - Native symbol (SOL, ETH, BNB)
+   */
+  getNativeSymbol(chain) {
+    return this.getChain(chain).nativeSymbol;
+  },
+
+  /**
+   * Build the block explorer URL of a token
+   * @param {string} chain - Chain id
+   * @param {string} address - Token address
+   * @returns {string} - Explorer URL
+   */
+  getTokenExplorerUrl(chain, address) {
+    const settings = this.getChain(chain);
+    return `${settings.explorerUrl}${settings.tokenPath}${address}`;
+  },
+
+  /**
+   * Build the block explorer URL of a wallet
+   * @param {string} chain - Chain id
+   * @param {string} address - Wallet address
+   * @returns {string} - Explorer URL
+   */
+  getWalletExplorerUrl(chain, address) {
+    const settings = this.getChain(chain);
+    return `${settings.explorerUrl}${settings.walletPath}${address}`;
+  },
+
+  /**
+   * Build the DexScreener chart URL of a token
+   * @param {string} chain - Chain id
+   * @param {string} address - Token address
+   * @returns {string} - Chart URL
+   */
+  getChartUrl(chain, address) {
+    return `https://dexscreener.com/${this.getChain(chain).dexscreenerId}/${address}`;
+  }
+};
+
+module.exports = chains;
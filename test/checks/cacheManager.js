@@ -0,0 +1,148 @@
+// test/checks/cacheManager.js
+const assert = require('assert');
+const cacheManager = require('../../src/services/confluence/cacheManager');
+const groupSettingsManager = require('../../src/services/confluence/groupSettingsManager');
+
+// Group settings come from MongoDB, the checks use a fixed window
+groupSettingsManager.getWindowMinutesForGroup = async () => 60;
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+function buildTransaction(fields) {
+  return {
+    walletName: 'wallet',
+    walletAddress: '',
+    type: 'buy',
+    coin: 'ABC',
+    coinAddress: '',
+    chain: 'solana',
+    amount: 100,
+    baseAmount: 1,
+    timestamp: new Date(),
+    ...fields
+  };
+}
+
+module.exports = [
+  {
+    name: 'stores each token side under its own key and lists it in the group index',
+    run: async () => {
+      const groupId = 'cache-sides';
+      const abc = { coin: 'ABC', coinAddress: '', chain: 'solana' };
+      const xyz = { coin: 'XYZ', coinAddress: 'XyZ111', chain: 'solana' };
+
+      await cacheManager.setTransactions(groupId, abc, 'buy', [buildTransaction({ walletName: 'a' })]);
+      await cacheManager.setTransactions(groupId, abc, 'sell', [buildTransaction({ walletName: 'b', type: 'sell' })]);
+      await cacheManager.setTransactions(groupId, xyz, 'buy', [buildTransaction({ walletName: 'c', coin: 'XYZ', coinAddress: 'XyZ111' })]);
+
+      assert.deepStrictEqual((await cacheManager.getTransactions(groupId, abc, 'buy')).map(tx => tx.walletName), ['a']);
+      assert.deepStrictEqual((await cacheManager.getTransactions(groupId, abc, 'sell')).map(tx => tx.walletName), ['b']);
+
+      const members = await cacheManager.transactionsCache.getSetMembers(`index:${groupId}`);
+      assert.strictEqual(members.length, 3);
+
+      const entries = await cacheManager.getTokenEntries(groupId);
+      const abcEntry = entries.find(entry => entry.coin === 'ABC');
+      assert.strictEqual(entries.length, 2);
+      assert.deepStrictEqual(Object.keys(abcEntry.sides).sort(), ['buy', 'sell']);
+      assert.strictEqual(entries.find(entry => entry.coin === 'XYZ').coinAddress, 'XyZ111');
+      assert.ok((await cacheManager.getGroupIds()).includes(groupId));
+    }
+  },
+  {
+    name: 'keeps concurrent writes to different tokens of a group',
+    run: async () => {
+      const groupId = 'cache-concurrent';
+      const tokens = Array.from({ length: 20 }, (_, i) => ({ coin: `T${i}`, coinAddress: '', chain: 'solana' }));
+
+      await Promise.all(tokens.map(token =>
+        cacheManager.setTransactions(groupId, token, 'buy', [buildTransaction({ coin: token.coin })])
+      ));
+
+      assert.strictEqual((await cacheManager.getTokenEntries(groupId)).length, 20);
+    }
+  },
+  {
+    name: 'removes matching transactions and drops the sides left empty from the index',
+    run: async () => {
+      const groupId = 'cache-remove';
+      const token = { coin: 'ABC', coinAddress: '', chain: 'solana' };
+
+      await cacheManager.setTransactions(groupId, token, 'buy', [
+        buildTransaction({ walletName: 'a', sourceMessageId: 1 }),
+        buildTransaction({ walletName: 'b', sourceMessageId: 2 })
+      ]);
+      await cacheManager.setTransactions(groupId, token, 'sell', [
+        buildTransaction({ walletName: 'a', type: 'sell', sourceMessageId: 1 })
+      ]);
+
+      const removed = await cacheManager.removeTransactions(groupId, tx => tx.sourceMessageId === 1);
+
+      assert.strictEqual(removed, 2);
+      assert.deepStrictEqual((await cacheManager.getTransactions(groupId, token, 'buy')).map(tx => tx.walletName), ['b']);
+      assert.deepStrictEqual(await cacheManager.getTransactions(groupId, token, 'sell'), []);
+      assert.strictEqual((await cacheManager.transactionsCache.getSetMembers(`index:${groupId}`)).length, 1);
+
+      await cacheManager.removeTransactions(groupId, () => true);
+      assert.ok(!(await cacheManager.getGroupIds()).includes(groupId));
+    }
+  },
+  {
+    name: 'cleans transactions older than the group window',
+    run: async () => {
+      const groupId = 'cache-clean';
+      const fresh = { coin: 'NEW', coinAddress: '', chain: 'solana' };
+      const stale = { coin: 'OLD', coinAddress: '', chain: 'solana' };
+
+      await cacheManager.setTransactions(groupId, fresh, 'buy', [
+        buildTransaction({ coin: 'NEW', walletName: 'a', timestamp: minutesAgo(5) }),
+        buildTransaction({ coin: 'NEW', walletName: 'b', timestamp: minutesAgo(90) })
+      ]);
+      await cacheManager.setTransactions(groupId, stale, 'buy', [
+        buildTransaction({ coin: 'OLD', walletName: 'c', timestamp: minutesAgo(120) })
+      ]);
+
+      await cacheManager.cleanOldTransactions();
+
+      assert.deepStrictEqual((await cacheManager.getTransactions(groupId, fresh, 'buy')).map(tx => tx.walletName), ['a']);
+      assert.deepStrictEqual((await cacheManager.getTokenEntries(groupId)).map(entry => entry.coin), ['NEW']);
+    }
+  },
+  {
+    name: 'migrates former transaction keys and deletes only the keys of the former format',
+    run: async () => {
+      const cache = cacheManager.transactionsCache;
+
+      await cache.set('-100_buy_solana_name_MY_TOKEN', [
+        buildTransaction({ walletName: 'a', coin: 'MY_TOKEN' }),
+        buildTransaction({ walletName: 'b', coin: 'MY_TOKEN' })
+      ]);
+      await cache.set('-100_sell_addr_So1aNa', [
+        buildTransaction({ walletName: 'c', type: 'sell', coin: 'SOL', coinAddress: 'So1aNa', chain: undefined })
+      ]);
+      await cache.set('meta_-100_buy_solana_name_MY_TOKEN', { count: 2 });
+      await cache.set('unrelated', { keep: true });
+
+      const migrated = await cacheManager.migrateLegacyKeys();
+
+      assert.strictEqual(migrated, 3);
+      assert.deepStrictEqual(
+        (await cacheManager.getTransactions('-100', { coin: 'MY_TOKEN', chain: 'solana' }, 'buy')).map(tx => tx.walletName),
+        ['a', 'b']
+      );
+      assert.deepStrictEqual(
+        (await cacheManager.getTransactions('-100', { coinAddress: 'So1aNa' }, 'sell')).map(tx => tx.walletName),
+        ['c']
+      );
+
+      const keys = await cache.keys();
+      assert.ok(!keys.includes('-100_buy_solana_name_MY_TOKEN'));
+      assert.ok(!keys.includes('meta_-100_buy_solana_name_MY_TOKEN'));
+      assert.ok(keys.includes('unrelated'));
+
+      // Keys written by the current format are left alone by a second run
+      assert.strictEqual(await cacheManager.migrateLegacyKeys(), 0);
+      assert.ok((await cache.keys()).includes('index:-100'));
+    }
+  }
+];
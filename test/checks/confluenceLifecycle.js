@@ -0,0 +1,61 @@
+// test/checks/confluenceLifecycle.js
+const assert = require('assert');
+const confluenceLifecycle = require('../../src/services/confluence/confluenceLifecycle');
+
+const { STATES } = confluenceLifecycle;
+
+const buyer = (walletName) => ({ walletName, buyAmount: 100, type: 'buy' });
+const seller = (walletName) => ({ walletName, buyAmount: 100, type: 'sell' });
+const shortSeller = (walletName) => ({ walletName, buyAmount: 0, type: 'sell' });
+
+module.exports = [
+  {
+    name: 'stays forming below the group minimum, whatever the previous state',
+    run: async () => {
+      for (const previousState of [null, STATES.FORMING, STATES.CONFIRMED, STATES.GROWING, STATES.EXITED]) {
+        assert.strictEqual(confluenceLifecycle.getNextState(previousState, [buyer('a')], 2), STATES.FORMING);
+      }
+    }
+  },
+  {
+    name: 'confirms a token reaching the minimum from no state, forming or expired',
+    run: async () => {
+      const wallets = [buyer('a'), seller('b')];
+
+      for (const previousState of [null, STATES.FORMING, STATES.EXPIRED]) {
+        assert.strictEqual(confluenceLifecycle.getNextState(previousState, wallets, 2), STATES.CONFIRMED);
+      }
+    }
+  },
+  {
+    name: 'grows while every buyer holds',
+    run: async () => {
+      const wallets = [buyer('a'), buyer('b'), buyer('c')];
+
+      assert.strictEqual(confluenceLifecycle.getNextState(STATES.CONFIRMED, wallets, 2), STATES.GROWING);
+      assert.strictEqual(confluenceLifecycle.getNextState(STATES.GROWING, wallets, 2), STATES.GROWING);
+    }
+  },
+  {
+    name: 'distributes when some buyers sell, exits when all of them did',
+    run: async () => {
+      const distributing = [buyer('a'), seller('b'), buyer('c')];
+      const exited = [seller('a'), seller('b'), seller('c')];
+
+      assert.strictEqual(confluenceLifecycle.getNextState(STATES.GROWING, distributing, 2), STATES.DISTRIBUTING);
+      assert.strictEqual(confluenceLifecycle.getNextState(STATES.DISTRIBUTING, exited, 2), STATES.EXITED);
+
+      // A buyer coming back moves an exited confluence to distributing again
+      assert.strictEqual(confluenceLifecycle.getNextState(STATES.EXITED, [...exited, buyer('d')], 2), STATES.DISTRIBUTING);
+    }
+  },
+  {
+    name: 'does not count wallets that only sold as buyers',
+    run: async () => {
+      const wallets = [buyer('a'), shortSeller('b'), shortSeller('c')];
+
+      assert.strictEqual(confluenceLifecycle.getNextState(STATES.CONFIRMED, wallets, 2), STATES.GROWING);
+      assert.deepStrictEqual(confluenceLifecycle.countPositions(wallets), { buyerCount: 1, sellingCount: 0 });
+    }
+  }
+];
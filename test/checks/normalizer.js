@@ -0,0 +1,80 @@
+// test/checks/normalizer.js
+const assert = require('assert');
+const normalizer = require('../../src/services/parsers/normalizer');
+
+/**
+ * Assert the parsed value of each displayed number
+ * @param {Object} cases - Displayed number and expected value pairs
+ */
+function assertParsed(cases) {
+  for (const [displayed, expected] of Object.entries(cases)) {
+    assert.strictEqual(normalizer.parseNumber(displayed), expected, `"${displayed}"`);
+  }
+}
+
+module.exports = [
+  {
+    name: 'parses K/M/B suffixes with or without a dollar sign',
+    run: async () => {
+      assertParsed({ '$1.2M': 1200000, '2.5k': 2500, '3B': 3000000000, '$ 850K': 850000, '1.2 M': 1200000 });
+    }
+  },
+  {
+    name: 'reads commas and dots as thousands or decimal separators',
+    run: async () => {
+      assertParsed({
+        '1,234,567': 1234567,
+        '1.234.567': 1234567,
+        '1,234.56': 1234.56,
+        '1.234,56': 1234.56,
+        '1,500': 1500,
+        '1.500': 1.5,
+        '1.250 SOL': 1.25,
+        '$1.234K': 1234,
+        '0.500': 0.5,
+        '0,5': 0.5,
+        '12.5': 12.5,
+        '3.14159': 3.14159
+      });
+    }
+  },
+  {
+    name: 'reads spaces between groups of three digits as thousands separators',
+    run: async () => {
+      assertParsed({
+        '1 234 567': 1234567,
+        '1\u00A0234\u00A0567': 1234567,
+        '1\u202F234,5': 1234.5,
+        '$12 500': 12500
+      });
+
+      const match = 'Sent: 1 500 BONK'.match(new RegExp(`Sent:\\s*(${normalizer.NUMBER_PATTERN})`));
+      assert.strictEqual(normalizer.parseNumber(match[1]), 1500);
+    }
+  },
+  {
+    name: 'expands subscript zeros',
+    run: async () => {
+      assertParsed({ '0.0₄84': 0.000084, '$0.0₁₂5': 0.0000000000005 });
+    }
+  },
+  {
+    name: 'returns 0 for missing or non-numeric values',
+    run: async () => {
+      assertParsed({ '': 0, 'N/A': 0 });
+      assert.strictEqual(normalizer.parseNumber(null), 0);
+      assert.strictEqual(normalizer.parseNumber(NaN), 0);
+      assert.strictEqual(normalizer.parseNumber(42), 42);
+    }
+  },
+  {
+    name: 'normalizes token symbols',
+    run: async () => {
+      assert.strictEqual(normalizer.normalizeSymbol('$pepe'), 'PEPE');
+      assert.strictEqual(normalizer.normalizeSymbol('#Bonk on PUMP FUN'), 'BONK');
+      assert.strictEqual(normalizer.normalizeSymbol('AI·AGENT'), 'AI•AGENT');
+      assert.strictEqual(normalizer.normalizeSymbol('WIF (dogwifhat)'), 'WIF');
+      assert.strictEqual(normalizer.normalizeSymbol(''), 'UNKNOWN');
+    }
+  }
+];
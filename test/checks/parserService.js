@@ -0,0 +1,55 @@
+// test/checks/parserService.js
+const assert = require('assert');
+const path = require('path');
+const parserService = require('../../src/services/parserService');
+const gmgnParser = require('../../src/services/parsers/gmgnParser');
+
+const fixturesDir = path.join(__dirname, '../parsers/fixtures');
+
+// Buy message of the GMGN golden fixture
+const gmgnBuy = require(path.join(fixturesDir, 'gmgn/buy.json')).message;
+
+module.exports = [
+  {
+    name: 'reports a parser crash as a parser error',
+    run: async () => {
+      const extractWalletAddress = gmgnParser.extractWalletAddress;
+      gmgnParser.extractWalletAddress = () => { throw new Error('layout changed'); };
+
+      try {
+        const outcome = parserService.parseWithDiagnostics(gmgnBuy, 'gmgn');
+        assert.strictEqual(outcome.reason, parserService.REASONS.PARSER_ERROR);
+        assert.strictEqual(outcome.error, 'layout changed');
+        assert.deepStrictEqual(outcome.transactions, []);
+      } finally {
+        gmgnParser.extractWalletAddress = extractWalletAddress;
+      }
+    }
+  },
+  {
+    name: 'reports the known non-trade posts of each tracker as irrelevant',
+    run: async () => {
+      for (const fixture of ['cielo/irrelevant-transfer', 'defined/irrelevant-transfer', 'gmgn/irrelevant-alert', 'ray/irrelevant-transfer']) {
+        const { trackerType, message } = require(path.join(fixturesDir, `${fixture}.json`));
+        const outcome = parserService.parseWithDiagnostics(message, trackerType);
+        assert.strictEqual(outcome.reason, parserService.REASONS.IRRELEVANT, fixture);
+      }
+    }
+  },
+  {
+    name: 'reports messages without any number as irrelevant',
+    run: async () => {
+      for (const trackerType of ['auto', 'cielo', 'custom']) {
+        const outcome = parserService.parseWithDiagnostics('🔔 Tracker is online', trackerType);
+        assert.strictEqual(outcome.reason, parserService.REASONS.IRRELEVANT, trackerType);
+      }
+    }
+  },
+  {
+    name: 'still reports unrecognized trade posts as failures',
+    run: async () => {
+      const outcome = parserService.parseWithDiagnostics('🟢 Buy $PEPE\n💰 1.5 SOL for 2.5M PEPE', 'ray');
+      assert.strictEqual(outcome.reason, parserService.REASONS.FORMAT_MISMATCH);
+    }
+  }
+];
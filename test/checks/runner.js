@@ -0,0 +1,83 @@
+// test/checks/runner.js
+/**
+ * Runner for module checks
+ *
+ * Each file in this directory (except the runner) exports a list of checks:
+ *   module.exports = [{ name: 'what is checked', run: async () => { ... } }];
+ * A check passes when run() resolves and fails when it throws (use node's assert).
+ * Checks run in order and share the process, so they use their own group IDs or
+ * clean up the state they create.
+ *
+ * Usage:
+ *   node test/checks/runner.js                 Run every check file
+ *   node test/checks/runner.js --only cache    Restrict the run to files whose name contains "cache"
+ *   node test/checks/runner.js --verbose       Keep module logs on the console
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../src/utils/logger');
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Raw arguments
+ * @returns {Object} - Runner options
+ */
+function parseArgs(argv) {
+  const options = { verbose: false, only: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--verbose') options.verbose = true;
+    else if (arg === '--only') options.only = argv[++i];
+  }
+
+  return options;
+}
+
+/**
+ * List the check files
+ * @param {string|null} only - Part of the file names to restrict to
+ * @returns {Array<string>} - Absolute paths
+ */
+function listCheckFiles(only) {
+  return fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== path.basename(__filename))
+    .filter(file => !only || file.includes(only))
+    .sort()
+    .map(file => path.join(__dirname, file));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  // Modules log every cache and detection step, keep the report readable
+  if (!options.verbose) {
+    logger.silent = true;
+  }
+
+  const counts = { pass: 0, fail: 0 };
+
+  for (const file of listCheckFiles(options.only)) {
+    const checks = require(file);
+    console.log(path.basename(file));
+
+    for (const check of checks) {
+      try {
+        await check.run();
+        counts.pass++;
+        console.log(`  ✔ ${check.name}`);
+      } catch (error) {
+        counts.fail++;
+        console.log(`  ✘ ${check.name}`);
+        console.log(`      ${error.message.split('\n').join('\n      ')}`);
+      }
+    }
+  }
+
+  console.log(`\n${counts.pass + counts.fail} checks: ${counts.pass} passed, ${counts.fail} failed`);
+
+  // Caches keep timers running, don't wait for them
+  process.exit(counts.fail > 0 ? 1 : 0);
+}
+
+main();
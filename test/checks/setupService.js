@@ -0,0 +1,49 @@
+// test/checks/setupService.js
+const assert = require('assert');
+const setupService = require('../../src/db/services/setupService');
+const trackerService = require('../../src/db/services/trackerService');
+const groupService = require('../../src/db/services/groupService');
+
+// Trackers of the same name followed by three groups, two of them sharing a source chat
+const trackers = [
+  { name: 'whale_bot', groupId: '-1001', sourceChatId: '-2001', active: true, type: 'gmgn' },
+  { name: 'whale_bot', groupId: '-1002', sourceChatId: '-2001', active: true },
+  { name: 'whale_bot', groupId: '-1003', active: true },
+  { name: 'whale_bot', groupId: '-1004', active: false }
+];
+
+const lookups = [];
+
+// No MongoDB here, the services return the documents above
+trackerService.findByName = async () => trackers;
+groupService.findByGroupIds = async (groupIds) => {
+  lookups.push(groupIds);
+  return groupIds.map(groupId => ({ groupId, groupName: `Group ${groupId}`, settings: {} }));
+};
+groupService.findByGroupId = async () => {
+  throw new Error('groups must be looked up in one query');
+};
+
+module.exports = [
+  {
+    name: 'looks the groups of a tracker up in a single query',
+    run: async () => {
+      lookups.length = 0;
+      const groups = await setupService.getGroupsForTracker('whale_bot');
+
+      assert.deepStrictEqual(groups.map(group => group.id), ['-1001', '-1002', '-1003']);
+      assert.deepStrictEqual(lookups, [['-1001', '-1002', '-1003']]);
+      assert.strictEqual(groups[0].trackerType, 'gmgn');
+    }
+  },
+  {
+    name: 'keeps the groups following the tracker in the chat of the message',
+    run: async () => {
+      lookups.length = 0;
+      const groups = await setupService.getGroupsForTracker('whale_bot', '-2001');
+
+      assert.deepStrictEqual(groups.map(group => group.id), ['-1001', '-1002']);
+      assert.strictEqual(lookups.length, 1);
+    }
+  }
+];
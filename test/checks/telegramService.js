@@ -0,0 +1,40 @@
+// test/checks/telegramService.js
+const assert = require('assert');
+const telegramService = require('../../src/services/telegramService');
+
+const confluence = {
+  type: 'buy',
+  coin: 'PEPE',
+  coinAddress: '',
+  chain: 'solana',
+  wallets: [],
+  count: 3,
+  windowMinutes: 60
+};
+
+module.exports = [
+  {
+    name: 'recognizes its own alerts in every confluence state',
+    run: async () => {
+      for (const state of ['confirmed', 'growing', 'distributing', 'exited', 'expired']) {
+        const message = telegramService.formatConfluenceMessage({ ...confluence, state });
+        assert.ok(telegramService.isOwnAlert(message), message.split('\n')[0]);
+      }
+    }
+  },
+  {
+    name: 'leaves tracker messages to the parsers',
+    run: async () => {
+      assert.ok(!telegramService.isOwnAlert('🟢 Buy $PEPE | SmartWhale\n💰 1.5 SOL ➜ 2.5M PEPE'));
+      assert.ok(!telegramService.isOwnAlert('Confluence of wallets on PEPE'));
+    }
+  },
+  {
+    name: 'escapes wallet names and symbols in HTML alerts',
+    run: async () => {
+      const message = telegramService.formatJoinedWalletsMessage({ ...confluence, coin: 'A<B', joinedWallets: ['#x&y'] });
+      assert.ok(message.includes('x&amp;y'), message);
+      assert.ok(message.includes('$A&lt;B'), message);
+    }
+  }
+];
@@ -0,0 +1,48 @@
+// test/checks/templateParser.js
+const assert = require('assert');
+const path = require('path');
+const templateParser = require('../../src/services/parsers/templateParser');
+
+// Template of the custom parser golden fixture
+const fixtureTemplate = require(path.join(__dirname, '../parsers/fixtures/custom/buy.json')).template;
+
+module.exports = [
+  {
+    name: 'accepts the template of the custom parser fixture',
+    run: async () => {
+      const { valid, errors } = templateParser.validateTemplate(fixtureTemplate);
+      assert.ok(valid, errors.join('; '));
+    }
+  },
+  {
+    name: 'rejects patterns that repeat a repeating group',
+    run: async () => {
+      for (const pattern of ['(?<wallet>(a+)+$)', '(?<wallet>(a|ab)*)c', '(?<wallet>(?:\\w+\\s?)+)$', '(?<wallet>((a)+b){2,})']) {
+        const { valid, errors } = templateParser.validateTemplate({ ...fixtureTemplate, wallet: pattern });
+        assert.ok(!valid, `${pattern} was accepted`);
+        assert.ok(errors.some(error => error.includes('nested quantifiers')), errors.join('; '));
+      }
+    }
+  },
+  {
+    name: 'keeps escaped characters and character classes out of the nesting check',
+    run: async () => {
+      const { valid, errors } = templateParser.validateTemplate({
+        ...fixtureTemplate,
+        wallet: 'Wallet: (?<wallet>[(+)]+)\\(\\+\\)+'
+      });
+      assert.ok(valid, errors.join('; '));
+    }
+  },
+  {
+    name: 'stops a runaway pattern stored before validation instead of blocking',
+    run: async () => {
+      const started = Date.now();
+      const { values, missing } = templateParser.extractFields(`${'a'.repeat(40)}!`, { wallet: '^(?<wallet>(a+)+)$' });
+
+      assert.ok(Date.now() - started < 2000, `matching took ${Date.now() - started}ms`);
+      assert.strictEqual(values.wallet, undefined);
+      assert.deepStrictEqual(missing, ['wallet']);
+    }
+  }
+];
@@ -0,0 +1,122 @@
+// test/checks/transactionProcessor.js
+const assert = require('assert');
+const confluenceService = require('../../src/services/confluenceService');
+const cacheManager = require('../../src/services/confluence/cacheManager');
+const groupSettingsManager = require('../../src/services/confluence/groupSettingsManager');
+const transactionService = require('../../src/db/services/transactionService');
+const confluenceEventService = require('../../src/db/services/confluenceEventService');
+const confluenceUtils = require('../../src/services/confluence/utils');
+const confluenceLifecycle = require('../../src/services/confluence/confluenceLifecycle');
+
+// Group settings and MongoDB are replaced by fixed settings and an in-memory collection
+groupSettingsManager.getWindowMinutesForGroup = async () => 60;
+groupSettingsManager.getMinWalletsForGroup = async () => 2;
+
+const stored = [];
+const recorded = [];
+
+transactionService.storeTransaction = async (transaction, groupId) => {
+  stored.push({ ...transaction, groupId });
+  return true;
+};
+transactionService.deleteTransactionsBySource = async (source) => {
+  const removed = stored.filter(tx => confluenceUtils.matchesSource(tx, source));
+  removed.forEach(tx => stored.splice(stored.indexOf(tx), 1));
+  return removed;
+};
+transactionService.getRecentTransactionsByCoin = async () => [];
+transactionService.getRecentTransactionsByAddress = async () => [];
+confluenceEventService.recordConfluence = async (confluence) => {
+  recorded.push(confluence.isUpdate ? 'update' : 'detection');
+  return true;
+};
+confluenceEventService.recordActivity = async () => true;
+confluenceEventService.setAlertMessageId = async () => true;
+
+function buildTransaction(walletName, sourceMessageId, fields = {}) {
+  return {
+    walletName,
+    walletAddress: `${walletName}-address`,
+    type: 'buy',
+    coin: 'EDIT',
+    coinAddress: '',
+    chain: 'solana',
+    amount: 100,
+    baseAmount: 1,
+    timestamp: new Date(),
+    sourceClientId: 'forwarder1',
+    sourceChatId: 'tracker-chat',
+    sourceMessageId,
+    ...fields
+  };
+}
+
+/**
+ * Replace the transactions of a tracker message as the forwarder does for an edit
+ * @param {string} groupId - Group ID
+ * @param {Object} edited - Transaction parsed from the edited message
+ * @returns {Promise<Array>} - Confluences to alert after the edit
+ */
+async function editMessage(groupId, edited) {
+  const affected = await confluenceService.removeTransactionsBySource({
+    clientId: edited.sourceClientId,
+    chatId: edited.sourceChatId,
+    messageIds: [edited.sourceMessageId]
+  });
+  const alerts = [];
+
+  for (const token of affected) {
+    alerts.push(...await confluenceService.checkTokenConfluence(token.groupId, token));
+  }
+
+  await confluenceService.addTransaction(edited, groupId);
+  alerts.push(...await confluenceService.checkTokenConfluence(groupId, edited));
+  return alerts;
+}
+
+module.exports = [
+  {
+    name: 'keeps the confluence and its alert when a message of the minimum wallets is edited',
+    run: async () => {
+      const groupId = 'edit-reparse';
+      const token = { coin: 'EDIT', coinAddress: '', chain: 'solana' };
+      const confluenceKey = confluenceUtils.buildConfluenceKey(groupId, token);
+
+      await confluenceService.addTransaction(buildTransaction('a', 1), groupId);
+      await confluenceService.addTransaction(buildTransaction('b', 2), groupId);
+      assert.strictEqual((await confluenceService.checkTokenConfluence(groupId, token)).length, 1);
+      await confluenceService.setAlertMessageId(groupId, token, 500);
+
+      // The tracker fixes a typo: same wallet, same amounts
+      const alerts = await editMessage(groupId, buildTransaction('b', 2));
+
+      assert.deepStrictEqual(alerts, []);
+      assert.deepStrictEqual(recorded, ['detection']);
+
+      const detected = await cacheManager.detectedConfluences.get(confluenceKey);
+      assert.ok(confluenceLifecycle.OPEN_STATES.includes(detected.state), detected.state);
+      assert.strictEqual(detected.alertMessageId, 500);
+      assert.deepStrictEqual(detected.wallets.map(wallet => wallet.walletName), ['a', 'b']);
+    }
+  },
+  {
+    name: 'keeps the state of a confluence whose edited message names another token',
+    run: async () => {
+      const groupId = 'edit-other-token';
+      const token = { coin: 'EDIT', coinAddress: '', chain: 'solana' };
+      const confluenceKey = confluenceUtils.buildConfluenceKey(groupId, token);
+
+      await confluenceService.addTransaction(buildTransaction('a', 1), groupId);
+      await confluenceService.addTransaction(buildTransaction('b', 2), groupId);
+      await confluenceService.checkTokenConfluence(groupId, token);
+
+      const alerts = await editMessage(groupId, buildTransaction('b', 2, { coin: 'OTHER' }));
+      assert.deepStrictEqual(alerts, []);
+
+      const detected = await cacheManager.detectedConfluences.get(confluenceKey);
+      assert.strictEqual(detected.state, 'confirmed');
+      assert.deepStrictEqual(detected.wallets.map(wallet => wallet.walletName), ['a']);
+      assert.deepStrictEqual(detected.retractedWallets.map(wallet => wallet.walletName), ['b']);
+    }
+  }
+];
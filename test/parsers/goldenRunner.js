@@ -0,0 +1,199 @@
+// test/parsers/goldenRunner.js
+/**
+ * Golden-file regression runner for tracker parsers
+ *
+ * Each fixture in ./fixtures/<trackerType>/<name>.json holds a captured tracker
+ * message (text + entities) and the Transaction fields the parser is expected
+ * to extract from it, one entry per swap (an empty array when the message must
+ * be ignored). Fixtures for
+ * 'custom' trackers also carry the parser template to apply.
+ *
+ * Usage:
+ *   node test/parsers/goldenRunner.js              Run every fixture and report diffs
+ *   node test/parsers/goldenRunner.js --record     Fill in "expected" for fixtures that have none
+ *   node test/parsers/goldenRunner.js --update     Overwrite every "expected" with the current output
+ *   node test/parsers/goldenRunner.js --only ray   Restrict the run to one tracker type
+ *   node test/parsers/goldenRunner.js --verbose    Keep parser logs on the console
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../src/utils/logger');
+const parserRegistry = require('../../src/services/parsers/parserRegistry');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Transaction fields compared against the golden files (timestamp is always "now")
+const GOLDEN_FIELDS = [
+  'walletName',
+  'walletAddress',
+  'type',
+  'coin',
+  'coinAddress',
+  'amount',
+  'usdValue',
+  'marketCap',
+  'baseAmount',
+  'baseSymbol',
+  'chain'
+];
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Raw arguments
+ * @returns {Object} - Runner options
+ */
+function parseArgs(argv) {
+  const options = { record: false, update: false, verbose: false, only: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--record') options.record = true;
+    else if (arg === '--update') options.update = true;
+    else if (arg === '--verbose') options.verbose = true;
+    else if (arg === '--only') options.only = argv[++i];
+  }
+
+  return options;
+}
+
+/**
+ * List all fixture files
+ * @param {string|null} only - Tracker type to restrict to
+ * @returns {Array<string>} - Absolute fixture paths
+ */
+function listFixtures(only) {
+  const files = [];
+
+  for (const trackerType of fs.readdirSync(FIXTURES_DIR).sort()) {
+    if (only && trackerType !== only) continue;
+
+    const dir = path.join(FIXTURES_DIR, trackerType);
+    if (!fs.statSync(dir).isDirectory()) continue;
+
+    for (const file of fs.readdirSync(dir).sort()) {
+      if (file.endsWith('.json')) {
+        files.push(path.join(dir, file));
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Reduce a transaction to the fields stored in golden files
+ * @param {Transaction} transaction - Parsed transaction
+ * @returns {Object} - Comparable snapshot
+ */
+function snapshot(transaction) {
+  const result = {};
+  for (const field of GOLDEN_FIELDS) {
+    result[field] = transaction[field] === undefined ? null : transaction[field];
+  }
+  return result;
+}
+
+/**
+ * Compare the expected golden transactions with the parser output
+ * @param {Array<Object>} expected - Expected snapshots
+ * @param {Array<Object>} actual - Actual snapshots
+ * @returns {Array<string>} - Human readable differences
+ */
+function diffSnapshots(expected, actual) {
+  if (!Array.isArray(expected)) {
+    return [`expected block must be an array, got ${JSON.stringify(expected)}`];
+  }
+
+  const diffs = [];
+  if (expected.length !== actual.length) {
+    diffs.push(`expected ${expected.length} transaction(s), got ${actual.length}`);
+  }
+
+  const count = Math.min(expected.length, actual.length);
+  for (let i = 0; i < count; i++) {
+    for (const field of GOLDEN_FIELDS) {
+      const want = expected[i][field] === undefined ? null : expected[i][field];
+      const got = actual[i][field];
+      if (JSON.stringify(want) !== JSON.stringify(got)) {
+        diffs.push(`[${i}] ${field}: expected ${JSON.stringify(want)}, got ${JSON.stringify(got)}`);
+      }
+    }
+  }
+  return diffs;
+}
+
+/**
+ * Run a single fixture
+ * @param {string} file - Fixture path
+ * @param {Object} options - Runner options
+ * @returns {Object} - Result with status ('pass', 'fail', 'recorded') and details
+ */
+function runFixture(file, options) {
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const trackerType = fixture.trackerType || path.basename(path.dirname(file));
+  const parser = parserRegistry.get(trackerType);
+
+  if (!parser) {
+    return { status: 'fail', details: [`no parser registered for tracker type '${trackerType}'`] };
+  }
+
+  const actual = parser.parseMessage(fixture.message, { template: fixture.template }).map(snapshot);
+  const details = [];
+
+  // Transactions must also be routed to the right parser by auto-detection
+  // (template-driven formats are never auto-detected)
+  if (actual.length > 0 && !fixture.template) {
+    const detected = parserRegistry.detect(fixture.message);
+    if (!detected || detected.type !== parser.type) {
+      details.push(`auto-detection picked '${detected ? detected.type : 'none'}' instead of '${parser.type}'`);
+    }
+  }
+
+  if (options.update || (options.record && !('expected' in fixture))) {
+    fixture.expected = actual;
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n');
+    return { status: 'recorded', details };
+  }
+
+  if (!('expected' in fixture)) {
+    return { status: 'fail', details: ['fixture has no "expected" block, run with --record'] };
+  }
+
+  details.push(...diffSnapshots(fixture.expected, actual));
+  return { status: details.length > 0 ? 'fail' : 'pass', details };
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  // Parsers log every message they see, keep the report readable
+  if (!options.verbose) {
+    logger.silent = true;
+  }
+
+  const files = listFixtures(options.only);
+  const counts = { pass: 0, fail: 0, recorded: 0 };
+
+  for (const file of files) {
+    const name = path.relative(FIXTURES_DIR, file);
+    let result;
+
+    try {
+      result = runFixture(file, options);
+    } catch (error) {
+      result = { status: 'fail', details: [`error: ${error.message}`] };
+    }
+
+    counts[result.status]++;
+    const mark = result.status === 'pass' ? '✔' : result.status === 'recorded' ? '✎' : '✘';
+    console.log(`${mark} ${name}`);
+    for (const detail of result.details) {
+      console.log(`    ${detail}`);
+    }
+  }
+
+  console.log(`\n${files.length} fixtures: ${counts.pass} passed, ${counts.fail} failed, ${counts.recorded} recorded`);
+  process.exitCode = counts.fail > 0 ? 1 : 0;
+}
+
+main();